@@ -0,0 +1,83 @@
+// Service worker: keeps the app shell cached so the planner opens with no
+// signal out by the smoker, and brings the app back up when an alarm is
+// tapped. Served as-is from public/, so it can't import from src/.
+
+const CACHE = 'pellet-planner-v1';
+const SHELL = self.registration.scope;
+
+// The built index.html names the hashed script and stylesheet. Cache it with
+// everything it links to (hashed files only once), and drop assets an older
+// build left behind.
+async function cacheShell() {
+  const response = await fetch(SHELL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Shell fetch failed: ${response.status}`);
+
+  const html = await response.clone().text();
+  const urls = [...html.matchAll(/(?:src|href)="([^"#]+)"/g)]
+      .map(match => new URL(match[1], SHELL).href)
+      .filter(url => url.startsWith(self.location.origin));
+
+  const cache = await caches.open(CACHE);
+  const missing = [];
+  for (const url of urls) {
+      if (!(await cache.match(url))) missing.push(url);
+  }
+  await cache.addAll(missing);
+  await cache.put(SHELL, response);
+
+  const keep = new Set(urls);
+  const stale = (await cache.keys()).filter(request => request.url.startsWith(`${SHELL}assets/`) && !keep.has(request.url));
+  await Promise.all(stale.map(request => cache.delete(request)));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)));
+      await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.location.origin)) return;
+
+  // Pages: network first so a new build shows up, the cached shell offline
+  if (request.mode === 'navigate') {
+      event.respondWith(
+          fetch(request)
+              .then((response) => {
+                  event.waitUntil(cacheShell().catch(() => {}));
+                  return response;
+              })
+              .catch(() => caches.match(SHELL))
+      );
+      return;
+  }
+
+  // Everything else: cache first, keeping anything new that loads fine
+  event.respondWith((async () => {
+      const cached = await caches.match(request);
+      if (cached) return cached;
+      const response = await fetch(request);
+      if (response.ok) {
+          const cache = await caches.open(CACHE);
+          await cache.put(request, response.clone());
+      }
+      return response;
+  })());
+});
+
+// Tapping an alarm focuses the open planner, or opens it
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const open = windows.find(client => client.url.startsWith(SHELL));
+      return open ? open.focus() : self.clients.openWindow(SHELL);
+  })());
+});
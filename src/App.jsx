@@ -1,11 +1,16 @@
 import React from 'react';
 import PelletPlanner from './PelletPlanner';
+import { LocaleContext, useLocaleSettings } from './useLocale';
 
 function App() {
+  const locale = useLocaleSettings();
+
   return (
-    <div className="App">
-      <PelletPlanner />
-    </div>
+    <LocaleContext.Provider value={locale}>
+      <div className="App" lang={locale.locale}>
+        <PelletPlanner />
+      </div>
+    </LocaleContext.Provider>
   );
 }
 
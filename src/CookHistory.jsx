@@ -0,0 +1,77 @@
+import React, { useMemo } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { calibrationDrift } from './engine/calibration';
+import { useLocale } from './useLocale';
+
+// How far off the model a cook ran, e.g. "+12%"
+export const pct = (factor) => `${factor >= 1 ? '+' : ''}${Math.round((factor - 1) * 100)}%`;
+
+
+function DriftChart({ points }) {
+  const width = 280;
+  const height = 60;
+  const values = points.flatMap(p => [p.ratio, p.factor]).concat(1);
+  const lo = Math.min(...values) - 0.05;
+  const hi = Math.max(...values) + 0.05;
+  const x = (i) => (points.length === 1 ? width / 2 : 8 + (i / (points.length - 1)) * (width - 16));
+  const y = (v) => height - 4 - ((v - lo) / (hi - lo)) * (height - 8);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+      <line x1="0" x2={width} y1={y(1)} y2={y(1)} className="stroke-gray-300" strokeDasharray="3 3" />
+      <polyline points={points.map((p, i) => `${x(i)},${y(p.factor)}`).join(' ')} className="stroke-orange-500 fill-none" strokeWidth="2" />
+      {points.map((p, i) => <circle key={i} cx={x(i)} cy={y(p.ratio)} r="2.5" className="fill-gray-400" />)}
+    </svg>
+  );
+}
+
+export default function CookHistory({ records, calibration, profiles }) {
+  const { t, fmt, label } = useLocale();
+  const meats = useMemo(() => [...new Set(records.map(r => r.meatType))], [records]);
+  const meatLabel = (key) => label('meat', key, profiles[key]?.label || key);
+
+  return (
+    <div className="space-y-6 mb-6">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5">
+        <h3 className="text-sm font-bold text-gray-700 flex items-center mb-3">
+          <TrendingUp size={16} className="mr-2 text-orange-500"/> {t("Calibration")}
+        </h3>
+        {calibration.samples === 0 ? (
+          <p className="text-xs text-gray-400">{t("Finish a cook in live mode and save it to start calibrating.")}</p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-600 mb-3">
+              {t("Buffer:")} <b>{Math.round(calibration.buffer * 100)}%</b>
+              {' '}{calibration.samples < 3 ? t("(default until 3 cooks are logged)") : t("(from {count} cooks)", { count: calibration.samples })}
+            </p>
+            {meats.map(meat => {
+              const drift = calibrationDrift(records, meat);
+              const current = calibration.factors[meat];
+              if (!current) return null;
+              return (
+                <div key={meat} className="mb-4">
+                  <div className="flex justify-between text-xs">
+                    <span className="font-semibold text-gray-700">{meatLabel(meat)}</span>
+                    <span className={current.factor > 1 ? 'text-red-600' : 'text-green-600'}>
+                      {pct(current.factor)} {t("vs. model")} · {t(current.samples === 1 ? "{count} cook" : "{count} cooks", { count: current.samples })}
+                    </span>
+                  </div>
+                  <DriftChart points={drift} />
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(calibration.factors)
+                      .filter(([key]) => key.startsWith(`${meat}@`))
+                      .map(([key, f]) => (
+                        <span key={key} className="text-[10px] bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                          {fmt.temp(Number(key.split('@')[1]))}: {pct(f.factor)}
+                        </span>
+                      ))}
+                  </div>
+                </div>
+              );
+            })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
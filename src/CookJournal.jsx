@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Trash2, Star, ImagePlus, RotateCcw, Search, X, AlertTriangle } from 'lucide-react';
+import { parseISO, differenceInMinutes } from 'date-fns';
+import { recordRatio } from './engine/calibration';
+import { RATINGS, journalOf, filterJournal, averageRating } from './engine/journal';
+import { WRAP_STRATEGIES } from './engine/profiles';
+import { savePhoto, loadPhoto, deletePhotos, photosAvailable } from './photoStore';
+import { pct } from './CookHistory';
+import { useLocale } from './useLocale';
+
+// A photo from IndexedDB as an object URL, freed when it goes away.
+function Photo({ id, onRemove }) {
+  const { t } = useLocale();
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    loadPhoto(id).then((blob) => {
+      if (blob && !cancelled) {
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      }
+    }).catch(() => {});
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+
+  return (
+    <div className="relative h-16 w-16 rounded bg-gray-100 overflow-hidden">
+      {url && <img src={url} alt="" className="h-full w-full object-cover" />}
+      <button onClick={onRemove} className="absolute top-0 right-0 bg-white/80 rounded-bl p-0.5 text-gray-500 hover:text-red-500" aria-label={t("Remove photo")}>
+        <X size={10} />
+      </button>
+    </div>
+  );
+}
+
+function Stars({ value, onChange, name }) {
+  return (
+    <div className="flex" role="radiogroup" aria-label={name}>
+      {[1, 2, 3, 4, 5].map(n => (
+        <button key={n} onClick={() => onChange(value === n ? 0 : n)} aria-label={`${name} ${n}/5`}>
+          <Star size={14} className={n <= (value || 0) ? 'fill-orange-400 text-orange-400' : 'text-gray-300'} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function JournalEntry({ record, updateEntry, deleteRecord, onRecook, meatLabel }) {
+  const { t, fmt, label } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [photoError, setPhotoError] = useState(null);
+  const journal = journalOf(record);
+  const update = (changes) => updateEntry(record.id, changes);
+  const hours = (mins) => `${fmt.number(mins / 60, 1)}h`;
+  const actualMins = differenceInMinutes(parseISO(record.actual.finishCook), parseISO(record.actual.startCook));
+  const plannedMins = differenceInMinutes(parseISO(record.planned.finishCook), parseISO(record.planned.startCook));
+  const average = averageRating(record);
+
+  // All or nothing: if one photo won't save (storage full or blocked), the
+  // ones already written are removed again
+  const addPhotos = async (files) => {
+    setPhotoError(null);
+    const ids = [];
+    try {
+      for (const [i, file] of [...files].entries()) {
+        const id = `${record.id}-${Date.now()}-${i}`;
+        await savePhoto(id, file);
+        ids.push(id);
+      }
+    } catch (e) {
+      if (ids.length > 0) deletePhotos(ids).catch(() => {});
+      setPhotoError("Couldn't save the photos. The browser may be out of storage space or blocking it.");
+      return;
+    }
+    update(current => ({ photos: [...current.photos, ...ids] }));
+  };
+
+  const removePhoto = (id) => {
+    deletePhotos([id]).catch(() => {});
+    update(current => ({ photos: current.photos.filter(p => p !== id) }));
+  };
+
+  const inputClass = "w-full p-1.5 bg-white border rounded text-xs";
+
+  return (
+    <li className="py-2">
+      <div className="flex items-center justify-between">
+        <button className="text-left flex-1" onClick={() => setOpen(!open)}>
+          <p className="text-sm text-gray-800">
+            {meatLabel(record.meatType)} · {fmt.weight(record.weight, 2)} @ {fmt.temp(record.temp)}
+            {average !== null && <span className="ml-2 text-xs text-orange-500">★ {fmt.number(average, 1)}</span>}
+          </p>
+          <p className="text-[10px] text-gray-400">
+            {fmt.date(parseISO(record.completedAt))} · {label('wrap', record.wrapStrategy, WRAP_STRATEGIES[record.wrapStrategy]?.label || record.wrapStrategy)} · {t("planned {hours}", { hours: hours(plannedMins) })} · {t("actual {hours}", { hours: hours(actualMins) })}
+            {record.actual.wrapTime && ` · ${t("wrapped {time} (plan {planned})", { time: fmt.time(parseISO(record.actual.wrapTime)), planned: fmt.time(parseISO(record.planned.wrapTime)) })}`}
+          </p>
+        </button>
+        <div className="flex items-center gap-2">
+          <span className="text-xs font-mono text-gray-500">{pct(recordRatio(record))}</span>
+          <button onClick={() => deleteRecord(record.id)} className="text-gray-400 hover:text-red-500" aria-label={t("Delete cook")}>
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-2 space-y-2 bg-gray-50 p-3 rounded-lg border border-gray-200">
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(RATINGS).map(([key, name]) => (
+              <div key={key}>
+                <p className="text-[10px] text-gray-500 mb-0.5">{t(name)}</p>
+                <Stars name={t(name)} value={journal.ratings[key]} onChange={(n) => update({ ratings: { ...journal.ratings, [key]: n } })} />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input className={inputClass} placeholder={t("Pellet brand")} value={journal.pelletBrand} onChange={(e) => update({ pelletBrand: e.target.value })} />
+            <input className={inputClass} placeholder={t("Pellet flavor")} value={journal.pelletFlavor} onChange={(e) => update({ pelletFlavor: e.target.value })} />
+          </div>
+          <textarea
+            className={`${inputClass} h-20`}
+            placeholder={t("How did it go? Bark, tenderness, what to change next time...")}
+            value={journal.notes}
+            onChange={(e) => update({ notes: e.target.value })}
+          />
+          {photosAvailable() && (
+            <div className="flex flex-wrap gap-2">
+              {journal.photos.map(id => <Photo key={id} id={id} onRemove={() => removePhoto(id)} />)}
+              <label className="h-16 w-16 flex items-center justify-center rounded border border-dashed border-gray-300 text-gray-400 cursor-pointer hover:text-orange-500" aria-label={t("Add photos")}>
+                <ImagePlus size={18} />
+                <input type="file" accept="image/*" multiple className="hidden" onChange={(e) => addPhotos(e.target.files)} />
+              </label>
+            </div>
+          )}
+          {photoError && (
+            <p className="text-xs text-red-600 flex items-center"><AlertTriangle size={12} className="mr-1"/> {t(photoError)}</p>
+          )}
+          <button
+            onClick={() => onRecook(record)}
+            disabled={!record.inputs}
+            title={record.inputs ? undefined : t("This cook was logged before the journal kept its settings.")}
+            className="flex items-center text-xs font-bold text-orange-600 disabled:text-gray-300"
+          >
+            <RotateCcw size={12} className="mr-1"/> {t("Re-cook This")}
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Finished cooks with notes, pellets, photos and ratings (see engine/journal.js).
+export default function CookJournal({ records, updateEntry, deleteRecord, profiles, onRecook }) {
+  const { t, label } = useLocale();
+  const [filters, setFilters] = useState({ query: '', meatType: '', wrapStrategy: '' });
+  const meatLabel = (key) => label('meat', key, profiles[key]?.label || key);
+  const meats = [...new Set(records.map(r => r.meatType))];
+  const shown = filterJournal(records, filters, meatLabel);
+  const selectClass = "p-1.5 bg-white border rounded text-xs";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 mb-6">
+      <h3 className="text-sm font-bold text-gray-700 flex items-center mb-3">
+        <BookOpen size={16} className="mr-2 text-orange-500"/> {t("Cook Journal")}
+      </h3>
+      {records.length === 0 ? (
+        <p className="text-xs text-gray-400">{t("No completed cooks yet.")}</p>
+      ) : (
+        <>
+          <div className="flex items-center gap-2 mb-2">
+            <div className="relative flex-1">
+              <Search size={12} className="absolute left-2 top-2 text-gray-400" />
+              <input
+                className="w-full p-1.5 pl-6 bg-white border rounded text-xs"
+                placeholder={t("Search notes and pellets")}
+                value={filters.query}
+                onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+              />
+            </div>
+            <select className={selectClass} value={filters.meatType} onChange={(e) => setFilters({ ...filters, meatType: e.target.value })} aria-label={t("Meat")}>
+              <option value="">{t("All meats")}</option>
+              {meats.map(key => <option key={key} value={key}>{meatLabel(key)}</option>)}
+            </select>
+            <select className={selectClass} value={filters.wrapStrategy} onChange={(e) => setFilters({ ...filters, wrapStrategy: e.target.value })} aria-label={t("Wrap")}>
+              <option value="">{t("All wraps")}</option>
+              {Object.entries(WRAP_STRATEGIES).map(([key, wrap]) => <option key={key} value={key}>{label('wrap', key, wrap.label)}</option>)}
+            </select>
+          </div>
+          {shown.length === 0 && <p className="text-xs text-gray-400">{t("No cooks match.")}</p>}
+          <ul className="divide-y divide-gray-100">
+            {shown.map(record => (
+              <JournalEntry key={record.id} record={record} updateEntry={updateEntry} deleteRecord={deleteRecord} onRecook={onRecook} meatLabel={meatLabel} />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
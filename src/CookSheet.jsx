@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react';
+import { Printer, FileDown, ArrowLeft } from 'lucide-react';
+import { format } from 'date-fns';
+import { buildCookSheet, cookSheetPdf, logColumns } from './engine/cookSheet';
+import { downloadFile } from './download';
+import { useLocale } from './useLocale';
+
+// Print-friendly version of the current plan (see engine/cookSheet.js).
+// Replaces the planner on screen so printing picks up only the sheet.
+export default function CookSheet({ plan, inputs, profile, warnings, onClose }) {
+  const i18n = useLocale();
+  const { t, fmt } = i18n;
+  const sheet = useMemo(() => buildCookSheet(plan, inputs, profile, warnings, i18n), [plan, inputs, profile, warnings, i18n]);
+
+  const exportPdf = () => {
+    downloadFile(`cook-sheet-${inputs.meatType}-${format(plan.serve, 'yyyy-MM-dd')}.pdf`, cookSheetPdf(sheet, i18n), 'application/pdf');
+  };
+
+  const buttonClass = "flex items-center justify-center p-2 text-xs font-bold rounded-lg border";
+  const cellClass = "border border-gray-400 px-2 py-2";
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white min-h-screen p-6 text-gray-900 print:p-0 print:max-w-none">
+      <div className="grid grid-cols-3 gap-2 mb-6 print:hidden">
+        <button onClick={onClose} className={`${buttonClass} text-gray-600 border-gray-200`}>
+          <ArrowLeft size={14} className="mr-1"/> {t("Back")}
+        </button>
+        <button onClick={() => window.print()} className={`${buttonClass} text-white bg-orange-600 border-orange-600`}>
+          <Printer size={14} className="mr-1"/> {t("Print")}
+        </button>
+        <button onClick={exportPdf} className={`${buttonClass} text-blue-700 border-blue-200`}>
+          <FileDown size={14} className="mr-1"/> {t("Save PDF")}
+        </button>
+      </div>
+
+      <h1 className="text-2xl font-bold">{sheet.title}</h1>
+      <p className="text-sm mb-4">{t("Serve:")} <b>{fmt.dateTime(sheet.serve)}</b></p>
+
+      <h2 className="text-sm font-bold uppercase border-b border-gray-800 mb-2">{t("Settings")}</h2>
+      <dl className="grid grid-cols-2 gap-x-6 gap-y-1 text-xs mb-5">
+        {sheet.details.map(([label, value]) => (
+          <div key={label} className="flex">
+            <dt className="font-bold w-24 shrink-0">{label}:</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <h2 className="text-sm font-bold uppercase border-b border-gray-800 mb-2">{t("Timeline")}</h2>
+      <ul className="mb-5">
+        {sheet.milestones.map(item => (
+          <li key={item.key} className="flex items-start py-1 break-inside-avoid">
+            <span className="inline-block h-3.5 w-3.5 border-2 border-gray-800 mt-0.5 mr-3 shrink-0"></span>
+            <span className={`font-mono font-bold text-sm shrink-0 ${sheet.overnight ? 'w-28' : 'w-20'}`}>{sheet.overnight ? fmt.dayTime(item.time) : fmt.time(item.time)}</span>
+            <span>
+              <span className="font-bold text-sm">{item.title}</span>
+              <span className="block text-xs text-gray-600">{item.detail}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {sheet.warnings.length > 0 && (
+        <>
+          <h2 className="text-sm font-bold uppercase border-b border-gray-800 mb-2">{t("Warnings")}</h2>
+          <ul className="text-xs space-y-1 mb-5">
+            {sheet.warnings.map((w, i) => (
+              <li key={i} className={w.type === 'safety' ? 'font-bold' : ''}>{w.msg}</li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <h2 className="text-sm font-bold uppercase border-b border-gray-800 mb-2">{t("Temp Log")}</h2>
+      <table className="w-full text-xs border-collapse">
+        <thead>
+          <tr className="bg-gray-100">
+            {logColumns(i18n).map(label => (
+              <th key={label} className={`${cellClass} text-left`}>{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[...sheet.logTimes.map(fmt.time), ...Array(sheet.spareLogRows).fill('')].map((time, i) => (
+            <tr key={i} className="break-inside-avoid">
+              <td className={`${cellClass} font-mono w-20`}>{time}</td>
+              <td className={`${cellClass} w-20`}></td>
+              <td className={`${cellClass} w-20`}></td>
+              <td className={`${cellClass} w-24`}></td>
+              <td className={cellClass}></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
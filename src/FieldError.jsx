@@ -0,0 +1,9 @@
+import React from 'react';
+
+// Number inputs keep '' while cleared so validation can flag them, rather than storing NaN.
+export const numberValue = (value) => (value === '' ? '' : Number(value));
+
+export default function FieldError({ error }) {
+  if (!error) return null;
+  return <p className="text-[10px] text-red-600 mt-0.5">{error}</p>;
+}
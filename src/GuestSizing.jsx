@@ -0,0 +1,91 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import FieldError, { numberValue } from './FieldError';
+import { APPETITES, DEFAULT_APPETITE } from './engine/profiles';
+import { yieldFor, feeds, sizeInputs } from './engine/servings';
+import { useLocale } from './useLocale';
+
+// Sizing the cook by weight, or by headcount (see engine/servings.js). By
+// headcount, the weight and piece count follow the guests and appetite.
+export default function GuestSizing({ inputs, setInputs, profiles, errors }) {
+  const { t, fmt, label } = useLocale();
+  const profile = profiles[inputs.meatType];
+  const byGuests = inputs.sizeMode === 'guests';
+  const pieces = inputs.pieces || 1;
+
+  const update = (changes) => setInputs(sizeInputs({...inputs, ...changes}, profiles));
+
+  const sized = profile && !errors.weight && !errors.pieces && !errors.guests;
+  const cookedLbs = sized ? inputs.weight * pieces * yieldFor(profile).cooked : 0;
+  const fed = sized ? feeds(profile, inputs.weight, pieces, inputs.appetite) : 0;
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <div className="flex justify-between items-center mb-2">
+        <label className="text-xs font-bold text-gray-700 uppercase flex items-center">
+          <Users size={14} className="mr-2 text-orange-500"/> {t(byGuests ? "Guests" : "Pieces")}
+        </label>
+        <div className="inline-flex bg-gray-200 rounded-md p-0.5 text-xs font-bold">
+          {[['weight', "By weight"], ['guests', "By guests"]].map(([mode, text]) => (
+            <button
+              key={mode}
+              onClick={() => update({ sizeMode: mode })}
+              className={`px-2 py-0.5 rounded ${(inputs.sizeMode || 'weight') === mode ? 'bg-white text-orange-600 shadow-sm' : 'text-gray-500'}`}
+            >
+              {t(text)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {byGuests ? (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <input
+              type="number"
+              min="1"
+              className="w-full p-1.5 bg-white border rounded text-xs font-mono"
+              value={inputs.guests}
+              onChange={(e) => update({ guests: numberValue(e.target.value) })}
+            />
+            <FieldError error={errors.guests} />
+          </div>
+          <div>
+            <select
+              className="w-full p-1.5 bg-white border rounded text-xs"
+              value={inputs.appetite || DEFAULT_APPETITE}
+              onChange={(e) => update({ appetite: e.target.value })}
+              aria-label={t("Appetite")}
+            >
+              {Object.entries(APPETITES).map(([key, appetite]) => (
+                <option key={key} value={key}>{label('appetite', key, appetite.label)}</option>
+              ))}
+            </select>
+            <FieldError error={errors.appetite} />
+          </div>
+        </div>
+      ) : (
+        <div>
+          <input
+            type="number"
+            min="1"
+            className="w-full p-1.5 bg-white border rounded text-xs font-mono"
+            value={inputs.pieces ?? 1}
+            onChange={(e) => setInputs({...inputs, pieces: numberValue(e.target.value)})}
+          />
+          <FieldError error={errors.pieces} />
+        </div>
+      )}
+
+      {sized && (
+        <p className="text-[10px] text-gray-500 mt-2">
+          {byGuests && `${t('yield.buy', { pieces, weight: fmt.weight(inputs.weight), total: fmt.weight(inputs.weight * pieces) })} `}
+          {t('yield.feeds', { cooked: fmt.weight(cookedLbs), feeds: fed })}
+        </p>
+      )}
+      {sized && byGuests && fed < inputs.guests && (
+        <p className="text-[10px] text-orange-600 mt-1">{t('yield.short', { pieces, guests: inputs.guests })}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Play, Square, Bell, Flag } from 'lucide-react';
+import { format, parseISO, differenceInMinutes } from 'date-fns';
+import { buildLiveTimeline, currentStepIndex, dueAlarms, alarmNotification } from './engine/liveCook';
+import { crossesMidnight } from './engine/quietHours';
+import { notify, requestNotifications } from './notify';
+import { useLocale } from './useLocale';
+
+const toInputValue = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+export default function LiveCook({ plan, plannedRest, onFinish }) {
+  const i18n = useLocale();
+  const { t, fmt } = i18n;
+  const [live, setLive] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletLiveV1');
+      if (saved) return JSON.parse(saved);
+    }
+    return null;
+  });
+  const [now, setNow] = useState(() => new Date());
+  const lastTick = useRef(new Date());
+
+  useEffect(() => {
+    if (live) localStorage.setItem('pelletLiveV1', JSON.stringify(live));
+    else localStorage.removeItem('pelletLiveV1');
+  }, [live]);
+
+  const timeline = useMemo(
+    () => buildLiveTimeline(plan, live?.actualStart ? parseISO(live.actualStart) : null, i18n),
+    [plan, live?.actualStart, i18n]
+  );
+
+  // Running clock + alarms
+  useEffect(() => {
+    if (!live) return;
+    lastTick.current = new Date();
+    const id = setInterval(() => {
+      const tick = new Date();
+      dueAlarms(timeline.steps, lastTick.current, tick).forEach(step => {
+        const alarm = alarmNotification(step, i18n);
+        notify(alarm.title, alarm.body, alarm.tag);
+      });
+      lastTick.current = tick;
+      setNow(tick);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [live, timeline, i18n]);
+
+  const startCook = () => {
+    setLive({ startedAt: new Date().toISOString(), actualStart: null, wrappedAt: null });
+    requestNotifications();
+  };
+
+  const finishCook = () => {
+    onFinish({
+      startCook: live.actualStart ? parseISO(live.actualStart) : plan.startCook,
+      wrapTime: live.wrappedAt ? parseISO(live.wrappedAt) : null,
+      finishCook: new Date()
+    });
+    setLive(null);
+  };
+
+  if (!live) {
+    return (
+      <button
+        onClick={startCook}
+        className="flex items-center justify-center w-full p-3 mb-8 bg-green-600 text-white font-bold rounded-xl shadow-lg hover:bg-green-700"
+      >
+        <Play size={16} className="mr-2"/> {t("Start Cook")}
+      </button>
+    );
+  }
+
+  const current = currentStepIndex(timeline.steps, now);
+  const next = timeline.steps[current + 1];
+  const actualStart = live.actualStart ? parseISO(live.actualStart) : plan.startCook;
+  const outsideWindow = timeline.restMinutes < plan.rest.minRest || timeline.restMinutes > plan.rest.maxHold;
+
+  return (
+    <div className="bg-gray-900 text-white rounded-xl shadow-lg p-4 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <p className="text-xs uppercase opacity-60">{t("Live Cook")}</p>
+          <p className="text-3xl font-mono font-bold">{fmt.date(now, 'pp')}</p>
+        </div>
+        <button
+          onClick={() => setLive(null)}
+          className="flex items-center text-xs bg-gray-700 hover:bg-red-600 px-3 py-2 rounded-lg"
+        >
+          <Square size={12} className="mr-1"/> {t("End")}
+        </button>
+      </div>
+
+      {next && (
+        <p className="text-sm text-orange-300 mb-3 flex items-center">
+          <Bell size={14} className="mr-1"/> {t("Next: {step} in {minutes} min", { step: next.label, minutes: Math.max(0, differenceInMinutes(next.time, now)) })}
+        </p>
+      )}
+      <p className="text-[10px] opacity-60 mb-3">{t("Alarms only ring while this page is open. A background tab is fine; closing it or letting the device sleep stops them.")}</p>
+
+      <div className="mb-3">
+        <label className="block text-[10px] uppercase opacity-60 mb-1">{t("Meat actually went on at")}</label>
+        <input
+          type="datetime-local"
+          className="w-full p-2 bg-gray-800 border border-gray-700 rounded text-sm"
+          value={toInputValue(actualStart)}
+          onChange={(e) => setLive({...live, actualStart: e.target.value || null})}
+        />
+        {timeline.offsetMinutes !== 0 && (
+          <p className={`text-xs mt-1 ${outsideWindow ? 'text-red-300' : timeline.restMinutes < plannedRest ? 'text-yellow-300' : 'text-green-300'}`}>
+            {timeline.offsetMinutes > 0 ? t("{minutes} min late", { minutes: timeline.offsetMinutes }) : t("{minutes} min early", { minutes: -timeline.offsetMinutes })} —{' '}
+            {t("rest is now {minutes} min (planned {planned}).", { minutes: timeline.restMinutes, planned: plannedRest })}
+            {timeline.restMinutes < plan.rest.minRest && ` ${t("That's under the {minutes} min minimum.", { minutes: plan.rest.minRest })}`}
+            {timeline.restMinutes > plan.rest.maxHold && ` ${t("That's past the {minutes} min it can hold.", { minutes: plan.rest.maxHold })}`}
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <button
+          onClick={() => setLive({...live, wrappedAt: new Date().toISOString()})}
+          className="p-2 text-xs font-bold bg-orange-600 hover:bg-orange-500 rounded-lg"
+        >
+          {live.wrappedAt ? t("Wrapped {time}", { time: fmt.time(parseISO(live.wrappedAt)) }) : t("Log Wrap Now")}
+        </button>
+        <button
+          onClick={finishCook}
+          className="flex items-center justify-center p-2 text-xs font-bold bg-green-600 hover:bg-green-500 rounded-lg"
+        >
+          <Flag size={12} className="mr-1"/> {t("Finished — Save Cook")}
+        </button>
+      </div>
+
+      <ol className="space-y-1">
+        {timeline.steps.map((step, i) => (
+          <li
+            key={step.key}
+            className={`flex justify-between text-sm px-2 py-1 rounded ${i === current ? 'bg-orange-500 font-bold' : i < current ? 'opacity-40 line-through' : ''}`}
+          >
+            <span>{step.label}</span>
+            <span className="font-mono">{crossesMidnight(plan) ? fmt.dayTime(step.time) : fmt.time(step.time)}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
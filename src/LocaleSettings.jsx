@@ -0,0 +1,37 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { LOCALES } from './engine/i18n';
+import { UNIT_SYSTEMS } from './engine/units';
+import { useLocale } from './useLocale';
+
+// Language picker and the °F/lbs vs °C/kg toggle.
+export default function LocaleSettings() {
+  const { locale, units, setLocale, setUnits, t } = useLocale();
+
+  return (
+    <div className="flex items-center justify-center gap-2 mt-2 text-xs">
+      <Globe size={12} className="text-gray-400" />
+      <select
+        aria-label={t("Language")}
+        className="bg-transparent text-gray-500 border-none p-0 text-xs"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+      >
+        {Object.entries(LOCALES).map(([key, data]) => (
+          <option key={key} value={key}>{data.label}</option>
+        ))}
+      </select>
+      <div className="inline-flex bg-gray-200 rounded-md p-0.5 font-bold">
+        {Object.entries(UNIT_SYSTEMS).map(([key, data]) => (
+          <button
+            key={key}
+            onClick={() => setUnits(key)}
+            className={`px-2 py-0.5 rounded ${units === key ? 'bg-white text-orange-600 shadow-sm' : 'text-gray-500'}`}
+          >
+            {data.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,90 +1,47 @@
-import React, { useState, useEffect } from 'react';
-import { Clock, AlertTriangle, ShoppingCart, ChevronDown, ChevronUp, Package, Droplets, Target, Utensils, Flame, Settings } from 'lucide-react';
-import { addMinutes, subMinutes, format, differenceInHours, parseISO, isValid } from 'date-fns';
-
-// --- CONFIGURATION & DATA ---
-
-const MEAT_PROFILES = {
-  brisket: {
-    label: "Brisket (Full Packer)",
-    defaultWeight: 12,
-    tempProfiles: {
-      225: { rate: 1.5 },
-      250: { rate: 1.25 },
-      275: { rate: 1.0 },
-    },
-    rest: { default: 120, min: 60, maxHold: 300 },
-    stallFactor: 0.65,
-    defaultTargetTemp: 203,
-    spritz: { recommended: true, startAfter: 120, interval: 60, type: "Apple Cider Vinegar" }
-  },
-  porkButt: {
-    label: "Pork Shoulder / Butt",
-    defaultWeight: 8,
-    tempProfiles: {
-      225: { rate: 1.5 },
-      250: { rate: 1.1 }, 
-      275: { rate: 1.0 },
-    },
-    rest: { default: 45, min: 30, maxHold: 300 },
-    stallFactor: 0.60,
-    defaultTargetTemp: 205,
-    spritz: { recommended: true, startAfter: 120, interval: 60, type: "Apple Juice/Vinegar" }
-  },
-  ribs: {
-    label: "Pork Ribs (Spare/Baby Back)",
-    defaultWeight: 3,
-    tempProfiles: {
-      225: { rate: 2.0 },
-      250: { rate: 1.75 },
-      275: { rate: 1.5 },
-    },
-    rest: { default: 15, min: 10, maxHold: 60 },
-    stallFactor: 0.50,
-    defaultTargetTemp: 200, 
-    spritz: { recommended: true, startAfter: 90, interval: 45, type: "Apple Cider Vinegar" }
-  },
-  turkey: {
-    label: "Turkey (Whole)",
-    defaultWeight: 12,
-    tempProfiles: {
-      225: { rate: 0.75 }, 
-      250: { rate: 0.5 },
-      275: { rate: 0.35 }, 
-      300: { rate: 0.30 }, 
-      325: { rate: 0.25 }
-    },
-    rest: { default: 30, min: 20, maxHold: 90 },
-    stallFactor: 0.80, 
-    defaultTargetTemp: 165,
-    spritz: { recommended: false, startAfter: 60, interval: 45, type: "Melted Butter" }
-  },
-   chicken: {
-    label: "Chicken (Whole)",
-    defaultWeight: 5,
-    tempProfiles: {
-      225: { rate: 0.8 }, 
-      250: { rate: 0.6 },
-      275: { rate: 0.5 }, 
-      325: { rate: 0.35 }
-    },
-    rest: { default: 15, min: 10, maxHold: 45 },
-    stallFactor: 0.85,
-    defaultTargetTemp: 165,
-    spritz: { recommended: false, startAfter: 45, interval: 45, type: "Melted Butter/Oil" }
-  }
-};
-
-const WRAP_STRATEGIES = {
-  foil_pan: { label: "Foil Pan Covered (Braise)", multiplier: 0.95, desc: "Fastest. Steams meat. Soft bark." },
-  foil: { label: "Alum Foil (Tight Wrap)", multiplier: 1.0, desc: "Fast. Standard method." },
-  paper: { label: "Butcher Paper", multiplier: 1.08, desc: "Good bark. Breathable." },
-  none: { label: "No Wrap (Naked)", multiplier: 1.25, desc: "Max bark. Long stall." },
-};
+import React, { useState, useEffect, useMemo } from 'react';
+import { Clock, AlertTriangle, ShoppingCart, ChevronDown, ChevronUp, Package, Droplets, Target, Utensils, Flame, Settings, CalendarPlus, Share2, Link, Fuel, Snowflake, Wind, CloudRain, Thermometer, Printer, Moon } from 'lucide-react';
+import { format } from 'date-fns';
+import { WRAP_STRATEGIES, isPoultryType, profileDefaults } from './engine/profiles';
+import { sizeInputs } from './engine/servings';
+import { planAroundQuietHours, crossesMidnight } from './engine/quietHours';
+import { buildCalendar } from './engine/icsExport';
+import { downloadFile } from './download';
+import SessionPlanner from './SessionPlanner';
+import TempPresets from './TempPresets';
+import LiveCook from './LiveCook';
+import ProbeLog from './ProbeLog';
+import ProfileEditor from './ProfileEditor';
+import useProfiles from './useProfiles';
+import CookHistory from './CookHistory';
+import CookJournal from './CookJournal';
+import useCookHistory from './useCookHistory';
+import { buildCalibration } from './engine/calibration';
+import { archiveCook, recookInputs } from './engine/journal';
+import { SMOKER_SIZES, DEFAULT_SMOKER } from './engine/pellets';
+import PelletSummary from './PelletSummary';
+import WeatherSettings from './WeatherSettings';
+import QuietHoursSettings from './QuietHoursSettings';
+import TempSchedule from './TempSchedule';
+import PrepSettings from './PrepSettings';
+import GuestSizing from './GuestSizing';
+import SideDishes from './SideDishes';
+import { HOLD_METHODS, DEFAULT_HOLD, DEFAULT_OVEN_TEMP, DANGER_ZONE } from './engine/restHold';
+import useSharedPlan from './useSharedPlan';
+import usePlanLibrary from './usePlanLibrary';
+import PlanLibrary from './PlanLibrary';
+import CookSheet from './CookSheet';
+import { DEFAULT_INPUTS } from './engine/planLibrary';
+import { THAW_STATES, DEFAULT_THAW } from './engine/safetyRules';
+import { validateInputs } from './engine/validateInputs';
+import FieldError, { numberValue } from './FieldError';
+import { shareUrl } from './engine/shareLink';
+import { inputValue, storedValue } from './engine/units';
+import { useLocale } from './useLocale';
+import LocaleSettings from './LocaleSettings';
 
 const AFFILIATE_PRODUCTS = {
   instant: [
-    { id: 1, title: "Instant Read Thermometer", link: "#", why: "Safety first. Verify 165°F." },
+    { id: 1, title: "Instant Read Thermometer", link: "#", why: "Safety first. Verify {temp}." },
     { id: 2, title: "Heat Resistant Gloves", link: "#", why: "Handle hot pans/birds safely." }
   ],
   planning: [
@@ -94,236 +51,235 @@ const AFFILIATE_PRODUCTS = {
   ]
 };
 
+const WEATHER_ICONS = { cold: Snowflake, windy: Wind, rain: CloudRain };
+const WEATHER_LABELS = { cold: "Cold Stretch", windy: "Windy Stretch", rain: "Rain" };
+
 export default function PelletPlanner() {
-  const [inputs, setInputs] = useState(() => {
-    if (typeof window !== 'undefined') {
-      const saved = localStorage.getItem('pelletPlanV7');
-      if (saved) return JSON.parse(saved);
-    }
-    return {
-      meatType: 'porkButt',
-      weight: 8,
-      temp: 250,
-      restTime: 45,
-      serveTime: '',
-      prepTime: 45,
-      wrapStrategy: 'foil_pan', 
-      wrapTemp: 165,
-      targetTemp: 205,
-      spritzEnabled: true,
-      spritzStart: 120,
-      spritzInterval: 60,
-      isSpatchcock: false, 
-      fatSideUp: false,    
-    };
-  });
+  const i18n = useLocale();
+  const { t, fmt, units, label } = i18n;
+  const profileStore = useProfiles();
+  const { shared, closeShared } = useSharedPlan(profileStore.profiles);
+  const viewingShared = Boolean(shared?.inputs);
 
-  const [plan, setPlan] = useState(null);
-  const [warnings, setWarnings] = useState([]);
-  const [showSettings, setShowSettings] = useState(false); 
+  const library = usePlanLibrary();
 
-  useEffect(() => {
-    localStorage.setItem('pelletPlanV7', JSON.stringify(inputs));
-  }, [inputs]);
+  // While viewing a shared plan, edits stay on screen and the saved plans are left alone.
+  const [sharedInputs, setSharedInputs] = useState(() => (viewingShared ? { ...DEFAULT_INPUTS, ...shared.inputs } : null));
+  const inputs = viewingShared ? sharedInputs : library.inputs;
+  const setInputs = viewingShared ? setSharedInputs : library.setInputs;
+
+  const [showSettings, setShowSettings] = useState(false); 
+  const [mode, setMode] = useState('single');
+  const [shareStatus, setShareStatus] = useState(null);
+  const [showSheet, setShowSheet] = useState(false);
+  const profiles = useMemo(
+    () => (shared?.profile ? { ...profileStore.profiles, [shared.inputs.meatType]: shared.profile } : profileStore.profiles),
+    [profileStore.profiles, shared]
+  );
+  const history = useCookHistory();
+  const calibration = useMemo(() => buildCalibration(history.records), [history.records]);
 
   const handleMeatChange = (type) => {
-    const profile = MEAT_PROFILES[type];
-    const isPoultry = type === 'turkey' || type === 'chicken';
-    
-    setInputs(prev => ({
-      ...prev,
-      meatType: type,
-      weight: profile.defaultWeight,
-      restTime: profile.rest.default,
-      wrapStrategy: isPoultry ? 'none' : 'foil_pan', 
-      wrapTemp: 165,
-      targetTemp: profile.defaultTargetTemp,
-      
-      // Smart Defaults (but user can override later)
-      spritzEnabled: isPoultry ? true : profile.spritz.recommended, 
-      spritzStart: profile.spritz.startAfter,
-      spritzInterval: profile.spritz.interval,
-      
-      isSpatchcock: false,
-      fatSideUp: false,
-      temp: type === 'turkey' ? 275 : 250 
-    }));
+    setInputs(prev => sizeInputs({ ...prev, ...profileDefaults(type, profiles), tempStages: [] }, profiles));
   };
 
-  // --- LOGIC ENGINE ---
+  // Fall back to a built-in if the selected custom profile was deleted
   useEffect(() => {
-    if (!inputs.serveTime || !inputs.weight) return;
-
-    const profile = MEAT_PROFILES[inputs.meatType];
-    const isPoultry = inputs.meatType === 'turkey' || inputs.meatType === 'chicken';
-    
-    // 1. Base Rate
-    let rate = 1.0;
-    if (profile.tempProfiles[inputs.temp]) {
-        rate = profile.tempProfiles[inputs.temp].rate;
-    } else {
-        rate = 1.0; // Fallback
-    }
+    if (!profiles[inputs.meatType]) handleMeatChange('porkButt');
+  }, [profiles, inputs.meatType]);
 
-    const wrapMod = WRAP_STRATEGIES[inputs.wrapStrategy].multiplier;
-    
-    // 2. Cook Duration Calc
-    let baseCookHours = inputs.weight * rate;
-    
-    // Spatchcock Modifier
-    if (inputs.isSpatchcock && isPoultry) {
-        baseCookHours = baseCookHours * 0.75; 
-    }
-    
-    // Wrap Modifier
-    let adjustedCookHours = baseCookHours * wrapMod;
-
-    // 3. Spritz Tax
-    let spritzCount = 0;
-    if (inputs.spritzEnabled) {
-        const estDurationMins = adjustedCookHours * 60;
-        const spritzWindowMins = estDurationMins - inputs.spritzStart;
-        if (spritzWindowMins > 0) {
-            spritzCount = Math.floor(spritzWindowMins / inputs.spritzInterval);
-        }
-    }
-    const spritzPenaltyHours = (spritzCount * 15) / 60; 
-    adjustedCookHours += spritzPenaltyHours;
-
-    // 4. Buffer (Always 15% for Pellet Variability)
-    const bufferHours = adjustedCookHours * 0.15; 
-    const totalCookMinutes = (adjustedCookHours + bufferHours) * 60;
-    
-    const serveDate = parseISO(inputs.serveTime);
-    if (!isValid(serveDate)) return;
-
-    // 5. Timeline Generation (Backwards)
-    const finishCookTime = subMinutes(serveDate, inputs.restTime);
-    const startCookTime = subMinutes(finishCookTime, totalCookMinutes);
-    const startPrepTime = subMinutes(startCookTime, inputs.prepTime);
-    
-    // Wrap Milestone Calculation
-    let wrapTimingFactor = profile.stallFactor;
-    if (inputs.wrapStrategy !== 'none') {
-        // Adjust wrap timing based on user's custom Wrap Temp
-        const tempDiff = inputs.wrapTemp - 160;
-        if (tempDiff > 0) wrapTimingFactor += (tempDiff * 0.005); 
-    }
-    const minutesUntilWrap = totalCookMinutes * wrapTimingFactor;
-    const wrapTime = addMinutes(startCookTime, minutesUntilWrap);
-
-    // Spritz Window Calculation
-    let spritzStartTime = null;
-    let spritzEndTime = null;
-    if (inputs.spritzEnabled && spritzCount > 0) {
-        spritzStartTime = addMinutes(startCookTime, inputs.spritzStart);
-        // Stop spritzing when wrapped
-        spritzEndTime = inputs.wrapStrategy !== 'none' ? wrapTime : subMinutes(finishCookTime, 60);
-    }
+  // --- LOGIC ENGINE ---
+  // No plan until every field passes; the form shows what to fix.
+  const { valid, errors } = useMemo(() => validateInputs(inputs, profiles, i18n), [inputs, profiles, i18n]);
+  // cookInputs are the inputs after any quiet-hours adjustments; the plan and
+  // everything built from it use those.
+  const { plan, warnings, inputs: cookInputs, adjustments } = useMemo(
+    () => (valid ? planAroundQuietHours(inputs, profiles, new Date(), calibration, i18n) : { plan: null, warnings: [], inputs, adjustments: [] }),
+    [valid, inputs, profiles, calibration, i18n]
+  );
 
-    // --- WARNINGS ---
-    const newWarnings = [];
-    
-    // Turkey Safety
-    if (inputs.meatType === 'turkey' && inputs.weight > 14 && inputs.temp < 275 && !inputs.isSpatchcock) {
-        newWarnings.push({
-            type: 'safety',
-            msg: `⛔ SAFETY ALERT: Large turkeys (>14lb) at ${inputs.temp}°F are unsafe. Increase temp to 275°F+ or use "Spatchcock" mode.`
-        });
-    }
+  // Overnight cooks show the day next to each time
+  const formatTime = plan && crossesMidnight(plan) ? fmt.dayTime : fmt.time;
+  const meatLabel = (key) => label('meat', key, profiles[key].label);
+  const holdLabel = plan && label('hold', plan.rest.method, plan.rest.label);
+  const forward = inputs.planMode === 'start';
+  const serveRangeText = plan && t("Realistically ready {earliest} – {latest}", { earliest: formatTime(plan.serveRange.earliest), latest: formatTime(plan.serveRange.latest) });
+  // Number fields show converted values and store °F / lbs (see engine/units.js)
+  const unitField = (kind, field) => ({
+    value: inputValue(kind, inputs[field], units),
+    onChange: (e) => setInputs({...inputs, [field]: storedValue(kind, e.target.value, units)})
+  });
 
-    // Poultry Skin
-    if (isPoultry && inputs.wrapStrategy === 'none' && inputs.temp < 275) {
-         newWarnings.push({
-            type: 'quality',
-            msg: `⚠️ Rubber Skin Alert: Poultry skin needs 275°F+ to crisp. Your current temp is low.`
-        });
+  // Temp changes sit before or after the wrap step depending on when they land.
+  const tempChanges = plan ? plan.tempStages.slice(1).map((stage, i) => ({ ...stage, from: plan.tempStages[i].temp })) : [];
+  const renderTempChange = (stage, i) => (
+    <div key={i} className="relative pl-6">
+      <div className="absolute -left-[9px] bg-red-400 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
+      <p className="text-xs text-gray-400 font-mono">~{formatTime(stage.start)}</p>
+      <h4 className="font-bold text-red-700 flex items-center"><Thermometer size={14} className="mr-1"/> {t("Set Pit to {temp}", { temp: fmt.temp(stage.temp) })}</h4>
+      <p className="text-sm text-gray-500">
+        {stage.trigger === 'wrap'
+          ? t(plan.isWrapped ? "Up from {temp}, right after wrapping." : "Up from {temp}, once the stall sets in.", { temp: fmt.temp(stage.from) })
+          : t("Up from {temp}.", { temp: fmt.temp(stage.from) })}
+      </p>
+    </div>
+  );
+
+  const saveFinishedCook = (actual) => history.addRecord(archiveCook(cookInputs, plan, actual));
+
+  // Loads a journal entry's inputs back into the planner
+  const recook = (record) => {
+    setInputs(recookInputs(record));
+    setMode('single');
+  };
+
+  const exportCalendar = () => {
+    const ics = buildCalendar(plan, cookInputs, profiles[inputs.meatType], new Date(), i18n);
+    downloadFile(`cook-${inputs.meatType}-${format(plan.serve, 'yyyy-MM-dd')}.ics`, ics, 'text/calendar');
+  };
+
+  const sharePlan = async () => {
+    const url = shareUrl(inputs, profiles, window.location);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus(t("Link copied — send it to whoever is on pit duty."));
+    } catch (e) {
+      window.prompt(t("Copy this link:"), url);
     }
-    
-    const hoursUntilServe = differenceInHours(serveDate, new Date());
-    const affiliateMode = hoursUntilServe < 24 ? 'instant' : 'planning';
-
-    setPlan({
-        startPrep: startPrepTime,
-        startCook: startCookTime,
-        wrapTime: wrapTime,
-        finishCook: finishCookTime,
-        serve: serveDate,
-        spritzWindow: spritzStartTime ? { start: spritzStartTime, end: spritzEndTime, count: spritzCount, type: profile.spritz.type } : null,
-        totalCookHours: (totalCookMinutes / 60).toFixed(1),
-        affiliateMode,
-        isPoultry
-    });
-
-    setWarnings(newWarnings);
-
-  }, [inputs]);
-
-  const formatTime = (date) => format(date, 'h:mm a');
+  };
+
+  // Keep the shared plan as a new saved plan (its custom profile too, under a key that doesn't clash).
+  const keepSharedPlan = () => {
+    let meatType = inputs.meatType;
+    if (shared.profile) meatType = profileStore.saveProfile(shared.profile).key;
+    library.createPlan(t("{meat} (shared)", { meat: meatLabel(inputs.meatType) }), { ...inputs, meatType });
+    closeShared();
+  };
+
+  if (showSheet && plan) {
+    return <CookSheet plan={plan} inputs={cookInputs} profile={profiles[inputs.meatType]} warnings={warnings} onClose={() => setShowSheet(false)} />;
+  }
   
   return (
     <div className="max-w-md mx-auto bg-gray-50 min-h-screen p-4 font-sans text-gray-800">
       <div className="mb-6 text-center">
-        <h1 className="text-2xl font-bold text-gray-900">🔥 Pellet Planner</h1>
-        <p className="text-sm text-gray-500">Master Recipe Mode (V8)</p>
+        <h1 className="text-2xl font-bold text-gray-900">🔥 {t("Pellet Planner")}</h1>
+        <p className="text-sm text-gray-500">{t("Master Recipe Mode (V8)")}</p>
+        <div className="inline-flex mt-3 bg-gray-200 rounded-lg p-1 text-xs font-bold">
+          {[['single', "Single Meat"], ['session', "Cook Session"], ['profiles', "Profiles"], ['history', "History"]].map(([key, tabLabel]) => (
+            <button
+              key={key}
+              onClick={() => setMode(key)}
+              className={`px-3 py-1 rounded-md ${mode === key ? 'bg-white text-orange-600 shadow-sm' : 'text-gray-500'}`}
+            >
+              {t(tabLabel)}
+            </button>
+          ))}
+        </div>
+        <LocaleSettings />
       </div>
 
+      {shared && !viewingShared && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 rounded-r text-sm text-red-700">
+          <p className="font-bold mb-1">{t("This share link couldn't be opened.")}</p>
+          {shared.errors.map((err, i) => <p key={i} className="text-xs">{t(err.id, err.params)}</p>)}
+          <button onClick={closeShared} className="mt-2 text-xs font-bold underline">{t("Dismiss")}</button>
+        </div>
+      )}
+      {viewingShared && (
+        <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-6 rounded-r text-sm text-blue-900">
+          <p className="font-bold flex items-center"><Link size={14} className="mr-1"/> {t("Viewing a shared plan")}</p>
+          <p className="text-xs mt-1">
+            {t("Changes here aren't saved until you keep it. Your own plan is untouched.")}
+            {shared.zone && shared.zone !== Intl.DateTimeFormat().resolvedOptions().timeZone && ` ${t("Times are converted from {zone} to your local time.", { zone: shared.zone })}`}
+          </p>
+          <div className="grid grid-cols-2 gap-2 mt-3">
+            <button onClick={keepSharedPlan} className="p-2 text-xs font-bold text-white bg-blue-600 rounded-lg hover:bg-blue-700">{t("Save as My Plan")}</button>
+            <button onClick={closeShared} className="p-2 text-xs font-bold text-blue-700 bg-white border border-blue-200 rounded-lg">{t("Back to My Plan")}</button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'profiles' && <ProfileEditor {...profileStore} />}
+      {mode === 'history' && (<>
+        <CookHistory records={history.records} calibration={calibration} profiles={profiles} />
+        <CookJournal {...history} profiles={profiles} onRecook={recook} />
+      </>)}
+      {mode === 'session' && <SessionPlanner profiles={profiles} calibration={calibration} />}
+      {mode === 'single' && (<>
+
+      {!viewingShared && <PlanLibrary {...library} />}
+
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 mb-6">
         <div className="space-y-4">
           
           {/* Main Inputs */}
           <div>
-            <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">Meat</label>
+            <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Meat")}</label>
             <select 
               className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value={inputs.meatType}
               onChange={(e) => handleMeatChange(e.target.value)}
             >
-              {Object.entries(MEAT_PROFILES).map(([key, data]) => (
-                <option key={key} value={key}>{data.label}</option>
+              {Object.keys(profiles).map(key => (
+                <option key={key} value={key}>{meatLabel(key)}</option>
               ))}
             </select>
           </div>
 
           <div className="grid grid-cols-2 gap-4">
             <div>
-              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">Weight (lbs)</label>
+              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Weight")} ({fmt.unit('weight')}){inputs.pieces > 1 && `, ${t("each")}`}</label>
               <input 
                 type="number" 
-                step="0.5"
-                className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-lg font-mono focus:ring-2 focus:ring-orange-500 outline-none"
-                value={inputs.weight}
-                onChange={(e) => setInputs({...inputs, weight: parseFloat(e.target.value)})}
+                step={units === 'metric' ? 0.1 : 0.5}
+                readOnly={inputs.sizeMode === 'guests'}
+                className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-lg font-mono focus:ring-2 focus:ring-orange-500 outline-none read-only:text-gray-400"
+                {...unitField('weight', 'weight')}
               />
+              <FieldError error={errors.weight} />
             </div>
             <div>
-              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">Set Temp (°F)</label>
-              <select 
+              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Set Temp")} ({fmt.unit('temp')})</label>
+              <input 
+                type="number" 
+                step={units === 'metric' ? 1 : 5}
+                list="temp-presets"
                 className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-lg font-mono focus:ring-2 focus:ring-orange-500 outline-none"
-                value={inputs.temp}
-                onChange={(e) => setInputs({...inputs, temp: parseInt(e.target.value)})}
-              >
-                <option value={225}>225° Low/Slow</option>
-                <option value={250}>250° Standard</option>
-                <option value={275}>275° Turbo</option>
-                {(inputs.meatType === 'turkey' || inputs.meatType === 'chicken') && (
-                     <>
-                     <option value={300}>300° Roast</option>
-                     <option value={325}>325° Crisp Skin</option>
-                     </>
-                )}
-              </select>
+                {...unitField('temp', 'temp')}
+              />
+              <FieldError error={errors.temp} />
+              <TempPresets />
             </div>
           </div>
 
+          <GuestSizing inputs={inputs} setInputs={setInputs} profiles={profiles} errors={errors} />
+
           <div>
-            <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">Serve Time</label>
+            <div className="flex justify-between items-center mb-1">
+              <label className="block text-xs font-semibold uppercase text-gray-500">{t(forward ? "Prep Start Time" : "Serve Time")}</label>
+              <div className="inline-flex bg-gray-200 rounded-md p-0.5 text-xs font-bold">
+                {[['serve', "Serve by"], ['start', "Start prep at"]].map(([mode, text]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setInputs({...inputs, planMode: mode})}
+                    className={`px-2 py-0.5 rounded ${inputs.planMode === mode ? 'bg-white text-orange-600 shadow-sm' : 'text-gray-500'}`}
+                  >
+                    {t(text)}
+                  </button>
+                ))}
+              </div>
+            </div>
             <input 
               type="datetime-local" 
               className="w-full p-3 bg-orange-50 border border-orange-200 text-orange-900 rounded-lg text-lg font-bold focus:ring-2 focus:ring-orange-500 outline-none"
-              value={inputs.serveTime}
-              onChange={(e) => setInputs({...inputs, serveTime: e.target.value})}
+              value={forward ? inputs.startTime : inputs.serveTime}
+              onChange={(e) => setInputs({...inputs, [forward ? 'startTime' : 'serveTime']: e.target.value})}
             />
+            <FieldError error={forward ? inputs.startTime && errors.startTime : inputs.serveTime && errors.serveTime} />
+            {forward && (
+              <p className="text-[10px] text-gray-400 mt-1">{t("Trimming, seasoning and lighting the grill start here; the meat goes on {minutes} min later.", { minutes: inputs.prepTime })}</p>
+            )}
           </div>
 
           {/* RECIPE SETTINGS (Expanded) */}
@@ -332,7 +288,7 @@ export default function PelletPlanner() {
               onClick={() => setShowSettings(!showSettings)}
               className="flex items-center w-full justify-between text-sm font-bold text-gray-700 hover:text-orange-600 py-2"
             >
-              <span className="flex items-center"><Settings size={16} className="mr-2 text-orange-500"/> Recipe Settings</span>
+              <span className="flex items-center"><Settings size={16} className="mr-2 text-orange-500"/> {t("Recipe Settings")}</span>
               {showSettings ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
             </button>
             
@@ -342,10 +298,10 @@ export default function PelletPlanner() {
                  {/* Technique Toggles */}
                  <div className="grid grid-cols-2 gap-3">
                     {/* Poultry Toggle */}
-                    {(inputs.meatType === 'turkey' || inputs.meatType === 'chicken') && (
+                    {isPoultryType(inputs.meatType, profiles) && (
                          <div className="flex items-center justify-between bg-blue-50 p-2 rounded border border-blue-100">
                             <label className="text-xs text-blue-900 font-semibold flex items-center">
-                                <Utensils size={12} className="mr-1"/> Spatchcock?
+                                <Utensils size={12} className="mr-1"/> {t("Spatchcock?")}
                             </label>
                             {/* CUSTOM TOGGLE SWITCH */}
                             <div 
@@ -356,11 +312,25 @@ export default function PelletPlanner() {
                             </div>
                          </div>
                      )}
+                    {isPoultryType(inputs.meatType, profiles) && (
+                         <div className="flex items-center justify-between bg-blue-50 p-2 rounded border border-blue-100">
+                            <label className="text-xs text-blue-900 font-semibold flex items-center">
+                                <Utensils size={12} className="mr-1"/> {t("Stuffed?")}
+                            </label>
+                            {/* CUSTOM TOGGLE SWITCH */}
+                            <div 
+                                className={`w-8 h-5 flex items-center rounded-full p-1 cursor-pointer transition-colors ${inputs.isStuffed ? 'bg-blue-600' : 'bg-gray-300'}`}
+                                onClick={() => setInputs({...inputs, isStuffed: !inputs.isStuffed})}
+                            >
+                                <div className={`bg-white h-3 w-3 rounded-full shadow-md transform duration-300 ease-in-out ${inputs.isStuffed ? 'translate-x-3' : ''}`}></div>
+                            </div>
+                         </div>
+                     )}
                      {/* Brisket Toggle */}
                      {inputs.meatType === 'brisket' && (
                          <div className="flex items-center justify-between bg-blue-50 p-2 rounded border border-blue-100">
                             <label className="text-xs text-blue-900 font-semibold flex items-center">
-                                <Flame size={12} className="mr-1"/> Fat Side Up?
+                                <Flame size={12} className="mr-1"/> {t("Fat Side Up?")}
                             </label>
                             {/* CUSTOM TOGGLE SWITCH */}
                             <div 
@@ -373,22 +343,40 @@ export default function PelletPlanner() {
                      )}
                  </div>
 
+                 <div>
+                    <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Starting State")}</label>
+                    <select 
+                        className="w-full p-2 bg-white border rounded text-sm"
+                        value={inputs.thawState || DEFAULT_THAW}
+                        onChange={(e) => setInputs({...inputs, thawState: e.target.value})}
+                    >
+                        {Object.entries(THAW_STATES).map(([key, data]) => (
+                            <option key={key} value={key}>{label('thaw', key, data.label)}</option>
+                        ))}
+                    </select>
+                    <FieldError error={errors.thawState} />
+                 </div>
+
+                 <PrepSettings inputs={inputs} setInputs={setInputs} errors={errors} />
+
+                 <TempSchedule inputs={inputs} setInputs={setInputs} errors={errors} />
+
                  {/* Wrap Settings */}
                  <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
                     <div className="flex items-center justify-between mb-2">
                         <label className="text-xs font-bold text-gray-700 uppercase flex items-center">
-                            <Package size={14} className="mr-2 text-orange-500"/> Wrap
+                            <Package size={14} className="mr-2 text-orange-500"/> {t("Wrap")}
                         </label>
                         {inputs.wrapStrategy !== 'none' && (
                             <div className="flex items-center">
-                                <span className="text-[10px] text-gray-500 mr-2">Temp:</span>
+                                <span className="text-[10px] text-gray-500 mr-2">{t("Temp:")}</span>
                                 <input 
                                     type="number" 
                                     className="w-12 p-1 text-center bg-white border rounded text-xs"
-                                    value={inputs.wrapTemp}
-                                    onChange={(e) => setInputs({...inputs, wrapTemp: parseInt(e.target.value)})}
+                                    {...unitField('temp', 'wrapTemp')}
                                 />
-                                <span className="text-[10px] text-gray-400 ml-1">°F</span>
+                                <FieldError error={errors.wrapTemp} />
+                                <span className="text-[10px] text-gray-400 ml-1">{fmt.unit('temp')}</span>
                             </div>
                         )}
                     </div>
@@ -398,7 +386,7 @@ export default function PelletPlanner() {
                         onChange={(e) => setInputs({...inputs, wrapStrategy: e.target.value})}
                     >
                         {Object.entries(WRAP_STRATEGIES).map(([key, data]) => (
-                            <option key={key} value={key}>{data.label}</option>
+                            <option key={key} value={key}>{label('wrap', key, data.label)}</option>
                         ))}
                     </select>
                  </div>
@@ -408,7 +396,7 @@ export default function PelletPlanner() {
                     <div className="flex items-center justify-between mb-2">
                         <label className="text-xs font-bold text-gray-700 uppercase flex items-center">
                              <Droplets size={14} className="mr-2 text-blue-500"/> 
-                             {plan?.isPoultry ? "Butter Baste" : "Spritz / Baste"}
+                             {t(plan?.isPoultry ? "Butter Baste" : "Spritz / Baste")}
                         </label>
                         {/* CUSTOM TOGGLE SWITCH - REPLACED HIDDEN CHECKBOX */}
                         <div 
@@ -421,22 +409,24 @@ export default function PelletPlanner() {
                     {inputs.spritzEnabled && (
                         <div className="grid grid-cols-2 gap-3">
                              <div>
-                                <label className="block text-[10px] text-gray-500 mb-1">Start (mins)</label>
+                                <label className="block text-[10px] text-gray-500 mb-1">{t("Start (mins)")}</label>
                                 <input 
                                     type="number" 
                                     className="w-full p-1.5 bg-white border rounded text-xs"
                                     value={inputs.spritzStart}
-                                    onChange={(e) => setInputs({...inputs, spritzStart: parseInt(e.target.value)})}
+                                    onChange={(e) => setInputs({...inputs, spritzStart: numberValue(e.target.value)})}
                                 />
+                                <FieldError error={errors.spritzStart} />
                             </div>
                             <div>
-                                <label className="block text-[10px] text-gray-500 mb-1">Interval (mins)</label>
+                                <label className="block text-[10px] text-gray-500 mb-1">{t("Interval (mins)")}</label>
                                 <input 
                                     type="number" 
                                     className="w-full p-1.5 bg-white border rounded text-xs"
                                     value={inputs.spritzInterval}
-                                    onChange={(e) => setInputs({...inputs, spritzInterval: parseInt(e.target.value)})}
+                                    onChange={(e) => setInputs({...inputs, spritzInterval: numberValue(e.target.value)})}
                                 />
+                                <FieldError error={errors.spritzInterval} />
                             </div>
                         </div>
                     )}
@@ -445,33 +435,94 @@ export default function PelletPlanner() {
                  {/* Finish Temps & Prep */}
                  <div className="grid grid-cols-3 gap-2">
                     <div>
-                        <label className="block text-[10px] text-gray-500 mb-1">Target °F</label>
+                        <label className="block text-[10px] text-gray-500 mb-1">{t("Target")} {fmt.unit('temp')}</label>
                         <input 
                             type="number" 
                             className="w-full p-1.5 bg-white border rounded text-xs"
-                            value={inputs.targetTemp}
-                            onChange={(e) => setInputs({...inputs, targetTemp: parseInt(e.target.value)})}
+                            {...unitField('temp', 'targetTemp')}
                         />
+                        <FieldError error={errors.targetTemp} />
                     </div>
                     <div>
-                        <label className="block text-[10px] text-gray-500 mb-1">Rest (min)</label>
+                        <label className="block text-[10px] text-gray-500 mb-1">{t("Rest (min)")}</label>
                         <input 
                             type="number" 
                             className="w-full p-1.5 bg-white border rounded text-xs"
                             value={inputs.restTime}
-                            onChange={(e) => setInputs({...inputs, restTime: parseInt(e.target.value)})}
+                            onChange={(e) => setInputs({...inputs, restTime: numberValue(e.target.value)})}
                         />
+                        <FieldError error={errors.restTime} />
                     </div>
                     <div>
-                        <label className="block text-[10px] text-gray-500 mb-1">Prep (min)</label>
+                        <label className="block text-[10px] text-gray-500 mb-1">{t("Prep (min)")}</label>
                         <input 
                             type="number" 
                             className="w-full p-1.5 bg-white border rounded text-xs"
                             value={inputs.prepTime}
-                            onChange={(e) => setInputs({...inputs, prepTime: parseInt(e.target.value)})}
+                            onChange={(e) => setInputs({...inputs, prepTime: numberValue(e.target.value)})}
+                        />
+                        <FieldError error={errors.prepTime} />
+                    </div>
+                 </div>
+
+                 {/* Rest & Hold */}
+                 <div className="grid grid-cols-3 gap-2">
+                    <div className={inputs.holdMethod === 'oven' ? 'col-span-2' : 'col-span-3'}>
+                        <label className="block text-[10px] text-gray-500 mb-1">{t("Hold Method")}</label>
+                        <select 
+                            className="w-full p-1.5 bg-white border rounded text-xs"
+                            value={inputs.holdMethod || DEFAULT_HOLD}
+                            onChange={(e) => setInputs({...inputs, holdMethod: e.target.value})}
+                        >
+                            {Object.entries(HOLD_METHODS).map(([key, data]) => (
+                                <option key={key} value={key}>{label('hold', key, data.label)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {inputs.holdMethod === 'oven' && (
+                        <div>
+                            <label className="block text-[10px] text-gray-500 mb-1">{t("Oven")} {fmt.unit('temp')}</label>
+                            <input 
+                                type="number" 
+                                step={units === 'metric' ? 1 : 5}
+                                className="w-full p-1.5 bg-white border rounded text-xs"
+                                value={inputValue('temp', inputs.holdTemp ?? DEFAULT_OVEN_TEMP, units)}
+                                onChange={(e) => setInputs({...inputs, holdTemp: storedValue('temp', e.target.value, units)})}
+                            />
+                            <FieldError error={errors.holdTemp} />
+                        </div>
+                    )}
+                 </div>
+
+                 {/* Smoker & Fuel */}
+                 <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+                    <label className="text-xs font-bold text-gray-700 uppercase flex items-center mb-2">
+                        <Fuel size={14} className="mr-2 text-orange-500"/> {t("Smoker & Fuel")}
+                    </label>
+                    <select 
+                        className="w-full p-2 bg-white border rounded text-sm mb-2"
+                        value={inputs.smokerSize || DEFAULT_SMOKER}
+                        onChange={(e) => setInputs({...inputs, smokerSize: e.target.value})}
+                    >
+                        {Object.entries(SMOKER_SIZES).map(([key, data]) => (
+                            <option key={key} value={key}>{label('smoker', key, data.label)}</option>
+                        ))}
+                    </select>
+                    <div>
+                        <label className="block text-[10px] text-gray-500 mb-1">{t("Pellets on hand")} ({fmt.unit('weight')})</label>
+                        <input 
+                            type="number" 
+                            className="w-full p-1.5 bg-white border rounded text-xs"
+                            value={inputValue('weight', inputs.pelletsOnHand ?? 0, units)}
+                            onChange={(e) => setInputs({...inputs, pelletsOnHand: storedValue('weight', e.target.value, units)})}
                         />
+                        <FieldError error={errors.pelletsOnHand} />
                     </div>
                  </div>
+
+                 <WeatherSettings inputs={inputs} setInputs={setInputs} errors={errors} />
+                 <QuietHoursSettings inputs={inputs} setInputs={setInputs} errors={errors} />
+                 <SideDishes inputs={inputs} setInputs={setInputs} errors={errors} />
               </div>
             )}
           </div>
@@ -486,32 +537,107 @@ export default function PelletPlanner() {
                 <AlertTriangle className={`h-5 w-5 ${w.type === 'safety' ? 'text-red-500' : 'text-yellow-400'}`} />
                 <div className="ml-3">
                   <p className={`text-sm ${w.type === 'safety' ? 'text-red-700 font-bold' : 'text-yellow-700'}`}>{w.msg}</p>
+                  {w.why && <p className="text-xs text-gray-600 mt-1">{w.why}</p>}
+                  {w.fix && (
+                    <button
+                      onClick={() => setInputs({...inputs, ...w.fix.changes})}
+                      className={`mt-2 px-2 py-1 text-xs font-bold rounded border bg-white ${w.type === 'safety' ? 'text-red-700 border-red-300 hover:bg-red-100' : 'text-yellow-800 border-yellow-300 hover:bg-yellow-100'}`}
+                    >
+                      {w.fix.label}
+                    </button>
+                  )}
                 </div>
             </div>
           ))}
 
+          {adjustments.length > 0 && (
+            <div className="bg-indigo-50 border-l-4 border-indigo-400 p-4 mb-6 rounded-r">
+              <p className="text-xs font-bold text-indigo-900 uppercase flex items-center mb-1"><Moon size={14} className="mr-2"/> {t("Adjusted for quiet hours")}</p>
+              <ul className="text-sm text-indigo-800 space-y-1">
+                {adjustments.map((msg, i) => <li key={i}>{msg}</li>)}
+              </ul>
+            </div>
+          )}
+
           {/* HERO */}
-          <div className="grid grid-cols-2 gap-4 mb-8">
-            <div className="bg-blue-900 text-white p-4 rounded-xl shadow-lg text-center">
-              <p className="text-xs uppercase opacity-70 mb-1">Wake Up / Prep</p>
-              <p className="text-2xl font-bold">{formatTime(plan.startPrep)}</p>
+          {forward ? (
+            <div className="grid grid-cols-2 gap-4 mb-8">
+              <div className="bg-green-600 text-white p-4 rounded-xl shadow-lg text-center">
+                <p className="text-xs uppercase opacity-70 mb-1">{t("Meat on Grate")}</p>
+                <p className="text-2xl font-bold">{formatTime(plan.startCook)}</p>
+              </div>
+              <div className="bg-red-600 text-white p-4 rounded-xl shadow-lg text-center">
+                <p className="text-xs uppercase opacity-70 mb-1">{t("Ready Around")}</p>
+                <p className="text-2xl font-bold">{formatTime(plan.serve)}</p>
+                <p className="text-xs opacity-80">{serveRangeText}</p>
+              </div>
             </div>
-            <div className="bg-green-600 text-white p-4 rounded-xl shadow-lg text-center">
-              <p className="text-xs uppercase opacity-70 mb-1">Meat on Grate</p>
-              <p className="text-2xl font-bold">{formatTime(plan.startCook)}</p>
+          ) : (
+            <div className="grid grid-cols-2 gap-4 mb-8">
+              <div className="bg-blue-900 text-white p-4 rounded-xl shadow-lg text-center">
+                <p className="text-xs uppercase opacity-70 mb-1">{t("Wake Up / Prep")}</p>
+                <p className="text-2xl font-bold">{formatTime(plan.startPrep)}</p>
+              </div>
+              <div className="bg-green-600 text-white p-4 rounded-xl shadow-lg text-center">
+                <p className="text-xs uppercase opacity-70 mb-1">{t("Meat on Grate")}</p>
+                <p className="text-2xl font-bold">{formatTime(plan.startCook)}</p>
+              </div>
             </div>
-          </div>
+          )}
+
+          {plan.calibration.samples > 0 && (
+            <p className="text-xs text-gray-500 text-center -mt-6 mb-6">
+              {t(plan.calibration.samples === 1 ? "Calibrated from {count} past cook: {time}% time, {buffer}% buffer." : "Calibrated from {count} past cooks: {time}% time, {buffer}% buffer.", {
+                count: plan.calibration.samples,
+                time: `${plan.calibration.factor >= 1 ? '+' : ''}${Math.round((plan.calibration.factor - 1) * 100)}`,
+                buffer: Math.round(plan.calibration.buffer * 100)
+              })}
+            </p>
+          )}
+
+          <button
+            onClick={exportCalendar}
+            className="flex items-center justify-center w-full p-2 mb-4 text-sm font-bold text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            <CalendarPlus size={16} className="mr-2"/> {t("Add to Calendar (.ics)")}
+          </button>
+          <button
+            onClick={sharePlan}
+            className="flex items-center justify-center w-full p-2 mb-4 text-sm font-bold text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            <Share2 size={16} className="mr-2"/> {t("Share Plan Link")}
+          </button>
+          {shareStatus && <p className="text-xs text-center text-green-700 -mt-2 mb-4">{shareStatus}</p>}
+          <button
+            onClick={() => setShowSheet(true)}
+            className="flex items-center justify-center w-full p-2 mb-4 text-sm font-bold text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            <Printer size={16} className="mr-2"/> {t("Print Cook Sheet")}
+          </button>
+
+          <LiveCook plan={plan} plannedRest={cookInputs.restTime} onFinish={saveFinishedCook} />
+          <ProbeLog plan={plan} targetTemp={cookInputs.targetTemp} minRest={profiles[cookInputs.meatType].rest.min} />
 
           {/* TIMELINE */}
           <div className="relative border-l-2 border-gray-200 ml-4 space-y-8 pb-8">
             
+            {/* 0. Prep Ahead (thawing, brines, rub) */}
+            {plan.prepSteps.map((step) => (
+                <div key={step.key} className="relative pl-6">
+                  <div className="absolute -left-[9px] bg-blue-200 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
+                  <p className="text-xs text-gray-400 font-mono">{formatTime(step.time)}</p>
+                  <h4 className="font-bold text-gray-800">{step.icon} {step.label}</h4>
+                  <p className="text-sm text-gray-500">{step.detail}</p>
+                </div>
+            ))}
+
             {/* 1. Prep */}
             <div className="relative pl-6">
               <div className="absolute -left-[9px] bg-blue-500 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
               <p className="text-xs text-gray-400 font-mono">{formatTime(plan.startPrep)}</p>
-              <h4 className="font-bold text-gray-800">Start Prep</h4>
-              <p className="text-sm text-gray-500">Trim, season, ignite grill. 
-              {inputs.isSpatchcock && " Butterfly (Spatchcock) the bird."}
+              <h4 className="font-bold text-gray-800">{t("Start Prep")}</h4>
+              <p className="text-sm text-gray-500">{t("Trim, season, ignite grill.")}
+              {cookInputs.isSpatchcock && ` ${t("Butterfly (Spatchcock) the bird.")}`}
               </p>
             </div>
 
@@ -519,10 +645,10 @@ export default function PelletPlanner() {
             <div className="relative pl-6">
               <div className="absolute -left-[9px] bg-gray-800 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
               <p className="text-xs text-gray-400 font-mono">{formatTime(plan.startCook)}</p>
-              <h4 className="font-bold text-gray-800">Meat on Grate</h4>
+              <h4 className="font-bold text-gray-800">{t("Meat on Grate")}</h4>
               <p className="text-sm text-gray-500">
-                {inputs.meatType === 'brisket' && inputs.fatSideUp ? "Fat Side UP. " : "Fat Side DOWN. "}
-                Close the lid.
+                {t(cookInputs.meatType === 'brisket' && cookInputs.fatSideUp ? "Fat Side UP." : "Fat Side DOWN.")}{' '}
+                {t("Close the lid.")}
               </p>
             </div>
 
@@ -534,12 +660,13 @@ export default function PelletPlanner() {
                         <div className="flex justify-between items-start">
                              <div>
                                 <h4 className="font-bold text-blue-900 text-sm flex items-center">
-                                    <Droplets size={12} className="mr-1"/> {plan.isPoultry ? "Baste Phase" : "Spritz Phase"}
+                                    <Droplets size={12} className="mr-1"/> {t(plan.isPoultry ? "Baste Phase" : "Spritz Phase")}
                                 </h4>
                                 <p className="text-xs text-blue-700 mt-1">
-                                    Start: <b>{formatTime(plan.spritzWindow.start)}</b><br/>
-                                    Use: {plan.spritzWindow.type}<br/>
-                                    Repeat every {inputs.spritzInterval} mins (~{plan.spritzWindow.count} times).
+                                    {t("Start:")} <b>{formatTime(plan.spritzWindow.start)}</b><br/>
+                                    {t("Use:")} {plan.spritzWindow.type}<br/>
+                                    {t("Repeat every {interval} mins (~{count} times).", { interval: cookInputs.spritzInterval, count: plan.spritzWindow.count })}
+                                    {plan.spritzWindow.skipped && <><br/>{t("Skip the {count} that fall in quiet hours.", { count: plan.spritzWindow.skipped.length })}</>}
                                 </p>
                              </div>
                         </div>
@@ -547,79 +674,132 @@ export default function PelletPlanner() {
                 </div>
             )}
 
+            {tempChanges.filter(stage => stage.trigger !== 'wrap' && stage.start < plan.wrapTime).map(renderTempChange)}
+
             {/* 4. The Wrap */}
-            {inputs.wrapStrategy !== 'none' ? (
+            {cookInputs.wrapStrategy !== 'none' ? (
                 <div className="relative pl-6">
                     <div className="absolute -left-[9px] bg-orange-500 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
                     <p className="text-xs text-gray-400 font-mono">~{formatTime(plan.wrapTime)}</p>
                     <div className="flex items-center gap-2">
-                        <h4 className="font-bold text-orange-700">Action: Wrap Meat</h4>
+                        <h4 className="font-bold text-orange-700">{t("Action: Wrap Meat")}</h4>
                         <span className="text-[10px] bg-orange-100 text-orange-700 px-2 py-0.5 rounded-full border border-orange-200">
-                            {inputs.wrapTemp}°F
+                            {fmt.temp(cookInputs.wrapTemp)}
                         </span>
                     </div>
                     <p className="text-sm text-gray-500">
-                        {inputs.meatType === 'ribs' ? "Add butter/sugar/honey (optional)." : `Wrap in ${WRAP_STRATEGIES[inputs.wrapStrategy].label}.`}
+                        {cookInputs.meatType === 'ribs' ? t("Add butter/sugar/honey (optional).") : t("Wrap in {wrap}.", { wrap: label('wrap', cookInputs.wrapStrategy, WRAP_STRATEGIES[cookInputs.wrapStrategy].label) })}
                     </p>
                 </div>
             ) : (
                 <div className="relative pl-6">
                     <div className="absolute -left-[9px] bg-gray-300 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
                     <p className="text-xs text-gray-400 font-mono">~{formatTime(plan.wrapTime)}</p>
-                    <h4 className="font-semibold text-gray-600">The Stall</h4>
-                    <p className="text-sm text-gray-500">Temp will stick around 160°F. Be patient.</p>
+                    <h4 className="font-semibold text-gray-600">{t("The Stall")}</h4>
+                    <p className="text-sm text-gray-500">{t("Temp will stick around {temp}. Be patient.", { temp: fmt.temp(160) })}</p>
                 </div>
             )}
 
+            {tempChanges.filter(stage => stage.trigger === 'wrap' || stage.start >= plan.wrapTime).map(renderTempChange)}
+
+            {/* Weather stretches */}
+            {plan.weather.periods.map((period, i) => {
+                const Icon = WEATHER_ICONS[period.type];
+                return (
+                    <div key={i} className="relative pl-6">
+                        <div className="absolute -left-[9px] bg-sky-300 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
+                        <p className="text-xs text-gray-400 font-mono">{formatTime(period.start)} – {formatTime(period.end)}</p>
+                        <h4 className="font-semibold text-sky-800 text-sm flex items-center">
+                            <Icon size={12} className="mr-1"/> {t(WEATHER_LABELS[period.type])}
+                        </h4>
+                        <p className="text-xs text-gray-500">
+                            {t("Worst: {detail}.", { detail: period.detail })} {t(period.type === 'rain' ? "Keep the pellets dry." : "Keep the lid shut; expect the pit to lag.")}
+                        </p>
+                    </div>
+                );
+            })}
+
             {/* 5. Finish */}
             <div className="relative pl-6">
               <div className="absolute -left-[9px] bg-green-500 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
               <p className="text-xs text-gray-400 font-mono">{formatTime(plan.finishCook)}</p>
-              <h4 className="font-bold text-gray-800">Target Finish</h4>
+              <h4 className="font-bold text-gray-800">{t("Target Finish")}</h4>
               <p className="text-sm text-gray-500">
-                {inputs.meatType === 'ribs' ? (
-                    "Check Visuals: Bend test or bones sticking out."
+                {cookInputs.meatType === 'ribs' ? (
+                    t("Check Visuals: Bend test or bones sticking out.")
                 ) : (
-                    <>Target Internal Temp: <b>{inputs.targetTemp}°F</b> (Probe Tender).</>
+                    <>{t("Target Internal Temp:")} <b>{fmt.temp(cookInputs.targetTemp)}</b> {t("(Probe Tender).")}</>
                 )}
               </p>
+              <div className="mt-2 bg-green-50 p-2 rounded-md border border-green-100 text-xs text-green-900">
+                <p>
+                  {t("Finish window:")} <b>{formatTime(plan.rest.earliestFinish)}</b> – <b>{formatTime(plan.rest.latestFinish)}</b>
+                </p>
+                <p className="text-green-700 mt-1">
+                  {t("Can run {late} min late (keeps the {minRest} min minimum rest) or finish {early} min early", { late: plan.rest.slackLate, minRest: plan.rest.minRest, early: plan.rest.slackEarly })}
+                  {' '}{plan.rest.limitedBy === 'safety' ? t("(before it cools below {temp}).", { temp: fmt.temp(DANGER_ZONE) }) : t("(before it dries out).")}
+                </p>
+              </div>
             </div>
 
+            {/* Sides, in the order they go in */}
+            {[...plan.sides].sort((a, b) => a.start - b.start).map((side) => (
+                <div key={side.key} className="relative pl-6">
+                  <div className="absolute -left-[9px] bg-amber-400 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
+                  <p className="text-xs text-gray-400 font-mono">{formatTime(side.start)} – {formatTime(side.end)}</p>
+                  <h4 className="font-bold text-gray-800">🥘 {t('side.in', { side: side.name, oven: side.place === 'oven' })}</h4>
+                  <p className="text-sm text-gray-500">{t('side.detail', side)}</p>
+                </div>
+            ))}
+
             {/* 6. Serve */}
             <div className="relative pl-6">
               <div className="absolute -left-[9px] bg-red-500 h-4 w-4 rounded-full border-4 border-white shadow-sm"></div>
               <p className="text-xs text-gray-400 font-mono">{formatTime(plan.serve)}</p>
-              <h4 className="font-bold text-gray-800">Serve Time</h4>
-              <p className="text-sm text-gray-500">After a {inputs.restTime}m rest.</p>
+              <h4 className="font-bold text-gray-800">{t("Serve Time")}</h4>
+              <p className="text-sm text-gray-500">{t("After a {rest}m rest in the {hold} (~{temp} at serve).", { rest: cookInputs.restTime, hold: holdLabel.toLowerCase(), temp: fmt.temp(plan.rest.serveTemp) })}</p>
+              <p className="text-xs text-gray-400 mt-1">{serveRangeText}</p>
             </div>
           </div>
 
+          <PelletSummary plan={plan} inputs={cookInputs} />
+
           {/* AFFILIATE */}
           <div className="mt-8 border-t border-gray-100 pt-6">
             <h3 className="text-sm font-bold text-gray-400 uppercase mb-3 flex items-center">
               <ShoppingCart size={14} className="mr-2"/> 
-              {plan.affiliateMode === 'instant' ? "Quick Fixes" : "Pro Gear for This Cook"}
+              {t(plan.affiliateMode === 'instant' ? "Quick Fixes" : "Pro Gear for This Cook")}
             </h3>
             <div className="grid grid-cols-1 gap-3">
               {AFFILIATE_PRODUCTS[plan.affiliateMode].map(item => (
                 <a key={item.id} href={item.link} className="flex items-center p-3 bg-white border border-gray-200 rounded-lg hover:border-orange-300 transition-colors group">
                   <div className="flex-1">
-                    <p className="font-semibold text-sm text-blue-600 group-hover:underline">{item.title}</p>
-                    <p className="text-xs text-gray-500">{item.why}</p>
+                    <p className="font-semibold text-sm text-blue-600 group-hover:underline">{t(item.title)}</p>
+                    <p className="text-xs text-gray-500">{t(item.why, { temp: fmt.temp(165) })}</p>
                   </div>
                 </a>
               ))}
             </div>
-            <p className="text-[10px] text-gray-300 mt-2 text-center">As an Amazon Associate I earn from qualifying purchases.</p>
+            <p className="text-[10px] text-gray-300 mt-2 text-center">{t("As an Amazon Associate I earn from qualifying purchases.")}</p>
           </div>
 
         </div>
       ) : (
         <div className="text-center py-12 text-gray-400">
           <Clock className="h-12 w-12 mx-auto mb-3 opacity-20" />
-          <p>Enter a serve time to generate your plan.</p>
+          {!(forward ? inputs.startTime : inputs.serveTime) ? (
+            <p>{t(forward ? "Enter a start time to generate your plan." : "Enter a serve time to generate your plan.")}</p>
+          ) : (
+            <>
+              <p>{t("Fix these to generate your plan:")}</p>
+              <ul className="text-xs text-red-600 mt-2 space-y-1">
+                {Object.values(errors).map((err, i) => <li key={i}>{err}</li>)}
+              </ul>
+            </>
+          )}
         </div>
       )}
+      </>)}
     </div>
   );
 }
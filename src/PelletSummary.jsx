@@ -0,0 +1,63 @@
+import React from 'react';
+import { Fuel, ListChecks } from 'lucide-react';
+import { buildShoppingList } from './engine/shoppingList';
+import { crossesMidnight } from './engine/quietHours';
+import { useLocale } from './useLocale';
+
+export default function PelletSummary({ plan, inputs }) {
+  const i18n = useLocale();
+  const { t, fmt } = i18n;
+  const { pellets } = plan;
+  const shopping = buildShoppingList(plan, inputs, i18n);
+
+  return (
+    <div className="mt-8 bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <h3 className="text-sm font-bold text-gray-700 flex items-center mb-3">
+        <Fuel size={16} className="mr-2 text-orange-500"/> {t("Fuel Estimate")}
+      </h3>
+
+      <div className="grid grid-cols-3 gap-2 text-center mb-3">
+        <div className="bg-gray-50 p-2 rounded">
+          <p className="text-lg font-bold text-gray-800">{fmt.weightValue(pellets.totalLbs)}</p>
+          <p className="text-[10px] text-gray-400 uppercase">{t("{unit} total", { unit: fmt.unit('weight') })}</p>
+        </div>
+        <div className="bg-gray-50 p-2 rounded">
+          <p className="text-lg font-bold text-gray-800">{fmt.weightValue(pellets.lbsPerHour, 2)}</p>
+          <p className="text-[10px] text-gray-400 uppercase">{t("{unit} / hour", { unit: fmt.unit('weight') })}</p>
+        </div>
+        <div className="bg-gray-50 p-2 rounded">
+          <p className="text-lg font-bold text-gray-800">{fmt.weightValue(pellets.hopperLbs)}</p>
+          <p className="text-[10px] text-gray-400 uppercase">{t("{unit} hopper", { unit: fmt.unit('perWeight') })}</p>
+        </div>
+      </div>
+
+      {pellets.oneHopperLasts ? (
+        <p className="text-xs text-green-700 mb-3">{t("One full hopper lasts past the {time} finish.", { time: fmt.time(plan.finishCook) })}</p>
+      ) : (
+        <div className="text-xs text-orange-700 mb-3">
+          <p>
+            {pellets.hopperEmptyAt < plan.finishCook && <>{t("One hopper runs dry around")} <b>{fmt.time(pellets.hopperEmptyAt)}</b>. </>}
+            {t("Top up at:")}
+          </p>
+          <p className="font-mono mt-1">{pellets.refills.map(crossesMidnight(plan) ? fmt.dayTime : fmt.time).join(' · ')}</p>
+        </div>
+      )}
+
+      {shopping.length > 0 && (
+        <>
+          <p className="text-xs font-bold text-gray-500 uppercase flex items-center mb-1">
+            <ListChecks size={12} className="mr-1"/> {t("Shopping List")}
+          </p>
+          <ul className="text-sm text-gray-700 space-y-0.5">
+            {shopping.map(entry => (
+              <li key={entry.key} className="flex justify-between">
+                <span>{entry.item}</span>
+                <span className="font-mono text-gray-500">{entry.qty}{entry.unit ? ` ${entry.unit}` : ''}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Plus, Copy, Pencil, Trash2, Check, AlertTriangle } from 'lucide-react';
+import { useLocale } from './useLocale';
+
+export default function PlanLibrary({ plans, active, notice, dismissNotice, createPlan, renamePlan, duplicatePlan, deletePlan, selectPlan }) {
+  const { t } = useLocale();
+  const [renaming, setRenaming] = useState(null);
+
+  const saveName = () => {
+    renamePlan(active.id, renaming);
+    setRenaming(null);
+  };
+
+  const confirmDelete = () => {
+    if (window.confirm(t("Delete \"{name}\"?", { name: active.name }))) deletePlan(active.id);
+  };
+
+  const iconButton = "p-2 text-gray-500 bg-gray-100 rounded-lg hover:text-orange-600";
+
+  return (
+    <div className="mb-4">
+      {notice && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 mb-3 rounded-r flex items-start text-xs text-yellow-700">
+          <AlertTriangle size={14} className="mr-2 flex-shrink-0"/>
+          <span className="flex-1">{t(notice)}</span>
+          <button onClick={dismissNotice} className="ml-2 font-bold underline">{t("OK")}</button>
+        </div>
+      )}
+      <div className="flex items-center gap-2">
+        {renaming !== null ? (
+          <input
+            autoFocus
+            className="flex-1 p-2 bg-white border rounded-lg text-sm"
+            value={renaming}
+            onChange={(e) => setRenaming(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') saveName(); if (e.key === 'Escape') setRenaming(null); }}
+          />
+        ) : (
+          <select
+            className="flex-1 p-2 bg-white border rounded-lg text-sm"
+            value={active.id}
+            onChange={(e) => selectPlan(e.target.value)}
+          >
+            {plans.map(plan => <option key={plan.id} value={plan.id}>{plan.name}</option>)}
+          </select>
+        )}
+        {renaming !== null ? (
+          <button onClick={saveName} className={iconButton} aria-label={t("Save name")}><Check size={14} /></button>
+        ) : (
+          <button onClick={() => setRenaming(active.name)} className={iconButton} aria-label={t("Rename plan")}><Pencil size={14} /></button>
+        )}
+        <button onClick={() => createPlan(t("New Plan"))} className={iconButton} aria-label={t("New plan")}><Plus size={14} /></button>
+        <button onClick={() => duplicatePlan(active.id)} className={iconButton} aria-label={t("Duplicate plan")}><Copy size={14} /></button>
+        <button onClick={confirmDelete} className={`${iconButton} hover:text-red-500`} aria-label={t("Delete plan")}><Trash2 size={14} /></button>
+      </div>
+    </div>
+  );
+}
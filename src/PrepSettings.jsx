@@ -0,0 +1,59 @@
+import React from 'react';
+import { Snowflake } from 'lucide-react';
+import FieldError from './FieldError';
+import { PREP_TECHNIQUES, THAW_METHODS, DEFAULT_THAW_METHOD } from './engine/prepSteps';
+import { useLocale } from './useLocale';
+
+// Prep that starts before the cook day: brines, injection, rub and thawing
+// (see engine/prepSteps.js).
+export default function PrepSettings({ inputs, setInputs, errors }) {
+  const { t, label } = useLocale();
+  const techniques = inputs.prepTechniques || [];
+
+  const toggle = (key) => setInputs({...inputs, prepTechniques: techniques.includes(key) ? techniques.filter(k => k !== key) : [...techniques, key]});
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <label className="text-xs font-bold text-gray-700 uppercase flex items-center mb-2">
+        <Snowflake size={14} className="mr-2 text-orange-500"/> {t("Prep Ahead")}
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(PREP_TECHNIQUES).map(([key, technique]) => (
+          <button
+            key={key}
+            onClick={() => toggle(key)}
+            className={`p-1.5 text-xs rounded border text-left ${techniques.includes(key) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600'}`}
+          >
+            {technique.icon} {label('technique', key, technique.label)}
+          </button>
+        ))}
+      </div>
+      <FieldError error={errors.prepTechniques} />
+
+      <div className="flex items-center justify-between mt-3">
+        <label className="text-xs text-gray-700 font-semibold">{t("In the Freezer Now?")}</label>
+        <div
+          className={`w-8 h-5 flex items-center rounded-full p-1 cursor-pointer transition-colors ${inputs.frozenNow ? 'bg-blue-600' : 'bg-gray-300'}`}
+          onClick={() => setInputs({...inputs, frozenNow: !inputs.frozenNow})}
+        >
+          <div className={`bg-white h-3 w-3 rounded-full shadow-md transform duration-300 ease-in-out ${inputs.frozenNow ? 'translate-x-3' : ''}`}></div>
+        </div>
+      </div>
+      {inputs.frozenNow && (
+        <div className="mt-2">
+          <label className="block text-[10px] text-gray-500 mb-1">{t("Thaw")}</label>
+          <select
+            className="w-full p-1.5 bg-white border rounded text-xs"
+            value={inputs.thawMethod || DEFAULT_THAW_METHOD}
+            onChange={(e) => setInputs({...inputs, thawMethod: e.target.value})}
+          >
+            {Object.entries(THAW_METHODS).map(([key, method]) => (
+              <option key={key} value={key}>{label('thawMethod', key, method.label)}</option>
+            ))}
+          </select>
+          <FieldError error={errors.thawMethod} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Thermometer, AlertTriangle, Plus, Trash2 } from 'lucide-react';
+import { parseISO } from 'date-fns';
+import { analyzeProbeLog, parseProbeReadings, sortReadings } from './engine/probeLog';
+import { fromDisplay } from './engine/units';
+import { useLocale } from './useLocale';
+
+const CHART = { width: 320, height: 160, pad: 24 };
+
+const STALL_TEXT = {
+  before: "Climbing — not in the stall yet.",
+  in: "In the stall. ETA resumes once it breaks.",
+  after: "Through the stall.",
+};
+
+function ProbeChart({ readings, targetTemp, finishCook, eta }) {
+  const { fmt } = useLocale();
+  const times = [...readings.map(r => r.time), finishCook, eta].filter(Boolean).map(t => t.getTime());
+  const temps = [...readings.map(r => r.temp), targetTemp];
+  const x0 = Math.min(...times);
+  const x1 = Math.max(...times, x0 + 60000);
+  const y0 = Math.min(...temps, 40) - 5;
+  const y1 = Math.max(...temps) + 5;
+
+  const x = (t) => CHART.pad + ((t.getTime() - x0) / (x1 - x0)) * (CHART.width - CHART.pad * 2);
+  const y = (temp) => CHART.height - CHART.pad - ((temp - y0) / (y1 - y0)) * (CHART.height - CHART.pad * 2);
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full bg-gray-50 rounded border border-gray-200">
+      <rect x={CHART.pad} width={CHART.width - CHART.pad * 2} y={y(180)} height={Math.max(0, y(145) - y(180))} className="fill-yellow-100" />
+      <line x1={CHART.pad} x2={CHART.width - CHART.pad} y1={y(targetTemp)} y2={y(targetTemp)} className="stroke-green-500" strokeDasharray="4 2" />
+      <text x={CHART.pad} y={y(targetTemp) - 3} className="fill-green-600 text-[8px]">{fmt.temp(targetTemp)}</text>
+      {finishCook && (
+        <line x1={x(finishCook)} x2={x(finishCook)} y1={CHART.pad} y2={CHART.height - CHART.pad} className="stroke-gray-400" strokeDasharray="2 2" />
+      )}
+      <polyline
+        points={readings.map(r => `${x(r.time)},${y(r.temp)}`).join(' ')}
+        className="stroke-red-500 fill-none"
+        strokeWidth="2"
+      />
+      {readings.map((r, i) => <circle key={i} cx={x(r.time)} cy={y(r.temp)} r="2" className="fill-red-500" />)}
+      {eta && readings.length > 0 && (
+        <line
+          x1={x(readings[readings.length - 1].time)} y1={y(readings[readings.length - 1].temp)}
+          x2={x(eta)} y2={y(targetTemp)}
+          className="stroke-red-300" strokeDasharray="3 3"
+        />
+      )}
+      <text x={CHART.pad} y={CHART.height - 8} className="fill-gray-400 text-[8px]">{fmt.time(new Date(x0))}</text>
+      <text x={CHART.width - CHART.pad} y={CHART.height - 8} textAnchor="end" className="fill-gray-400 text-[8px]">{fmt.time(new Date(x1))}</text>
+    </svg>
+  );
+}
+
+export default function ProbeLog({ plan, targetTemp, minRest }) {
+  const i18n = useLocale();
+  const { t, fmt, units } = i18n;
+  const [readings, setReadings] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletProbeV1');
+      if (saved) return JSON.parse(saved).map(r => ({ time: parseISO(r.time), temp: r.temp }));
+    }
+    return [];
+  });
+  const [temp, setTemp] = useState('');
+  const [paste, setPaste] = useState('');
+
+  useEffect(() => {
+    localStorage.setItem('pelletProbeV1', JSON.stringify(readings));
+  }, [readings]);
+
+  const analysis = useMemo(
+    () => analyzeProbeLog(readings, { targetTemp, finishCook: plan.finishCook, serve: plan.serve, minRest }, i18n),
+    [readings, targetTemp, plan, minRest, i18n]
+  );
+
+  const addReading = () => {
+    const value = parseFloat(temp);
+    if (isNaN(value)) return;
+    setReadings(sortReadings([...readings, { time: new Date(), temp: fromDisplay('temp', value, units) }]));
+    setTemp('');
+  };
+
+  const importPaste = () => {
+    const parsed = parseProbeReadings(paste, plan.startCook, units);
+    if (parsed.length === 0) return;
+    setReadings(sortReadings([...readings, ...parsed]));
+    setPaste('');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-gray-700 flex items-center">
+          <Thermometer size={16} className="mr-2 text-red-500"/> {t("Probe Log")}
+        </h3>
+        {readings.length > 0 && (
+          <button onClick={() => setReadings([])} className="text-gray-400 hover:text-red-500" aria-label={t("Clear readings")}>
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+
+      <div className="flex gap-2 mb-3">
+        <input
+          type="number"
+          placeholder={t("Internal {unit} now", { unit: fmt.unit('temp') })}
+          className="flex-1 p-2 bg-gray-50 border rounded text-sm"
+          value={temp}
+          onChange={(e) => setTemp(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addReading()}
+        />
+        <button onClick={addReading} className="px-3 bg-red-500 text-white rounded text-sm font-bold flex items-center">
+          <Plus size={14} className="mr-1"/> {t("Log")}
+        </button>
+      </div>
+
+      <textarea
+        rows={2}
+        placeholder={t("Paste readings, one per line: 10:30 {temp}", { temp: fmt.tempValue(165) })}
+        className="w-full p-2 bg-gray-50 border rounded text-xs font-mono mb-1"
+        value={paste}
+        onChange={(e) => setPaste(e.target.value)}
+      />
+      {paste && (
+        <button onClick={importPaste} className="text-xs text-orange-600 font-bold mb-3">{t("Import pasted readings")}</button>
+      )}
+
+      {readings.length > 0 && (
+        <>
+          <ProbeChart readings={readings} targetTemp={targetTemp} finishCook={plan.finishCook} eta={analysis.eta} />
+
+          <div className="grid grid-cols-2 gap-2 mt-3 text-xs">
+            <div className="bg-gray-50 p-2 rounded">
+              <p className="text-gray-400 uppercase text-[10px]">{t("Stall")}</p>
+              <p className="text-gray-700">{t(STALL_TEXT[analysis.stall.status])}</p>
+              {analysis.stall.start && (
+                <p className="text-gray-400">{t("Started {time} at {temp}", { time: fmt.time(analysis.stall.start.time), temp: fmt.temp(analysis.stall.start.temp) })}</p>
+              )}
+            </div>
+            <div className="bg-gray-50 p-2 rounded">
+              <p className="text-gray-400 uppercase text-[10px]">{t("Projected Finish")}</p>
+              <p className="text-gray-700 font-bold">{analysis.eta ? fmt.time(analysis.eta) : "—"}</p>
+              {analysis.rate !== null && <p className="text-gray-400">{t("Rising {rate}/hr", { rate: fmt.tempRate(analysis.rate) })}</p>}
+            </div>
+          </div>
+
+          {analysis.warnings.map((w, i) => (
+            <div key={i} className="border-l-4 p-3 mt-3 rounded-r flex bg-yellow-50 border-yellow-400">
+              <AlertTriangle className="h-4 w-4 text-yellow-400" />
+              <p className="ml-2 text-xs text-yellow-700">{w.msg}</p>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Trash2, Copy, Pencil, Download, Upload, AlertTriangle, BookOpen } from 'lucide-react';
+import { cloneProfile, serializeProfiles } from './engine/customProfiles';
+import { downloadFile } from './download';
+import { inputValue, storedValue, fromDisplay } from './engine/units';
+import { useLocale } from './useLocale';
+
+const BLANK_PROFILE = {
+  label: "",
+  defaultWeight: 5,
+  tempProfiles: { 225: { rate: 1.5 }, 250: { rate: 1.25 }, 275: { rate: 1.0 } },
+  rest: { default: 30, min: 15, maxHold: 120 },
+  stallFactor: 0.6,
+  defaultTargetTemp: 203,
+  spritz: { recommended: false, startAfter: 60, interval: 60, type: "Apple Cider Vinegar" },
+  poultry: false
+};
+
+// The form edits temp curves as rows, in the units the edit started in;
+// profiles store them keyed by whole °F with rates in hours/lb. Rows keep
+// what they were loaded from so an untouched row saves back unchanged.
+const toDraft = (profile, units) => ({
+  ...JSON.parse(JSON.stringify(profile)),
+  poultry: Boolean(profile.poultry),
+  units,
+  tempRows: Object.entries(profile.tempProfiles).map(([temp, { rate }]) => ({
+    temp: inputValue('temp', Number(temp), units),
+    rate: inputValue('perWeight', rate, units),
+    stored: { temp: Number(temp), rate }
+  }))
+});
+
+const keepStored = (kind, shown, stored, units) =>
+  (stored !== undefined && inputValue(kind, stored, units) === shown ? stored : fromDisplay(kind, shown, units));
+
+const fromDraft = ({ tempRows, units, ...draft }) => ({
+  ...draft,
+  tempProfiles: Object.fromEntries(tempRows.map(row => [
+    Math.round(keepStored('temp', row.temp, row.stored?.temp, units)),
+    { rate: keepStored('perWeight', row.rate, row.stored?.rate, units) }
+  ]))
+});
+
+const num = (value) => parseFloat(value);
+
+function Field({ label, error, children }) {
+  return (
+    <div>
+      <label className="block text-[10px] text-gray-500 mb-1">{label}</label>
+      {children}
+      {error && <p className="text-[10px] text-red-600 mt-0.5">{error}</p>}
+    </div>
+  );
+}
+
+export default function ProfileEditor({ profiles, custom, saveProfile, deleteProfile, importProfiles }) {
+  const { t, fmt, units, label } = useLocale();
+  const [editing, setEditing] = useState(null); // { key, draft }
+  const [errors, setErrors] = useState({});
+  const [importResult, setImportResult] = useState(null);
+  const fileInput = useRef(null);
+
+  const startEdit = (key, profile) => {
+    setEditing({ key, draft: toDraft(profile, units) });
+    setErrors({});
+  };
+
+  const setDraft = (changes) => setEditing(prev => ({ ...prev, draft: { ...prev.draft, ...changes } }));
+  const setNested = (group, changes) => setDraft({ [group]: { ...editing.draft[group], ...changes } });
+  const setRow = (i, changes) => setDraft({ tempRows: editing.draft.tempRows.map((row, j) => j === i ? { ...row, ...changes } : row) });
+
+  const save = () => {
+    const result = saveProfile(fromDraft(editing.draft), editing.key);
+    if (result.key) setEditing(null);
+    setErrors(result.errors);
+  };
+
+  const onImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setImportResult(importProfiles(await file.text()));
+    e.target.value = '';
+  };
+
+  const inputClass = "w-full p-1.5 bg-white border rounded text-xs";
+
+  if (editing) {
+    const { draft } = editing;
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 mb-6 space-y-3">
+        <h3 className="text-sm font-bold text-gray-700">{editing.key ? t("Edit Profile") : t("New Profile")}</h3>
+
+        <Field label={t("Name")} error={errors.label}>
+          <input className={inputClass} value={draft.label} onChange={(e) => setDraft({ label: e.target.value })} />
+        </Field>
+
+        <div className="grid grid-cols-3 gap-2">
+          <Field label={t("Default {unit}", { unit: fmt.unit('weight') })} error={errors.defaultWeight}>
+            <input type="number" step={draft.units === 'metric' ? 0.1 : 0.5} className={inputClass} value={inputValue('weight', draft.defaultWeight, draft.units)} onChange={(e) => setDraft({ defaultWeight: storedValue('weight', e.target.value, draft.units) })} />
+          </Field>
+          <Field label={t("Target {unit}", { unit: fmt.unit('temp') })} error={errors.defaultTargetTemp}>
+            <input type="number" className={inputClass} value={inputValue('temp', draft.defaultTargetTemp, draft.units)} onChange={(e) => setDraft({ defaultTargetTemp: storedValue('temp', e.target.value, draft.units) })} />
+          </Field>
+          <Field label={t("Stall factor")} error={errors.stallFactor}>
+            <input type="number" step="0.05" className={inputClass} value={draft.stallFactor} onChange={(e) => setDraft({ stallFactor: num(e.target.value) })} />
+          </Field>
+        </div>
+
+        <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-bold text-gray-700 uppercase mb-2">{t("Cook Rates (hours/{unit})", { unit: fmt.unit('perWeight') })}</p>
+          {draft.tempRows.map((row, i) => (
+            <div key={i} className="grid grid-cols-5 gap-2 mb-1 items-center">
+              <input type="number" step={draft.units === 'metric' ? 1 : 5} className={`${inputClass} col-span-2`} value={row.temp} onChange={(e) => setRow(i, { temp: num(e.target.value) })} aria-label={t("Pit temp")} />
+              <input type="number" step="0.05" className={`${inputClass} col-span-2`} value={row.rate} onChange={(e) => setRow(i, { rate: num(e.target.value) })} aria-label={t("Hours per {unit}", { unit: fmt.unit('perWeight') })} />
+              <button onClick={() => setDraft({ tempRows: draft.tempRows.filter((_, j) => j !== i) })} className="text-gray-400 hover:text-red-500" aria-label={t("Remove temp")}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button onClick={() => setDraft({ tempRows: [...draft.tempRows, { temp: inputValue('temp', 300, draft.units), rate: inputValue('perWeight', 1.0, draft.units), stored: { temp: 300, rate: 1.0 } }] })} className="text-xs text-orange-600 font-bold flex items-center mt-1">
+            <Plus size={12} className="mr-1"/> {t("Add temp")}
+          </button>
+          {errors.tempProfiles && <p className="text-[10px] text-red-600 mt-1">{errors.tempProfiles}</p>}
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <Field label={t("Min rest (min)")} error={errors['rest.min']}>
+            <input type="number" className={inputClass} value={draft.rest.min} onChange={(e) => setNested('rest', { min: num(e.target.value) })} />
+          </Field>
+          <Field label={t("Default rest")} error={errors['rest.default']}>
+            <input type="number" className={inputClass} value={draft.rest.default} onChange={(e) => setNested('rest', { default: num(e.target.value) })} />
+          </Field>
+          <Field label={t("Max hold")} error={errors['rest.maxHold']}>
+            <input type="number" className={inputClass} value={draft.rest.maxHold} onChange={(e) => setNested('rest', { maxHold: num(e.target.value) })} />
+          </Field>
+        </div>
+
+        <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 space-y-2">
+          <label className="flex items-center text-xs font-bold text-gray-700 uppercase">
+            <input type="checkbox" className="mr-2" checked={draft.spritz.recommended} onChange={(e) => setNested('spritz', { recommended: e.target.checked })} />
+            {t("Spritz by default")}
+          </label>
+          <div className="grid grid-cols-3 gap-2">
+            <Field label={t("Start (mins)")} error={errors['spritz.startAfter']}>
+              <input type="number" className={inputClass} value={draft.spritz.startAfter} onChange={(e) => setNested('spritz', { startAfter: num(e.target.value) })} />
+            </Field>
+            <Field label={t("Interval (mins)")} error={errors['spritz.interval']}>
+              <input type="number" className={inputClass} value={draft.spritz.interval} onChange={(e) => setNested('spritz', { interval: num(e.target.value) })} />
+            </Field>
+            <Field label={t("Liquid")} error={errors['spritz.type']}>
+              <input className={inputClass} value={draft.spritz.type} onChange={(e) => setNested('spritz', { type: e.target.value })} />
+            </Field>
+          </div>
+        </div>
+
+        <label className="flex items-center text-xs text-gray-700">
+          <input type="checkbox" className="mr-2" checked={draft.poultry} onChange={(e) => setDraft({ poultry: e.target.checked })} />
+          {t("Poultry (spatchcock option, baste instead of spritz)")}
+        </label>
+
+        <div className="flex gap-2 pt-2">
+          <button onClick={save} className="flex-1 p-2 bg-orange-500 text-white rounded-lg text-sm font-bold">{t("Save")}</button>
+          <button onClick={() => setEditing(null)} className="flex-1 p-2 bg-gray-100 text-gray-600 rounded-lg text-sm font-bold">{t("Cancel")}</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-gray-700 flex items-center">
+          <BookOpen size={16} className="mr-2 text-orange-500"/> {t("Meat Profiles")}
+        </h3>
+        <button onClick={() => startEdit(null, BLANK_PROFILE)} className="text-xs text-orange-600 font-bold flex items-center">
+          <Plus size={14} className="mr-1"/> {t("New")}
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-100 mb-4">
+        {Object.entries(profiles).map(([key, profile]) => {
+          const isCustom = key in custom;
+          return (
+            <li key={key} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm text-gray-800">{label('meat', key, profile.label)}</p>
+                <p className="text-[10px] text-gray-400">{isCustom ? t("Custom") : t("Built-in")} · {Object.keys(profile.tempProfiles).map(temp => fmt.tempValue(Number(temp))).join('/')}{fmt.unit('temp')}</p>
+              </div>
+              <div className="flex gap-2 text-gray-400">
+                <button onClick={() => startEdit(null, { ...cloneProfile(profile), label: t("{name} (Copy)", { name: label('meat', key, profile.label) }) })} className="hover:text-orange-600" aria-label={t("Clone profile")}><Copy size={14} /></button>
+                {isCustom && (
+                  <>
+                    <button onClick={() => startEdit(key, profile)} className="hover:text-orange-600" aria-label={t("Edit profile")}><Pencil size={14} /></button>
+                    <button onClick={() => deleteProfile(key)} className="hover:text-red-500" aria-label={t("Delete profile")}><Trash2 size={14} /></button>
+                  </>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => downloadFile('meat-profiles.json', serializeProfiles(custom), 'application/json')}
+          disabled={Object.keys(custom).length === 0}
+          className="flex items-center justify-center p-2 text-xs font-bold text-gray-600 bg-gray-100 rounded-lg disabled:opacity-40"
+        >
+          <Download size={14} className="mr-1"/> {t("Export")}
+        </button>
+        <button onClick={() => fileInput.current.click()} className="flex items-center justify-center p-2 text-xs font-bold text-gray-600 bg-gray-100 rounded-lg">
+          <Upload size={14} className="mr-1"/> {t("Import")}
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={onImport} />
+      </div>
+
+      {importResult && (
+        <div className="mt-3 text-xs">
+          {Object.keys(importResult.profiles).length > 0 && (
+            <p className="text-green-700">{t("Imported {names}.", { names: Object.values(importResult.profiles).map(p => p.label).join(', ') })}</p>
+          )}
+          {importResult.errors.map((err, i) => (
+            <p key={i} className="text-red-600 flex items-center"><AlertTriangle size={12} className="mr-1"/> {err}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Moon } from 'lucide-react';
+import FieldError from './FieldError';
+import { useLocale } from './useLocale';
+
+// Quiet-hours window: when on, the plan keeps hands-on steps out of it.
+export default function QuietHoursSettings({ inputs, setInputs, errors }) {
+  const { t } = useLocale();
+  const on = Boolean(inputs.quietHours);
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-xs font-bold text-gray-700 uppercase flex items-center">
+          <Moon size={14} className="mr-2 text-orange-500"/> {t("Quiet Hours")}
+        </label>
+        <div
+          className={`w-8 h-5 flex items-center rounded-full p-1 cursor-pointer transition-colors ${on ? 'bg-blue-600' : 'bg-gray-300'}`}
+          onClick={() => setInputs({...inputs, quietHours: !on})}
+        >
+          <div className={`bg-white h-3 w-3 rounded-full shadow-md transform duration-300 ease-in-out ${on ? 'translate-x-3' : ''}`}></div>
+        </div>
+      </div>
+      {on && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-[10px] text-gray-500 mb-1">{t("From")}</label>
+              <input
+                type="time"
+                className="w-full p-1.5 bg-white border rounded text-xs"
+                value={inputs.quietStart}
+                onChange={(e) => setInputs({...inputs, quietStart: e.target.value})}
+              />
+              <FieldError error={errors.quietStart} />
+            </div>
+            <div>
+              <label className="block text-[10px] text-gray-500 mb-1">{t("Until")}</label>
+              <input
+                type="time"
+                className="w-full p-1.5 bg-white border rounded text-xs"
+                value={inputs.quietEnd}
+                onChange={(e) => setInputs({...inputs, quietEnd: e.target.value})}
+              />
+              <FieldError error={errors.quietEnd} />
+            </div>
+          </div>
+          <p className="text-[10px] text-gray-400 mt-2">{t("No prep, wrap, temp change or pull in this window. Spritzes in it are skipped.")}</p>
+        </>
+      )}
+    </div>
+  );
+}
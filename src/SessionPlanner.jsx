@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AlertTriangle, Plus, Trash2, Layers } from 'lucide-react';
+import { WRAP_STRATEGIES, profileDefaults } from './engine/profiles';
+import { computeSession } from './engine/computeSession';
+import { crossesMidnight } from './engine/quietHours';
+import { validateInputs } from './engine/validateInputs';
+import TempPresets from './TempPresets';
+import FieldError, { numberValue } from './FieldError';
+import { inputValue, storedValue } from './engine/units';
+import { useLocale } from './useLocale';
+
+const ITEM_COLORS = ['bg-orange-500', 'bg-blue-500', 'bg-green-500', 'bg-purple-500', 'bg-pink-500', 'bg-yellow-500'];
+
+const newItem = (meatType, profiles) => ({
+  id: `${meatType}-${Date.now()}`,
+  prepTime: 45,
+  ...profileDefaults(meatType, profiles)
+});
+
+export default function SessionPlanner({ profiles, calibration }) {
+  const i18n = useLocale();
+  const { t, fmt, units, label } = i18n;
+  const [session, setSession] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletSessionV1');
+      if (saved) return JSON.parse(saved);
+    }
+    return {
+      serveTime: '',
+      temp: 250,
+      items: [newItem('brisket', profiles)]
+    };
+  });
+
+  useEffect(() => {
+    localStorage.setItem('pelletSessionV1', JSON.stringify(session));
+  }, [session]);
+
+  // Each item is checked as the plan it becomes (session temp and serve time included).
+  const itemErrors = useMemo(() => Object.fromEntries(session.items.map(item => [
+    item.id,
+    validateInputs({ ...item, temp: session.temp, planMode: 'serve', serveTime: session.serveTime }, profiles, i18n).errors
+  ])), [session, profiles, i18n]);
+  const allErrors = Object.values(itemErrors);
+  const valid = allErrors.every(errors => Object.keys(errors).length === 0);
+  const tempErrors = [...new Set(allErrors.map(errors => errors.temp).filter(Boolean))];
+
+  const result = useMemo(
+    () => (valid ? computeSession(session, profiles, new Date(), calibration, i18n) : { items: [], timeline: [], conflicts: [] }),
+    [valid, session, profiles, calibration, i18n]
+  );
+
+  const updateItem = (id, changes) => {
+    setSession(prev => ({ ...prev, items: prev.items.map(item => item.id === id ? { ...item, ...changes } : item) }));
+  };
+
+  const changeItemMeat = (id, type) => updateItem(id, profileDefaults(type, profiles));
+
+  const addItem = () => setSession(prev => ({ ...prev, items: [...prev.items, newItem('ribs', profiles)] }));
+
+  const removeItem = (id) => setSession(prev => ({ ...prev, items: prev.items.filter(item => item.id !== id) }));
+
+  const colorFor = (id) => ITEM_COLORS[session.items.findIndex(item => item.id === id) % ITEM_COLORS.length];
+  const isConflicted = (event) => result.conflicts.some(c => c.type === 'collision' && c.time.getTime() === event.time.getTime() && c.itemIds.includes(event.itemId));
+
+  const formatTime = result.items.length > 0 && crossesMidnight(result) ? fmt.dayTime : fmt.time;
+
+  return (
+    <div>
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 mb-6">
+        <div className="space-y-4">
+
+          {/* Shared Settings */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Pit Temp")} ({fmt.unit('temp')})</label>
+              <input
+                type="number"
+                step={units === 'metric' ? 1 : 5}
+                list="temp-presets"
+                className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-lg font-mono focus:ring-2 focus:ring-orange-500 outline-none"
+                value={inputValue('temp', session.temp, units)}
+                onChange={(e) => setSession({...session, temp: storedValue('temp', e.target.value, units)})}
+              />
+              {tempErrors.map(err => <FieldError key={err} error={err} />)}
+              <TempPresets />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">{t("Serve Time")}</label>
+              <input
+                type="datetime-local"
+                className="w-full p-3 bg-orange-50 border border-orange-200 text-orange-900 rounded-lg text-sm font-bold focus:ring-2 focus:ring-orange-500 outline-none"
+                value={session.serveTime}
+                onChange={(e) => setSession({...session, serveTime: e.target.value})}
+              />
+              <FieldError error={session.serveTime && allErrors[0]?.serveTime} />
+            </div>
+          </div>
+
+          {/* Items */}
+          {session.items.map(item => (
+            <div key={item.id} className="bg-gray-50 p-3 rounded-lg border border-gray-200 space-y-2">
+              <div className="flex items-center gap-2">
+                <div className={`h-3 w-3 rounded-full ${colorFor(item.id)}`}></div>
+                <select
+                  className="flex-1 p-2 bg-white border rounded text-sm"
+                  value={item.meatType}
+                  onChange={(e) => changeItemMeat(item.id, e.target.value)}
+                >
+                  {Object.entries(profiles).map(([key, data]) => (
+                    <option key={key} value={key}>{label('meat', key, data.label)}</option>
+                  ))}
+                </select>
+                <button onClick={() => removeItem(item.id)} className="text-gray-400 hover:text-red-500 p-1" aria-label={t("Remove item")}>
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <label className="block text-[10px] text-gray-500 mb-1">{t("Weight")} ({fmt.unit('weight')})</label>
+                  <input
+                    type="number"
+                    step={units === 'metric' ? 0.1 : 0.5}
+                    className="w-full p-1.5 bg-white border rounded text-xs"
+                    value={inputValue('weight', item.weight, units)}
+                    onChange={(e) => updateItem(item.id, { weight: storedValue('weight', e.target.value, units) })}
+                  />
+                  <FieldError error={itemErrors[item.id]?.weight} />
+                </div>
+                <div>
+                  <label className="block text-[10px] text-gray-500 mb-1">{t("Wrap")}</label>
+                  <select
+                    className="w-full p-1.5 bg-white border rounded text-xs"
+                    value={item.wrapStrategy}
+                    onChange={(e) => updateItem(item.id, { wrapStrategy: e.target.value })}
+                  >
+                    {Object.entries(WRAP_STRATEGIES).map(([key, data]) => (
+                      <option key={key} value={key}>{label('wrap', key, data.label)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-[10px] text-gray-500 mb-1">{t("Rest (min)")}</label>
+                  <input
+                    type="number"
+                    className="w-full p-1.5 bg-white border rounded text-xs"
+                    value={item.restTime}
+                    onChange={(e) => updateItem(item.id, { restTime: numberValue(e.target.value) })}
+                  />
+                  <FieldError error={itemErrors[item.id]?.restTime} />
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <button
+            onClick={addItem}
+            className="flex items-center justify-center w-full p-2 text-sm font-bold text-orange-600 border border-dashed border-orange-300 rounded-lg hover:bg-orange-50"
+          >
+            <Plus size={16} className="mr-1"/> {t("Add Item")}
+          </button>
+        </div>
+      </div>
+
+      {result.items.length > 0 ? (
+        <div className="animate-slide-up">
+
+          {result.conflicts.map((c, i) => (
+            <div key={i} className="border-l-4 p-4 mb-4 rounded-r flex bg-yellow-50 border-yellow-400">
+                <AlertTriangle className="h-5 w-5 text-yellow-400" />
+                <div className="ml-3">
+                  <p className="text-sm text-yellow-700">{c.msg}</p>
+                </div>
+            </div>
+          ))}
+
+          {result.items.flatMap(item => item.warnings.map((w, i) => (
+            <div key={`${item.id}-${i}`} className={`border-l-4 p-4 mb-4 rounded-r flex ${w.type === 'safety' ? 'bg-red-50 border-red-500' : 'bg-yellow-50 border-yellow-400'}`}>
+                <AlertTriangle className={`h-5 w-5 ${w.type === 'safety' ? 'text-red-500' : 'text-yellow-400'}`} />
+                <div className="ml-3">
+                  <p className={`text-sm ${w.type === 'safety' ? 'text-red-700 font-bold' : 'text-yellow-700'}`}>{item.label}: {w.msg}</p>
+                </div>
+            </div>
+          )))}
+
+          {/* HERO */}
+          <div className="grid grid-cols-2 gap-4 mb-8">
+            <div className="bg-blue-900 text-white p-4 rounded-xl shadow-lg text-center">
+              <p className="text-xs uppercase opacity-70 mb-1">{t("First Prep")}</p>
+              <p className="text-2xl font-bold">{formatTime(result.startPrep)}</p>
+            </div>
+            <div className="bg-red-600 text-white p-4 rounded-xl shadow-lg text-center">
+              <p className="text-xs uppercase opacity-70 mb-1">{t("Serve")}</p>
+              <p className="text-2xl font-bold">{formatTime(result.serve)}</p>
+            </div>
+          </div>
+
+          {/* MERGED TIMELINE */}
+          <div className="relative border-l-2 border-gray-200 ml-4 space-y-4 pb-8">
+            {result.timeline.map((event, i) => (
+              <div key={i} className="relative pl-6">
+                <div className={`absolute -left-[9px] h-4 w-4 rounded-full border-4 border-white shadow-sm ${event.itemId ? colorFor(event.itemId) : 'bg-red-500'}`}></div>
+                <p className="text-xs text-gray-400 font-mono">
+                  {event.action === 'wrap' || event.action === 'stall' ? '~' : ''}{formatTime(event.time)}
+                </p>
+                <h4 className={`font-bold text-sm ${isConflicted(event) ? 'text-yellow-700' : 'text-gray-800'}`}>
+                  {event.itemLabel ? `${event.itemLabel}: ` : ''}{event.label}
+                </h4>
+              </div>
+            ))}
+          </div>
+
+        </div>
+      ) : (
+        <div className="text-center py-12 text-gray-400">
+          <Layers className="h-12 w-12 mx-auto mb-3 opacity-20" />
+          <p>{t("Add items and a serve time to plan the session.")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
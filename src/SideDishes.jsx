@@ -0,0 +1,95 @@
+import React from 'react';
+import { Soup, Trash2 } from 'lucide-react';
+import { SIDE_PRESETS, SIDE_PLACES, sideFromPreset } from './engine/sideDishes';
+import FieldError, { numberValue } from './FieldError';
+import { inputValue, storedValue } from './engine/units';
+import { useLocale } from './useLocale';
+
+// Side dishes cooked alongside the meat (see engine/sideDishes.js).
+export default function SideDishes({ inputs, setInputs, errors }) {
+  const { t, fmt, units, label } = useLocale();
+  const sides = inputs.sides || [];
+
+  const setSides = (next) => setInputs({...inputs, sides: next});
+  const updateSide = (i, changes) => setSides(sides.map((side, j) => (j === i ? { ...side, ...changes } : side)));
+
+  // Presets come in by key; "custom" starts blank at a typical oven temp
+  const addSide = (key) => {
+    if (!key) return;
+    setSides([...sides, key === 'custom'
+      ? { name: '', minutes: 30, temp: 350, place: 'auto', atServe: true }
+      : sideFromPreset(key)]);
+  };
+
+  const inputClass = "p-1.5 bg-white border rounded text-xs";
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <label className="text-xs font-bold text-gray-700 uppercase flex items-center mb-2">
+        <Soup size={14} className="mr-2 text-orange-500"/> {t("Side Dishes")}
+      </label>
+
+      {sides.map((side, i) => (
+        <div key={i} className="mb-3">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              aria-label={t("Side dish")}
+              className={`${inputClass} flex-1`}
+              value={side.preset ? label('sideDish', side.preset, side.name) : side.name}
+              onChange={(e) => updateSide(i, { name: e.target.value, preset: undefined })}
+            />
+            <button onClick={() => setSides(sides.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-500" aria-label={t("Remove side dish")}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+          <div className="flex items-center gap-2 mt-1">
+            <input
+              type="number"
+              aria-label={t("Cook time (min)")}
+              className={`${inputClass} w-14`}
+              value={side.minutes}
+              onChange={(e) => updateSide(i, { minutes: numberValue(e.target.value) })}
+            />
+            <span className="text-xs text-gray-500">{t("min at")}</span>
+            <input
+              type="number"
+              step={units === 'metric' ? 5 : 25}
+              aria-label={t("Side temp")}
+              className={`${inputClass} w-16`}
+              value={inputValue('temp', side.temp, units)}
+              onChange={(e) => updateSide(i, { temp: storedValue('temp', e.target.value, units) })}
+            />
+            <span className="text-xs text-gray-500">{fmt.unit('temp')}</span>
+            <select
+              className={`${inputClass} flex-1`}
+              value={side.place}
+              onChange={(e) => updateSide(i, { place: e.target.value })}
+            >
+              {Object.entries(SIDE_PLACES).map(([key, text]) => (
+                <option key={key} value={key}>{t(text)}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center gap-1 mt-1 text-[10px] text-gray-500">
+            <input type="checkbox" checked={side.atServe} onChange={(e) => updateSide(i, { atServe: e.target.checked })} />
+            {t("Hot at serve time")}
+          </label>
+          <FieldError error={errors[`sides.${i}`]} />
+        </div>
+      ))}
+
+      <select
+        className="w-full p-2 text-xs font-bold text-orange-600 bg-white border border-dashed border-orange-300 rounded-lg"
+        value=""
+        onChange={(e) => addSide(e.target.value)}
+      >
+        <option value="">{t("+ Add Side Dish")}</option>
+        {Object.entries(SIDE_PRESETS).map(([key, preset]) => (
+          <option key={key} value={key}>{label('sideDish', key, preset.label)}</option>
+        ))}
+        <option value="custom">{t("Something else")}</option>
+      </select>
+    </div>
+  );
+}
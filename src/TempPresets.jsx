@@ -0,0 +1,17 @@
+import React from 'react';
+import { TEMP_PRESETS } from './engine/profiles';
+import { inputValue } from './engine/units';
+import { useLocale } from './useLocale';
+
+// The preset temps as the field shows them. In metric they keep their decimal
+// (107.2 °C), which storedValue reads back as exactly 225 °F.
+export default function TempPresets() {
+  const { t, units } = useLocale();
+  return (
+    <datalist id="temp-presets">
+      {TEMP_PRESETS.map(([temp, label]) => (
+        <option key={temp} value={inputValue('temp', temp, units)}>{t(label)}</option>
+      ))}
+    </datalist>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Thermometer, Plus, Trash2 } from 'lucide-react';
+import { STAGE_TRIGGERS } from './engine/tempSchedule';
+import FieldError, { numberValue } from './FieldError';
+import { inputValue, storedValue, toDisplay, fromDisplay } from './engine/units';
+import { useLocale } from './useLocale';
+
+// Pit temp changes after the starting temp (see engine/tempSchedule.js).
+export default function TempSchedule({ inputs, setInputs, errors }) {
+  const { t, fmt, units } = useLocale();
+  const stages = inputs.tempStages || [];
+
+  const setStages = (next) => setInputs({...inputs, tempStages: next});
+  const updateStage = (i, changes) => setStages(stages.map((stage, j) => (j === i ? { ...stage, ...changes } : stage)));
+
+  // New changes start a round step above the pit temp, in the form's units
+  const addStage = () => {
+    const hasWrap = stages.some(stage => stage.trigger === 'wrap');
+    const temp = fromDisplay('temp', Math.round(toDisplay('temp', inputs.temp, units)) + (units === 'metric' ? 15 : 25), units);
+    setStages([...stages, hasWrap
+      ? { trigger: 'elapsed', afterMinutes: 240, temp }
+      : { trigger: 'wrap', temp }]);
+  };
+
+  const inputClass = "p-1.5 bg-white border rounded text-xs";
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <label className="text-xs font-bold text-gray-700 uppercase flex items-center mb-2">
+        <Thermometer size={14} className="mr-2 text-orange-500"/> {t("Temp Schedule")}
+      </label>
+      <p className="text-[10px] text-gray-500 mb-2">{t("Starts at {temp}.", { temp: fmt.temp(inputs.temp) })}{stages.length === 0 && ` ${t("Add a change to bump the pit later in the cook.")}`}</p>
+
+      {stages.map((stage, i) => (
+        <div key={i} className="mb-2">
+          <div className="flex items-center gap-2">
+            <select
+              className={`${inputClass} flex-1`}
+              value={stage.trigger}
+              onChange={(e) => updateStage(i, e.target.value === 'elapsed' ? { trigger: 'elapsed', afterMinutes: stage.afterMinutes ?? 240 } : { trigger: e.target.value })}
+            >
+              {Object.entries(STAGE_TRIGGERS).map(([key, label]) => (
+                <option key={key} value={key}>{t(key === 'wrap' && inputs.wrapStrategy === 'none' ? "At the stall" : label)}</option>
+              ))}
+            </select>
+            {stage.trigger === 'elapsed' && (
+              <input
+                type="number"
+                aria-label={t("Minutes after the meat goes on")}
+                className={`${inputClass} w-16`}
+                value={stage.afterMinutes}
+                onChange={(e) => updateStage(i, { afterMinutes: numberValue(e.target.value) })}
+              />
+            )}
+            <span className="text-xs text-gray-500">{stage.trigger === 'elapsed' ? `${t("min")} →` : "→"}</span>
+            <input
+              type="number"
+              step={units === 'metric' ? 1 : 5}
+              list="temp-presets"
+              aria-label={t("Pit temp")}
+              className={`${inputClass} w-16`}
+              value={inputValue('temp', stage.temp, units)}
+              onChange={(e) => updateStage(i, { temp: storedValue('temp', e.target.value, units) })}
+            />
+            <span className="text-xs text-gray-500">{fmt.unit('temp')}</span>
+            <button onClick={() => setStages(stages.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-500" aria-label={t("Remove temp change")}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+          <FieldError error={errors[`tempStages.${i}`]} />
+        </div>
+      ))}
+
+      <button onClick={addStage} className="flex items-center justify-center w-full p-2 text-xs font-bold text-orange-600 border border-dashed border-orange-300 rounded-lg hover:bg-orange-50">
+        <Plus size={14} className="mr-1"/> {t("Add Temp Change")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState, useRef } from 'react';
+import { CloudSun, Upload, X, AlertTriangle } from 'lucide-react';
+import { parseISO } from 'date-fns';
+import { DEFAULT_CONDITIONS, parseForecast } from './engine/weather';
+import FieldError from './FieldError';
+import { inputValue, storedValue } from './engine/units';
+import { useLocale } from './useLocale';
+
+function Toggle({ label, on, onClick }) {
+  return (
+    <div className="flex items-center justify-between bg-white p-2 rounded border">
+      <label className="text-xs text-gray-600">{label}</label>
+      <div
+        className={`w-8 h-5 flex items-center rounded-full p-1 cursor-pointer transition-colors ${on ? 'bg-blue-600' : 'bg-gray-300'}`}
+        onClick={onClick}
+      >
+        <div className={`bg-white h-3 w-3 rounded-full shadow-md transform duration-300 ease-in-out ${on ? 'translate-x-3' : ''}`}></div>
+      </div>
+    </div>
+  );
+}
+
+export default function WeatherSettings({ inputs, setInputs, errors }) {
+  const { t, fmt, units } = useLocale();
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+  const forecast = inputs.forecast || [];
+
+  const onImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const result = parseForecast(await file.text());
+      setError(result.error);
+      if (!result.error) setInputs({...inputs, forecast: result.forecast});
+    } catch (err) {
+      setError("Couldn't read the forecast file.");
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const inputClass = "w-full p-1.5 bg-white border rounded text-xs";
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <label className="text-xs font-bold text-gray-700 uppercase flex items-center mb-2">
+        <CloudSun size={14} className="mr-2 text-orange-500"/> {t("Weather")}
+      </label>
+
+      {forecast.length > 0 ? (
+        <div className="flex items-center justify-between bg-white p-2 rounded border mb-2">
+          <p className="text-xs text-gray-600">
+            {t("Forecast: {hours} hours, {from} – {to}", { hours: forecast.length, from: fmt.dayTime(parseISO(forecast[0].time)), to: fmt.dayTime(parseISO(forecast[forecast.length - 1].time)) })}
+          </p>
+          <button onClick={() => setInputs({...inputs, forecast: []})} className="text-gray-400 hover:text-red-500" aria-label={t("Clear forecast")}>
+            <X size={14} />
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-3 mb-2">
+          <div>
+            <label className="block text-[10px] text-gray-500 mb-1">{t("Outside")} {fmt.unit('temp')}</label>
+            <input
+              type="number"
+              className={inputClass}
+              value={inputValue('temp', inputs.ambientTemp ?? DEFAULT_CONDITIONS.temp, units)}
+              onChange={(e) => setInputs({...inputs, ambientTemp: storedValue('temp', e.target.value, units)})}
+            />
+            <FieldError error={errors.ambientTemp} />
+          </div>
+          <div>
+            <label className="block text-[10px] text-gray-500 mb-1">{t("Wind")} ({fmt.unit('speed')})</label>
+            <input
+              type="number"
+              className={inputClass}
+              value={inputValue('speed', inputs.windMph ?? DEFAULT_CONDITIONS.windMph, units)}
+              onChange={(e) => setInputs({...inputs, windMph: storedValue('speed', e.target.value, units)})}
+            />
+            <FieldError error={errors.windMph} />
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3 mb-2">
+        {forecast.length === 0 && (
+          <Toggle label={t("Rain?")} on={Boolean(inputs.raining)} onClick={() => setInputs({...inputs, raining: !inputs.raining})} />
+        )}
+        <Toggle label={t("Insulation blanket?")} on={Boolean(inputs.insulated)} onClick={() => setInputs({...inputs, insulated: !inputs.insulated})} />
+      </div>
+
+      <button onClick={() => fileInput.current.click()} className="flex items-center justify-center w-full p-2 text-xs font-bold text-gray-600 bg-gray-100 rounded-lg">
+        <Upload size={14} className="mr-1"/> {t("Import Hourly Forecast (CSV / JSON)")}
+      </button>
+      <input ref={fileInput} type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={onImport} />
+      {error && (
+        <p className="text-xs text-red-600 flex items-center mt-2"><AlertTriangle size={12} className="mr-1"/> {t(error)}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+// Saves generated text (calendar files, exports) through a temporary object URL.
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
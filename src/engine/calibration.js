@@ -0,0 +1,111 @@
+import { differenceInMinutes, parseISO } from 'date-fns';
+
+// --- CALIBRATION ---
+// Learns how our smoker actually runs from completed cooks. Each record keeps
+// the model's un-buffered estimate next to what really happened; the ratio
+// between them becomes a per-meat, per-temp correction factor, and the scatter
+// of those ratios sizes the safety buffer.
+
+export const DEFAULT_BUFFER = 0.15;
+const MIN_BUFFER = 0.05;
+const MAX_BUFFER = 0.30;
+// ~90% of cooks finish inside mean + 1.28σ
+const BUFFER_Z = 1.28;
+// Cooks needed before the observed scatter replaces the default buffer.
+const MIN_BUFFER_SAMPLES = 3;
+// The factor starts at 1.0 with this much weight, so one odd cook can't swing it.
+const PRIOR_WEIGHT = 1;
+const TEMP_BUCKET = 25;
+
+export const tempBucket = (temp) => Math.round(temp / TEMP_BUCKET) * TEMP_BUCKET;
+
+const toDate = (value) => (value instanceof Date ? value : parseISO(value));
+
+// Snapshot of a finished cook. `actual` holds Dates for startCook/finishCook (wrapTime optional).
+export function buildCookRecord(inputs, plan, actual, completedAt = new Date()) {
+  return {
+      id: `${inputs.meatType}-${completedAt.getTime()}`,
+      completedAt: completedAt.toISOString(),
+      meatType: inputs.meatType,
+      temp: inputs.temp,
+      weight: inputs.weight,
+      wrapStrategy: inputs.wrapStrategy,
+      modelCookMinutes: plan.modelCookMinutes,
+      weatherFactor: plan.weather ? plan.weather.factor : 1,
+      planned: {
+          startCook: plan.startCook.toISOString(),
+          wrapTime: plan.wrapTime.toISOString(),
+          finishCook: plan.finishCook.toISOString()
+      },
+      actual: {
+          startCook: actual.startCook.toISOString(),
+          wrapTime: actual.wrapTime ? actual.wrapTime.toISOString() : null,
+          finishCook: actual.finishCook.toISOString()
+      }
+  };
+}
+
+// How long the cook really took relative to the model (1.2 = 20% slower).
+// Weather slowdown the plan already expected is taken out, so a cold day
+// doesn't teach us that the meat itself cooks slow.
+export const recordRatio = (record) =>
+  differenceInMinutes(toDate(record.actual.finishCook), toDate(record.actual.startCook))
+      / (record.modelCookMinutes * (record.weatherFactor || 1));
+
+const usable = (records) => records.filter(r => r.modelCookMinutes > 0 && recordRatio(r) > 0);
+
+const shrunkMean = (ratios) => (ratios.reduce((a, b) => a + b, 0) + PRIOR_WEIGHT) / (ratios.length + PRIOR_WEIGHT);
+
+// { factors: { 'brisket': {factor, samples}, 'brisket@250': {...} }, buffer, samples }
+export function buildCalibration(records) {
+  const valid = usable(records);
+  const groups = {};
+  valid.forEach((record) => {
+      const ratio = recordRatio(record);
+      [record.meatType, `${record.meatType}@${tempBucket(record.temp)}`].forEach((key) => {
+          (groups[key] = groups[key] || []).push(ratio);
+      });
+  });
+
+  const factors = {};
+  Object.entries(groups).forEach(([key, ratios]) => {
+      factors[key] = { factor: shrunkMean(ratios), samples: ratios.length };
+  });
+
+  // Residual scatter once each cook is corrected by its own group's factor
+  let buffer = DEFAULT_BUFFER;
+  if (valid.length >= MIN_BUFFER_SAMPLES) {
+      const residuals = valid.map((record) => {
+          const { factor } = correctionFor({ factors }, record.meatType, record.temp);
+          return recordRatio(record) / factor - 1;
+      });
+      const mean = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+      const variance = residuals.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (residuals.length - 1);
+      buffer = Math.min(MAX_BUFFER, Math.max(MIN_BUFFER, mean + BUFFER_Z * Math.sqrt(variance)));
+  }
+
+  return { factors, buffer, samples: valid.length };
+}
+
+// Most specific factor we have: meat at this temp, else the meat overall, else none.
+export function correctionFor(calibration, meatType, temp) {
+  const factors = calibration?.factors || {};
+  const exact = factors[`${meatType}@${tempBucket(temp)}`];
+  if (exact) return { ...exact, scope: 'temp' };
+  const meat = factors[meatType];
+  if (meat) return { ...meat, scope: 'meat' };
+  return { factor: 1, samples: 0, scope: 'none' };
+}
+
+// Factor after each cook for one meat, oldest first, to show how it drifted.
+export function calibrationDrift(records, meatType) {
+  const mine = usable(records)
+      .filter(r => r.meatType === meatType)
+      .sort((a, b) => toDate(a.completedAt) - toDate(b.completedAt));
+
+  const ratios = [];
+  return mine.map((record) => {
+      ratios.push(recordRatio(record));
+      return { completedAt: toDate(record.completedAt), ratio: recordRatio(record), factor: shrunkMean(ratios) };
+  });
+}
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { addMinutes } from 'date-fns';
+import {
+  buildCookRecord, recordRatio, buildCalibration, correctionFor, calibrationDrift, tempBucket, DEFAULT_BUFFER,
+} from './calibration';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+// A finished cook that took `ratio` × the model's un-buffered estimate.
+const record = (meatType, temp, ratio, day = 1) => {
+  const modelCookMinutes = 600;
+  const start = new Date(2024, 5, day, 6, 0);
+  return {
+    id: `${meatType}-${day}-${temp}-${ratio}`,
+    completedAt: new Date(2024, 5, day, 20, 0).toISOString(),
+    meatType,
+    temp,
+    weight: 10,
+    wrapStrategy: 'foil',
+    modelCookMinutes,
+    planned: { startCook: start.toISOString(), wrapTime: start.toISOString(), finishCook: addMinutes(start, 690).toISOString() },
+    actual: { startCook: start.toISOString(), wrapTime: null, finishCook: addMinutes(start, modelCookMinutes * ratio).toISOString() },
+  };
+};
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...profileDefaults(meatType), prepTime: 45, serveTime: '2024-07-04T18:00', spritzEnabled: false, ...overrides,
+});
+
+describe('buildCookRecord', () => {
+  it('captures the plan, the model estimate and the actual times', () => {
+    const inputs = inputsFor('brisket');
+    const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+    const actual = { startCook: plan.startCook, wrapTime: null, finishCook: addMinutes(plan.startCook, plan.modelCookMinutes * 1.1) };
+    const rec = buildCookRecord(inputs, plan, actual, NOW);
+
+    expect(rec).toMatchObject({ meatType: 'brisket', temp: 250, weight: 12, wrapStrategy: 'foil_pan', modelCookMinutes: plan.modelCookMinutes });
+    expect(rec.actual.wrapTime).toBeNull();
+    expect(rec.planned.finishCook).toBe(plan.finishCook.toISOString());
+    expect(recordRatio(rec)).toBeCloseTo(1.1, 2);
+  });
+
+  it('takes the expected weather slowdown out of the ratio', () => {
+    const inputs = inputsFor('brisket', { ambientTemp: 20 });
+    const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+    const expected = plan.modelCookMinutes * plan.weather.factor;
+    const rec = buildCookRecord(inputs, plan, { startCook: plan.startCook, wrapTime: null, finishCook: addMinutes(plan.startCook, expected) }, NOW);
+
+    expect(rec.weatherFactor).toBeGreaterThan(1);
+    expect(recordRatio(rec)).toBeCloseTo(1, 2);
+  });
+});
+
+describe('buildCalibration', () => {
+  it('is neutral with no history', () => {
+    expect(buildCalibration([])).toEqual({ factors: {}, buffer: DEFAULT_BUFFER, samples: 0 });
+  });
+
+  it('shrinks the factor toward 1.0 with few cooks', () => {
+    const { factors } = buildCalibration([record('brisket', 250, 1.2)]);
+    expect(factors.brisket.factor).toBeCloseTo(1.1);
+    expect(factors['brisket@250'].samples).toBe(1);
+  });
+
+  it('tracks per-meat and per-temp factors', () => {
+    const { factors } = buildCalibration([
+      record('brisket', 225, 1.3, 1), record('brisket', 225, 1.3, 2),
+      record('brisket', 275, 0.9, 3),
+    ]);
+    expect(factors['brisket@225'].factor).toBeCloseTo(1.2);
+    expect(factors['brisket@275'].factor).toBeCloseTo(0.95);
+    expect(factors.brisket.samples).toBe(3);
+  });
+
+  it('keeps the default buffer until there are enough cooks', () => {
+    expect(buildCalibration([record('ribs', 250, 1.0, 1), record('ribs', 250, 1.5, 2)]).buffer).toBe(DEFAULT_BUFFER);
+  });
+
+  it('sizes the buffer from the observed scatter, within bounds', () => {
+    const steady = buildCalibration([1.0, 1.01, 0.99, 1.0].map((r, i) => record('porkButt', 250, r, i + 1)));
+    expect(steady.buffer).toBe(0.05);
+
+    const wild = buildCalibration([0.7, 1.4, 0.8, 1.5].map((r, i) => record('porkButt', 250, r, i + 1)));
+    expect(wild.buffer).toBe(0.30);
+  });
+});
+
+describe('correctionFor', () => {
+  const calibration = buildCalibration([record('brisket', 250, 1.2)]);
+
+  it('prefers the meat at this temp bucket', () => {
+    expect(correctionFor(calibration, 'brisket', 245)).toMatchObject({ scope: 'temp', samples: 1 });
+  });
+
+  it('falls back to the meat overall, then to no correction', () => {
+    expect(correctionFor(calibration, 'brisket', 300).scope).toBe('meat');
+    expect(correctionFor(calibration, 'ribs', 250)).toEqual({ factor: 1, samples: 0, scope: 'none' });
+    expect(correctionFor(null, 'ribs', 250).factor).toBe(1);
+  });
+
+  it('buckets temps to the nearest 25°F', () => {
+    expect(tempBucket(235)).toBe(225);
+    expect(tempBucket(240)).toBe(250);
+  });
+});
+
+describe('calibrationDrift', () => {
+  it('shows the factor after each cook, oldest first', () => {
+    const drift = calibrationDrift([record('ribs', 250, 1.4, 3), record('ribs', 250, 1.2, 1), record('brisket', 250, 2, 2)], 'ribs');
+    expect(drift.map(d => d.ratio)).toEqual([1.2, 1.4]);
+    expect(drift[0].factor).toBeCloseTo(1.1);
+    expect(drift[1].factor).toBeCloseTo(1.2);
+  });
+});
+
+describe('calibrated plans', () => {
+  it('stretches the cook by the learned factor and uses the learned buffer', () => {
+    const inputs = inputsFor('brisket');
+    const base = computePlan(inputs, MEAT_PROFILES, NOW).plan;
+    const calibration = { factors: { 'brisket@250': { factor: 1.2, samples: 4 } }, buffer: 0.1, samples: 4 };
+    const tuned = computePlan(inputs, MEAT_PROFILES, NOW, calibration).plan;
+
+    expect(tuned.modelCookMinutes).toBe(base.modelCookMinutes);
+    expect(Number(tuned.totalCookHours)).toBeCloseTo((base.modelCookMinutes / 60) * 1.2 * 1.1, 1);
+    expect(tuned.calibration).toEqual({ factor: 1.2, samples: 4, scope: 'temp', buffer: 0.1 });
+  });
+
+  it('reports no correction without history', () => {
+    const { plan } = computePlan(inputsFor('ribs'), MEAT_PROFILES, NOW);
+    expect(plan.calibration).toEqual({ factor: 1, samples: 0, scope: 'none', buffer: DEFAULT_BUFFER });
+  });
+});
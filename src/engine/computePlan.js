@@ -0,0 +1,205 @@
+import { addMinutes, subMinutes, differenceInHours, parseISO, isValid } from 'date-fns';
+import { MEAT_PROFILES, WRAP_STRATEGIES, isPoultryType } from './profiles';
+import { cookRate } from './cookRate';
+import { correctionFor, DEFAULT_BUFFER } from './calibration';
+import { estimatePellets } from './pellets';
+import { assessWeather, weatherWarnings } from './weather';
+import { restWindow, restWarnings } from './restHold';
+import { evaluateRules, thawFactor } from './safetyRules';
+import { buildPrepSteps } from './prepSteps';
+import { scheduleSides } from './sideDishes';
+import { scheduleStages, scheduleSegments, segmentHours, hoursAtFraction } from './tempSchedule';
+import { ENGLISH } from './i18n';
+
+// --- LOGIC ENGINE ---
+// Pure plan calculation: takes the planner inputs and returns the timeline and
+// warnings as plain data. `plan` is null until there is enough to schedule.
+// Plans run backwards from the serve time, or forwards from the start time
+// when `planMode` is 'start'.
+// `calibration` (see calibration.js) corrects the rate and buffer from history;
+// `i18n` (see i18n.js) sets the language and units of the warnings.
+export function computePlan(inputs, profiles = MEAT_PROFILES, now = new Date(), calibration = null, i18n = ENGLISH) {
+  const empty = { plan: null, warnings: [] };
+  const forward = inputs.planMode === 'start';
+  const anchorTime = forward ? inputs.startTime : inputs.serveTime;
+  if (!anchorTime || !inputs.weight || !inputs.temp) return empty;
+
+  const profile = profiles[inputs.meatType];
+  if (!profile) return empty;
+  const isPoultry = isPoultryType(inputs.meatType, profiles);
+
+  // 1. Base Rate (interpolated along the profile's temp curve, for each temp in the schedule)
+  const stages = scheduleStages(inputs);
+  const rates = stages.map(stage => ({ temp: stage.temp, ...cookRate(profile, stage.temp) }));
+
+  const wrapMod = WRAP_STRATEGIES[inputs.wrapStrategy].multiplier;
+
+  // 2. Cook Duration Calc (whole cook at one temp, then split by the schedule)
+  const stageHours = (temp) => {
+      let hours = inputs.weight * rates.find(r => r.temp === temp).rate;
+      // Spatchcock Modifier
+      if (inputs.isSpatchcock && isPoultry) hours = hours * 0.75;
+      // Thaw Modifier (a partly frozen centre takes longer)
+      hours = hours * thawFactor(inputs);
+      // Wrap Modifier
+      return hours * wrapMod;
+  };
+
+  // Wrap Milestone (share of the cook done at the wrap, later for a hotter wrap temp)
+  let wrapTimingFactor = profile.stallFactor;
+  if (inputs.wrapStrategy !== 'none') {
+      // Adjust wrap timing based on user's custom Wrap Temp
+      const tempDiff = inputs.wrapTemp - 160;
+      if (tempDiff > 0) wrapTimingFactor += (tempDiff * 0.005);
+  }
+
+  let segments = scheduleSegments(stages, wrapTimingFactor, stageHours);
+  const scheduleHours = segmentHours(segments);
+  let adjustedCookHours = scheduleHours;
+
+  // 3. Spritz Tax (a non-positive interval would never finish counting)
+  let spritzCount = 0;
+  if (inputs.spritzEnabled && inputs.spritzInterval > 0) {
+      const estDurationMins = adjustedCookHours * 60;
+      const spritzWindowMins = estDurationMins - inputs.spritzStart;
+      if (spritzWindowMins > 0) {
+          spritzCount = Math.floor(spritzWindowMins / inputs.spritzInterval);
+      }
+  }
+  const spritzPenaltyHours = (spritzCount * 15) / 60;
+  adjustedCookHours += spritzPenaltyHours;
+
+  // 4. Calibration (correction learned from our completed cooks)
+  const modelCookMinutes = adjustedCookHours * 60;
+  const correction = correctionFor(calibration, inputs.meatType, inputs.temp);
+  adjustedCookHours *= correction.factor;
+
+  const anchor = parseISO(anchorTime);
+  if (!isValid(anchor)) return empty;
+  // Forwards the entered time is Start Prep, so the meat goes on prepTime
+  // later; backwards the pull time is fixed
+  const fixedStart = forward ? addMinutes(anchor, inputs.prepTime) : null;
+  const fixedFinish = forward ? null : subMinutes(anchor, inputs.restTime);
+  const cookWindow = (minutes) => (forward
+      ? [fixedStart, addMinutes(fixedStart, minutes)]
+      : [subMinutes(fixedFinish, minutes), fixedFinish]);
+
+  // 5. Weather (cold, wind and rain over the cook window slow the pit down).
+  // The window depends on the buffered duration, so settle it in two passes.
+  const bufferShare = calibration ? calibration.buffer : DEFAULT_BUFFER;
+  const calmCookHours = adjustedCookHours;
+  let weather = assessWeather(inputs, ...cookWindow(calmCookHours * (1 + bufferShare) * 60), i18n);
+  weather = assessWeather(inputs, ...cookWindow(calmCookHours * weather.factor * (1 + bufferShare) * 60), i18n);
+  adjustedCookHours = calmCookHours * weather.factor;
+
+  // 6. Buffer (observed variability once there is history, else 15% for pellet variability)
+  const bufferHours = adjustedCookHours * bufferShare;
+  let totalCookMinutes = (adjustedCookHours + bufferHours) * 60;
+
+  // Timed temp changes are in real minutes, which the steps above stretched;
+  // re-split the schedule at that stretch so they land on the minute.
+  const scale = totalCookMinutes / (scheduleHours * 60);
+  if (stages.some(stage => stage.trigger === 'elapsed')) {
+      segments = scheduleSegments(stages, wrapTimingFactor, stageHours, scale);
+      totalCookMinutes = segmentHours(segments) * scale * 60;
+  }
+
+  // 7. Timeline Generation (backwards from serve, or forwards from the start)
+  const startCookTime = forward ? fixedStart : subMinutes(fixedFinish, totalCookMinutes);
+  const finishCookTime = forward ? addMinutes(fixedStart, totalCookMinutes) : fixedFinish;
+  const serveDate = forward ? addMinutes(finishCookTime, inputs.restTime) : anchor;
+  const startPrepTime = subMinutes(startCookTime, inputs.prepTime);
+  const rest = restWindow(profile, inputs, serveDate);
+
+  // Realistic serve range: from the cook needing none of its buffer and only
+  // the minimum rest, to it overrunning the buffer again with the full rest.
+  const expectedCookMinutes = totalCookMinutes / (1 + bufferShare);
+  const serveRange = {
+      earliest: addMinutes(startCookTime, expectedCookMinutes + Math.min(profile.rest.min, inputs.restTime)),
+      latest: addMinutes(startCookTime, 2 * totalCookMinutes - expectedCookMinutes + inputs.restTime),
+  };
+
+  const atModelHours = (hours) => addMinutes(startCookTime, hours * scale * 60);
+  const wrapTime = atModelHours(hoursAtFraction(segments, wrapTimingFactor));
+  const tempStages = segments.map(seg => ({ temp: seg.temp, trigger: seg.trigger, start: atModelHours(seg.startHours), end: atModelHours(seg.startHours + seg.hours) }));
+
+  // Spritz Window Calculation
+  let spritzStartTime = null;
+  let spritzEndTime = null;
+  if (inputs.spritzEnabled && spritzCount > 0) {
+      spritzStartTime = addMinutes(startCookTime, inputs.spritzStart);
+      // Stop spritzing when wrapped
+      spritzEndTime = inputs.wrapStrategy !== 'none' ? wrapTime : subMinutes(finishCookTime, 60);
+  }
+
+  // --- WARNINGS ---
+  const warnings = [];
+  const { t } = i18n;
+  const meat = i18n.label('meat', inputs.meatType, profile.label);
+
+  // Temp Outside Profile Data
+  rates.filter((r, i) => r.outOfRange && rates.findIndex(o => o.temp === r.temp) === i).forEach((r) => {
+      warnings.push({
+          type: 'quality',
+          msg: t('warn.outOfRange', { meat, min: r.range.min, max: r.range.max, temp: r.temp })
+      });
+  });
+
+  // Food safety and quality rules (see safetyRules.js)
+  warnings.push(...evaluateRules({ inputs, profile, isPoultry, meat, rest, tempStages }, i18n));
+
+  warnings.push(...restWarnings(rest, inputs, profile, i18n));
+  warnings.push(...weatherWarnings(weather, totalCookMinutes, i18n));
+
+  // Brining, injecting, rubbing and thawing ahead of the prep (see prepSteps.js)
+  const prep = buildPrepSteps(startPrepTime, inputs, now, i18n);
+  warnings.push(...prep.warnings);
+
+  const hoursUntilServe = differenceInHours(serveDate, now);
+  const affiliateMode = hoursUntilServe < 24 ? 'instant' : 'planning';
+
+  const plan = {
+      prepSteps: prep.steps,
+      startPrep: startPrepTime,
+      startCook: startCookTime,
+      wrapTime: wrapTime,
+      finishCook: finishCookTime,
+      serve: serveDate,
+      serveRange,
+      planMode: forward ? 'start' : 'serve',
+      spritzWindow: spritzStartTime ? { start: spritzStartTime, end: spritzEndTime, count: spritzCount, interval: inputs.spritzInterval, type: i18n.label('spritz', inputs.meatType, profile.spritz.type) } : null,
+      totalCookHours: (totalCookMinutes / 60).toFixed(1),
+      modelCookMinutes,
+      calibration: { factor: correction.factor, samples: correction.samples, scope: correction.scope, buffer: bufferShare },
+      affiliateMode,
+      isPoultry,
+      isWrapped: inputs.wrapStrategy !== 'none',
+      weather,
+      tempStages,
+      rest
+  };
+  plan.pellets = estimatePellets(plan, inputs);
+
+  // Side dishes fit around the finished timeline (see sideDishes.js)
+  const sides = scheduleSides(plan, inputs, i18n);
+  plan.sides = sides.sides;
+  warnings.push(...sides.warnings);
+
+  return { plan, warnings };
+}
+
+// Individual spritz/baste times inside a plan's spritz window, stopping at the
+// window's end (the wrap, or an hour before finish when cooking naked). Times
+// in `skipped` (quiet hours, see quietHours.js) are left out.
+export function expandSpritzTimes(spritzWindow) {
+  if (!spritzWindow) return [];
+
+  const skipped = (spritzWindow.skipped || []).map(time => time.getTime());
+  const times = [];
+  for (let i = 0; i < spritzWindow.count; i++) {
+      const time = addMinutes(spritzWindow.start, i * spritzWindow.interval);
+      if (time > spritzWindow.end) break;
+      if (!skipped.includes(time.getTime())) times.push(time);
+  }
+  return times;
+}
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes, format } from 'date-fns';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, WRAP_STRATEGIES } from './profiles';
+
+const SERVE = '2024-07-04T18:00';
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const defaultsFor = (meatType, overrides = {}) => {
+  const profile = MEAT_PROFILES[meatType];
+  return {
+    meatType,
+    weight: profile.defaultWeight,
+    temp: 250,
+    restTime: profile.rest.default,
+    serveTime: SERVE,
+    prepTime: 45,
+    wrapStrategy: 'foil',
+    wrapTemp: 165,
+    targetTemp: profile.defaultTargetTemp,
+    spritzEnabled: profile.spritz.recommended,
+    spritzStart: profile.spritz.startAfter,
+    spritzInterval: profile.spritz.interval,
+    isSpatchcock: false,
+    fatSideUp: false,
+    ...overrides,
+  };
+};
+
+// Minutes between a milestone and the serve time (positive = before serve).
+const leadTime = (plan, key) => differenceInMinutes(plan.serve, plan[key]);
+
+describe('computePlan', () => {
+  it('returns no plan until a serve time and weight are set', () => {
+    expect(computePlan(defaultsFor('brisket', { serveTime: '' }), MEAT_PROFILES, NOW)).toEqual({ plan: null, warnings: [] });
+    expect(computePlan(defaultsFor('brisket', { weight: 0 }), MEAT_PROFILES, NOW).plan).toBeNull();
+    expect(computePlan(defaultsFor('brisket', { serveTime: 'not a date' }), MEAT_PROFILES, NOW).plan).toBeNull();
+  });
+
+  it('returns no plan for an unknown meat type', () => {
+    expect(computePlan(defaultsFor('brisket', { meatType: 'mystery' }), MEAT_PROFILES, NOW).plan).toBeNull();
+  });
+
+  describe('every meat profile at 250°F in foil', () => {
+    const expected = {
+      brisket: { totalCookHours: '21.0', startCook: 1379, wrapTime: 529, spritzCount: 13 },
+      porkButt: { totalCookHours: '11.8', startCook: 755, wrapTime: 311, spritzCount: 6 },
+      ribs: { totalCookHours: '7.5', startCook: 463, wrapTime: 228, spritzCount: 5 },
+      turkey: { totalCookHours: '6.9', startCook: 444, wrapTime: 102, spritzCount: null },
+      chicken: { totalCookHours: '3.5', startCook: 222, wrapTime: 40, spritzCount: null },
+    };
+
+    it('covers every profile', () => {
+      expect(Object.keys(expected).sort()).toEqual(Object.keys(MEAT_PROFILES).sort());
+    });
+
+    Object.entries(expected).forEach(([meatType, want]) => {
+      it(meatType, () => {
+        const { plan } = computePlan(defaultsFor(meatType), MEAT_PROFILES, NOW);
+        expect(plan.totalCookHours).toBe(want.totalCookHours);
+        expect(leadTime(plan, 'startCook')).toBe(want.startCook);
+        expect(leadTime(plan, 'wrapTime')).toBe(want.wrapTime);
+        expect(leadTime(plan, 'finishCook')).toBe(MEAT_PROFILES[meatType].rest.default);
+        expect(leadTime(plan, 'startPrep')).toBe(want.startCook + 45);
+        expect(plan.spritzWindow?.count ?? null).toBe(want.spritzCount);
+      });
+    });
+  });
+
+  describe('every wrap strategy on a 12lb brisket', () => {
+    const expected = {
+      foil_pan: { totalCookHours: '19.8', startCook: 1310, wrapTime: 506, spritzCount: 12, spritzEnd: 506 },
+      foil: { totalCookHours: '21.0', startCook: 1379, wrapTime: 529, spritzCount: 13, spritzEnd: 529 },
+      paper: { totalCookHours: '22.7', startCook: 1479, wrapTime: 561, spritzCount: 14, spritzEnd: 561 },
+      none: { totalCookHours: '26.2', startCook: 1689, wrapTime: 669, spritzCount: 16, spritzEnd: 180 },
+    };
+
+    it('covers every strategy', () => {
+      expect(Object.keys(expected).sort()).toEqual(Object.keys(WRAP_STRATEGIES).sort());
+    });
+
+    Object.entries(expected).forEach(([wrapStrategy, want]) => {
+      it(wrapStrategy, () => {
+        const { plan } = computePlan(defaultsFor('brisket', { wrapStrategy }), MEAT_PROFILES, NOW);
+        expect(plan.totalCookHours).toBe(want.totalCookHours);
+        expect(leadTime(plan, 'startCook')).toBe(want.startCook);
+        expect(leadTime(plan, 'wrapTime')).toBe(want.wrapTime);
+        expect(plan.spritzWindow.count).toBe(want.spritzCount);
+        expect(differenceInMinutes(plan.serve, plan.spritzWindow.end)).toBe(want.spritzEnd);
+        expect(plan.spritzWindow.type).toBe('Apple Cider Vinegar');
+      });
+    });
+  });
+
+  it('starts the spritz window spritzStart minutes after the meat goes on', () => {
+    const { plan } = computePlan(defaultsFor('brisket'), MEAT_PROFILES, NOW);
+    expect(differenceInMinutes(plan.spritzWindow.start, plan.startCook)).toBe(120);
+  });
+
+  it('drops the spritz window when spritzing is disabled', () => {
+    const { plan } = computePlan(defaultsFor('brisket', { spritzEnabled: false }), MEAT_PROFILES, NOW);
+    expect(plan.spritzWindow).toBeNull();
+    // 12lb × 1.25 h/lb × 1.15 buffer, no spritz tax
+    expect(plan.totalCookHours).toBe('17.3');
+  });
+
+  it('shortens spatchcocked poultry by 25% but ignores the flag for other meats', () => {
+    const whole = computePlan(defaultsFor('chicken'), MEAT_PROFILES, NOW).plan;
+    const flat = computePlan(defaultsFor('chicken', { isSpatchcock: true }), MEAT_PROFILES, NOW).plan;
+    expect(flat.totalCookHours).toBe('2.6');
+    expect(leadTime(flat, 'startCook')).toBeLessThan(leadTime(whole, 'startCook'));
+
+    const brisket = computePlan(defaultsFor('brisket', { isSpatchcock: true }), MEAT_PROFILES, NOW).plan;
+    expect(brisket.totalCookHours).toBe('21.0');
+  });
+
+  it('pushes the wrap later for wrap temps above 160°F', () => {
+    const at160 = computePlan(defaultsFor('brisket', { wrapTemp: 160 }), MEAT_PROFILES, NOW).plan;
+    const at170 = computePlan(defaultsFor('brisket', { wrapTemp: 170 }), MEAT_PROFILES, NOW).plan;
+    expect(leadTime(at170, 'wrapTime')).toBeLessThan(leadTime(at160, 'wrapTime'));
+  });
+
+  it('stretches the cook for meat that goes on partly frozen', () => {
+    const thawed = computePlan(defaultsFor('brisket'), MEAT_PROFILES, NOW).plan;
+    const partial = computePlan(defaultsFor('brisket', { thawState: 'partial' }), MEAT_PROFILES, NOW).plan;
+    expect(Number(partial.totalCookHours)).toBeCloseTo(Number(thawed.totalCookHours) * 1.25, 0);
+  });
+
+  it('interpolates arbitrary pit temps instead of falling back to 1.0 h/lb', () => {
+    const { plan, warnings } = computePlan(defaultsFor('brisket', { temp: 235, spritzEnabled: false }), MEAT_PROFILES, NOW);
+    // 12lb × 1.4 h/lb × 1.15 buffer
+    expect(plan.totalCookHours).toBe('19.3');
+    expect(warnings).toEqual([]);
+  });
+
+  it('warns when the pit temp is outside the profile data', () => {
+    const { plan, warnings } = computePlan(defaultsFor('porkButt', { temp: 300, spritzEnabled: false }), MEAT_PROFILES, NOW);
+    // 8lb × 0.9 h/lb (extrapolated) × 1.15 buffer
+    expect(plan.totalCookHours).toBe('8.3');
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].msg).toContain('225–275°F');
+  });
+
+  it('returns no plan without a pit temp', () => {
+    expect(computePlan(defaultsFor('brisket', { temp: NaN }), MEAT_PROFILES, NOW).plan).toBeNull();
+  });
+
+  it('warns about large turkeys cooked low', () => {
+    const { warnings } = computePlan(defaultsFor('turkey', { weight: 16, temp: 250 }), MEAT_PROFILES, NOW);
+    expect(warnings.map(w => w.type)).toEqual(['safety']);
+
+    const spatchcocked = computePlan(defaultsFor('turkey', { weight: 16, temp: 250, isSpatchcock: true }), MEAT_PROFILES, NOW);
+    expect(spatchcocked.warnings).toEqual([]);
+  });
+
+  it('warns about rubbery skin on unwrapped poultry below 275°F', () => {
+    const low = computePlan(defaultsFor('chicken', { wrapStrategy: 'none', temp: 250 }), MEAT_PROFILES, NOW);
+    expect(low.warnings.map(w => w.type)).toEqual(['quality']);
+
+    const hot = computePlan(defaultsFor('chicken', { wrapStrategy: 'none', temp: 275 }), MEAT_PROFILES, NOW);
+    expect(hot.warnings).toEqual([]);
+  });
+
+  it('picks the affiliate mode from how far away the serve time is', () => {
+    const far = computePlan(defaultsFor('brisket'), MEAT_PROFILES, NOW).plan;
+    expect(far.affiliateMode).toBe('planning');
+
+    const soon = computePlan(defaultsFor('brisket'), MEAT_PROFILES, new Date(2024, 6, 4, 6, 0)).plan;
+    expect(soon.affiliateMode).toBe('instant');
+  });
+
+  it('flags poultry plans', () => {
+    expect(computePlan(defaultsFor('turkey'), MEAT_PROFILES, NOW).plan.isPoultry).toBe(true);
+    expect(computePlan(defaultsFor('ribs'), MEAT_PROFILES, NOW).plan.isPoultry).toBe(false);
+  });
+
+  it('plans forwards from a start time', () => {
+    const forward = computePlan(defaultsFor('brisket', { planMode: 'start', startTime: '2024-07-04T06:00', serveTime: '' }), MEAT_PROFILES, NOW).plan;
+    expect(forward.planMode).toBe('start');
+    expect(forward.startPrep).toEqual(new Date(2024, 6, 4, 6, 0));
+    expect(differenceInMinutes(forward.startCook, forward.startPrep)).toBe(45);
+    expect(leadTime(forward, 'finishCook')).toBe(MEAT_PROFILES.brisket.rest.default);
+
+    // Planning backwards from that serve time lands on the same start
+    const serveTime = format(forward.serve, "yyyy-MM-dd'T'HH:mm");
+    const backward = computePlan(defaultsFor('brisket', { serveTime }), MEAT_PROFILES, NOW).plan;
+    expect(Math.abs(differenceInMinutes(backward.startPrep, forward.startPrep))).toBeLessThanOrEqual(1);
+    expect(backward.totalCookHours).toBe(forward.totalCookHours);
+  });
+
+  it('needs a start time when planning forwards', () => {
+    expect(computePlan(defaultsFor('brisket', { planMode: 'start', startTime: '' }), MEAT_PROFILES, NOW).plan).toBeNull();
+  });
+
+  it('brackets the serve time with a realistic range', () => {
+    const { plan } = computePlan(defaultsFor('brisket'), MEAT_PROFILES, NOW);
+    const { earliest, latest } = plan.serveRange;
+    expect(earliest < plan.serve && plan.serve < latest).toBe(true);
+
+    // Early by the whole buffer and the rest cut to the minimum; late by the buffer again
+    const buffer = differenceInMinutes(plan.finishCook, plan.startCook) * 0.15 / 1.15;
+    const { rest } = MEAT_PROFILES.brisket;
+    expect(differenceInMinutes(plan.serve, earliest)).toBeCloseTo(buffer + rest.default - rest.min, -1);
+    expect(differenceInMinutes(latest, plan.serve)).toBeCloseTo(buffer, -1);
+  });
+});
@@ -0,0 +1,90 @@
+import { computePlan, expandSpritzTimes } from './computePlan';
+import { MEAT_PROFILES } from './profiles';
+import { ENGLISH } from './i18n';
+
+// --- SESSION ENGINE ---
+// Plans several items against one serve time and one pit temperature, then
+// merges every item's milestones into a single timeline.
+
+const ACTIONS = {
+  prep: "Start Prep",
+  on: "On the Grate",
+  spritz: "Spritz / Baste",
+  wrap: "Wrap",
+  stall: "The Stall",
+  off: "Pull & Rest",
+  serve: "Serve",
+};
+
+// Actions that need hands on the pit (two at the same minute is a conflict).
+const HANDS_ON = ['on', 'spritz', 'wrap', 'off'];
+
+const minuteKey = (date) => Math.floor(date.getTime() / 60000);
+
+const itemLabel = (item, profiles, i18n) => item.name || i18n.label('meat', item.meatType, profiles[item.meatType]?.label || item.meatType);
+
+export function computeSession(session, profiles = MEAT_PROFILES, now = new Date(), calibration = null, i18n = ENGLISH) {
+  const items = [];
+  const conflicts = [];
+
+  session.items.forEach((item) => {
+      // Item-level temp is what the item would prefer; the pit runs at the session temp.
+      const inputs = { ...item, temp: session.temp, planMode: 'serve', serveTime: session.serveTime };
+      const { plan, warnings } = computePlan(inputs, profiles, now, calibration, i18n);
+      if (!plan) return;
+
+      items.push({ id: item.id, label: itemLabel(item, profiles, i18n), inputs, plan, warnings });
+
+      if (item.temp && item.temp !== session.temp) {
+          conflicts.push({
+              type: 'temp',
+              itemIds: [item.id],
+              msg: i18n.t('session.tempConflict', { item: itemLabel(item, profiles, i18n), want: item.temp, pit: session.temp })
+          });
+      }
+  });
+
+  if (items.length === 0) return { items, timeline: [], conflicts, startPrep: null, serve: null };
+
+  // --- MERGED TIMELINE ---
+  const timeline = [];
+  items.forEach(({ id, label, inputs, plan }) => {
+      const push = (action, time) => timeline.push({ itemId: id, itemLabel: label, action, label: i18n.t(ACTIONS[action]), time });
+
+      push('prep', plan.startPrep);
+      push('on', plan.startCook);
+      expandSpritzTimes(plan.spritzWindow).forEach(time => push('spritz', time));
+      push(inputs.wrapStrategy !== 'none' ? 'wrap' : 'stall', plan.wrapTime);
+      push('off', plan.finishCook);
+  });
+  timeline.sort((a, b) => a.time - b.time);
+
+  // --- COLLISIONS ---
+  const byMinute = new Map();
+  timeline.filter(e => HANDS_ON.includes(e.action)).forEach((event) => {
+      const key = minuteKey(event.time);
+      if (!byMinute.has(key)) byMinute.set(key, []);
+      byMinute.get(key).push(event);
+  });
+  byMinute.forEach((events) => {
+      const itemIds = [...new Set(events.map(e => e.itemId))];
+      if (itemIds.length < 2) return;
+      conflicts.push({
+          type: 'collision',
+          itemIds,
+          time: events[0].time,
+          msg: i18n.t('session.collision', { events: events.map(e => `${e.itemLabel}: ${e.label}`).join(' + ') })
+      });
+  });
+
+  const serve = items[0].plan.serve;
+  timeline.push({ itemId: null, itemLabel: null, action: 'serve', label: i18n.t(ACTIONS.serve), time: serve });
+
+  return {
+      items,
+      timeline,
+      conflicts,
+      startPrep: timeline[0].time,
+      serve
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes } from 'date-fns';
+import { computeSession } from './computeSession';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const item = (id, meatType, overrides = {}) => ({ id, ...profileDefaults(meatType), prepTime: 45, ...overrides });
+
+const session = (items, overrides = {}) => ({ serveTime: '2024-07-04T18:00', temp: 250, items, ...overrides });
+
+describe('computeSession', () => {
+  it('returns an empty session until there is a serve time', () => {
+    const result = computeSession(session([item('a', 'brisket')], { serveTime: '' }), MEAT_PROFILES, NOW);
+    expect(result.items).toEqual([]);
+    expect(result.timeline).toEqual([]);
+  });
+
+  it('plans every item against the shared serve time and pit temp', () => {
+    const result = computeSession(session([item('a', 'brisket'), item('b', 'ribs')]), MEAT_PROFILES, NOW);
+    expect(result.items.map(i => i.id)).toEqual(['a', 'b']);
+    result.items.forEach(({ plan, inputs }) => {
+      expect(inputs.temp).toBe(250);
+      expect(plan.serve).toEqual(result.serve);
+    });
+    // Brisket needs far longer than ribs, so it goes on first
+    const [brisket, ribs] = result.items;
+    expect(brisket.plan.startCook < ribs.plan.startCook).toBe(true);
+  });
+
+  it('merges milestones into one sorted timeline ending at serve', () => {
+    const result = computeSession(session([item('a', 'brisket'), item('b', 'chicken')]), MEAT_PROFILES, NOW);
+    const times = result.timeline.map(e => e.time.getTime());
+    expect(times).toEqual([...times].sort((x, y) => x - y));
+    expect(result.timeline[result.timeline.length - 1].action).toBe('serve');
+    expect(result.startPrep).toEqual(result.timeline[0].time);
+
+    const chickenActions = result.timeline.filter(e => e.itemId === 'b').map(e => e.action);
+    expect(chickenActions).toEqual(['prep', 'on', 'spritz', 'spritz', 'spritz', 'spritz', 'stall', 'off']);
+  });
+
+  it('expands spritzes individually', () => {
+    const result = computeSession(session([item('a', 'porkButt', { wrapStrategy: 'foil' })]), MEAT_PROFILES, NOW);
+    const spritzes = result.timeline.filter(e => e.action === 'spritz');
+    expect(spritzes.length).toBeGreaterThan(1);
+    expect(differenceInMinutes(spritzes[1].time, spritzes[0].time)).toBe(60);
+  });
+
+  it('flags items that want a different pit temp', () => {
+    const result = computeSession(session([item('a', 'brisket'), item('b', 'turkey')]), MEAT_PROFILES, NOW);
+    const tempConflicts = result.conflicts.filter(c => c.type === 'temp');
+    expect(tempConflicts).toHaveLength(1);
+    expect(tempConflicts[0].itemIds).toEqual(['b']);
+  });
+
+  it('flags hands-on actions from different items at the same minute', () => {
+    const ribs = [item('a', 'ribs'), item('b', 'ribs')];
+    const result = computeSession(session(ribs), MEAT_PROFILES, NOW);
+    const collisions = result.conflicts.filter(c => c.type === 'collision');
+    expect(collisions.length).toBeGreaterThan(0);
+    expect(collisions[0].itemIds).toEqual(['a', 'b']);
+  });
+
+  it('does not flag a single item against itself', () => {
+    const result = computeSession(session([item('a', 'brisket')]), MEAT_PROFILES, NOW);
+    expect(result.conflicts).toEqual([]);
+  });
+});
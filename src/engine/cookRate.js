@@ -0,0 +1,41 @@
+// --- COOK RATE MODEL ---
+// Each profile lists hours-per-pound at a few pit temps. Temps between those
+// points are interpolated linearly; temps outside them are extrapolated from
+// the nearest segment and flagged, since the curve is a guess out there.
+
+// Never let extrapolation drive the rate below this share of the fastest known rate.
+const MIN_RATE_SHARE = 0.5;
+
+export const tempCurve = (profile) => Object.entries(profile.tempProfiles)
+  .map(([temp, { rate }]) => ({ temp: Number(temp), rate }))
+  .sort((a, b) => a.temp - b.temp);
+
+const lerp = (a, b, temp) => a.rate + ((temp - a.temp) / (b.temp - a.temp)) * (b.rate - a.rate);
+
+export function cookRate(profile, temp) {
+  const curve = tempCurve(profile);
+  const min = curve[0];
+  const max = curve[curve.length - 1];
+  const range = { min: min.temp, max: max.temp };
+
+  if (curve.length === 1) {
+      return { rate: min.rate, outOfRange: temp !== min.temp, range };
+  }
+
+  let rate;
+  if (temp <= min.temp) {
+      rate = lerp(curve[0], curve[1], temp);
+  } else if (temp >= max.temp) {
+      rate = lerp(curve[curve.length - 2], max, temp);
+  } else {
+      const upper = curve.findIndex(p => p.temp >= temp);
+      rate = lerp(curve[upper - 1], curve[upper], temp);
+  }
+
+  const floor = Math.min(...curve.map(p => p.rate)) * MIN_RATE_SHARE;
+  return {
+      rate: Math.max(rate, floor),
+      outOfRange: temp < min.temp || temp > max.temp,
+      range
+  };
+}
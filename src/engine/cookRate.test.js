@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { cookRate, tempCurve } from './cookRate';
+import { MEAT_PROFILES } from './profiles';
+
+describe('cookRate', () => {
+  it('returns the table rate exactly at every data point', () => {
+    Object.values(MEAT_PROFILES).forEach((profile) => {
+      Object.entries(profile.tempProfiles).forEach(([temp, { rate }]) => {
+        expect(cookRate(profile, Number(temp))).toMatchObject({ rate, outOfRange: false });
+      });
+    });
+  });
+
+  it('interpolates between data points', () => {
+    expect(cookRate(MEAT_PROFILES.brisket, 235).rate).toBeCloseTo(1.4);
+    expect(cookRate(MEAT_PROFILES.porkButt, 260).rate).toBeCloseTo(1.06);
+    // Chicken has a gap between 275 and 325
+    expect(cookRate(MEAT_PROFILES.chicken, 300).rate).toBeCloseTo(0.425);
+  });
+
+  it('extrapolates beyond the table and flags it', () => {
+    const hot = cookRate(MEAT_PROFILES.porkButt, 300);
+    expect(hot.rate).toBeCloseTo(0.9);
+    expect(hot.outOfRange).toBe(true);
+    expect(hot.range).toEqual({ min: 225, max: 275 });
+
+    const cold = cookRate(MEAT_PROFILES.brisket, 200);
+    expect(cold.rate).toBeCloseTo(1.75);
+    expect(cold.outOfRange).toBe(true);
+  });
+
+  it('never extrapolates below half the fastest known rate', () => {
+    expect(cookRate(MEAT_PROFILES.brisket, 500).rate).toBe(0.5);
+  });
+
+  it('sorts the curve by temperature', () => {
+    const profile = { tempProfiles: { 275: { rate: 1 }, 225: { rate: 2 } } };
+    expect(tempCurve(profile).map(p => p.temp)).toEqual([225, 275]);
+  });
+
+  it('uses a single data point as a flat rate', () => {
+    const profile = { tempProfiles: { 250: { rate: 1.2 } } };
+    expect(cookRate(profile, 250)).toMatchObject({ rate: 1.2, outOfRange: false });
+    expect(cookRate(profile, 275)).toMatchObject({ rate: 1.2, outOfRange: true });
+  });
+});
@@ -0,0 +1,168 @@
+import { addMinutes, differenceInMinutes } from 'date-fns';
+import { calendarEvents } from './icsExport';
+import { WRAP_STRATEGIES } from './profiles';
+import { PAGE_WIDTH, PAGE_HEIGHT, wrapText, buildPdf } from './pdf';
+import { crossesMidnight } from './quietHours';
+import { ENGLISH } from './i18n';
+
+// --- COOK SHEET ---
+// A one-page (usually) summary to print and tape up by the smoker: the
+// settings, every milestone with a checkbox (each spritz on its own line, plus
+// hopper top-ups), the warnings and a blank log for pit/internal temps. Text
+// and units follow `i18n`; the sheet is built and laid out in the same one.
+
+// Log rows every half hour on short cooks, hourly on long ones, plus spares
+const LOG_SPARE_ROWS = 4;
+const logInterval = (cookMinutes) => (cookMinutes <= 240 ? 30 : 60);
+
+export function buildCookSheet(plan, inputs, profile, warnings = [], i18n = ENGLISH) {
+  const { t, fmt, label } = i18n;
+  const meat = label('meat', inputs.meatType, profile.label);
+  const hold = label('hold', plan.rest.method, plan.rest.label);
+  const pitTemps = plan.tempStages.map(stage => fmt.temp(stage.temp)).join(' → ');
+  const details = [
+      [t("Meat"), `${meat}${inputs.isSpatchcock ? t(", spatchcocked") : ""}${inputs.meatType === 'brisket' && inputs.fatSideUp ? t(", fat side up") : ""}`],
+      [t("Weight"), fmt.pieces(inputs.weight, inputs.pieces, 2)],
+      [t("Pit"), pitTemps],
+      [t("Pull at"), t("{temp} internal", { temp: fmt.temp(inputs.targetTemp) })],
+      [t("Wrap"), plan.isWrapped ? t("{wrap} at {temp}", { wrap: label('wrap', inputs.wrapStrategy, WRAP_STRATEGIES[inputs.wrapStrategy].label), temp: fmt.temp(inputs.wrapTemp) }) : t("No wrap")],
+      [plan.isPoultry ? t("Baste") : t("Spritz"), plan.spritzWindow ? t("{type}, every {interval} min", plan.spritzWindow) : t("Off")],
+      [t("Rest"), t('sheet.rest', { rest: inputs.restTime, hold })],
+      [t("Finish window"), `${fmt.time(plan.rest.earliestFinish)} – ${fmt.time(plan.rest.latestFinish)}`],
+      [t("Pellets"), t("~{total} ({rate}/hr), {smoker}", { total: fmt.weight(plan.pellets.totalLbs), rate: fmt.weight(plan.pellets.lbsPerHour, 2), smoker: label('smoker', inputs.smokerSize, plan.pellets.smoker) })],
+      [t("Outside"), `${t("~{temp}, {wind} wind", { temp: fmt.temp(plan.weather.avgTemp), wind: fmt.speed(plan.weather.avgWindMph) })}${plan.weather.source === 'forecast' ? t(" (forecast)") : ""}`],
+  ];
+
+  const hopper = `${fmt.weightValue(plan.pellets.hopperLbs)} ${fmt.unit('perWeight')}`;
+  const milestones = [
+      ...calendarEvents(plan, inputs, profile, i18n).map(event => ({ key: event.key, time: event.start, title: event.summary, detail: event.description })),
+      ...plan.pellets.refills.map((time, i) => ({ key: `refill-${i}`, time, title: `⛽ ${t("Top Up Hopper")}`, detail: t('event.refill', { hopper }) })),
+  ].sort((a, b) => a.time - b.time);
+
+  const cookMinutes = differenceInMinutes(plan.finishCook, plan.startCook);
+  const interval = logInterval(cookMinutes);
+  const logTimes = [];
+  for (let m = 0; m <= cookMinutes; m += interval) logTimes.push(addMinutes(plan.startCook, m));
+
+  return {
+      title: `${meat} · ${fmt.pieces(inputs.weight, inputs.pieces, 2)}`,
+      serve: plan.serve,
+      // Overnight cooks print the day with each milestone
+      overnight: crossesMidnight(plan),
+      details,
+      milestones,
+      warnings,
+      logTimes,
+      spareLogRows: LOG_SPARE_ROWS
+  };
+}
+
+// --- PDF LAYOUT ---
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LOG_WIDTHS = [70, 70, 70, 80, CONTENT_WIDTH - 290];
+
+// Headings of the blank temp log, shared with the on-screen sheet
+export const logColumns = ({ t, fmt }) =>
+  [t("Planned"), t("Actual"), t("Pit {unit}", { unit: fmt.unit('temp') }), t("Internal {unit}", { unit: fmt.unit('temp') }), t("Notes")];
+const LOG_ROW = 20;
+
+export function cookSheetPdf(sheet, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const columns = logColumns(i18n).map((label, i) => [label, LOG_WIDTHS[i]]);
+  const pages = [[]];
+  let y = MARGIN;
+  const page = () => pages[pages.length - 1];
+  const draw = (op) => page().push(op);
+  // Starts a new page when the next `height` points don't fit
+  const room = (height) => {
+      if (y + height <= PAGE_HEIGHT - MARGIN) return;
+      pages.push([]);
+      y = MARGIN;
+  };
+  const heading = (text) => {
+      room(40);
+      y += 22;
+      draw({ op: 'text', x: MARGIN, y, text, size: 12, bold: true });
+      draw({ op: 'line', x1: MARGIN, y1: y + 4, x2: MARGIN + CONTENT_WIDTH, y2: y + 4 });
+      y += 10;
+  };
+
+  y += 18;
+  draw({ op: 'text', x: MARGIN, y, text: sheet.title, size: 18, bold: true });
+  y += 18;
+  draw({ op: 'text', x: MARGIN, y, text: `${t("Serve:")} ${fmt.dateTime(sheet.serve)}`, size: 11 });
+
+  // Settings in two columns
+  heading(t("Settings"));
+  const column = CONTENT_WIDTH / 2;
+  for (let i = 0; i < sheet.details.length; i += 2) {
+      const row = sheet.details.slice(i, i + 2).map(([label, value]) => ({ label, lines: wrapText(value, 9, column - 80) }));
+      const height = Math.max(...row.map(cell => cell.lines.length));
+      room(13 + (height - 1) * 11);
+      y += 13;
+      row.forEach(({ label, lines }, j) => {
+          const x = MARGIN + j * column;
+          draw({ op: 'text', x, y, text: `${label}:`, size: 9, bold: true });
+          lines.forEach((line, k) => draw({ op: 'text', x: x + 72, y: y + k * 11, text: line, size: 9 }));
+      });
+      y += (height - 1) * 11;
+  }
+
+  heading(t("Timeline"));
+  sheet.milestones.forEach((item) => {
+      const lines = wrapText(item.detail, 8, CONTENT_WIDTH - 150);
+      room(14 + lines.length * 10);
+      y += 14;
+      draw({ op: 'rect', x: MARGIN, y: y - 9, w: 10, h: 10 });
+      draw({ op: 'text', x: MARGIN + 18, y, text: sheet.overnight ? fmt.dayTime(item.time) : fmt.time(item.time), size: sheet.overnight ? 8 : 10, bold: true });
+      draw({ op: 'text', x: MARGIN + 80, y, text: item.title, size: 10, bold: true });
+      lines.forEach((line) => {
+          y += 10;
+          draw({ op: 'text', x: MARGIN + 80, y, text: line, size: 8 });
+      });
+  });
+
+  if (sheet.warnings.length > 0) {
+      heading(t("Warnings"));
+      sheet.warnings.forEach((warning) => {
+          wrapText(warning.msg, 9, CONTENT_WIDTH).forEach((line) => {
+              room(12);
+              y += 12;
+              draw({ op: 'text', x: MARGIN, y, text: line, size: 9, bold: warning.type === 'safety' });
+          });
+      });
+  }
+
+  // Temp log grid; the header repeats on each page it spills onto
+  heading(t("Temp Log"));
+  const logHeader = () => {
+      let x = MARGIN;
+      draw({ op: 'rect', x: MARGIN, y, w: CONTENT_WIDTH, h: LOG_ROW, fill: 0.9 });
+      columns.forEach(([label, width]) => {
+          draw({ op: 'text', x: x + 4, y: y + 14, text: label, size: 9, bold: true });
+          x += width;
+      });
+      y += LOG_ROW;
+  };
+  const logRow = (text) => {
+      if (y + LOG_ROW > PAGE_HEIGHT - MARGIN) {
+          pages.push([]);
+          y = MARGIN;
+          logHeader();
+      }
+      let x = MARGIN;
+      columns.forEach(([, width]) => {
+          draw({ op: 'rect', x, y, w: width, h: LOG_ROW });
+          x += width;
+      });
+      if (text) draw({ op: 'text', x: MARGIN + 4, y: y + 14, text, size: 9 });
+      y += LOG_ROW;
+  };
+  room(LOG_ROW * 2);
+  logHeader();
+  sheet.logTimes.forEach(time => logRow(fmt.time(time)));
+  for (let i = 0; i < sheet.spareLogRows; i++) logRow('');
+
+  return buildPdf(pages, t("Cook Sheet: {title}", { title: sheet.title }));
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes } from 'date-fns';
+import { buildCookSheet, cookSheetPdf } from './cookSheet';
+import { pdfText, wrapText, buildPdf, PAGE_WIDTH } from './pdf';
+import { computePlan, expandSpritzTimes } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const sheetFor = (meatType, overrides = {}) => {
+  const inputs = { ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides };
+  const { plan, warnings } = computePlan(inputs, MEAT_PROFILES, NOW);
+  return { plan, sheet: buildCookSheet(plan, inputs, MEAT_PROFILES[meatType], warnings) };
+};
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+describe('buildCookSheet', () => {
+  it('lists every spritz and hopper top-up as its own milestone, in order', () => {
+    const { plan, sheet } = sheetFor('brisket');
+    const keys = sheet.milestones.map(m => m.key);
+
+    expect(keys.filter(k => k.startsWith('spritz-'))).toHaveLength(expandSpritzTimes(plan.spritzWindow).length);
+    expect(keys.filter(k => k.startsWith('refill-'))).toHaveLength(plan.pellets.refills.length);
+    expect(keys[0]).toBe('prep');
+    expect(keys[keys.length - 1]).toBe('serve');
+    sheet.milestones.slice(1).forEach((m, i) => expect(m.time >= sheet.milestones[i].time).toBe(true));
+  });
+
+  it('summarizes the settings', () => {
+    const { sheet } = sheetFor('brisket', { temp: 225, tempStages: [{ trigger: 'wrap', temp: 275 }], spritzEnabled: false });
+    const details = Object.fromEntries(sheet.details);
+    expect(details.Pit).toBe('225°F → 275°F');
+    expect(details.Spritz).toBe('Off');
+    expect(details.Rest).toMatch(/cooler/);
+  });
+
+  it('has hourly log rows on long cooks and half-hourly on short ones', () => {
+    const brisket = sheetFor('brisket');
+    expect(differenceInMinutes(brisket.sheet.logTimes[1], brisket.sheet.logTimes[0])).toBe(60);
+    expect(brisket.sheet.logTimes[0]).toEqual(brisket.plan.startCook);
+
+    const chicken = sheetFor('chicken', { weight: 4, temp: 325, isSpatchcock: true });
+    expect(differenceInMinutes(chicken.plan.finishCook, chicken.plan.startCook)).toBeLessThanOrEqual(240);
+    expect(differenceInMinutes(chicken.sheet.logTimes[1], chicken.sheet.logTimes[0])).toBe(30);
+  });
+});
+
+describe('pdf', () => {
+  it('keeps text to what the standard fonts can draw', () => {
+    expect(pdfText('🔥 Start Prep')).toBe('Start Prep');
+    expect(pdfText('225°F → 275°F')).toBe('225°F -> 275°F');
+    expect(pdfText('6:00 – 7:00')).toBe('6:00 \u0096 7:00');
+  });
+
+  it('wraps on spaces to fit the width', () => {
+    const lines = wrapText('one two three four five six', 10, 60);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('one two three four five six');
+  });
+
+  it('writes a file whose cross-reference table points at each object', () => {
+    const text = asText(buildPdf([[{ op: 'text', x: 40, y: 60, text: 'Hi (there)', size: 12 }], []], 'Test'));
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/Count 2');
+    expect(text).toContain('(Hi \\(there\\)) Tj');
+
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(xref, xref + 4)).toBe('xref');
+    const offsets = text.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, i) => expect(text.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  });
+
+  it('lays the cook sheet out across pages with the log at the end', () => {
+    const { sheet } = sheetFor('brisket', { spritzInterval: 15 });
+    const text = asText(cookSheetPdf(sheet));
+
+    expect(text).toContain('(Temp Log) Tj');
+    expect(text).toContain('(Spritz #1) Tj');
+    expect(Number(text.match(/\/Count (\d+)/)[1])).toBeGreaterThan(1);
+  });
+
+  it('prints long settings on as many lines as they need', () => {
+    const { sheet } = sheetFor('brisket');
+    const pellets = Object.fromEntries(sheet.details).Pellets;
+    const lines = wrapText(pellets, 9, (PAGE_WIDTH - 80) / 2 - 80);
+    expect(lines.length).toBeGreaterThan(1);
+    const text = asText(cookSheetPdf(sheet));
+    lines.forEach(line => expect(text).toContain(`(${pdfText(line).replace(/[\\()]/g, '\\$&')}) Tj`));
+  });
+});
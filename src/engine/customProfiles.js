@@ -0,0 +1,156 @@
+import { MEAT_PROFILES } from './profiles';
+import { ENGLISH } from './i18n';
+
+// --- CUSTOM PROFILES ---
+// User-defined meat profiles share the built-ins' shape. They are validated
+// before they are saved or imported, and shared as a small versioned JSON file.
+
+export const PROFILE_FILE_FORMAT = 'pellet-planner-profiles';
+export const PROFILE_FILE_VERSION = 1;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns { valid, errors } where errors maps a field path to a message.
+export function validateProfile(profile, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const errors = {};
+  const check = (ok, field, msg) => {
+    if (!ok && !errors[field]) errors[field] = msg;
+  };
+
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: { profile: t("Profile must be an object.") } };
+  }
+
+  check(typeof profile.label === 'string' && profile.label.trim() !== '', 'label', t("Name is required."));
+  check(isNumber(profile.defaultWeight) && profile.defaultWeight > 0, 'defaultWeight', t("Default weight must be above 0 {unit}.", { unit: fmt.unit('weight') }));
+
+  const temps = profile.tempProfiles && typeof profile.tempProfiles === 'object' ? Object.entries(profile.tempProfiles) : [];
+  check(temps.length > 0, 'tempProfiles', t("Add at least one pit temp with a rate."));
+  temps.forEach(([temp, data]) => {
+    const value = Number(temp);
+    check(Number.isInteger(value) && value >= 150 && value <= 500, 'tempProfiles', t("Pit temp {temp} must be a whole number between {range}.", { temp, range: fmt.tempRange(150, 500) }));
+    check(data && isNumber(data.rate) && data.rate > 0, 'tempProfiles', t("Rate at {temp} must be above 0 hours/{unit}.", { temp: fmt.temp(value), unit: fmt.unit('perWeight') }));
+  });
+
+  const rest = profile.rest || {};
+  check(isNumber(rest.min) && rest.min >= 0, 'rest.min', t("Minimum rest must be 0 or more minutes."));
+  check(isNumber(rest.default) && rest.default >= 0, 'rest.default', t("Default rest must be 0 or more minutes."));
+  check(isNumber(rest.maxHold) && rest.maxHold >= 0, 'rest.maxHold', t("Max hold must be 0 or more minutes."));
+  if (!errors['rest.min'] && !errors['rest.default'] && !errors['rest.maxHold']) {
+    check(rest.min <= rest.default, 'rest.default', t("Default rest can't be shorter than the minimum."));
+    check(rest.default <= rest.maxHold, 'rest.maxHold', t("Max hold can't be shorter than the default rest."));
+  }
+
+  check(isNumber(profile.stallFactor) && profile.stallFactor > 0 && profile.stallFactor < 1, 'stallFactor', t("Stall factor must be between 0 and 1."));
+  check(isNumber(profile.defaultTargetTemp) && profile.defaultTargetTemp >= 100 && profile.defaultTargetTemp <= 220, 'defaultTargetTemp', t("Target temp must be between {range}.", { range: fmt.tempRange(100, 220) }));
+
+  const spritz = profile.spritz || {};
+  check(typeof spritz.recommended === 'boolean', 'spritz.recommended', t("Spritz recommendation must be on or off."));
+  check(isNumber(spritz.startAfter) && spritz.startAfter >= 0, 'spritz.startAfter', t("Spritz start must be 0 or more minutes."));
+  check(isNumber(spritz.interval) && spritz.interval > 0, 'spritz.interval', t("Spritz interval must be above 0 minutes."));
+  check(typeof spritz.type === 'string' && spritz.type.trim() !== '', 'spritz.type', t("Spritz liquid is required."));
+
+  check(profile.poultry === undefined || typeof profile.poultry === 'boolean', 'poultry', t("Poultry must be on or off."));
+
+  // Optional; without it guest sizing falls back to the defaults in servings.js.
+  if (profile.yield !== undefined) {
+    const yld = profile.yield || {};
+    check(isNumber(yld.cooked) && yld.cooked > 0 && yld.cooked <= 1, 'yield.cooked', t("Cooked yield must be above 0 and at most 1."));
+    check(isNumber(yld.maxPiece) && yld.maxPiece > 0, 'yield.maxPiece', t("Largest piece must be above 0 {unit}.", { unit: fmt.unit('weight') }));
+    check(yld.wholePieces === undefined || typeof yld.wholePieces === 'boolean', 'yield.wholePieces', t("Whole pieces must be on or off."));
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Keeps only the fields the planner knows about.
+export const cleanProfile = (profile) => ({
+  label: profile.label.trim(),
+  defaultWeight: profile.defaultWeight,
+  tempProfiles: Object.fromEntries(
+    Object.entries(profile.tempProfiles).map(([temp, { rate }]) => [Number(temp), { rate }])
+  ),
+  rest: { default: profile.rest.default, min: profile.rest.min, maxHold: profile.rest.maxHold },
+  stallFactor: profile.stallFactor,
+  defaultTargetTemp: profile.defaultTargetTemp,
+  spritz: {
+    recommended: profile.spritz.recommended,
+    startAfter: profile.spritz.startAfter,
+    interval: profile.spritz.interval,
+    type: profile.spritz.type.trim()
+  },
+  ...(profile.poultry ? { poultry: true } : {}),
+  ...(profile.yield ? {
+    yield: {
+      cooked: profile.yield.cooked,
+      maxPiece: profile.yield.maxPiece,
+      ...(profile.yield.wholePieces ? { wholePieces: true } : {})
+    }
+  } : {})
+});
+
+// camelCase key from the label, suffixed until it collides with nothing in `taken`.
+export function profileKey(label, taken) {
+  const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const base = words.length
+    ? words[0] + words.slice(1).map(w => w[0].toUpperCase() + w.slice(1)).join('')
+    : 'custom';
+
+  let key = base;
+  for (let n = 2; key in taken; n++) key = `${base}${n}`;
+  return key;
+}
+
+// Copy of any profile to start a new one from.
+export const cloneProfile = (profile) => ({
+  ...JSON.parse(JSON.stringify(profile)),
+  label: `${profile.label} (Copy)`
+});
+
+export const mergeProfiles = (custom, builtIns = MEAT_PROFILES) => ({ ...builtIns, ...custom });
+
+export const serializeProfiles = (custom) => JSON.stringify({
+  format: PROFILE_FILE_FORMAT,
+  version: PROFILE_FILE_VERSION,
+  profiles: custom
+}, null, 2);
+
+// Reads a shared profile file (or a single bare profile). Valid profiles get a
+// key that clashes with neither the built-ins nor `existing`; invalid ones are
+// reported by label so the rest can still be imported.
+export function parseProfileImport(text, existing = {}, i18n = ENGLISH) {
+  const { t } = i18n;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { profiles: {}, errors: [t("File is not valid JSON.")] };
+  }
+
+  let entries;
+  if (data && data.format === PROFILE_FILE_FORMAT) {
+    if (data.version > PROFILE_FILE_VERSION) {
+      return { profiles: {}, errors: [t("File version {version} is newer than this app supports.", { version: data.version })] };
+    }
+    entries = Object.values(data.profiles || {});
+  } else if (data && typeof data === 'object' && 'tempProfiles' in data) {
+    entries = [data];
+  } else {
+    return { profiles: {}, errors: [t("File does not contain any meat profiles.")] };
+  }
+
+  const profiles = {};
+  const errors = [];
+  entries.forEach((entry, i) => {
+    const { valid, errors: fieldErrors } = validateProfile(entry, i18n);
+    if (!valid) {
+      errors.push(`${entry?.label || t("Profile {n}", { n: i + 1 })}: ${Object.values(fieldErrors)[0]}`);
+      return;
+    }
+    const key = profileKey(entry.label, { ...MEAT_PROFILES, ...existing, ...profiles });
+    profiles[key] = cleanProfile(entry);
+  });
+
+  return { profiles, errors };
+}
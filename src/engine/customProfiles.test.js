@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateProfile, cleanProfile, profileKey, cloneProfile, mergeProfiles,
+  serializeProfiles, parseProfileImport, PROFILE_FILE_FORMAT,
+} from './customProfiles';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const TRI_TIP = {
+  label: "Tri-Tip",
+  defaultWeight: 2.5,
+  tempProfiles: { 225: { rate: 0.8 }, 250: { rate: 0.6 } },
+  rest: { default: 15, min: 10, maxHold: 30 },
+  stallFactor: 0.5,
+  defaultTargetTemp: 135,
+  spritz: { recommended: false, startAfter: 30, interval: 30, type: "Beef Broth" },
+};
+
+describe('validateProfile', () => {
+  it('accepts every built-in profile', () => {
+    Object.values(MEAT_PROFILES).forEach((profile) => {
+      expect(validateProfile(profile)).toEqual({ valid: true, errors: {} });
+    });
+  });
+
+  it('accepts a complete custom profile', () => {
+    expect(validateProfile(TRI_TIP).valid).toBe(true);
+  });
+
+  it('reports each bad field by path', () => {
+    const { valid, errors } = validateProfile({
+      ...TRI_TIP,
+      label: " ",
+      defaultWeight: NaN,
+      stallFactor: 1.2,
+      spritz: { ...TRI_TIP.spritz, interval: 0 },
+    });
+    expect(valid).toBe(false);
+    expect(Object.keys(errors).sort()).toEqual(['defaultWeight', 'label', 'spritz.interval', 'stallFactor']);
+  });
+
+  it('requires at least one sane temp/rate pair', () => {
+    expect(validateProfile({ ...TRI_TIP, tempProfiles: {} }).errors.tempProfiles).toBeDefined();
+    expect(validateProfile({ ...TRI_TIP, tempProfiles: { 250: { rate: 0 } } }).errors.tempProfiles).toContain('250');
+    expect(validateProfile({ ...TRI_TIP, tempProfiles: { 900: { rate: 1 } } }).errors.tempProfiles).toContain('900');
+  });
+
+  it('checks an optional yield', () => {
+    const { errors } = validateProfile({ ...TRI_TIP, yield: { cooked: 1.2, maxPiece: 0, wholePieces: 'yes' } });
+    expect(Object.keys(errors).sort()).toEqual(['yield.cooked', 'yield.maxPiece', 'yield.wholePieces']);
+    expect(validateProfile({ ...TRI_TIP, yield: { cooked: 0.6, maxPiece: 4 } }).valid).toBe(true);
+  });
+
+  it('requires min ≤ default ≤ max hold for the rest', () => {
+    const { errors } = validateProfile({ ...TRI_TIP, rest: { default: 40, min: 10, maxHold: 30 } });
+    expect(errors['rest.maxHold']).toBeDefined();
+  });
+});
+
+describe('cleanProfile', () => {
+  it('drops unknown fields and normalizes temp keys', () => {
+    const cleaned = cleanProfile({ ...TRI_TIP, label: " Tri-Tip ", extra: true, tempProfiles: { '250': { rate: 0.6, note: "x" } } });
+    expect(cleaned).not.toHaveProperty('extra');
+    expect(cleaned.label).toBe("Tri-Tip");
+    expect(cleaned.tempProfiles).toEqual({ 250: { rate: 0.6 } });
+  });
+
+  it('keeps the yield through a clone and save', () => {
+    const saved = cleanProfile(cloneProfile(MEAT_PROFILES.ribs));
+    expect(validateProfile(saved).valid).toBe(true);
+    expect(saved.yield).toEqual({ cooked: 0.5, maxPiece: 3, wholePieces: true });
+    expect(cleanProfile(TRI_TIP)).not.toHaveProperty('yield');
+  });
+});
+
+describe('profileKey', () => {
+  it('camelCases the label and avoids taken keys', () => {
+    expect(profileKey("Beef Ribs (Plate)", {})).toBe('beefRibsPlate');
+    expect(profileKey("brisket", { brisket: {} })).toBe('brisket2');
+    expect(profileKey("!!!", {})).toBe('custom');
+  });
+});
+
+describe('cloneProfile', () => {
+  it('deep-copies and renames', () => {
+    const copy = cloneProfile(MEAT_PROFILES.brisket);
+    expect(copy.label).toBe("Brisket (Full Packer) (Copy)");
+    copy.rest.min = 0;
+    expect(MEAT_PROFILES.brisket.rest.min).toBe(60);
+  });
+});
+
+describe('import/export', () => {
+  it('round-trips through the shared file format', () => {
+    const text = serializeProfiles({ triTip: TRI_TIP });
+    expect(JSON.parse(text).format).toBe(PROFILE_FILE_FORMAT);
+
+    const { profiles, errors } = parseProfileImport(text);
+    expect(errors).toEqual([]);
+    expect(profiles).toEqual({ triTip: TRI_TIP });
+  });
+
+  it('accepts a single bare profile', () => {
+    expect(Object.keys(parseProfileImport(JSON.stringify(TRI_TIP)).profiles)).toEqual(['triTip']);
+  });
+
+  it('renames imports that clash with built-ins or existing profiles', () => {
+    const text = serializeProfiles({ a: { ...TRI_TIP, label: "Brisket" }, b: TRI_TIP });
+    const { profiles } = parseProfileImport(text, { triTip: TRI_TIP });
+    expect(Object.keys(profiles)).toEqual(['brisket2', 'triTip2']);
+  });
+
+  it('imports the valid profiles and reports the rest', () => {
+    const text = serializeProfiles({ a: TRI_TIP, b: { ...TRI_TIP, label: "Bad", stallFactor: 3 } });
+    const { profiles, errors } = parseProfileImport(text);
+    expect(Object.keys(profiles)).toEqual(['triTip']);
+    expect(errors).toEqual(["Bad: Stall factor must be between 0 and 1."]);
+  });
+
+  it('rejects files that are not profile JSON', () => {
+    expect(parseProfileImport('{nope').errors).toEqual(["File is not valid JSON."]);
+    expect(parseProfileImport('[1, 2]').errors).toEqual(["File does not contain any meat profiles."]);
+    expect(parseProfileImport(JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 99, profiles: {} })).errors[0]).toContain('newer');
+  });
+});
+
+describe('custom profiles in the planner', () => {
+  it('plans a custom profile merged with the built-ins', () => {
+    const profiles = mergeProfiles({ triTip: TRI_TIP });
+    expect(Object.keys(profiles)).toContain('brisket');
+
+    const inputs = { ...profileDefaults('triTip', profiles), prepTime: 30, serveTime: '2024-07-04T18:00', temp: 225 };
+    const { plan } = computePlan(inputs, profiles, new Date(2024, 6, 1));
+    // 2.5lb × 0.8 h/lb × 0.95 (foil pan) × 1.15 buffer
+    expect(plan.totalCookHours).toBe('2.2');
+    expect(plan.isPoultry).toBe(false);
+  });
+
+  it('treats custom poultry like the built-in birds', () => {
+    const profiles = mergeProfiles({ duck: { ...TRI_TIP, label: "Duck", poultry: true } });
+    expect(profileDefaults('duck', profiles).wrapStrategy).toBe('none');
+  });
+});
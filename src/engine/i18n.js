@@ -0,0 +1,78 @@
+import { format } from 'date-fns';
+import { enUS, enCA, enGB, frCA, de } from 'date-fns/locale';
+import { UNIT_SYSTEMS, toDisplay } from './units';
+import en from './locales/en';
+import fr from './locales/fr';
+import deMessages from './locales/de';
+
+// --- LOCALIZATION ---
+// A locale picks a message catalog, date-fns formatting and default units.
+// Catalog entries are strings with {name} placeholders or, when they carry
+// temperatures/weights, functions of (params, fmt) so the numbers come out in
+// the chosen units. UI phrases are keyed by their English text; engine
+// messages by id (English for those lives in locales/en.js). Anything a
+// catalog lacks falls back to English.
+
+export const LOCALES = {
+  'en-US': { label: "English (US)", dateLocale: enUS, messages: {}, units: 'imperial' },
+  'en-CA': { label: "English (Canada)", dateLocale: enCA, messages: {}, units: 'metric' },
+  'en-GB': { label: "English (UK)", dateLocale: enGB, messages: {}, units: 'metric' },
+  'fr-CA': { label: "Français (Canada)", dateLocale: frCA, messages: fr, units: 'metric' },
+  'de-DE': { label: "Deutsch", dateLocale: de, messages: deMessages, units: 'metric' },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+export function createI18n(locale = DEFAULT_LOCALE, units = null) {
+  const spec = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const system = UNIT_SYSTEMS[units] ? units : spec.units;
+  const unitLabels = UNIT_SYSTEMS[system];
+  const numbers = {};
+
+  const number = (value, digits = 0) => {
+      numbers[digits] = numbers[digits] || new Intl.NumberFormat(locale, { maximumFractionDigits: digits, useGrouping: false });
+      return numbers[digits].format(value);
+  };
+  const inUnits = (kind, value, digits) => number(toDisplay(kind, value, system), digits);
+
+  const fmt = {
+      units: system,
+      number,
+      unit: (kind) => unitLabels[kind],
+      // Quantities in the chosen units, with their unit
+      temp: (f) => `${inUnits('temp', f, 0)}${unitLabels.temp}`,
+      tempRange: (min, max) => `${inUnits('temp', min, 0)}–${inUnits('temp', max, 0)}${unitLabels.temp}`,
+      tempRate: (fPerHour) => `${inUnits('tempRate', fPerHour, 1)}${unitLabels.temp}`,
+      weight: (lbs, digits = 1) => `${inUnits('weight', lbs, digits)} ${unitLabels.weight}`,
+      // "2 × 15 lbs" when the meat is in several pieces
+      pieces: (lbs, pieces = 1, digits = 1) => `${pieces > 1 ? `${pieces} × ` : ''}${inUnits('weight', lbs, digits)} ${unitLabels.weight}`,
+      speed: (mph) => `${inUnits('speed', mph, 0)} ${unitLabels.speed}`,
+      volumeValue: (oz) => inUnits('volume', oz, 0),
+      liquid: (qt) => `${inUnits('liquid', qt, 1)} ${unitLabels.liquid}`,
+      mass: (oz) => `${inUnits('mass', oz, system === 'metric' ? 0 : 1)} ${unitLabels.mass}`,
+      // Bare numbers in the chosen units
+      tempValue: (f) => inUnits('temp', f, 0),
+      weightValue: (lbs, digits = 1) => inUnits('weight', lbs, digits),
+      // Times and dates in the locale's own style (12 or 24 hour)
+      time: (date) => format(date, 'p', { locale: spec.dateLocale }),
+      dayTime: (date) => format(date, 'EEE p', { locale: spec.dateLocale }),
+      dateTime: (date) => format(date, 'EEE PP, p', { locale: spec.dateLocale }),
+      date: (date, pattern = 'PP') => format(date, pattern, { locale: spec.dateLocale }),
+  };
+
+  const t = (id, params = {}) => {
+      const message = spec.messages[id] ?? en[id];
+      if (message === undefined) return interpolate(id, params);
+      return typeof message === 'function' ? message(params, fmt) : interpolate(message, params);
+  };
+
+  // Translated name for a built-in meat, wrap, hold method..., or its own label
+  const label = (group, key, fallback) => spec.messages[`${group}.${key}`] ?? fallback;
+
+  return { locale: LOCALES[locale] ? locale : DEFAULT_LOCALE, units: system, t, fmt, label };
+}
+
+// What the engine uses when nobody passes a locale.
+export const ENGLISH = createI18n();
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createI18n, ENGLISH, LOCALES } from './i18n';
+import { computePlan } from './computePlan';
+import { validateInputs } from './validateInputs';
+import { buildShoppingList } from './shoppingList';
+import { fromDisplay } from './units';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+import en from './locales/en';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+describe('createI18n', () => {
+  it('formats quantities in the chosen units', () => {
+    const metric = createI18n('en-US', 'metric');
+    expect(metric.fmt.temp(225)).toBe('107°C');
+    expect(metric.fmt.weight(10)).toBe('4.5 kg');
+    expect(metric.fmt.tempRange(200, 300)).toBe('93–149°C');
+    expect(ENGLISH.fmt.temp(225)).toBe('225°F');
+    expect(ENGLISH.fmt.speed(10)).toBe('10 mph');
+  });
+
+  it('uses the locale for units, decimals and the clock', () => {
+    const de = createI18n('de-DE');
+    const serve = new Date(2024, 6, 4, 18, 30);
+    expect(de.units).toBe('metric');
+    expect(de.fmt.weight(10)).toBe('4,5 kg');
+    expect(de.fmt.time(serve)).toBe('18:30');
+    expect(ENGLISH.fmt.time(serve)).toBe('6:30 PM');
+    expect(createI18n('de-DE', 'imperial').fmt.temp(225)).toBe('225°F');
+  });
+
+  it('falls back to English for anything a catalog lacks', () => {
+    const fr = createI18n('fr-CA');
+    expect(fr.t("Start Prep")).toBe("Début de la préparation");
+    expect(fr.t("Not translated {n}", { n: 2 })).toBe("Not translated 2");
+    expect(fr.label('meat', 'brisket', "Brisket (Full Packer)")).toBe("Poitrine de bœuf (entière)");
+    expect(fr.label('meat', 'tomahawk', "Tomahawk")).toBe("Tomahawk");
+    expect(createI18n('xx-XX').locale).toBe('en-US');
+  });
+
+  it('has every engine message in every catalog', () => {
+    Object.values(LOCALES).filter(spec => Object.keys(spec.messages).length > 0).forEach((spec) => {
+      Object.keys(en).forEach(id => expect(spec.messages).toHaveProperty([id]));
+    });
+  });
+});
+
+describe('localized engine output', () => {
+  it('words warnings in the locale and units', () => {
+    const inputs = inputsFor('turkey', { weight: 20, temp: 225 });
+    const english = computePlan(inputs, MEAT_PROFILES, NOW).warnings.find(w => w.type === 'safety');
+    const french = computePlan(inputs, MEAT_PROFILES, NOW, null, createI18n('fr-CA')).warnings.find(w => w.type === 'safety');
+    expect(english.msg).toContain('225°F');
+    expect(french.msg).toContain('ALERTE SÉCURITÉ');
+    expect(french.msg).toContain('107°C');
+  });
+
+  it('validates metric entries and reports metric ranges', () => {
+    const metric = createI18n('en-GB');
+    const typed = inputsFor('brisket', { temp: fromDisplay('temp', 121, 'metric'), weight: fromDisplay('weight', 6.5, 'metric') });
+    expect(validateInputs(typed, MEAT_PROFILES, metric).valid).toBe(true);
+
+    const tooHot = inputsFor('brisket', { temp: fromDisplay('temp', 200, 'metric') });
+    expect(validateInputs(tooHot, MEAT_PROFILES, metric).errors.temp).toBe('Pit temp must be 80–162 °C for Brisket (Full Packer).');
+  });
+
+  it('keeps the English shopping list as it was', () => {
+    const inputs = inputsFor('brisket', { wrapStrategy: 'paper' });
+    const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+    expect(buildShoppingList(plan, inputs)[0].item).toBe('Pellets (20 lb bag)');
+    expect(buildShoppingList(plan, inputs, createI18n('de-DE')).map(i => i.unit)).toContain('ml');
+  });
+});
@@ -0,0 +1,132 @@
+import { expandSpritzTimes } from './computePlan';
+import { WRAP_STRATEGIES } from './profiles';
+import { HOLD_METHODS } from './restHold';
+import { ENGLISH } from './i18n';
+
+// --- CALENDAR EXPORT ---
+// Builds an iCalendar (RFC 5545) file with one event per plan milestone and a
+// display alarm on each, so the whole cook can be dropped into a phone calendar.
+
+const ALARM_MINUTES = 10;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// UTC basic format: 20240704T180000Z
+export const icsDate = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+export const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets, continuation lines start with a space.
+export const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+      const charSize = new TextEncoder().encode(char).length;
+      const limit = parts.length === 0 ? 75 : 74;
+      if (size + charSize > limit) {
+          parts.push(current);
+          current = '';
+          size = 0;
+      }
+      current += char;
+      size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Milestones in time order: { key, summary, description, start, minutes },
+// worded in `i18n`'s language and units.
+export function calendarEvents(plan, inputs, profile, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const meat = i18n.label('meat', inputs.meatType, profile.label);
+  const events = [
+      ...(plan.prepSteps || []).map(step => ({ key: step.key, summary: `${step.icon} ${step.label}`, description: step.detail, start: step.time, minutes: step.minutes })),
+      { key: 'prep', summary: `🔥 ${t("Start Prep")}`, description: t('event.prep', { meat, weight: fmt.pieces(inputs.weight, inputs.pieces) }), start: plan.startPrep, minutes: inputs.prepTime },
+      { key: 'on', summary: `🥩 ${t("Meat on Grate")}`, description: t('event.on', { temp: fmt.temp(inputs.temp) }), start: plan.startCook, minutes: 15 },
+  ];
+
+  expandSpritzTimes(plan.spritzWindow).forEach((time, i) => {
+      events.push({
+          key: `spritz-${i}`,
+          summary: `💧 ${t(plan.isPoultry ? "Baste #{n}" : "Spritz #{n}", { n: i + 1 })}`,
+          description: t('event.spritz', { type: plan.spritzWindow.type }),
+          start: time,
+          minutes: 10
+      });
+  });
+
+  const wrap = i18n.label('wrap', inputs.wrapStrategy, WRAP_STRATEGIES[inputs.wrapStrategy].label);
+  events.push(plan.isWrapped
+      ? { key: 'wrap', summary: `📦 ${t("Wrap Meat")}`, description: t('event.wrap', { temp: fmt.temp(inputs.wrapTemp), wrap }), start: plan.wrapTime, minutes: 15 }
+      : { key: 'wrap', summary: `⏳ ${t("The Stall")}`, description: t('event.stall', { temp: fmt.temp(160) }), start: plan.wrapTime, minutes: 15 });
+
+  (plan.tempStages || []).slice(1).forEach((stage, i) => {
+      events.push({
+          key: `temp-${i}`,
+          summary: `🌡️ ${t("Set Pit to {temp}", { temp: fmt.temp(stage.temp) })}`,
+          description: t('event.tempChange', { from: fmt.temp(plan.tempStages[i].temp), to: fmt.temp(stage.temp) }),
+          start: stage.start,
+          minutes: 10
+      });
+  });
+
+  events.push(
+      {
+          key: 'finish',
+          summary: `🎯 ${t("Target Finish")}`,
+          description: t('event.finish', { temp: fmt.temp(inputs.targetTemp), rest: inputs.restTime, hold: plan.rest ? i18n.label('hold', plan.rest.method, HOLD_METHODS[plan.rest.method].label) : null }),
+          start: plan.finishCook,
+          minutes: inputs.restTime
+      },
+      ...(plan.sides || []).map(side => ({ key: side.key, summary: `🥘 ${t('side.in', { side: side.name, oven: side.place === 'oven' })}`, description: t('side.detail', side), start: side.start, minutes: side.minutes })),
+      { key: 'serve', summary: `🍽️ ${t("Serve")}`, description: t('event.serve', { meat }), start: plan.serve, minutes: 30 },
+  );
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+export function buildCalendar(plan, inputs, profile, now = new Date(), i18n = ENGLISH) {
+  const stamp = icsDate(now);
+  const uidBase = icsDate(plan.serve);
+
+  const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Pellet Planner//Cook Timeline//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(i18n.t("Cook: {meat}", { meat: i18n.label('meat', inputs.meatType, profile.label) }))}`,
+  ];
+
+  calendarEvents(plan, inputs, profile, i18n).forEach((event) => {
+      lines.push(
+          'BEGIN:VEVENT',
+          `UID:${uidBase}-${inputs.meatType}-${event.key}@pellet-planner`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART:${icsDate(event.start)}`,
+          `DURATION:PT${Math.max(1, Math.round(event.minutes))}M`,
+          `SUMMARY:${escapeText(event.summary)}`,
+          `DESCRIPTION:${escapeText(event.description)}`,
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(event.summary)}`,
+          `TRIGGER:-PT${ALARM_MINUTES}M`,
+          'END:VALARM',
+          'END:VEVENT',
+      );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
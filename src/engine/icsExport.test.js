@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { computePlan, expandSpritzTimes } from './computePlan';
+import { buildCalendar, calendarEvents, escapeText, foldLine, icsDate } from './icsExport';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(Date.UTC(2024, 6, 1, 12, 0));
+
+const setup = (meatType, overrides = {}) => {
+  const inputs = { ...profileDefaults(meatType), prepTime: 45, serveTime: '2024-07-04T18:00', ...overrides };
+  const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+  return { plan, inputs, profile: MEAT_PROFILES[meatType] };
+};
+
+describe('icsDate', () => {
+  it('formats in UTC basic form', () => {
+    expect(icsDate(new Date(Date.UTC(2024, 6, 4, 9, 5, 7)))).toBe('20240704T090507Z');
+  });
+});
+
+describe('escapeText', () => {
+  it('escapes separators and newlines', () => {
+    expect(escapeText('Salt, pepper; done\\\nnext')).toBe(String.raw`Salt\, pepper\; done\\\nnext`);
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves short lines alone', () => {
+    expect(foldLine('SUMMARY:Wrap')).toBe('SUMMARY:Wrap');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'🔥'.repeat(40)}`;
+    const folded = foldLine(line).split('\r\n');
+    folded.forEach((part) => expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75));
+    expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(line);
+  });
+});
+
+describe('calendarEvents', () => {
+  it('has one event per milestone with every spritz expanded', () => {
+    const { plan, inputs, profile } = setup('brisket');
+    const events = calendarEvents(plan, inputs, profile);
+    const spritzes = expandSpritzTimes(plan.spritzWindow);
+
+    expect(events.map(e => e.key)).toEqual([
+      'prep', 'on', ...spritzes.map((_, i) => `spritz-${i}`), 'wrap', 'finish', 'serve',
+    ]);
+    expect(events.filter(e => e.key.startsWith('spritz')).map(e => e.start)).toEqual(spritzes);
+  });
+
+  it('uses the stall and bastes for unwrapped poultry', () => {
+    const { plan, inputs, profile } = setup('chicken');
+    const events = calendarEvents(plan, inputs, profile);
+    expect(events.find(e => e.key === 'wrap').summary).toContain('Stall');
+    expect(events.find(e => e.key === 'spritz-0').summary).toContain('Baste');
+  });
+});
+
+describe('buildCalendar', () => {
+  const { plan, inputs, profile } = setup('porkButt');
+  const ics = buildCalendar(plan, inputs, profile, NOW);
+  const lines = ics.split('\r\n');
+
+  it('wraps the events in a VCALENDAR with CRLF line endings', () => {
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+  });
+
+  it('adds an alarm to every event', () => {
+    const events = lines.filter(l => l === 'BEGIN:VEVENT').length;
+    expect(events).toBe(calendarEvents(plan, inputs, profile).length);
+    expect(lines.filter(l => l === 'BEGIN:VALARM')).toHaveLength(events);
+    expect(lines.filter(l => l === 'TRIGGER:-PT10M')).toHaveLength(events);
+  });
+
+  it('gives every event a unique UID and its milestone start', () => {
+    const uids = lines.filter(l => l.startsWith('UID:'));
+    expect(new Set(uids).size).toBe(uids.length);
+    expect(lines).toContain(`DTSTART:${icsDate(plan.startCook)}`);
+    expect(lines).toContain(`DTSTART:${icsDate(plan.serve)}`);
+    expect(lines).toContain(`DTSTAMP:${icsDate(NOW)}`);
+  });
+});
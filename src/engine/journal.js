@@ -0,0 +1,71 @@
+import { addDays, differenceInCalendarDays, format, parseISO, isValid } from 'date-fns';
+import { buildCookRecord } from './calibration';
+import { PLAN_SCHEMA, migrateInputs } from './planLibrary';
+
+// --- COOK JOURNAL ---
+// What each finished cook was like, kept on its history record: the inputs it
+// was cooked with (and their schema, so they can be migrated later), pellets
+// used, notes, photo ids (the photos live in IndexedDB) and 1–5 ratings.
+// Records from before the journal have no inputs; they can be noted and rated
+// but not cooked again.
+
+export const RATINGS = {
+  bark: "Bark",
+  tenderness: "Tenderness",
+  moisture: "Moisture",
+};
+
+export const emptyJournal = () => ({ pelletBrand: '', pelletFlavor: '', notes: '', ratings: {}, photos: [] });
+
+export const archiveCook = (inputs, plan, actual, completedAt = new Date()) => ({
+  ...buildCookRecord(inputs, plan, actual, completedAt),
+  inputs,
+  schema: PLAN_SCHEMA,
+  journal: emptyJournal(),
+});
+
+export const journalOf = (record) => ({ ...emptyJournal(), ...(record.journal || {}) });
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// The record with `changes` merged into its journal. Ratings that aren't a
+// whole 1–5 are dropped, so 0 clears one.
+export function updateJournal(record, changes) {
+  const journal = { ...journalOf(record), ...changes };
+  journal.ratings = Object.fromEntries(Object.entries(journal.ratings).filter(([key, value]) => RATINGS[key] && isRating(value)));
+  return { ...record, journal };
+}
+
+export function averageRating(record) {
+  const values = Object.values(journalOf(record).ratings);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Newest first. Every word of `query` has to appear in the notes, pellets or
+// meat name (`meatLabel` gives the name shown); meat and wrap match exactly.
+export function filterJournal(records, { query = '', meatType = '', wrapStrategy = '' } = {}, meatLabel = (key) => key) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return records
+      .filter(record => (!meatType || record.meatType === meatType) && (!wrapStrategy || record.wrapStrategy === wrapStrategy))
+      .filter((record) => {
+          const journal = journalOf(record);
+          const text = [journal.notes, journal.pelletBrand, journal.pelletFlavor, meatLabel(record.meatType)].join(' ').toLowerCase();
+          return words.every(word => text.includes(word));
+      })
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+}
+
+// The archived inputs brought up to date, with the serve (or start) time
+// moved to the same clock time on the next day that's still ahead. Null for
+// records without inputs.
+export function recookInputs(record, now = new Date()) {
+  if (!record.inputs) return null;
+  const inputs = migrateInputs(record.inputs, record.schema || PLAN_SCHEMA);
+  const key = inputs.planMode === 'start' ? 'startTime' : 'serveTime';
+  const time = parseISO(inputs[key] || '');
+  if (!isValid(time) || time > now) return inputs;
+
+  let next = addDays(time, differenceInCalendarDays(now, time));
+  if (next <= now) next = addDays(next, 1);
+  return { ...inputs, [key]: format(next, "yyyy-MM-dd'T'HH:mm") };
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { addMinutes } from 'date-fns';
+import { archiveCook, updateJournal, journalOf, averageRating, filterJournal, recookInputs } from './journal';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS, PLAN_SCHEMA } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+const cooked = (meatType, overrides = {}, day = 4) => {
+  const inputs = inputsFor(meatType, overrides);
+  const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+  const actual = { startCook: plan.startCook, wrapTime: null, finishCook: addMinutes(plan.finishCook, 30) };
+  return archiveCook(inputs, plan, actual, new Date(2024, 6, day, 20, 0));
+};
+
+describe('archiveCook', () => {
+  it('keeps the inputs and an empty journal with the cook record', () => {
+    const record = cooked('brisket');
+    expect(record).toMatchObject({ meatType: 'brisket', schema: PLAN_SCHEMA, inputs: inputsFor('brisket') });
+    expect(record.journal).toEqual({ pelletBrand: '', pelletFlavor: '', notes: '', ratings: {}, photos: [] });
+  });
+});
+
+describe('updateJournal', () => {
+  it('merges changes and keeps only whole 1–5 ratings', () => {
+    const record = updateJournal(cooked('brisket'), { notes: "Great bark", ratings: { bark: 5, tenderness: 3, moisture: 7, smoke: 4 } });
+    expect(journalOf(record)).toMatchObject({ notes: "Great bark", ratings: { bark: 5, tenderness: 3 } });
+    expect(averageRating(record)).toBe(4);
+    expect(journalOf(updateJournal(record, { ratings: { ...journalOf(record).ratings, bark: 0 } })).ratings).toEqual({ tenderness: 3 });
+  });
+
+  it('gives records from before the journal an empty one', () => {
+    const { journal, inputs, schema, ...old } = cooked('ribs');
+    expect(journalOf(old).photos).toEqual([]);
+    expect(averageRating(old)).toBeNull();
+  });
+});
+
+describe('filterJournal', () => {
+  const records = [
+      updateJournal(cooked('brisket', { wrapStrategy: 'paper' }, 2), { notes: "Pulled early, a bit tight", pelletBrand: "Lumberjack", pelletFlavor: "Oak" }),
+      updateJournal(cooked('porkButt', {}, 3), { notes: "Perfect pull", pelletFlavor: "Cherry" }),
+      cooked('brisket', { wrapStrategy: 'foil' }, 4),
+  ];
+
+  it('lists newest first', () => {
+    expect(filterJournal(records).map(r => r.meatType)).toEqual(['brisket', 'porkButt', 'brisket']);
+  });
+
+  it('searches notes, pellets and the meat name', () => {
+    expect(filterJournal(records, { query: 'oak TIGHT' })).toEqual([records[0]]);
+    expect(filterJournal(records, { query: 'pork' }, key => MEAT_PROFILES[key].label)).toEqual([records[1]]);
+  });
+
+  it('filters by meat and wrap', () => {
+    expect(filterJournal(records, { meatType: 'brisket' })).toEqual([records[2], records[0]]);
+    expect(filterJournal(records, { meatType: 'brisket', wrapStrategy: 'paper' })).toEqual([records[0]]);
+  });
+});
+
+describe('recookInputs', () => {
+  it('loads the inputs with the serve time moved to the next day still ahead', () => {
+    const inputs = recookInputs(cooked('brisket'), new Date(2024, 7, 10, 19, 0));
+    expect(inputs).toEqual({ ...inputsFor('brisket'), serveTime: '2024-08-11T18:00' });
+    expect(recookInputs(cooked('brisket'), new Date(2024, 7, 10, 9, 0)).serveTime).toBe('2024-08-10T18:00');
+  });
+
+  it('moves the start time when the cook was planned forwards', () => {
+    const record = cooked('ribs', { planMode: 'start', startTime: '2024-07-04T10:00' });
+    expect(recookInputs(record, new Date(2024, 7, 10, 19, 0)).startTime).toBe('2024-08-11T10:00');
+  });
+
+  it('migrates inputs archived under an older schema', () => {
+    const { sides, ...older } = inputsFor('chicken');
+    expect(recookInputs({ ...cooked('chicken'), inputs: older, schema: PLAN_SCHEMA - 1 }, NOW).sides).toEqual([]);
+  });
+
+  it('has nothing to load for records without inputs', () => {
+    const { inputs, ...old } = cooked('chicken');
+    expect(recookInputs(old, NOW)).toBeNull();
+  });
+});
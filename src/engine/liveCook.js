@@ -0,0 +1,67 @@
+import { addMinutes, differenceInMinutes } from 'date-fns';
+import { expandSpritzTimes } from './computePlan';
+import { ENGLISH } from './i18n';
+
+// --- LIVE COOK ---
+// Turns a static plan into an ordered list of steps that can be tracked against
+// the real clock. When the meat actually went on at a different time than
+// planned, every downstream step shifts by the same amount; serve stays put, so
+// the rest absorbs the difference.
+
+export function buildLiveTimeline(plan, actualStart = null, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const offset = actualStart ? differenceInMinutes(actualStart, plan.startCook) : 0;
+  const shift = (date) => addMinutes(date, offset);
+
+  const steps = [
+      ...(plan.prepSteps || []).map(step => ({ key: step.key, label: `${step.icon} ${step.label}`, time: step.time, alarm: true })),
+      { key: 'prep', label: t("Start Prep"), time: plan.startPrep, alarm: true },
+      { key: 'on', label: t("Meat on Grate"), time: actualStart || plan.startCook, alarm: true },
+      ...expandSpritzTimes(plan.spritzWindow).map((time, i) => ({
+          key: `spritz-${i}`,
+          label: t(plan.isPoultry ? "Baste #{n}" : "Spritz #{n}", { n: i + 1 }),
+          time: shift(time),
+          alarm: true
+      })),
+      { key: 'wrap', label: plan.isWrapped ? t("Wrap Meat") : t("Stall Check"), time: shift(plan.wrapTime), alarm: true },
+      ...(plan.tempStages || []).slice(1).map((stage, i) => ({
+          key: `temp-${i}`,
+          label: t("Set Pit to {temp}", { temp: fmt.temp(stage.temp) }),
+          time: shift(stage.start),
+          alarm: true
+      })),
+      { key: 'finish', label: t("Finish Check"), time: shift(plan.finishCook), alarm: true },
+      ...(plan.sides || []).map(side => ({ key: side.key, label: `🥘 ${t('side.in', { side: side.name, oven: side.place === 'oven' })}`, time: side.start, alarm: true })),
+      { key: 'serve', label: t("Serve"), time: plan.serve, alarm: false },
+  ];
+  steps.sort((a, b) => a.time - b.time);
+
+  return {
+      steps,
+      offsetMinutes: offset,
+      restMinutes: differenceInMinutes(plan.serve, shift(plan.finishCook))
+  };
+}
+
+// Index of the step in progress (the last one whose time has passed), or -1.
+export function currentStepIndex(steps, now) {
+  let index = -1;
+  steps.forEach((step, i) => {
+      if (step.time <= now) index = i;
+  });
+  return index;
+}
+
+// Alarmed steps that came due in (since, now].
+export function dueAlarms(steps, since, now) {
+  return steps.filter(step => step.alarm && step.time > since && step.time <= now);
+}
+
+// What an alarmed step shows as a notification. The tag is per step, so an
+// alarm that fires twice replaces itself rather than stacking.
+export const alarmNotification = (step, i18n = ENGLISH) => ({
+  tag: `alarm-${step.key}`,
+  title: `🔥 ${step.label}`,
+  body: i18n.t("Scheduled for {time}", { time: i18n.fmt.time(step.time) }),
+  time: step.time
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { addMinutes, differenceInMinutes } from 'date-fns';
+import { computePlan } from './computePlan';
+import { buildLiveTimeline, currentStepIndex, dueAlarms } from './liveCook';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const planFor = (meatType, overrides = {}) => computePlan(
+  { ...profileDefaults(meatType), prepTime: 45, serveTime: '2024-07-04T18:00', ...overrides },
+  MEAT_PROFILES,
+  NOW
+).plan;
+
+describe('buildLiveTimeline', () => {
+  it('lists every milestone in time order with each spritz expanded', () => {
+    const plan = planFor('porkButt', { wrapStrategy: 'foil' });
+    const { steps, offsetMinutes } = buildLiveTimeline(plan);
+
+    expect(offsetMinutes).toBe(0);
+    expect(steps[0].key).toBe('prep');
+    expect(steps[1].key).toBe('on');
+    expect(steps[steps.length - 1].key).toBe('serve');
+    expect(steps.filter(s => s.key.startsWith('spritz'))).toHaveLength(6);
+    expect(steps.find(s => s.key === 'wrap').label).toBe("Wrap Meat");
+
+    const times = steps.map(s => s.time.getTime());
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+  });
+
+  it('alarms on every step except serve', () => {
+    const { steps } = buildLiveTimeline(planFor('brisket'));
+    steps.forEach((step) => {
+      expect(step.alarm).toBe(step.key !== 'serve');
+    });
+  });
+
+  it('labels bastes and the stall for unwrapped poultry', () => {
+    const { steps } = buildLiveTimeline(planFor('chicken'));
+    expect(steps.find(s => s.key === 'spritz-0').label).toBe("Baste #1");
+    expect(steps.find(s => s.key === 'wrap').label).toBe("Stall Check");
+  });
+
+  it('shifts downstream steps from the actual start and squeezes the rest', () => {
+    const plan = planFor('brisket');
+    const late = addMinutes(plan.startCook, 30);
+    const { steps, offsetMinutes, restMinutes } = buildLiveTimeline(plan, late);
+
+    expect(offsetMinutes).toBe(30);
+    expect(restMinutes).toBe(90);
+    expect(steps.find(s => s.key === 'on').time).toEqual(late);
+    expect(differenceInMinutes(steps.find(s => s.key === 'wrap').time, plan.wrapTime)).toBe(30);
+    expect(differenceInMinutes(steps.find(s => s.key === 'finish').time, plan.finishCook)).toBe(30);
+    expect(steps.find(s => s.key === 'serve').time).toEqual(plan.serve);
+    expect(steps.find(s => s.key === 'prep').time).toEqual(plan.startPrep);
+  });
+});
+
+describe('currentStepIndex', () => {
+  const { steps } = buildLiveTimeline(planFor('ribs'));
+
+  it('is -1 before the first step', () => {
+    expect(currentStepIndex(steps, addMinutes(steps[0].time, -1))).toBe(-1);
+  });
+
+  it('points at the last step whose time has passed', () => {
+    expect(currentStepIndex(steps, steps[2].time)).toBe(2);
+    expect(currentStepIndex(steps, addMinutes(steps[2].time, 1))).toBe(2);
+    expect(currentStepIndex(steps, addMinutes(steps[steps.length - 1].time, 60))).toBe(steps.length - 1);
+  });
+});
+
+describe('dueAlarms', () => {
+  const { steps } = buildLiveTimeline(planFor('brisket'));
+  const wrap = steps.find(s => s.key === 'wrap');
+
+  it('returns alarmed steps that came due since the last tick', () => {
+    expect(dueAlarms(steps, addMinutes(wrap.time, -1), wrap.time)).toEqual([wrap]);
+  });
+
+  it('does not fire the same step twice', () => {
+    expect(dueAlarms(steps, wrap.time, addMinutes(wrap.time, 1))).not.toContain(wrap);
+  });
+
+  it('skips steps without an alarm', () => {
+    const serve = steps.find(s => s.key === 'serve');
+    expect(dueAlarms(steps, addMinutes(serve.time, -1), serve.time)).toEqual([]);
+  });
+});
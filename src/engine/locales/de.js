@@ -0,0 +1,561 @@
+// German. Engine messages by id, UI phrases by their English text, built-in
+// meats, wraps, hold methods, smokers and spritz liquids by key.
+
+const WEATHER_WHAT = { cold: "Kalter Grilltag", windy: "Windiger Grilltag", coldWindy: "Kalter, windiger Grilltag" };
+const SHARE_KINDS = { meat: "Unbekanntes Fleisch", wrap: "Unbekannte Wickelmethode", hold: "Unbekannte Warmhaltemethode", planMode: "Unbekannter Planmodus", sizeMode: "Unbekannter Mengenmodus", appetite: "Unbekannter Appetit", thaw: "Unbekannter Auftauzustand", prep: "Unbekannte Vorbereitung", thawMethod: "Unbekannte Auftaumethode", smoker: "Unbekannte Smokergröße" };
+
+export default {
+  // Plan warnings
+  'warn.outOfRange': (p, f) => `📉 Außerhalb des Bereichs: Für ${p.meat} gibt es nur Garzeiten zwischen ${f.tempRange(p.min, p.max)}. Die Zeiten bei ${f.temp(p.temp)} sind hochgerechnet, also aufs Thermometer schauen, nicht auf die Uhr.`,
+  'warn.turkeySafety': (p, f) => `⛔ SICHERHEITSWARNUNG: Große Puten (>${f.weightValue(14)} ${f.unit('perWeight')}) bei ${f.temp(p.temp)} sind nicht sicher. Auf mindestens ${f.temp(275)} erhöhen oder „Spatchcock“ verwenden.`,
+  'warn.rubberSkin': (p, f) => `⚠️ Gummihaut: Geflügelhaut braucht mindestens ${f.temp(275)}, um knusprig zu werden. Die Temperatur ist zu niedrig.`,
+  'warn.dangerZone': (p, f) => `🌡️ GEFAHRENZONE: Nach ${p.rest} Min. (${p.hold}) fällt ${p.meat} auf ~${f.temp(p.serveTemp)}, unter ${f.temp(p.danger)}. Früher servieren oder in einer Cambro bzw. im Warmhalteofen halten.`,
+  'warn.shortRest': "🔪 Zu kurze Ruhezeit: {meat} braucht mindestens {minRest} Min. Ruhe, sonst landet der Saft auf dem Brett.",
+  'warn.weatherInsulated': (p) => `🥶 ${WEATHER_WHAT[p.what]}: Selbst mit Isolierdecke dauert es ~${p.extra} Min. länger. Das ist in der Startzeit oben schon eingerechnet.`,
+  'warn.weatherExposed': (p) => `🥶 ${WEATHER_WHAT[p.what]}: ~${p.extra} Min. länger, in der Startzeit oben schon eingerechnet. Eine Isolierdecke oder ein Windschutz spart ~${p.saved} Min.`,
+  'warn.forecastGap': (p) => (p.all
+      ? "📅 Die importierte Vorhersage deckt dieses Garen nicht ab, daher wird mit den manuellen Werten gerechnet. Importiere eine Vorhersage für den Grilltag."
+      : "📅 Die importierte Vorhersage deckt nur einen Teil des Garens ab; für den Rest wird mit den manuellen Werten gerechnet."),
+  'warn.rain': "🌧️ Regen während des Garens: Pelletbehälter geschlossen und Pellets abgedeckt halten — nasse Pellets quellen auf und blockieren die Förderschnecke.",
+
+  // Safety rules (see ../safetyRules.js): the warning, why it matters, and fixes
+  'rule.turkeyLowTemp.why': (p, f) => `Ein großer Vogel erwärmt sich bei niedriger Garraumtemperatur langsam, Kern und Bauchhöhle bleiben stundenlang zwischen ${f.temp(40)} und ${f.temp(140)}.`,
+  'rule.unsafePull': (p, f) => `⛔ Unsichere Kerntemperatur: ${p.meat} braucht mindestens ${f.temp(p.min)} im Kern, du nimmst es aber bei ${f.temp(p.target)} heraus.`,
+  'rule.unsafePull.why': (p, f) => (p.poultry
+      ? `Geflügel kann Salmonellen bis in den Kern tragen; ${f.temp(p.min)} tötet sie sofort ab.`
+      : p.injected
+          ? `Beim Spritzen gelangen Bakterien von der Oberfläche ins Innere; wie Hackfleisch braucht es durchgehend ${f.temp(p.min)}.`
+          : `Ganze Stücke von Rind, Schwein und Lamm sind ab ${f.temp(p.min)} mit Ruhezeit sicher. Darunter nur die Außenseite.`),
+  'rule.frozen': "⛔ Gefrorenes Fleisch: {meat} gehört nicht gefroren in den Smoker. Bei Smokertemperaturen taut der Kern langsam und bleibt lange in der Gefahrenzone.",
+  'rule.frozen.why': (p, f) => `Rechne mit etwa einem Tag im Kühlschrank pro ${f.weight(5, 0)}. Ein Kaltwasserbad, alle 30 Min. erneuert, geht schneller.`,
+  'rule.stuffedPoultry': "⛔ Gefüllter Vogel: Die Füllung in {meat} wird im Smoker selten heiß genug.",
+  'rule.stuffedPoultry.why': (p, f) => `Die Füllung saugt rohen Fleischsaft auf und muss ebenfalls ${f.temp(165)} erreichen, was im Smoker viel länger dauert als beim Fleisch.`,
+  'rule.dangerZone': (p, f) => `🦠 Langsames Aufwärmen: Der Kern bleibt ~${p.hours} Std. zwischen ${f.temp(p.low)} und ${f.temp(p.high)}. Ziel: unter ${p.max} Std.`,
+  'rule.dangerZone.why': "In diesem Bereich vermehren sich Bakterien am schnellsten. Unversehrtes Rind und Schwein sind innen sauber, Geflügel, Füllung, gespritztes Fleisch und angefrorenes Fleisch nicht, daher muss ihr Kern schnell hindurch.",
+  'rule.rubberSkin.why': "Darüber schmilzt das Fett und die Haut wird knusprig; darunter bleibt es und die Haut wird zäh.",
+  'rule.wrapAboveTarget': (p, f) => `🧻 Einwickeln findet nie statt: Die Einwickeltemperatur (${f.temp(p.wrap)}) liegt über der Zieltemperatur (${f.temp(p.target)}).`,
+  'rule.wrapAboveTarget.why': "Das Einwickeln soll über das Plateau helfen, lange bevor das Fleisch fertig ist.",
+  'rule.overCapacity': (p, f) => `🪵 Voller Grill: ${f.weight(p.total)} rohes Fleisch ist mehr, als ein Grill dieser Größe fasst (etwa ${f.weight(p.capacity, 0)}).`,
+  'rule.overCapacity.why': "Der Plan geht davon aus, dass alle Stücke gleichzeitig mit Platz für den Rauch auf den Rost passen. Verteile das Fleisch auf zwei Grills oder zwei Runden.",
+  'fix.pitTemp': (p, f) => `Garraum auf ${f.temp(p.temp)} stellen`,
+  'fix.targetTemp': (p, f) => `Bei ${f.temp(p.temp)} herausnehmen`,
+  'fix.wrapTemp': (p, f) => `Bei ${f.temp(p.temp)} einwickeln`,
+  'fix.thaw': "Ich taue es vorher auf",
+  'fix.unstuff': "Füllung separat backen",
+  'fix.holdOven': "Im Warmhalteofen halten",
+  'fix.thawWater': "In kaltem Wasser auftauen",
+  'fix.moveLater': "Plan um {hours} Std. verschieben",
+  'fix.sideOven': "{side} im Ofen backen",
+  'fix.sidePit': "{side} auf den Grill stellen",
+
+  // Worst reading in a bad-weather stretch
+  'weather.cold': (p, f) => f.temp(p.temp),
+  'weather.windy': (p, f) => `Wind mit ${f.speed(p.windMph)}`,
+  'weather.rain': "Regen",
+
+  // Probe log
+  'probe.pastServe': "⏰ Verspätung: Voraussichtlich {lateBy} Min. nach Plan fertig und {pastServe} Min. nach dem Servieren. Temperatur erhöhen oder jetzt einwickeln.",
+  'probe.behind': (p) => `⏰ Verspätung: Voraussichtlich ${p.lateBy} Min. nach Plan fertig, es bleiben ${p.restLeft} Min. Ruhezeit${p.restLeft < p.minRest ? ` (mindestens ${p.minRest})` : ''}.`,
+
+  // Calendar events and cook sheet milestones
+  'event.prep': "Parieren, würzen, Grill anzünden. {meat}, {weight}.",
+  'event.on': "Garraum auf {temp}. Deckel schließen.",
+  'event.spritz': "Verwenden: {type}.",
+  'event.wrap': "Bei ~{temp} Kerntemperatur in {wrap} einwickeln.",
+  'event.stall': "Die Temperatur bleibt um {temp} stehen. Geduld.",
+  'event.tempChange': "Garraum von {from} auf {to} umstellen.",
+  'event.finish': (p) => `Bei ${p.temp} Kerntemperatur herausnehmen (butterweich), dann ${p.rest} Min. ruhen lassen${p.hold ? ` (${p.hold})` : ''}.`,
+  'event.serve': "{meat} ist fertig.",
+  'event.refill': "Den {hopper}-Pelletbehälter auffüllen, bevor er leer wird.",
+  'sheet.rest': "{rest} Min., {hold}",
+
+  // Quiet hours
+  'quiet.temp': (p, f) => `🔥 Garraum von ${f.temp(p.from)} auf ${f.temp(p.to)} erhöht, damit der Garvorgang aus der Ruhezeit rückt.`,
+  'quiet.rest': "🛏️ Das Fleisch kommt früher auf den Grill und ruht {to} min statt {from}, damit die Schritte aus der Ruhezeit rücken.",
+  'quiet.wrap': (p, f) => `🧻 Bei ${f.temp(p.to)} statt ${f.temp(p.from)} einwickeln, damit das Einwickeln außerhalb der Ruhezeit liegt.`,
+  'quiet.spritz': (p) => `💤 Besprühen entfällt ${p.count}× zwischen ${p.from} und ${p.to}. Der Deckel bleibt nachts zu.`,
+  'quiet.clash': "😴 Noch in der Ruhezeit ({from}–{to}): {steps}. Wecker stellen oder die Servierzeit verschieben.",
+
+  // Vorbereitung vor dem Garen
+  'prep.wetBrine': "{salt} grobes Salz in {water} kaltem Wasser lösen und das Fleisch darin im Kühlschrank einlegen, ~{hours} Std.",
+  'prep.dryBrine': "Rundum mit {salt} grobem Salz einreiben und offen in den Kühlschrank stellen, ~{hours} Std.",
+  'prep.injection': "~{volume} Marinade im Raster einspritzen, dann zurück in den Kühlschrank.",
+  'prep.rub': "Mit ~{rub} Rub einreiben, einwickeln und über Nacht kühlen.",
+  'prep.late': "⏰ Vorbereitung zu spät: {step} hätte {time} beginnen sollen. Jetzt erledigen; es wirkt dann kürzer.",
+  'prep.thawFridge': "Die {weight} aus dem Gefrierschrank auf einem Tablett in den Kühlschrank legen. ~{hours} Std. zum Auftauen.",
+  'prep.thawWater': "Die {weight} dicht verpackt in kaltes Wasser legen, alle 30 Min. wechseln. ~{hours} Std. zum Auftauen.",
+  'prep.thawSwitch': "🧊 Keine Zeit zum Auftauen im Kühlschrank: das dauert ~{hours} Std. Ein Kaltwasserbad braucht ~{waterHours} Std., wenn es bis {time} beginnt.",
+  'prep.thawTooSoon': "🧊 Zu knapp zum Auftauen: es braucht ~{hours} Std., das Fleisch käme teilweise gefroren auf den Grill. Plan um ~{delay} Std. verschieben.",
+
+  // Menge nach Gästezahl
+  'yield.buy': (p) => (p.pieces > 1 ? `${p.pieces} × ${p.weight} roh kaufen (${p.total} insgesamt).` : `~${p.weight} roh kaufen.`),
+  'yield.feeds': (p) => `Ergibt ~${p.cooked} gegart, genug für ${p.feeds} ${p.feeds === 1 ? 'Gast' : 'Gäste'}.`,
+  'yield.short': "Das ist die größte Stückzahl für einen Plan ({pieces}) und reicht nicht für alle {guests} Gäste. Plane für den Rest eine zweite Runde.",
+
+  // Beilagen
+  'side.in': (p) => (p.oven ? `${p.side} in den Ofen` : `${p.side} auf den Grill`),
+  'side.detail': (p, f) => `${p.minutes} Min. bei ${f.temp(p.temp)}.`,
+  'side.tempMismatch': (p, f) => `🥘 Grill zu ${p.pit > p.want ? 'heiß' : 'kühl'} für ${p.side}: gewünscht sind ${f.temp(p.want)}, der Grill läuft ab ${p.time} mit ${f.temp(p.pit)}.`,
+  'side.notLit': "🥘 {side} müsste um {time} starten, bevor der Grill an ist.",
+  'side.ovenBusy': (p, f) => `🥘 Ofen belegt: das Fleisch wird darin bei ${f.temp(p.hold)} warmgehalten, ${p.side} braucht aber ${f.temp(p.want)}.`,
+  'side.clash': (p) => `🥘 ${p.a} und ${p.b} sind gleichzeitig ${p.oven ? 'im Ofen' : 'auf dem Grill'}, brauchen aber verschiedene Temperaturen.`,
+
+  // Session conflicts
+  'session.tempConflict': (p, f) => `🌡️ ${p.item} braucht ${f.temp(p.want)}, aber der Garraum steht auf ${f.temp(p.pit)}.`,
+  'session.collision': "⏱️ {events} fallen auf dieselbe Minute.",
+
+  // Input validation
+  'error.required': "{label} ist erforderlich ({range}).",
+  'error.whole': "{label} muss eine ganze Zahl sein.",
+  'error.range': "{label} muss für {meat} zwischen {range} liegen.",
+  'error.restTooLong': (p) => `${p.meat} hält sich nur ${p.max} Min. (${p.hold}), bevor es austrocknet.`,
+  'error.stageTrigger': "Wählen, wann sich die Temperatur ändert.",
+  'error.stageTemp': "Die Garraumtemperatur muss eine ganze Zahl sein, {range} für {meat}.",
+  'error.stageWrap': "Beim Einwickeln ist nur ein Temperaturwechsel möglich.",
+  'error.stageTime': "Der Wechsel muss 1–1440 Min. nach dem Auflegen erfolgen.",
+  'error.stageOrder': "Zeitgesteuerte Wechsel müssen in der richtigen Reihenfolge sein.",
+  'error.serveTime': "Servierzeit wählen.",
+  'error.serveTimeInvalid': "Die Servierzeit ist kein gültiges Datum.",
+  'error.startTime': "Wähle, wann die Vorbereitung beginnt.",
+  'error.startTimeInvalid': "Der Beginn der Vorbereitung ist kein gültiges Datum.",
+  'error.thaw': "Wähle, wie aufgetaut das Fleisch ist.",
+  'error.prep': "Wähle die Vorbereitung aus der Liste.",
+  'error.prepBrines': "Wähle Nass- oder Trockenpökeln, nicht beides.",
+  'error.thawMethod': "Wähle, wie es auftauen soll.",
+  'error.appetite': "Wähle einen Appetit.",
+  'error.sideName': "Gib der Beilage einen Namen.",
+  'error.sideTime': "Die Garzeit muss eine ganze Zahl sein, 5–720 Min.",
+  'error.sideTemp': "Die Temperatur muss eine ganze Zahl sein, {range}.",
+  'error.sidePlace': "Wähle, wo sie gart.",
+  'error.quietHours': "Die Ruhezeit braucht einen Beginn und ein Ende (z. B. 23:00 und 06:00).",
+  'error.meat': "Fleisch wählen.",
+  'error.wrap': "Einwickelmethode wählen.",
+  'error.hold': "Warmhaltemethode wählen.",
+  'error.smoker': "Smokergröße wählen.",
+
+  // Share links that won't open
+  'share.notPlan': "Dieser Link ist kein Plan-Link.",
+  'share.newer': "Dieser Link stammt aus einer neueren Version des Planers (v{version}).",
+  'share.damaged': "Dieser Link ist beschädigt oder unvollständig.",
+  'share.missing': "Einstellung fehlt: {field}.",
+  'share.invalid': "Ungültige Einstellung: {field}.",
+  'share.profile': "Das eigene Fleischprofil in diesem Link ist ungültig.",
+  'share.unknown': (p) => `${SHARE_KINDS[p.kind]}: „${p.value}“.`,
+  'share.zero': "Gewicht und Garraumtemperatur müssen über 0 liegen.",
+
+  // Built-in profiles and options
+  'meat.brisket': "Brisket (ganz)",
+  'meat.porkButt': "Schweineschulter / Nacken",
+  'meat.ribs': "Schweinerippchen (Spare/Baby Back)",
+  'meat.turkey': "Pute (ganz)",
+  'meat.chicken': "Hähnchen (ganz)",
+  'spritz.brisket': "Apfelessig",
+  'spritz.porkButt': "Apfelsaft/Essig",
+  'spritz.ribs': "Apfelessig",
+  'spritz.turkey': "Geschmolzene Butter",
+  'spritz.chicken': "Geschmolzene Butter/Öl",
+  'wrap.foil_pan': "Abgedeckte Alu-Schale (geschmort)",
+  'wrap.foil': "Alufolie (straff)",
+  'wrap.paper': "Metzgerpapier",
+  'wrap.none': "Ohne Einwickeln (nackt)",
+  'hold.counter': "Arbeitsplatte (mit Folie abgedeckt)",
+  'hold.cooler': "Kühlbox mit Handtüchern",
+  'hold.cambro': "Faux Cambro (vorgewärmte Kühlbox)",
+  'hold.oven': "Warmhalteofen",
+  'smoker.portable': "Tragbar / Tailgater",
+  'smoker.standard': "Standard (3.700–4.500 cm²)",
+  'smoker.large': "Groß (5.500+ cm²)",
+  'smoker.insulated': "Isoliert / Vertikal",
+  'thaw.thawed': "Ganz aufgetaut",
+  'thaw.partial': "Teilweise gefroren",
+  'thaw.frozen': "Tiefgefroren",
+  'appetite.light': "Leicht (Kinder, viele Beilagen)",
+  'appetite.average': "Normal",
+  'appetite.hearty': "Kräftig (mit Resten)",
+  'sideDish.macCheese': "Mac and Cheese",
+  'sideDish.bakedBeans': "Baked Beans",
+  'sideDish.cornbread': "Maisbrot",
+  'technique.wetBrine': "Nasspökeln",
+  'technique.dryBrine': "Trockenpökeln",
+  'technique.injection': "Injektion",
+  'technique.rub': "Rub über Nacht",
+  'thawMethod.fridge': "Im Kühlschrank",
+  'thawMethod.coldWater': "Kaltwasserbad",
+
+  // Engine labels and notices
+  "Weight": "Gewicht",
+  "Pit temp": "Garraumtemperatur",
+  "Rest": "Ruhezeit",
+  "Oven temp": "Ofentemperatur",
+  "Prep": "Vorbereitung",
+  "Target temp": "Zieltemperatur",
+  "Wrap temp": "Einwickeltemperatur",
+  "Spritz start": "Sprühbeginn",
+  "Spritz interval": "Sprühintervall",
+  "Pellets on hand": "Vorhandene Pellets",
+  "Outside temp": "Außentemperatur",
+  "Wind": "Wind",
+  "On the Grate": "Auf den Rost",
+  "Spritz / Baste": "Besprühen / Bestreichen",
+  "Wrap": "Einwickeln",
+  "Pull & Rest": "Herausnehmen & ruhen",
+  "Serve": "Servieren",
+  "Deep Aluminum Pan": "Tiefe Alu-Schale",
+  "Heavy-Duty Foil": "Starke Alufolie",
+  "Heavy-Duty Foil (18\")": "Starke Alufolie (45 cm)",
+  "Pink Butcher Paper (18\")": "Rosa Metzgerpapier (45 cm)",
+  "Climbing — not in the stall yet.": "Steigt — noch nicht im Stall.",
+  "In the stall. ETA resumes once it breaks.": "Im Stall. Die Prognose kommt zurück, sobald er vorbei ist.",
+  "Through the stall.": "Stall überwunden.",
+  "Forecast file is not valid JSON.": "Die Vorhersagedatei ist kein gültiges JSON.",
+  "Couldn't read the forecast file.": "Die Vorhersagedatei konnte nicht gelesen werden.",
+  "Forecast CSV needs time and temp columns.": "Die Vorhersage-CSV braucht Spalten für Zeit und Temperatur.",
+  "No hourly readings found in the forecast file.": "Keine stündlichen Werte in der Vorhersagedatei gefunden.",
+  "Forecast temperatures need to be in °F or °C.": "Die Vorhersagetemperaturen müssen in °F oder °C sein.",
+  "Forecast wind needs to be in mph, km/h, m/s or knots.": "Der Vorhersagewind muss in mph, km/h, m/s oder Knoten angegeben sein.",
+  "Forecast readings are out of range; check the units in the file.": "Die Vorhersagewerte liegen außerhalb des Bereichs; prüfe die Einheiten in der Datei.",
+  "Your saved plans were made by a newer version of the planner; some details may be missing.": "Deine gespeicherten Pläne stammen aus einer neueren Version des Planers; manche Details fehlen eventuell.",
+  "Your saved plans couldn't be read, so we started a fresh list. The old data was kept as a backup.": "Deine gespeicherten Pläne waren nicht lesbar, daher wurde eine neue Liste angelegt. Die alten Daten sind als Sicherung aufbewahrt.",
+  "Your last plan couldn't be read, so we started from the defaults.": "Dein letzter Plan war nicht lesbar, daher wurde mit den Standardwerten begonnen.",
+  "Low/Slow": "Low & Slow",
+  "Standard": "Standard",
+  "Turbo": "Turbo",
+  "Roast": "Braten",
+  "Crisp Skin": "Knusprige Haut",
+  "Cold Stretch": "Kalte Phase",
+  "Windy Stretch": "Windige Phase",
+  "Rain": "Regen",
+  "Single Meat": "Ein Stück",
+  "Cook Session": "Grillsession",
+  "Profiles": "Profile",
+  "History": "Verlauf",
+  "Instant Read Thermometer": "Sofort-Thermometer",
+  "Heat Resistant Gloves": "Hitzebeständige Handschuhe",
+  "Pink Butcher Paper": "Rosa Metzgerpapier",
+  "Deep Aluminum Pans": "Tiefe Alu-Schalen",
+  "Poultry Shears": "Geflügelschere",
+  "Safety first. Verify {temp}.": "Sicherheit zuerst. {temp} prüfen.",
+  "Handle hot pans/birds safely.": "Heiße Schalen und Geflügel sicher anfassen.",
+  "Preserve that bark (breathable wrap).": "Für eine schöne Kruste (atmungsaktiv).",
+  "Essential for boat method or catching drippings.": "Unverzichtbar für die Boot-Methode oder zum Auffangen des Safts.",
+  "For spatchcocking the bird easily.": "Zum einfachen Aufschneiden (Spatchcock).",
+
+  // Planner
+  "Pellet Planner": "Pellet-Planer",
+  "Master Recipe Mode (V8)": "Master-Rezept-Modus (V8)",
+  "Language": "Sprache",
+  "Recipe Settings": "Rezepteinstellungen",
+  "Meat": "Fleisch",
+  "Pit Temp": "Garraumtemperatur",
+  "Serve Time": "Servierzeit",
+  "Fat Side Up?": "Fettseite oben?",
+  "Spatchcock?": "Spatchcock?",
+  "Stuffed?": "Gefüllt?",
+  "Starting State": "Zustand zu Beginn",
+  "Target Internal Temp:": "Ziel-Kerntemperatur:",
+  "Hold Method": "Warmhaltemethode",
+  "Oven": "Ofen",
+  "Smoker & Fuel": "Smoker & Brennstoff",
+  "Prep (min)": "Vorbereitung (Min.)",
+  "Rest (min)": "Ruhezeit (Min.)",
+  "Fix these to generate your plan:": "Bitte korrigieren, um den Plan zu erstellen:",
+  "Enter a serve time to generate your plan.": "Servierzeit eingeben, um den Plan zu erstellen.",
+  "Prep Start Time": "Beginn der Vorbereitung",
+  "Serve by": "Servieren um",
+  "Start prep at": "Vorbereiten ab",
+  "Trimming, seasoning and lighting the grill start here; the meat goes on {minutes} min later.": "Parieren, Würzen und Anzünden des Grills beginnen hier; das Fleisch kommt {minutes} Min. später auf den Grill.",
+  "Ready Around": "Fertig gegen",
+  "Realistically ready {earliest} – {latest}": "Realistisch fertig {earliest} – {latest}",
+  "Enter a start time to generate your plan.": "Startzeit eingeben, um den Plan zu erstellen.",
+  "Quick Fixes": "Schnelle Lösungen",
+  "Dismiss": "Ausblenden",
+  "Calibrated from {count} past cook: {time}% time, {buffer}% buffer.": "Kalibriert aus {count} Grillgang: {time} % Zeit, {buffer} % Puffer.",
+  "Calibrated from {count} past cooks: {time}% time, {buffer}% buffer.": "Kalibriert aus {count} Grillgängen: {time} % Zeit, {buffer} % Puffer.",
+  "Wake Up / Prep": "Aufstehen / Vorbereitung",
+  "Start:": "Start:",
+  "Temp:": "Temp.:",
+  "Close the lid.": "Deckel schließen.",
+  "Trim, season, ignite grill.": "Parieren, würzen, Grill anzünden.",
+  "Spritz Phase": "Sprühphase",
+  "Baste Phase": "Bestreichphase",
+  "Butter Baste": "Mit Butter bestreichen",
+  "Use:": "Verwenden:",
+  "Repeat every {interval} mins (~{count} times).": "Alle {interval} Min. wiederholen (~{count}-mal).",
+  "Action: Wrap Meat": "Aktion: Fleisch einwickeln",
+  "Add butter/sugar/honey (optional).": "Butter/Zucker/Honig dazugeben (optional).",
+  "Wrap in {wrap}.": "In {wrap} einwickeln.",
+  "The Stall": "Der Stall",
+  "Temp will stick around {temp}. Be patient.": "Die Temperatur bleibt um {temp} stehen. Geduld.",
+  "Target": "Ziel",
+  "Check Visuals: Bend test or bones sticking out.": "Optisch prüfen: Biegetest oder herausstehende Knochen.",
+  "(Probe Tender).": "(butterweich beim Einstechen).",
+  "Finish window:": "Fertig-Fenster:",
+  "Can run {late} min late (keeps the {minRest} min minimum rest) or finish {early} min early": "Darf {late} Min. später (mit {minRest} Min. Mindestruhe) oder {early} Min. früher fertig werden",
+  "(before it dries out).": "(bevor es austrocknet).",
+  "(before it cools below {temp}).": "(bevor es unter {temp} abkühlt).",
+  "After a {rest}m rest in the {hold} (~{temp} at serve).": "Nach {rest} Min. Ruhe ({hold}) (~{temp} beim Servieren).",
+  "Worst: {detail}.": "Am schlimmsten: {detail}.",
+  "Keep the lid shut; expect the pit to lag.": "Deckel geschlossen halten; der Garraum wird nachhinken.",
+  "Keep the pellets dry.": "Pellets trocken halten.",
+  "Fat Side UP.": "Fettseite OBEN.",
+  "Fat Side DOWN.": "Fettseite UNTEN.",
+  "Butterfly (Spatchcock) the bird.": "Geflügel aufschneiden (Spatchcock).",
+  "Add to Calendar (.ics)": "Zum Kalender hinzufügen (.ics)",
+  "Share Plan Link": "Plan-Link teilen",
+  "Link copied — send it to whoever is on pit duty.": "Link kopiert — schick ihn an den, der am Grill steht.",
+  "Copy this link:": "Diesen Link kopieren:",
+  "Print Cook Sheet": "Grillplan drucken",
+  "Pro Gear for This Cook": "Profi-Zubehör für diesen Grillgang",
+  "As an Amazon Associate I earn from qualifying purchases.": "Als Amazon-Partner verdiene ich an qualifizierten Verkäufen.",
+  "Viewing a shared plan": "Geteilter Plan",
+  "Changes here aren't saved until you keep it. Your own plan is untouched.": "Änderungen werden erst gespeichert, wenn du ihn übernimmst. Dein eigener Plan bleibt unverändert.",
+  "Times are converted from {zone} to your local time.": "Zeiten werden von {zone} in deine Ortszeit umgerechnet.",
+  "Save as My Plan": "Als meinen Plan speichern",
+  "Back to My Plan": "Zurück zu meinem Plan",
+  "This share link couldn't be opened.": "Dieser Link konnte nicht geöffnet werden.",
+  "{meat} (shared)": "{meat} (geteilt)",
+
+  // Temp schedule
+  "Temp Schedule": "Temperaturstufen",
+  "Starts at {temp}.": "Beginnt bei {temp}.",
+  "Set Temp": "Temperatur einstellen",
+  "At the stall": "Beim Stall",
+  "Minutes after the meat goes on": "Minuten nach dem Auflegen",
+  "Up from {temp}.": "Erhöht von {temp}.",
+  "Up from {temp}, right after wrapping.": "Erhöht von {temp}, direkt nach dem Einwickeln.",
+  "Up from {temp}, once the stall sets in.": "Erhöht von {temp}, sobald der Stall beginnt.",
+  "Remove temp change": "Temperaturwechsel entfernen",
+  "Add Temp Change": "Temperaturwechsel hinzufügen",
+  "each": "je Stück",
+  "By weight": "Nach Gewicht",
+  "By guests": "Nach Gästen",
+  "Guests": "Gäste",
+  "Appetite": "Appetit",
+  "Pieces": "Stück",
+  "Side Dishes": "Beilagen",
+  "Side dish": "Beilage",
+  "Remove side dish": "Beilage entfernen",
+  "Cook time (min)": "Garzeit (Min.)",
+  "min at": "Min. bei",
+  "Side temp": "Temperatur der Beilage",
+  "Wherever fits": "Wo es passt",
+  "On the pit": "Auf dem Grill",
+  "In the oven": "Im Ofen",
+  "Hot at serve time": "Heiß zum Servieren",
+  "+ Add Side Dish": "+ Beilage hinzufügen",
+  "Something else": "Etwas anderes",
+  "Prep Ahead": "Vorab vorbereiten",
+  "In the Freezer Now?": "Gerade im Gefrierschrank?",
+  "Thaw": "Auftauen",
+  "Add a change to bump the pit later in the cook.": "Einen Wechsel hinzufügen, um die Temperatur später zu erhöhen.",
+
+  // Weather
+  "Weather": "Wetter",
+  "Quiet Hours": "Ruhezeit",
+  "From": "Von",
+  "Until": "Bis",
+  "No prep, wrap, temp change or pull in this window. Spritzes in it are skipped.": "In diesem Zeitraum kein Vorbereiten, Einwickeln, Temperaturwechsel oder Herausnehmen. Besprühen darin entfällt.",
+  "Adjusted for quiet hours": "An die Ruhezeit angepasst",
+  "Skip the {count} that fall in quiet hours.": "Die {count} in der Ruhezeit auslassen.",
+  "Forecast: {hours} hours, {from} – {to}": "Vorhersage: {hours} Stunden, {from} – {to}",
+  "Clear forecast": "Vorhersage löschen",
+  "Outside": "Draußen",
+  "Rain?": "Regen?",
+  "Insulation blanket?": "Isolierdecke?",
+  "Import Hourly Forecast (CSV / JSON)": "Stündliche Vorhersage importieren (CSV / JSON)",
+
+  // Fuel
+  "Fuel Estimate": "Brennstoffbedarf",
+  "{unit} total": "{unit} gesamt",
+  "{unit} / hour": "{unit} / Stunde",
+  "{unit} hopper": "{unit}-Behälter",
+  "One full hopper lasts past the {time} finish.": "Ein voller Behälter reicht über das Ende um {time} hinaus.",
+  "One hopper runs dry around": "Ein Behälter ist leer gegen",
+  "Top up at:": "Nachfüllen um:",
+  "Shopping List": "Einkaufsliste",
+  "Kosher Salt": "Grobes Salz",
+  "Injection Marinade": "Injektionsmarinade",
+  "BBQ Rub": "BBQ-Rub",
+  "Pellets ({bag} bag)": "Pellets ({bag}-Sack)",
+  "bag": "Sack",
+  "bags": "Säcke",
+
+  // Live cook
+  "Start Cook": "Grillen starten",
+  "Live Cook": "Live-Grillen",
+  "End": "Beenden",
+  "Next: {step} in {minutes} min": "Als Nächstes: {step} in {minutes} Min.",
+  "Alarms only ring while this page is open. A background tab is fine; closing it or letting the device sleep stops them.": "Alarme klingeln nur, solange diese Seite geöffnet ist. Ein Tab im Hintergrund reicht; schließt du ihn oder geht das Gerät in den Ruhezustand, bleiben sie aus.",
+  "Meat actually went on at": "Fleisch tatsächlich aufgelegt um",
+  "{minutes} min late": "{minutes} Min. zu spät",
+  "{minutes} min early": "{minutes} Min. zu früh",
+  "rest is now {minutes} min (planned {planned}).": "Ruhezeit jetzt {minutes} Min. (geplant {planned}).",
+  "That's under the {minutes} min minimum.": "Das ist unter dem Minimum von {minutes} Min.",
+  "That's past the {minutes} min it can hold.": "Das ist über den {minutes} Min., die es warmgehalten werden kann.",
+  "Wrapped {time}": "Eingewickelt {time}",
+  "Log Wrap Now": "Einwickeln jetzt erfassen",
+  "Finished — Save Cook": "Fertig — Grillgang speichern",
+  "Start Thawing": "Auftauen beginnen",
+  "Start Prep": "Vorbereitung starten",
+  "Meat on Grate": "Fleisch auf den Rost",
+  "Baste #{n}": "Bestreichen Nr. {n}",
+  "Spritz #{n}": "Besprühen Nr. {n}",
+  "Wrap Meat": "Fleisch einwickeln",
+  "Stall Check": "Stall prüfen",
+  "Set Pit to {temp}": "Garraum auf {temp} stellen",
+  "Finish Check": "Garprobe",
+  "Target Finish": "Geplantes Ende",
+  "Top Up Hopper": "Pellets nachfüllen",
+  "Scheduled for {time}": "Geplant für {time}",
+  "Cook: {meat}": "Grillen: {meat}",
+
+  // Probe log
+  "Probe Log": "Thermometer-Protokoll",
+  "Clear readings": "Messwerte löschen",
+  "Internal {unit} now": "Kern-{unit} jetzt",
+  "Log": "Erfassen",
+  "Paste readings, one per line: 10:30 {temp}": "Messwerte einfügen, einer pro Zeile: 10:30 {temp}",
+  "Import pasted readings": "Eingefügte Messwerte importieren",
+  "Stall": "Stall",
+  "Started {time} at {temp}": "Begonnen um {time} bei {temp}",
+  "Projected Finish": "Voraussichtlich fertig",
+  "Rising {rate}/hr": "Steigt {rate}/Std.",
+
+  // Cook sheet
+  "Back": "Zurück",
+  "Print": "Drucken",
+  "Save PDF": "Als PDF speichern",
+  "Serve:": "Servieren:",
+  "Settings": "Einstellungen",
+  "Timeline": "Ablauf",
+  "Warnings": "Warnungen",
+  "Temp Log": "Temperaturprotokoll",
+  "Planned": "Geplant",
+  "Actual": "Tatsächlich",
+  "Pit {unit}": "Garraum {unit}",
+  "Internal {unit}": "Kern {unit}",
+  "Notes": "Notizen",
+  "Cook Sheet: {title}": "Grillplan: {title}",
+  ", spatchcocked": ", Spatchcock",
+  ", fat side up": ", Fettseite oben",
+  "Pit": "Garraum",
+  "Pull at": "Herausnehmen bei",
+  "{temp} internal": "{temp} Kerntemperatur",
+  "{wrap} at {temp}": "{wrap} bei {temp}",
+  "No wrap": "Nicht einwickeln",
+  "Baste": "Bestreichen",
+  "Spritz": "Besprühen",
+  "{type}, every {interval} min": "{type}, alle {interval} Min.",
+  "Off": "Aus",
+  "Finish window": "Fertig-Fenster",
+  "Pellets": "Pellets",
+  "~{total} ({rate}/hr), {smoker}": "~{total} ({rate}/Std.), {smoker}",
+  "~{temp}, {wind} wind": "~{temp}, Wind {wind}",
+  " (forecast)": " (Vorhersage)",
+
+  // Plan library
+  "Delete \"{name}\"?": "„{name}“ löschen?",
+  "OK": "OK",
+  "Save name": "Namen speichern",
+  "Rename plan": "Plan umbenennen",
+  "New Plan": "Neuer Plan",
+  "New plan": "Neuer Plan",
+  "Duplicate plan": "Plan duplizieren",
+  "Delete plan": "Plan löschen",
+
+  // Session
+  "Remove item": "Eintrag entfernen",
+  "Add Item": "Eintrag hinzufügen",
+  "First Prep": "Erste Vorbereitung",
+  "Add items and a serve time to plan the session.": "Einträge und eine Servierzeit hinzufügen, um die Session zu planen.",
+
+  // Profiles
+  "Edit Profile": "Profil bearbeiten",
+  "New Profile": "Neues Profil",
+  "Name": "Name",
+  "Default {unit}": "Standard-{unit}",
+  "Target {unit}": "Ziel-{unit}",
+  "Stall factor": "Stall-Faktor",
+  "Cook Rates (hours/{unit})": "Garzeiten (Stunden/{unit})",
+  "Hours per {unit}": "Stunden pro {unit}",
+  "Remove temp": "Temperatur entfernen",
+  "Add temp": "Temperatur hinzufügen",
+  "Min rest (min)": "Min. Ruhe (Min.)",
+  "Default rest": "Standard-Ruhe",
+  "Max hold": "Max. Warmhalten",
+  "Spritz by default": "Standardmäßig besprühen",
+  "Start (mins)": "Beginn (Min.)",
+  "Interval (mins)": "Intervall (Min.)",
+  "Liquid": "Flüssigkeit",
+  "Poultry (spatchcock option, baste instead of spritz)": "Geflügel (Spatchcock möglich, bestreichen statt besprühen)",
+  "Save": "Speichern",
+  "Cancel": "Abbrechen",
+  "Meat Profiles": "Fleischprofile",
+  "New": "Neu",
+  "Custom": "Eigenes",
+  "Built-in": "Eingebaut",
+  "Clone profile": "Profil klonen",
+  "Edit profile": "Profil bearbeiten",
+  "Delete profile": "Profil löschen",
+  "Export": "Exportieren",
+  "Import": "Importieren",
+  "Imported {names}.": "Importiert: {names}.",
+  "{name} (Copy)": "{name} (Kopie)",
+  "Profile must be an object.": "Das Profil muss ein Objekt sein.",
+  "Name is required.": "Name ist erforderlich.",
+  "Default weight must be above 0 {unit}.": "Das Standardgewicht muss über 0 {unit} liegen.",
+  "Add at least one pit temp with a rate.": "Mindestens eine Garraumtemperatur mit Garzeit hinzufügen.",
+  "Pit temp {temp} must be a whole number between {range}.": "Garraumtemperatur {temp} muss eine ganze Zahl zwischen {range} sein.",
+  "Rate at {temp} must be above 0 hours/{unit}.": "Die Garzeit bei {temp} muss über 0 Stunden/{unit} liegen.",
+  "Minimum rest must be 0 or more minutes.": "Die Mindestruhe muss 0 Minuten oder mehr betragen.",
+  "Default rest must be 0 or more minutes.": "Die Standard-Ruhe muss 0 Minuten oder mehr betragen.",
+  "Max hold must be 0 or more minutes.": "Das maximale Warmhalten muss 0 Minuten oder mehr betragen.",
+  "Default rest can't be shorter than the minimum.": "Die Standard-Ruhe darf nicht kürzer als das Minimum sein.",
+  "Max hold can't be shorter than the default rest.": "Das maximale Warmhalten darf nicht kürzer als die Standard-Ruhe sein.",
+  "Stall factor must be between 0 and 1.": "Der Stall-Faktor muss zwischen 0 und 1 liegen.",
+  "Target temp must be between {range}.": "Die Zieltemperatur muss zwischen {range} liegen.",
+  "Spritz recommendation must be on or off.": "Die Sprühempfehlung muss an oder aus sein.",
+  "Spritz start must be 0 or more minutes.": "Der Sprühbeginn muss 0 Minuten oder mehr betragen.",
+  "Spritz interval must be above 0 minutes.": "Das Sprühintervall muss über 0 Minuten liegen.",
+  "Spritz liquid is required.": "Eine Sprühflüssigkeit ist erforderlich.",
+  "Poultry must be on or off.": "Geflügel muss an oder aus sein.",
+  "Cooked yield must be above 0 and at most 1.": "Die Garausbeute muss über 0 und höchstens 1 sein.",
+  "Largest piece must be above 0 {unit}.": "Das größte Stück muss über 0 {unit} liegen.",
+  "Whole pieces must be on or off.": "Ganze Stücke muss an oder aus sein.",
+  "File is not valid JSON.": "Die Datei ist kein gültiges JSON.",
+  "File version {version} is newer than this app supports.": "Dateiversion {version} ist neuer, als diese App unterstützt.",
+  "File does not contain any meat profiles.": "Die Datei enthält keine Fleischprofile.",
+  "Profile {n}": "Profil {n}",
+
+  // History
+  "Calibration": "Kalibrierung",
+  "Finish a cook in live mode and save it to start calibrating.": "Einen Grillgang im Live-Modus beenden und speichern, um mit der Kalibrierung zu beginnen.",
+  "Buffer:": "Puffer:",
+  "(default until 3 cooks are logged)": "(Standard, bis 3 Grillgänge erfasst sind)",
+  "(from {count} cooks)": "(aus {count} Grillgängen)",
+  "vs. model": "ggü. Modell",
+  "{count} cook": "{count} Grillgang",
+  "{count} cooks": "{count} Grillgänge",
+  "Cook Journal": "Grilltagebuch",
+  "Search notes and pellets": "Notizen und Pellets durchsuchen",
+  "All meats": "Alle Fleischsorten",
+  "All wraps": "Alle Einwickelarten",
+  "No cooks match.": "Keine passenden Grillgänge.",
+  "Bark": "Kruste",
+  "Tenderness": "Zartheit",
+  "Moisture": "Saftigkeit",
+  "Pellet brand": "Pellet-Marke",
+  "Pellet flavor": "Pellet-Holzart",
+  "How did it go? Bark, tenderness, what to change next time...": "Wie lief es? Kruste, Zartheit, was beim nächsten Mal anders...",
+  "Add photos": "Fotos hinzufügen",
+  "Remove photo": "Foto entfernen",
+  "Couldn't save the photos. The browser may be out of storage space or blocking it.": "Die Fotos konnten nicht gespeichert werden. Der Browser hat vielleicht keinen Speicherplatz mehr oder blockiert ihn.",
+  "Re-cook This": "Nochmal so grillen",
+  "This cook was logged before the journal kept its settings.": "Dieser Grillgang wurde gespeichert, bevor das Tagebuch die Einstellungen aufbewahrte.",
+  "No completed cooks yet.": "Noch keine abgeschlossenen Grillgänge.",
+  "planned {hours}": "geplant {hours}",
+  "actual {hours}": "tatsächlich {hours}",
+  "wrapped {time} (plan {planned})": "eingewickelt {time} (Plan {planned})",
+  "Delete cook": "Grillgang löschen",
+  "min": "Min.",
+};
@@ -0,0 +1,145 @@
+// English text for engine messages (see ../i18n.js). UI phrases are keyed by
+// their English text and need no entry here.
+
+const WEATHER_WHAT = { cold: "Cold", windy: "Windy", coldWindy: "Cold and windy" };
+const SHARE_KINDS = { meat: "meat", wrap: "wrap", hold: "hold method", planMode: "plan mode", sizeMode: "size mode", appetite: "appetite", thaw: "thaw state", prep: "prep technique", thawMethod: "thaw method", smoker: "smoker size" };
+
+export default {
+  // Plan warnings
+  'warn.outOfRange': (p, f) => `📉 Out of Range: ${p.meat} only has cook data for ${f.tempRange(p.min, p.max)}. Times at ${f.temp(p.temp)} are extrapolated, so watch the probe, not the clock.`,
+  'warn.turkeySafety': (p, f) => `⛔ SAFETY ALERT: Large turkeys (>${f.weightValue(14)}${f.unit('perWeight')}) at ${f.temp(p.temp)} are unsafe. Increase temp to ${f.temp(275)}+ or use "Spatchcock" mode.`,
+  'warn.rubberSkin': (p, f) => `⚠️ Rubber Skin Alert: Poultry skin needs ${f.temp(275)}+ to crisp. Your current temp is low.`,
+  'warn.dangerZone': (p, f) => `🌡️ DANGER ZONE: after ${p.rest} min in the ${p.hold.toLowerCase()}, ${p.meat} drops to ~${f.temp(p.serveTemp)}, below ${f.temp(p.danger)}. Serve sooner, or hold in a cambro or warming oven.`,
+  'warn.shortRest': "🔪 Short Rest: {meat} needs at least {minRest} min to rest, or the juice ends up on the board.",
+  'warn.weatherInsulated': (p) => `🥶 ${WEATHER_WHAT[p.what]} cook: even with the blanket it runs ~${p.extra} min longer. That's already in the start time above.`,
+  'warn.weatherExposed': (p) => `🥶 ${WEATHER_WHAT[p.what]} cook: adds ~${p.extra} min, already in the start time above. An insulation blanket or windbreak would win back ~${p.saved} min.`,
+  'warn.forecastGap': (p) => (p.all
+      ? "📅 The imported forecast doesn't cover this cook, so it's timed with the manual conditions instead. Import a forecast for the cook day."
+      : "📅 The imported forecast only covers part of this cook; the rest is timed with the manual conditions."),
+  'warn.rain': "🌧️ Rain during the cook: keep the hopper lid shut and pellets covered — wet pellets swell and jam the auger.",
+
+  // Safety rules (see ../safetyRules.js): the warning, why it matters, and fixes
+  'rule.turkeyLowTemp.why': (p, f) => `A big bird heats slowly at a low pit, so its centre and cavity sit between ${f.temp(40)} and ${f.temp(140)} for hours.`,
+  'rule.unsafePull': (p, f) => `⛔ Unsafe Pull Temp: ${p.meat} needs at least ${f.temp(p.min)} inside, but you're pulling at ${f.temp(p.target)}.`,
+  'rule.unsafePull.why': (p, f) => (p.poultry
+      ? `Poultry can carry salmonella right through; ${f.temp(p.min)} kills it on the spot.`
+      : p.injected
+          ? `Injecting pushes bacteria from the surface into the middle, so like ground meat it needs ${f.temp(p.min)} right through.`
+          : `Whole cuts of beef, pork and lamb are safe from ${f.temp(p.min)} with a rest. Below that, only the outside is.`),
+  'rule.frozen': "⛔ Frozen Meat: {meat} shouldn't go on the smoker frozen. At smoker temps the centre thaws slowly and lingers in the danger zone.",
+  'rule.frozen.why': (p, f) => `Allow about a day in the fridge per ${f.weight(5, 0)}. A cold-water bath, changed every 30 min, is quicker.`,
+  'rule.stuffedPoultry': "⛔ Stuffed Bird: stuffing in {meat} rarely gets hot enough in a smoker.",
+  'rule.stuffedPoultry.why': (p, f) => `The stuffing soaks up raw juices and has to reach ${f.temp(165)} too, which takes far longer than the meat at smoker temps.`,
+  'rule.dangerZone': (p, f) => `🦠 Slow Warm-Up: the centre spends ~${p.hours} h between ${f.temp(p.low)} and ${f.temp(p.high)}. Aim for under ${p.max} h.`,
+  'rule.dangerZone.why': "Bacteria multiply fastest in that range. Intact beef and pork are clean inside, but poultry, stuffing, injected meat and meat that starts partly frozen aren't, so their centres need to get through quickly.",
+  'rule.rubberSkin.why': "Skin renders and crisps above that; below it the fat stays put and the skin turns leathery.",
+  'rule.wrapAboveTarget': (p, f) => `🧻 Wrap Never Happens: the wrap temp (${f.temp(p.wrap)}) is above the pull temp (${f.temp(p.target)}).`,
+  'rule.wrapAboveTarget.why': "The wrap is meant to push through the stall, well before the meat is done.",
+  'rule.overCapacity': (p, f) => `🪵 Crowded Pit: ${f.weight(p.total)} of raw meat is more than a grill this size holds (about ${f.weight(p.capacity, 0)}).`,
+  'rule.overCapacity.why': "The plan assumes every piece fits on the grates at once with room for smoke to move. Split the meat across two pits or two cooks.",
+  'fix.pitTemp': (p, f) => `Set the pit to ${f.temp(p.temp)}`,
+  'fix.targetTemp': (p, f) => `Pull at ${f.temp(p.temp)}`,
+  'fix.wrapTemp': (p, f) => `Wrap at ${f.temp(p.temp)}`,
+  'fix.thaw': "I'll thaw it first",
+  'fix.unstuff': "Bake the stuffing separately",
+  'fix.holdOven': "Hold in a warming oven",
+  'fix.thawWater': "Thaw in cold water",
+  'fix.moveLater': "Move the plan {hours} h later",
+  'fix.sideOven': "Bake {side} in the oven",
+  'fix.sidePit': "Put {side} on the pit",
+
+  // Worst reading in a bad-weather stretch
+  'weather.cold': (p, f) => f.temp(p.temp),
+  'weather.windy': (p, f) => `${f.speed(p.windMph)} wind`,
+  'weather.rain': "rain",
+
+  // Probe log
+  'probe.pastServe': "⏰ Behind Schedule: projected finish is {lateBy} min past plan and {pastServe} min past serve. Bump the pit temp or wrap now.",
+  'probe.behind': (p) => `⏰ Behind Schedule: projected finish is ${p.lateBy} min past plan, leaving ${p.restLeft} min of rest${p.restLeft < p.minRest ? ` (minimum ${p.minRest})` : ''}.`,
+
+  // Calendar events and cook sheet milestones
+  'event.prep': "Trim, season, ignite grill. {meat}, {weight}.",
+  'event.on': "Pit at {temp}. Close the lid.",
+  'event.spritz': "Use: {type}.",
+  'event.wrap': "Wrap at ~{temp} internal in {wrap}.",
+  'event.stall': "Temp will stick around {temp}. Be patient.",
+  'event.tempChange': "Change the pit from {from} to {to}.",
+  'event.finish': (p) => `Pull at ${p.temp} internal (probe tender), then rest ${p.rest} min${p.hold ? ` in the ${p.hold.toLowerCase()}` : ''}.`,
+  'event.serve': "{meat} is ready.",
+  'event.refill': "Refill the {hopper} hopper before it runs low.",
+  'sheet.rest': (p) => `${p.rest} min, ${p.hold.toLowerCase()}`,
+
+  // Quiet hours
+  'quiet.temp': (p, f) => `🔥 Pit raised from ${f.temp(p.from)} to ${f.temp(p.to)} so the cook moves out of quiet hours.`,
+  'quiet.rest': "🛏️ Meat goes on earlier and holds {to} min instead of {from}, so the steps move out of quiet hours.",
+  'quiet.wrap': (p, f) => `🧻 Wrap at ${f.temp(p.to)} instead of ${f.temp(p.from)} so the wrap lands outside quiet hours.`,
+  'quiet.spritz': (p) => `💤 Skipping ${p.count} spritz${p.count === 1 ? '' : 'es'} between ${p.from} and ${p.to}. The lid stays shut overnight.`,
+  'quiet.clash': "😴 Still in quiet hours ({from}–{to}): {steps}. Set an alarm, or move the serve time.",
+
+  // Prep ahead of the cook
+  'prep.wetBrine': "Stir {salt} of kosher salt into {water} of cold water and submerge it in the fridge, ~{hours} h.",
+  'prep.dryBrine': "Salt all over with {salt} of kosher salt and leave it uncovered in the fridge, ~{hours} h.",
+  'prep.injection': "Inject ~{volume} of marinade in a grid across the meat, then back in the fridge.",
+  'prep.rub': "Coat with ~{rub} of rub, wrap and refrigerate overnight.",
+  'prep.late': "⏰ Late Prep: {step} should have started {time}. Do it now; it'll have less time to work.",
+  'prep.thawFridge': "Move the {weight} from the freezer to the fridge, on a tray. ~{hours} h to thaw.",
+  'prep.thawWater': "Seal the {weight} in a bag and sink it in cold water, changed every 30 min. ~{hours} h to thaw.",
+  'prep.thawSwitch': "🧊 No Time to Thaw in the Fridge: that takes ~{hours} h. A cold-water bath takes ~{waterHours} h if it starts by {time}.",
+  'prep.thawTooSoon': "🧊 Too Soon to Thaw: it needs ~{hours} h, so it would go on partly frozen. Move the plan ~{delay} h later.",
+
+  // Sizing by headcount
+  'yield.buy': (p) => (p.pieces > 1 ? `Buy ${p.pieces} × ${p.weight} raw (${p.total} in all).` : `Buy ~${p.weight} raw.`),
+  'yield.feeds': (p) => `Makes ~${p.cooked} cooked, enough for ${p.feeds} ${p.feeds === 1 ? 'guest' : 'guests'}.`,
+  'yield.short': "That's as many pieces as one plan takes ({pieces}), which won't feed all {guests}. Plan a second cook for the rest.",
+
+  // Side dishes
+  'side.in': (p) => (p.oven ? `${p.side} into the oven` : `${p.side} onto the pit`),
+  'side.detail': (p, f) => `${p.minutes} min at ${f.temp(p.temp)}.`,
+  'side.tempMismatch': (p, f) => `🥘 Pit Too ${p.pit > p.want ? 'Hot' : 'Cool'} for ${p.side}: it wants ${f.temp(p.want)}, but the pit runs at ${f.temp(p.pit)} from ${p.time}.`,
+  'side.notLit': "🥘 {side} would have to go on at {time}, before the pit is lit.",
+  'side.ovenBusy': (p, f) => `🥘 Oven Busy: the meat holds in it at ${f.temp(p.hold)}, but ${p.side} needs ${f.temp(p.want)}.`,
+  'side.clash': (p) => `🥘 ${p.a} and ${p.b} are ${p.oven ? 'in the oven' : 'on the pit'} together but want different temps.`,
+
+  // Session conflicts
+  'session.tempConflict': (p, f) => `🌡️ ${p.item} wants ${f.temp(p.want)} but the pit is set to ${f.temp(p.pit)}.`,
+  'session.collision': "⏱️ {events} land at the same minute.",
+
+  // Input validation
+  'error.required': "{label} is required ({range}).",
+  'error.whole': "{label} must be a whole number.",
+  'error.range': "{label} must be {range} for {meat}.",
+  'error.restTooLong': (p) => `${p.meat} can only hold ${p.max} min in the ${p.hold.toLowerCase()} before it dries out.`,
+  'error.stageTrigger': "Pick when the temp changes.",
+  'error.stageTemp': "Pit temp must be a whole number, {range} for {meat}.",
+  'error.stageWrap': "Only one temp change can happen at the wrap.",
+  'error.stageTime': "Change time must be 1–1440 min after the meat goes on.",
+  'error.stageOrder': "Timed changes must be in order.",
+  'error.serveTime': "Pick a serve time.",
+  'error.serveTimeInvalid': "Serve time isn't a valid date.",
+  'error.startTime': "Pick when to start prep.",
+  'error.startTimeInvalid': "Prep start time isn't a valid date.",
+  'error.thaw': "Pick how thawed the meat is.",
+  'error.prep': "Pick prep steps from the list.",
+  'error.prepBrines': "Pick a wet brine or a dry brine, not both.",
+  'error.thawMethod': "Pick how to thaw it.",
+  'error.appetite': "Pick an appetite.",
+  'error.sideName': "Give the side a name.",
+  'error.sideTime': "Cook time must be a whole number, 5–720 min.",
+  'error.sideTemp': "Temp must be a whole number, {range}.",
+  'error.sidePlace': "Pick where it cooks.",
+  'error.quietHours': "Quiet hours need a start and an end (e.g. 23:00 and 06:00).",
+  'error.meat': "Pick a meat.",
+  'error.wrap': "Pick a wrap.",
+  'error.hold': "Pick a hold method.",
+  'error.smoker': "Pick a smoker size.",
+
+  // Share links that won't open
+  'share.notPlan': "This share link is not a plan link.",
+  'share.newer': "This link was made by a newer version of the planner (v{version}).",
+  'share.damaged': "This share link is damaged or incomplete.",
+  'share.missing': "Missing {field}.",
+  'share.invalid': "Invalid {field}.",
+  'share.profile': "The custom meat profile in this link is invalid.",
+  'share.unknown': (p) => `Unknown ${SHARE_KINDS[p.kind]} "${p.value}".`,
+  'share.zero': "Weight and pit temp must be above 0.",
+};
@@ -0,0 +1,561 @@
+// French (Canada). Engine messages by id, UI phrases by their English text,
+// built-in meats, wraps, hold methods, smokers and spritz liquids by key.
+
+const WEATHER_WHAT = { cold: "Cuisson par temps froid", windy: "Cuisson par grand vent", coldWindy: "Cuisson par temps froid et venteux" };
+const SHARE_KINDS = { meat: "Viande inconnue", wrap: "Emballage inconnu", hold: "Méthode de maintien inconnue", planMode: "Mode de plan inconnu", sizeMode: "Mode de quantité inconnu", appetite: "Appétit inconnu", thaw: "État de décongélation inconnu", prep: "Technique de préparation inconnue", thawMethod: "Méthode de décongélation inconnue", smoker: "Taille de fumoir inconnue" };
+
+export default {
+  // Plan warnings
+  'warn.outOfRange': (p, f) => `📉 Hors plage : nous n'avons des données de cuisson pour ${p.meat} qu'entre ${f.tempRange(p.min, p.max)}. Les durées à ${f.temp(p.temp)} sont extrapolées : fiez-vous à la sonde, pas à l'horloge.`,
+  'warn.turkeySafety': (p, f) => `⛔ ALERTE SÉCURITÉ : une grosse dinde (>${f.weightValue(14)} ${f.unit('perWeight')}) à ${f.temp(p.temp)} n'est pas sécuritaire. Montez à ${f.temp(275)} ou plus, ou utilisez le mode « crapaudine ».`,
+  'warn.rubberSkin': (p, f) => `⚠️ Peau caoutchouteuse : la peau de volaille a besoin de ${f.temp(275)} ou plus pour devenir croustillante. Votre température est basse.`,
+  'warn.dangerZone': (p, f) => `🌡️ ZONE DE DANGER : après ${p.rest} min (${p.hold}), ${p.meat} descend à ~${f.temp(p.serveTemp)}, sous ${f.temp(p.danger)}. Servez plus tôt ou gardez au chaud dans un cambro ou un four chaud.`,
+  'warn.shortRest': "🔪 Repos trop court : {meat} doit reposer au moins {minRest} min, sinon le jus finit sur la planche.",
+  'warn.weatherInsulated': (p) => `🥶 ${WEATHER_WHAT[p.what]} : même avec la couverture isolante, comptez ~${p.extra} min de plus. C'est déjà inclus dans l'heure de départ ci-dessus.`,
+  'warn.weatherExposed': (p) => `🥶 ${WEATHER_WHAT[p.what]} : ajoute ~${p.extra} min, déjà inclus dans l'heure de départ ci-dessus. Une couverture isolante ou un pare-vent ferait gagner ~${p.saved} min.`,
+  'warn.forecastGap': (p) => (p.all
+      ? "📅 Les prévisions importées ne couvrent pas cette cuisson : elle est calculée avec les conditions saisies à la main. Importez des prévisions pour le jour de la cuisson."
+      : "📅 Les prévisions importées ne couvrent qu'une partie de la cuisson ; le reste est calculé avec les conditions saisies à la main."),
+  'warn.rain': "🌧️ Pluie pendant la cuisson : gardez le couvercle de la trémie fermé et les granules à l'abri — mouillées, elles gonflent et bloquent la vis sans fin.",
+
+  // Safety rules (see ../safetyRules.js): the warning, why it matters, and fixes
+  'rule.turkeyLowTemp.why': (p, f) => `Une grosse volaille chauffe lentement à basse température : son centre et sa cavité restent des heures entre ${f.temp(40)} et ${f.temp(140)}.`,
+  'rule.unsafePull': (p, f) => `⛔ Température de sortie dangereuse : ${p.meat} doit atteindre au moins ${f.temp(p.min)} à cœur, mais vous sortez à ${f.temp(p.target)}.`,
+  'rule.unsafePull.why': (p, f) => (p.poultry
+      ? `La volaille peut porter la salmonelle jusqu'au cœur; ${f.temp(p.min)} la tue instantanément.`
+      : p.injected
+          ? `L'injection pousse les bactéries de la surface vers le centre : comme la viande hachée, il faut ${f.temp(p.min)} à cœur.`
+          : `Les pièces entières de bœuf, de porc et d'agneau sont sûres dès ${f.temp(p.min)} avec un repos. En dessous, seul l'extérieur l'est.`),
+  'rule.frozen': "⛔ Viande congelée : {meat} ne doit pas aller congelé au fumoir. À ces températures, le centre dégèle lentement et s'attarde dans la zone de danger.",
+  'rule.frozen.why': (p, f) => `Comptez environ une journée au réfrigérateur par ${f.weight(5, 0)}. Un bain d'eau froide, changée toutes les 30 min, est plus rapide.`,
+  'rule.stuffedPoultry': "⛔ Volaille farcie : la farce de {meat} chauffe rarement assez dans un fumoir.",
+  'rule.stuffedPoultry.why': (p, f) => `La farce absorbe les jus crus et doit aussi atteindre ${f.temp(165)}, ce qui prend bien plus longtemps que la viande au fumoir.`,
+  'rule.dangerZone': (p, f) => `🦠 Montée lente : le centre passe ~${p.hours} h entre ${f.temp(p.low)} et ${f.temp(p.high)}. Visez moins de ${p.max} h.`,
+  'rule.dangerZone.why': "Les bactéries se multiplient le plus vite dans cette plage. Le bœuf et le porc intacts sont propres à cœur, mais pas la volaille, la farce, la viande injectée ni la viande encore partiellement congelée : leur centre doit la traverser vite.",
+  'rule.rubberSkin.why': "Au-delà, le gras fond et la peau croustille; en dessous, il reste en place et la peau devient coriace.",
+  'rule.wrapAboveTarget': (p, f) => `🧻 L'emballage n'aura jamais lieu : la température d'emballage (${f.temp(p.wrap)}) dépasse celle de sortie (${f.temp(p.target)}).`,
+  'rule.wrapAboveTarget.why': "L'emballage sert à passer le plateau, bien avant que la viande soit prête.",
+  'rule.overCapacity': (p, f) => `🪵 Fumoir surchargé : ${f.weight(p.total)} de viande crue, c'est plus que ce que contient un gril de cette taille (environ ${f.weight(p.capacity, 0)}).`,
+  'rule.overCapacity.why': "Le plan suppose que toutes les pièces tiennent sur les grilles en même temps, avec de la place pour la fumée. Répartissez la viande sur deux fumoirs ou deux cuissons.",
+  'fix.pitTemp': (p, f) => `Régler le fumoir à ${f.temp(p.temp)}`,
+  'fix.targetTemp': (p, f) => `Sortir à ${f.temp(p.temp)}`,
+  'fix.wrapTemp': (p, f) => `Emballer à ${f.temp(p.temp)}`,
+  'fix.thaw': "Je la décongèle d'abord",
+  'fix.unstuff': "Cuire la farce à part",
+  'fix.holdOven': "Maintenir au four chaud",
+  'fix.thawWater': "Décongeler à l'eau froide",
+  'fix.moveLater': "Décaler le plan de {hours} h",
+  'fix.sideOven': "Cuire {side} au four",
+  'fix.sidePit': "Mettre {side} sur le fumoir",
+
+  // Worst reading in a bad-weather stretch
+  'weather.cold': (p, f) => f.temp(p.temp),
+  'weather.windy': (p, f) => `vent de ${f.speed(p.windMph)}`,
+  'weather.rain': "pluie",
+
+  // Probe log
+  'probe.pastServe': "⏰ En retard : fin prévue {lateBy} min après le plan et {pastServe} min après le service. Montez la température ou emballez maintenant.",
+  'probe.behind': (p) => `⏰ En retard : fin prévue ${p.lateBy} min après le plan, il reste ${p.restLeft} min de repos${p.restLeft < p.minRest ? ` (minimum ${p.minRest})` : ''}.`,
+
+  // Calendar events and cook sheet milestones
+  'event.prep': "Parer, assaisonner, allumer le fumoir. {meat}, {weight}.",
+  'event.on': "Fumoir à {temp}. Fermez le couvercle.",
+  'event.spritz': "Utiliser : {type}.",
+  'event.wrap': "Emballer vers {temp} à cœur dans {wrap}.",
+  'event.stall': "La température va plafonner vers {temp}. Patience.",
+  'event.tempChange': "Passer le fumoir de {from} à {to}.",
+  'event.finish': (p) => `Retirer à ${p.temp} à cœur (tendre à la sonde), puis reposer ${p.rest} min${p.hold ? ` (${p.hold})` : ''}.`,
+  'event.serve': "{meat} est prêt.",
+  'event.refill': "Remplir la trémie de {hopper} avant qu'elle ne soit vide.",
+  'sheet.rest': "{rest} min, {hold}",
+
+  // Quiet hours
+  'quiet.temp': (p, f) => `🔥 Fumoir monté de ${f.temp(p.from)} à ${f.temp(p.to)} pour sortir la cuisson des heures calmes.`,
+  'quiet.rest': "🛏️ La viande va au fumoir plus tôt et repose {to} min au lieu de {from}, pour sortir les étapes des heures calmes.",
+  'quiet.wrap': (p, f) => `🧻 Emballer à ${f.temp(p.to)} au lieu de ${f.temp(p.from)} pour que l'emballage tombe hors des heures calmes.`,
+  'quiet.spritz': (p) => `💤 ${p.count} vaporisation${p.count === 1 ? '' : 's'} sautée${p.count === 1 ? '' : 's'} entre ${p.from} et ${p.to}. Le couvercle reste fermé la nuit.`,
+  'quiet.clash': "😴 Encore pendant les heures calmes ({from}–{to}) : {steps}. Réglez une alarme ou déplacez l'heure de service.",
+
+  // Préparation avant la cuisson
+  'prep.wetBrine': "Dissoudre {salt} de gros sel dans {water} d'eau froide et y immerger la viande au frigo, ~{hours} h.",
+  'prep.dryBrine': "Saler partout avec {salt} de gros sel et laisser à découvert au frigo, ~{hours} h.",
+  'prep.injection': "Injecter ~{volume} de marinade en quadrillage, puis remettre au frigo.",
+  'prep.rub': "Enrober de ~{rub} d'épices, emballer et réfrigérer pour la nuit.",
+  'prep.late': "⏰ Préparation en retard : {step} aurait dû commencer {time}. Faites-le maintenant; l'effet sera moindre.",
+  'prep.thawFridge': "Passer les {weight} du congélateur au frigo, sur un plateau. ~{hours} h de décongélation.",
+  'prep.thawWater': "Mettre les {weight} en sac étanche dans l'eau froide, changée toutes les 30 min. ~{hours} h de décongélation.",
+  'prep.thawSwitch': "🧊 Pas le temps de décongeler au frigo : il faut ~{hours} h. Un bain d'eau froide prend ~{waterHours} h s'il commence avant {time}.",
+  'prep.thawTooSoon': "🧊 Trop tôt pour décongeler : il faut ~{hours} h, la viande serait encore partiellement congelée. Décalez le plan de ~{delay} h.",
+
+  // Portions selon le nombre d'invités
+  'yield.buy': (p) => (p.pieces > 1 ? `Acheter ${p.pieces} × ${p.weight} crus (${p.total} en tout).` : `Acheter ~${p.weight} cru.`),
+  'yield.feeds': (p) => `Donne ~${p.cooked} cuits, assez pour ${p.feeds} ${p.feeds === 1 ? 'invité' : 'invités'}.`,
+  'yield.short': "C'est le nombre maximal de pièces pour un plan ({pieces}), ce qui ne suffit pas pour {guests} invités. Prévoyez une deuxième cuisson pour le reste.",
+
+  // Accompagnements
+  'side.in': (p) => (p.oven ? `${p.side} au four` : `${p.side} sur le fumoir`),
+  'side.detail': (p, f) => `${p.minutes} min à ${f.temp(p.temp)}.`,
+  'side.tempMismatch': (p, f) => `🥘 Fumoir trop ${p.pit > p.want ? 'chaud' : 'froid'} pour ${p.side} : il faut ${f.temp(p.want)}, mais le fumoir est à ${f.temp(p.pit)} dès ${p.time}.`,
+  'side.notLit': "🥘 {side} devrait commencer à {time}, avant l'allumage du fumoir.",
+  'side.ovenBusy': (p, f) => `🥘 Four occupé : la viande y est maintenue à ${f.temp(p.hold)}, mais ${p.side} demande ${f.temp(p.want)}.`,
+  'side.clash': (p) => `🥘 ${p.a} et ${p.b} sont ${p.oven ? 'au four' : 'sur le fumoir'} en même temps à des températures différentes.`,
+
+  // Session conflicts
+  'session.tempConflict': (p, f) => `🌡️ ${p.item} demande ${f.temp(p.want)}, mais le fumoir est réglé à ${f.temp(p.pit)}.`,
+  'session.collision': "⏱️ {events} tombent à la même minute.",
+
+  // Input validation
+  'error.required': "{label} est requis ({range}).",
+  'error.whole': "{label} doit être un nombre entier.",
+  'error.range': "{label} doit être entre {range} pour {meat}.",
+  'error.restTooLong': (p) => `${p.meat} ne se garde que ${p.max} min (${p.hold}) avant de sécher.`,
+  'error.stageTrigger': "Choisissez quand la température change.",
+  'error.stageTemp': "La température doit être un nombre entier, entre {range} pour {meat}.",
+  'error.stageWrap': "Un seul changement de température peut avoir lieu à l'emballage.",
+  'error.stageTime': "Le changement doit avoir lieu de 1 à 1440 min après la mise au fumoir.",
+  'error.stageOrder': "Les changements programmés doivent être dans l'ordre.",
+  'error.serveTime': "Choisissez une heure de service.",
+  'error.serveTimeInvalid': "L'heure de service n'est pas une date valide.",
+  'error.startTime': "Choisissez l'heure de début de la préparation.",
+  'error.startTimeInvalid': "L'heure de début de la préparation n'est pas une date valide.",
+  'error.thaw': "Indiquez l'état de décongélation de la viande.",
+  'error.prep': "Choisissez les préparations dans la liste.",
+  'error.prepBrines': "Choisissez une saumure liquide ou sèche, pas les deux.",
+  'error.thawMethod': "Choisissez comment décongeler.",
+  'error.appetite': "Choisissez un appétit.",
+  'error.sideName': "Donnez un nom à l'accompagnement.",
+  'error.sideTime': "La cuisson doit être un nombre entier, 5–720 min.",
+  'error.sideTemp': "La température doit être un nombre entier, {range}.",
+  'error.sidePlace': "Choisissez où il cuit.",
+  'error.quietHours': "Les heures calmes demandent un début et une fin (ex. 23:00 et 06:00).",
+  'error.meat': "Choisissez une viande.",
+  'error.wrap': "Choisissez un emballage.",
+  'error.hold': "Choisissez une méthode de maintien.",
+  'error.smoker': "Choisissez une taille de fumoir.",
+
+  // Share links that won't open
+  'share.notPlan': "Ce lien de partage n'est pas un lien de plan.",
+  'share.newer': "Ce lien a été créé par une version plus récente du planificateur (v{version}).",
+  'share.damaged': "Ce lien de partage est endommagé ou incomplet.",
+  'share.missing': "Paramètre manquant : {field}.",
+  'share.invalid': "Paramètre invalide : {field}.",
+  'share.profile': "Le profil de viande personnalisé de ce lien est invalide.",
+  'share.unknown': (p) => `${SHARE_KINDS[p.kind]} : « ${p.value} ».`,
+  'share.zero': "Le poids et la température du fumoir doivent être supérieurs à 0.",
+
+  // Built-in profiles and options
+  'meat.brisket': "Poitrine de bœuf (entière)",
+  'meat.porkButt': "Épaule de porc / soc",
+  'meat.ribs': "Côtes de porc (levées / dos)",
+  'meat.turkey': "Dinde (entière)",
+  'meat.chicken': "Poulet (entier)",
+  'spritz.brisket': "Vinaigre de cidre",
+  'spritz.porkButt': "Jus de pomme / vinaigre",
+  'spritz.ribs': "Vinaigre de cidre",
+  'spritz.turkey': "Beurre fondu",
+  'spritz.chicken': "Beurre fondu / huile",
+  'wrap.foil_pan': "Plat d'aluminium couvert (braisé)",
+  'wrap.foil': "Papier d'aluminium (serré)",
+  'wrap.paper': "Papier de boucher",
+  'wrap.none': "Sans emballage (nu)",
+  'hold.counter': "Comptoir (sous papier d'aluminium)",
+  'hold.cooler': "Glacière avec serviettes",
+  'hold.cambro': "Faux cambro (glacière préchauffée)",
+  'hold.oven': "Four chaud",
+  'smoker.portable': "Portatif / hayon",
+  'smoker.standard': "Standard (575–700 po²)",
+  'smoker.large': "Grand (850+ po²)",
+  'smoker.insulated': "Isolé / vertical",
+  'thaw.thawed': "Bien décongelée",
+  'thaw.partial': "Encore partiellement congelée",
+  'thaw.frozen': "Congelée",
+  'appetite.light': "Léger (enfants, beaucoup d'accompagnements)",
+  'appetite.average': "Moyen",
+  'appetite.hearty': "Copieux (avec restes)",
+  'sideDish.macCheese': "Macaroni au fromage",
+  'sideDish.bakedBeans': "Fèves au lard",
+  'sideDish.cornbread': "Pain de maïs",
+  'technique.wetBrine': "Saumure liquide",
+  'technique.dryBrine': "Saumure sèche",
+  'technique.injection': "Injection",
+  'technique.rub': "Épices la veille",
+  'thawMethod.fridge': "Au frigo",
+  'thawMethod.coldWater': "Bain d'eau froide",
+
+  // Engine labels and notices
+  "Weight": "Poids",
+  "Pit temp": "Température du fumoir",
+  "Rest": "Repos",
+  "Oven temp": "Température du four",
+  "Prep": "Préparation",
+  "Target temp": "Température cible",
+  "Wrap temp": "Température d'emballage",
+  "Spritz start": "Début de la vaporisation",
+  "Spritz interval": "Intervalle de vaporisation",
+  "Pellets on hand": "Granules en main",
+  "Outside temp": "Température extérieure",
+  "Wind": "Vent",
+  "On the Grate": "Sur la grille",
+  "Spritz / Baste": "Vaporiser / badigeonner",
+  "Wrap": "Emballer",
+  "Pull & Rest": "Retirer et reposer",
+  "Serve": "Service",
+  "Deep Aluminum Pan": "Plat d'aluminium profond",
+  "Heavy-Duty Foil": "Papier d'aluminium résistant",
+  "Heavy-Duty Foil (18\")": "Papier d'aluminium résistant (45 cm)",
+  "Pink Butcher Paper (18\")": "Papier de boucher rose (45 cm)",
+  "Climbing — not in the stall yet.": "En hausse — pas encore au plateau.",
+  "In the stall. ETA resumes once it breaks.": "Au plateau. L'estimation reprend quand il sera passé.",
+  "Through the stall.": "Plateau passé.",
+  "Forecast file is not valid JSON.": "Le fichier de prévisions n'est pas du JSON valide.",
+  "Couldn't read the forecast file.": "Impossible de lire le fichier de prévisions.",
+  "Forecast CSV needs time and temp columns.": "Le CSV de prévisions doit avoir des colonnes d'heure et de température.",
+  "No hourly readings found in the forecast file.": "Aucune donnée horaire dans le fichier de prévisions.",
+  "Forecast temperatures need to be in °F or °C.": "Les températures des prévisions doivent être en °F ou °C.",
+  "Forecast wind needs to be in mph, km/h, m/s or knots.": "Le vent des prévisions doit être en mph, km/h, m/s ou nœuds.",
+  "Forecast readings are out of range; check the units in the file.": "Les valeurs des prévisions sont hors limites ; vérifiez les unités du fichier.",
+  "Your saved plans were made by a newer version of the planner; some details may be missing.": "Vos plans enregistrés viennent d'une version plus récente du planificateur; certains détails peuvent manquer.",
+  "Your saved plans couldn't be read, so we started a fresh list. The old data was kept as a backup.": "Vos plans enregistrés sont illisibles, une nouvelle liste a donc été créée. Les anciennes données sont gardées en sauvegarde.",
+  "Your last plan couldn't be read, so we started from the defaults.": "Votre dernier plan est illisible, nous sommes repartis des valeurs par défaut.",
+  "Low/Slow": "Lent et doux",
+  "Standard": "Standard",
+  "Turbo": "Turbo",
+  "Roast": "Rôtir",
+  "Crisp Skin": "Peau croustillante",
+  "Cold Stretch": "Période froide",
+  "Windy Stretch": "Période venteuse",
+  "Rain": "Pluie",
+  "Single Meat": "Une viande",
+  "Cook Session": "Session",
+  "Profiles": "Profils",
+  "History": "Historique",
+  "Instant Read Thermometer": "Thermomètre à lecture instantanée",
+  "Heat Resistant Gloves": "Gants résistants à la chaleur",
+  "Pink Butcher Paper": "Papier de boucher rose",
+  "Deep Aluminum Pans": "Plats d'aluminium profonds",
+  "Poultry Shears": "Ciseaux à volaille",
+  "Safety first. Verify {temp}.": "La sécurité d'abord. Vérifiez {temp}.",
+  "Handle hot pans/birds safely.": "Manipulez plats et volailles chauds en sécurité.",
+  "Preserve that bark (breathable wrap).": "Préserve la croûte (emballage respirant).",
+  "Essential for boat method or catching drippings.": "Essentiels pour la méthode « bateau » ou recueillir le jus.",
+  "For spatchcocking the bird easily.": "Pour mettre la volaille en crapaudine facilement.",
+
+  // Planner
+  "Pellet Planner": "Planificateur à granules",
+  "Master Recipe Mode (V8)": "Mode recette maîtresse (V8)",
+  "Language": "Langue",
+  "Recipe Settings": "Réglages de la recette",
+  "Meat": "Viande",
+  "Pit Temp": "Température du fumoir",
+  "Serve Time": "Heure de service",
+  "Fat Side Up?": "Gras vers le haut?",
+  "Spatchcock?": "En crapaudine?",
+  "Stuffed?": "Farcie?",
+  "Starting State": "État au départ",
+  "Target Internal Temp:": "Température interne cible :",
+  "Hold Method": "Méthode de maintien",
+  "Oven": "Four",
+  "Smoker & Fuel": "Fumoir et combustible",
+  "Prep (min)": "Préparation (min)",
+  "Rest (min)": "Repos (min)",
+  "Fix these to generate your plan:": "Corrigez ceci pour générer votre plan :",
+  "Enter a serve time to generate your plan.": "Entrez une heure de service pour générer votre plan.",
+  "Prep Start Time": "Début de la préparation",
+  "Serve by": "Servir à",
+  "Start prep at": "Préparer à partir de",
+  "Trimming, seasoning and lighting the grill start here; the meat goes on {minutes} min later.": "Parage, assaisonnement et allumage du gril commencent ici ; la viande va sur le gril {minutes} min plus tard.",
+  "Ready Around": "Prêt vers",
+  "Realistically ready {earliest} – {latest}": "Prêt en réalité entre {earliest} et {latest}",
+  "Enter a start time to generate your plan.": "Entrez une heure de début pour générer votre plan.",
+  "Quick Fixes": "Solutions rapides",
+  "Dismiss": "Ignorer",
+  "Calibrated from {count} past cook: {time}% time, {buffer}% buffer.": "Calibré sur {count} cuisson : {time} % de temps, {buffer} % de marge.",
+  "Calibrated from {count} past cooks: {time}% time, {buffer}% buffer.": "Calibré sur {count} cuissons : {time} % de temps, {buffer} % de marge.",
+  "Wake Up / Prep": "Réveil / préparation",
+  "Start:": "Début :",
+  "Temp:": "Temp. :",
+  "Close the lid.": "Fermez le couvercle.",
+  "Trim, season, ignite grill.": "Parer, assaisonner, allumer le fumoir.",
+  "Spritz Phase": "Phase de vaporisation",
+  "Baste Phase": "Phase de badigeonnage",
+  "Butter Baste": "Badigeonner au beurre",
+  "Use:": "Utiliser :",
+  "Repeat every {interval} mins (~{count} times).": "Répéter toutes les {interval} min (~{count} fois).",
+  "Action: Wrap Meat": "Action : emballer la viande",
+  "Add butter/sugar/honey (optional).": "Ajouter beurre, sucre ou miel (facultatif).",
+  "Wrap in {wrap}.": "Emballer dans {wrap}.",
+  "The Stall": "Le plateau",
+  "Temp will stick around {temp}. Be patient.": "La température va plafonner vers {temp}. Patience.",
+  "Target": "Cible",
+  "Check Visuals: Bend test or bones sticking out.": "Vérifiez l'aspect : test de flexion ou os qui ressortent.",
+  "(Probe Tender).": "(tendre à la sonde).",
+  "Finish window:": "Fenêtre de fin :",
+  "Can run {late} min late (keeps the {minRest} min minimum rest) or finish {early} min early": "Peut finir {late} min en retard (en gardant le repos minimum de {minRest} min) ou {early} min en avance",
+  "(before it dries out).": "(avant de sécher).",
+  "(before it cools below {temp}).": "(avant de descendre sous {temp}).",
+  "After a {rest}m rest in the {hold} (~{temp} at serve).": "Après {rest} min de repos ({hold}) (~{temp} au service).",
+  "Worst: {detail}.": "Pire moment : {detail}.",
+  "Keep the lid shut; expect the pit to lag.": "Gardez le couvercle fermé; le fumoir sera plus lent.",
+  "Keep the pellets dry.": "Gardez les granules au sec.",
+  "Fat Side UP.": "Gras vers le HAUT.",
+  "Fat Side DOWN.": "Gras vers le BAS.",
+  "Butterfly (Spatchcock) the bird.": "Ouvrir la volaille en crapaudine.",
+  "Add to Calendar (.ics)": "Ajouter au calendrier (.ics)",
+  "Share Plan Link": "Partager le lien du plan",
+  "Link copied — send it to whoever is on pit duty.": "Lien copié — envoyez-le à qui surveille le fumoir.",
+  "Copy this link:": "Copiez ce lien :",
+  "Print Cook Sheet": "Imprimer la fiche de cuisson",
+  "Pro Gear for This Cook": "Équipement pour cette cuisson",
+  "As an Amazon Associate I earn from qualifying purchases.": "En tant que partenaire Amazon, je touche une commission sur les achats admissibles.",
+  "Viewing a shared plan": "Plan partagé",
+  "Changes here aren't saved until you keep it. Your own plan is untouched.": "Les changements ne sont enregistrés que si vous le gardez. Votre propre plan n'est pas modifié.",
+  "Times are converted from {zone} to your local time.": "Les heures sont converties de {zone} vers votre heure locale.",
+  "Save as My Plan": "Enregistrer comme mon plan",
+  "Back to My Plan": "Retour à mon plan",
+  "This share link couldn't be opened.": "Ce lien de partage n'a pas pu être ouvert.",
+  "{meat} (shared)": "{meat} (partagé)",
+
+  // Temp schedule
+  "Temp Schedule": "Paliers de température",
+  "Starts at {temp}.": "Commence à {temp}.",
+  "Set Temp": "Régler la température",
+  "At the stall": "Au plateau",
+  "Minutes after the meat goes on": "Minutes après la mise au fumoir",
+  "Up from {temp}.": "Monte de {temp}.",
+  "Up from {temp}, right after wrapping.": "Monte de {temp}, juste après l'emballage.",
+  "Up from {temp}, once the stall sets in.": "Monte de {temp}, une fois au plateau.",
+  "Remove temp change": "Retirer le changement",
+  "Add Temp Change": "Ajouter un changement",
+  "each": "chacun",
+  "By weight": "Au poids",
+  "By guests": "Par invités",
+  "Guests": "Invités",
+  "Appetite": "Appétit",
+  "Pieces": "Pièces",
+  "Side Dishes": "Accompagnements",
+  "Side dish": "Accompagnement",
+  "Remove side dish": "Retirer l'accompagnement",
+  "Cook time (min)": "Temps de cuisson (min)",
+  "min at": "min à",
+  "Side temp": "Température de l'accompagnement",
+  "Wherever fits": "Là où ça convient",
+  "On the pit": "Sur le fumoir",
+  "In the oven": "Au four",
+  "Hot at serve time": "Chaud au moment du service",
+  "+ Add Side Dish": "+ Ajouter un accompagnement",
+  "Something else": "Autre chose",
+  "Prep Ahead": "Préparation à l'avance",
+  "In the Freezer Now?": "Au congélateur en ce moment?",
+  "Thaw": "Décongélation",
+  "Add a change to bump the pit later in the cook.": "Ajoutez un changement pour monter le fumoir plus tard dans la cuisson.",
+
+  // Weather
+  "Weather": "Météo",
+  "Quiet Hours": "Heures calmes",
+  "From": "De",
+  "Until": "À",
+  "No prep, wrap, temp change or pull in this window. Spritzes in it are skipped.": "Aucune préparation, emballage, changement de température ni sortie dans cette plage. Les vaporisations qui y tombent sont sautées.",
+  "Adjusted for quiet hours": "Ajusté pour les heures calmes",
+  "Skip the {count} that fall in quiet hours.": "Sautez les {count} qui tombent pendant les heures calmes.",
+  "Forecast: {hours} hours, {from} – {to}": "Prévisions : {hours} heures, {from} – {to}",
+  "Clear forecast": "Effacer les prévisions",
+  "Outside": "Extérieur",
+  "Rain?": "Pluie?",
+  "Insulation blanket?": "Couverture isolante?",
+  "Import Hourly Forecast (CSV / JSON)": "Importer des prévisions horaires (CSV / JSON)",
+
+  // Fuel
+  "Fuel Estimate": "Estimation du combustible",
+  "{unit} total": "{unit} au total",
+  "{unit} / hour": "{unit} / heure",
+  "{unit} hopper": "trémie ({unit})",
+  "One full hopper lasts past the {time} finish.": "Une trémie pleine dure au-delà de la fin à {time}.",
+  "One hopper runs dry around": "Une trémie se vide vers",
+  "Top up at:": "Remplir à :",
+  "Shopping List": "Liste d'achats",
+  "Kosher Salt": "Gros sel",
+  "Injection Marinade": "Marinade à injecter",
+  "BBQ Rub": "Mélange d'épices BBQ",
+  "Pellets ({bag} bag)": "Granules (sac de {bag})",
+  "bag": "sac",
+  "bags": "sacs",
+
+  // Live cook
+  "Start Cook": "Lancer la cuisson",
+  "Live Cook": "Cuisson en direct",
+  "End": "Terminer",
+  "Next: {step} in {minutes} min": "Prochaine étape : {step} dans {minutes} min",
+  "Alarms only ring while this page is open. A background tab is fine; closing it or letting the device sleep stops them.": "Les alarmes ne sonnent que tant que cette page est ouverte. Un onglet en arrière-plan suffit ; fermer l'onglet ou laisser l'appareil se mettre en veille les arrête.",
+  "Meat actually went on at": "La viande est vraiment entrée à",
+  "{minutes} min late": "{minutes} min de retard",
+  "{minutes} min early": "{minutes} min d'avance",
+  "rest is now {minutes} min (planned {planned}).": "le repos est maintenant de {minutes} min (prévu {planned}).",
+  "That's under the {minutes} min minimum.": "C'est sous le minimum de {minutes} min.",
+  "That's past the {minutes} min it can hold.": "C'est au-delà des {minutes} min de maintien possible.",
+  "Wrapped {time}": "Emballé à {time}",
+  "Log Wrap Now": "Noter l'emballage",
+  "Finished — Save Cook": "Terminé — enregistrer",
+  "Start Thawing": "Début de la décongélation",
+  "Start Prep": "Début de la préparation",
+  "Meat on Grate": "Viande sur la grille",
+  "Baste #{n}": "Badigeonnage n° {n}",
+  "Spritz #{n}": "Vaporisation n° {n}",
+  "Wrap Meat": "Emballer la viande",
+  "Stall Check": "Vérifier le plateau",
+  "Set Pit to {temp}": "Régler le fumoir à {temp}",
+  "Finish Check": "Vérifier la cuisson",
+  "Target Finish": "Fin visée",
+  "Top Up Hopper": "Remplir la trémie",
+  "Scheduled for {time}": "Prévu à {time}",
+  "Cook: {meat}": "Cuisson : {meat}",
+
+  // Probe log
+  "Probe Log": "Relevés de sonde",
+  "Clear readings": "Effacer les relevés",
+  "Internal {unit} now": "{unit} interne maintenant",
+  "Log": "Noter",
+  "Paste readings, one per line: 10:30 {temp}": "Collez les relevés, un par ligne : 10:30 {temp}",
+  "Import pasted readings": "Importer les relevés collés",
+  "Stall": "Plateau",
+  "Started {time} at {temp}": "Commencé à {time} à {temp}",
+  "Projected Finish": "Fin prévue",
+  "Rising {rate}/hr": "Monte de {rate}/h",
+
+  // Cook sheet
+  "Back": "Retour",
+  "Print": "Imprimer",
+  "Save PDF": "Enregistrer en PDF",
+  "Serve:": "Service :",
+  "Settings": "Réglages",
+  "Timeline": "Déroulement",
+  "Warnings": "Avertissements",
+  "Temp Log": "Relevé des températures",
+  "Planned": "Prévu",
+  "Actual": "Réel",
+  "Pit {unit}": "Fumoir {unit}",
+  "Internal {unit}": "Interne {unit}",
+  "Notes": "Notes",
+  "Cook Sheet: {title}": "Fiche de cuisson : {title}",
+  ", spatchcocked": ", en crapaudine",
+  ", fat side up": ", gras vers le haut",
+  "Pit": "Fumoir",
+  "Pull at": "Retirer à",
+  "{temp} internal": "{temp} à cœur",
+  "{wrap} at {temp}": "{wrap} à {temp}",
+  "No wrap": "Sans emballage",
+  "Baste": "Badigeonner",
+  "Spritz": "Vaporiser",
+  "{type}, every {interval} min": "{type}, toutes les {interval} min",
+  "Off": "Non",
+  "Finish window": "Fenêtre de fin",
+  "Pellets": "Granules",
+  "~{total} ({rate}/hr), {smoker}": "~{total} ({rate}/h), {smoker}",
+  "~{temp}, {wind} wind": "~{temp}, vent de {wind}",
+  " (forecast)": " (prévisions)",
+
+  // Plan library
+  "Delete \"{name}\"?": "Supprimer « {name} »?",
+  "OK": "OK",
+  "Save name": "Enregistrer le nom",
+  "Rename plan": "Renommer le plan",
+  "New Plan": "Nouveau plan",
+  "New plan": "Nouveau plan",
+  "Duplicate plan": "Dupliquer le plan",
+  "Delete plan": "Supprimer le plan",
+
+  // Session
+  "Remove item": "Retirer l'article",
+  "Add Item": "Ajouter un article",
+  "First Prep": "Première préparation",
+  "Add items and a serve time to plan the session.": "Ajoutez des articles et une heure de service pour planifier la session.",
+
+  // Profiles
+  "Edit Profile": "Modifier le profil",
+  "New Profile": "Nouveau profil",
+  "Name": "Nom",
+  "Default {unit}": "{unit} par défaut",
+  "Target {unit}": "Cible {unit}",
+  "Stall factor": "Facteur de plateau",
+  "Cook Rates (hours/{unit})": "Temps de cuisson (heures/{unit})",
+  "Hours per {unit}": "Heures par {unit}",
+  "Remove temp": "Retirer la température",
+  "Add temp": "Ajouter une température",
+  "Min rest (min)": "Repos min. (min)",
+  "Default rest": "Repos par défaut",
+  "Max hold": "Maintien max.",
+  "Spritz by default": "Vaporiser par défaut",
+  "Start (mins)": "Début (min)",
+  "Interval (mins)": "Intervalle (min)",
+  "Liquid": "Liquide",
+  "Poultry (spatchcock option, baste instead of spritz)": "Volaille (option crapaudine, badigeonner au lieu de vaporiser)",
+  "Save": "Enregistrer",
+  "Cancel": "Annuler",
+  "Meat Profiles": "Profils de viande",
+  "New": "Nouveau",
+  "Custom": "Personnalisé",
+  "Built-in": "Intégré",
+  "Clone profile": "Cloner le profil",
+  "Edit profile": "Modifier le profil",
+  "Delete profile": "Supprimer le profil",
+  "Export": "Exporter",
+  "Import": "Importer",
+  "Imported {names}.": "Importé : {names}.",
+  "{name} (Copy)": "{name} (copie)",
+  "Profile must be an object.": "Le profil doit être un objet.",
+  "Name is required.": "Le nom est requis.",
+  "Default weight must be above 0 {unit}.": "Le poids par défaut doit être supérieur à 0 {unit}.",
+  "Add at least one pit temp with a rate.": "Ajoutez au moins une température avec un temps de cuisson.",
+  "Pit temp {temp} must be a whole number between {range}.": "La température {temp} doit être un nombre entier entre {range}.",
+  "Rate at {temp} must be above 0 hours/{unit}.": "Le temps à {temp} doit être supérieur à 0 heure/{unit}.",
+  "Minimum rest must be 0 or more minutes.": "Le repos minimum doit être de 0 minute ou plus.",
+  "Default rest must be 0 or more minutes.": "Le repos par défaut doit être de 0 minute ou plus.",
+  "Max hold must be 0 or more minutes.": "Le maintien max. doit être de 0 minute ou plus.",
+  "Default rest can't be shorter than the minimum.": "Le repos par défaut ne peut pas être plus court que le minimum.",
+  "Max hold can't be shorter than the default rest.": "Le maintien max. ne peut pas être plus court que le repos par défaut.",
+  "Stall factor must be between 0 and 1.": "Le facteur de plateau doit être entre 0 et 1.",
+  "Target temp must be between {range}.": "La température cible doit être entre {range}.",
+  "Spritz recommendation must be on or off.": "La vaporisation recommandée doit être activée ou non.",
+  "Spritz start must be 0 or more minutes.": "Le début de la vaporisation doit être de 0 minute ou plus.",
+  "Spritz interval must be above 0 minutes.": "L'intervalle de vaporisation doit être supérieur à 0 minute.",
+  "Spritz liquid is required.": "Le liquide de vaporisation est requis.",
+  "Poultry must be on or off.": "Volaille doit être activé ou non.",
+  "Cooked yield must be above 0 and at most 1.": "Le rendement cuit doit être supérieur à 0 et au plus 1.",
+  "Largest piece must be above 0 {unit}.": "La plus grosse pièce doit dépasser 0 {unit}.",
+  "Whole pieces must be on or off.": "Pièces entières doit être activé ou non.",
+  "File is not valid JSON.": "Le fichier n'est pas du JSON valide.",
+  "File version {version} is newer than this app supports.": "La version {version} du fichier est plus récente que ce que l'application prend en charge.",
+  "File does not contain any meat profiles.": "Le fichier ne contient aucun profil de viande.",
+  "Profile {n}": "Profil {n}",
+
+  // History
+  "Calibration": "Calibrage",
+  "Finish a cook in live mode and save it to start calibrating.": "Terminez une cuisson en direct et enregistrez-la pour commencer le calibrage.",
+  "Buffer:": "Marge :",
+  "(default until 3 cooks are logged)": "(par défaut jusqu'à 3 cuissons)",
+  "(from {count} cooks)": "(sur {count} cuissons)",
+  "vs. model": "vs modèle",
+  "{count} cook": "{count} cuisson",
+  "{count} cooks": "{count} cuissons",
+  "Cook Journal": "Journal de cuisson",
+  "Search notes and pellets": "Chercher dans les notes et granules",
+  "All meats": "Toutes les viandes",
+  "All wraps": "Tous les emballages",
+  "No cooks match.": "Aucune cuisson ne correspond.",
+  "Bark": "Croûte",
+  "Tenderness": "Tendreté",
+  "Moisture": "Jutosité",
+  "Pellet brand": "Marque de granules",
+  "Pellet flavor": "Essence de granules",
+  "How did it go? Bark, tenderness, what to change next time...": "Comment ça s'est passé? Croûte, tendreté, quoi changer la prochaine fois...",
+  "Add photos": "Ajouter des photos",
+  "Remove photo": "Retirer la photo",
+  "Couldn't save the photos. The browser may be out of storage space or blocking it.": "Impossible d'enregistrer les photos. Le navigateur manque peut-être d'espace ou bloque le stockage.",
+  "Re-cook This": "Refaire cette cuisson",
+  "This cook was logged before the journal kept its settings.": "Cette cuisson a été enregistrée avant que le journal ne garde ses réglages.",
+  "No completed cooks yet.": "Aucune cuisson terminée pour l'instant.",
+  "planned {hours}": "prévu {hours}",
+  "actual {hours}": "réel {hours}",
+  "wrapped {time} (plan {planned})": "emballé à {time} (prévu {planned})",
+  "Delete cook": "Supprimer la cuisson",
+  "min": "min",
+};
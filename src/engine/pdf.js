@@ -0,0 +1,103 @@
+// --- PDF ---
+// Just enough PDF 1.4 to print a cook sheet without a library: US Letter pages
+// of Helvetica text, lines and boxes. Pages are lists of drawing ops with
+// coordinates in points from the top-left corner; y is flipped on output.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// The standard fonts only cover WinAnsi. Map the punctuation we use and drop
+// the rest (emoji).
+const WIN_ANSI = { '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85 };
+
+export const pdfText = (text) => {
+  let out = '';
+  for (const char of String(text)) {
+      if (char === '→') {
+          out += '->';
+          continue;
+      }
+      const code = WIN_ANSI[char] ?? char.codePointAt(0);
+      if (code > 255) continue;
+      out += code < 32 ? ' ' : String.fromCharCode(code);
+  }
+  return out.replace(/\s+/g, ' ').trim();
+};
+
+const escapeString = (text) => pdfText(text).replace(/[\\()]/g, '\\$&');
+
+// Helvetica averages a little over half an em per character.
+export const textWidth = (text, size) => pdfText(text).length * size * 0.52;
+
+// Splits text into lines that fit `width` points, breaking on spaces.
+export function wrapText(text, size, width) {
+  const lines = [];
+  let current = '';
+  pdfText(text).split(' ').forEach((word) => {
+      const next = current ? `${current} ${word}` : word;
+      if (current && textWidth(next, size) > width) {
+          lines.push(current);
+          current = word;
+      } else {
+          current = next;
+      }
+  });
+  if (current) lines.push(current);
+  return lines;
+}
+
+const num = (n) => String(Math.round(n * 100) / 100);
+const flip = (y) => num(PAGE_HEIGHT - y);
+
+// Ops: { op: 'text', x, y, text, size, bold }  (y is the baseline)
+//      { op: 'line', x1, y1, x2, y2 }
+//      { op: 'rect', x, y, w, h, fill }        (fill: 0 black to 1 white)
+const drawOp = (o) => {
+  switch (o.op) {
+      case 'text':
+          return `BT /${o.bold ? 'F2' : 'F1'} ${num(o.size || 10)} Tf ${num(o.x)} ${flip(o.y)} Td (${escapeString(o.text)}) Tj ET`;
+      case 'line':
+          return `${num(o.x1)} ${flip(o.y1)} m ${num(o.x2)} ${flip(o.y2)} l S`;
+      case 'rect':
+          return o.fill === undefined
+              ? `${num(o.x)} ${flip(o.y + o.h)} ${num(o.w)} ${num(o.h)} re S`
+              : `${num(o.fill)} g ${num(o.x)} ${flip(o.y + o.h)} ${num(o.w)} ${num(o.h)} re f 0 g`;
+      default:
+          throw new Error(`Unknown PDF op: ${o.op}`);
+  }
+};
+
+// Returns the file as bytes, ready for a Blob.
+export function buildPdf(pages, title = '') {
+  const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      null, // page tree, once the pages are numbered
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Title (${escapeString(title)}) /Producer (Pellet Planner) >>`,
+  ];
+  const add = (body) => objects.push(body);
+
+  const kids = pages.map((ops) => {
+      const stream = ['0.5 w', ...ops.map(drawOp)].join('\n');
+      const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+      const offset = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+      out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  // Every character is a single byte by now (see pdfText)
+  return Uint8Array.from(out, char => char.charCodeAt(0));
+}
@@ -0,0 +1,78 @@
+import { addMinutes } from 'date-fns';
+
+// --- PELLET ESTIMATE ---
+// Rough fuel model for a pellet grill: burn rate climbs with pit temp, scales
+// with the size of the cook chamber and rises when it's cold or windy outside
+// (conditions come from the plan's weather assessment).
+
+// capacityLbs: roughly how much raw meat fits on the grates at once with room
+// for smoke to move. Worked out from the main grate area of each class (the
+// sq in in the labels): a 12–14 lb packer brisket takes about 200 sq in, and
+// a smoker loads comfortably to about two thirds of its grate. Vertical
+// cabinets gain racks, tailgaters have one small grate.
+export const SMOKER_SIZES = {
+  portable: { label: "Portable / Tailgater", burnFactor: 0.75, hopperLbs: 8, capacityLbs: 15 },
+  standard: { label: "Standard (575–700 sq in)", burnFactor: 1.0, hopperLbs: 18, capacityLbs: 40 },
+  large: { label: "Large (850+ sq in)", burnFactor: 1.3, hopperLbs: 24, capacityLbs: 70 },
+  insulated: { label: "Insulated / Vertical", burnFactor: 0.8, hopperLbs: 20, capacityLbs: 50 },
+};
+
+export const DEFAULT_SMOKER = 'standard';
+const NEUTRAL_AMBIENT = 70;
+
+export const BAG_LBS = 20;
+// Ignition and preheat before the meat goes on.
+const STARTUP_LBS = 0.75;
+// Suggest a top-up when the hopper is down to this share.
+const REFILL_AT = 0.25;
+// Extra fuel to have on hand beyond the estimate.
+const SAFETY_MARGIN = 0.2;
+
+// lbs/hour at pit temp for a standard grill at 70°F: ~1 at 225°F, ~2 at 275°F.
+export const baseBurnRate = (temp) => Math.max(0.5, 1.0 + (temp - 225) * 0.02);
+
+// +0.5% per degree below 70°F, -0.5% per degree above, within 0.9×–1.5×.
+export const ambientFactor = (ambient) => Math.min(1.5, Math.max(0.9, 1 + (NEUTRAL_AMBIENT - ambient) * 0.005));
+
+// +1% per mph above 5 mph, up to +25%.
+export const windFactor = (windMph) => 1 + Math.min(0.25, Math.max(0, windMph - 5) * 0.01);
+
+// An insulation blanket cuts the burn by about a fifth.
+const BLANKET_FACTOR = 0.8;
+
+export function estimatePellets(plan, inputs) {
+  const smoker = SMOKER_SIZES[inputs.smokerSize] || SMOKER_SIZES[DEFAULT_SMOKER];
+  const weather = plan.weather || { avgTemp: NEUTRAL_AMBIENT, avgWindMph: 0, insulated: false };
+
+  const cookHours = (plan.finishCook - plan.startCook) / 3600000;
+  // Time-weighted across a multi-temp schedule
+  const stages = plan.tempStages || [{ temp: inputs.temp, start: plan.startCook, end: plan.finishCook }];
+  const pitBurn = stages.reduce((sum, s) => sum + baseBurnRate(s.temp) * (s.end - s.start), 0) / (plan.finishCook - plan.startCook);
+  const lbsPerHour = pitBurn * smoker.burnFactor
+      * ambientFactor(weather.avgTemp) * windFactor(weather.avgWindMph)
+      * (weather.insulated ? BLANKET_FACTOR : 1);
+  const totalLbs = STARTUP_LBS + lbsPerHour * cookHours;
+
+  // Hopper starts full at ignition; top up each time it falls to REFILL_AT.
+  const refills = [];
+  const hoursPerFill = (smoker.hopperLbs * (1 - REFILL_AT)) / lbsPerHour;
+  const firstFillHours = (smoker.hopperLbs * (1 - REFILL_AT) - STARTUP_LBS) / lbsPerHour;
+  for (let h = firstFillHours; h < cookHours; h += hoursPerFill) {
+      refills.push(addMinutes(plan.startCook, h * 60));
+  }
+
+  const neededLbs = totalLbs * (1 + SAFETY_MARGIN);
+  const onHand = inputs.pelletsOnHand > 0 ? inputs.pelletsOnHand : 0;
+
+  return {
+      smoker: smoker.label,
+      hopperLbs: smoker.hopperLbs,
+      lbsPerHour: Math.round(lbsPerHour * 100) / 100,
+      totalLbs: Math.round(totalLbs * 10) / 10,
+      // No top-up needed, by the same REFILL_AT rule as the refills
+      oneHopperLasts: refills.length === 0,
+      hopperEmptyAt: addMinutes(plan.startCook, ((smoker.hopperLbs - STARTUP_LBS) / lbsPerHour) * 60),
+      refills,
+      bagsNeeded: Math.max(0, Math.ceil((neededLbs - onHand) / BAG_LBS))
+  };
+}
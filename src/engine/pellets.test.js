@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes } from 'date-fns';
+import { computePlan } from './computePlan';
+import { estimatePellets, baseBurnRate, ambientFactor, SMOKER_SIZES } from './pellets';
+import { buildShoppingList } from './shoppingList';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const planFor = (meatType, overrides = {}) => {
+  const inputs = { ...profileDefaults(meatType), prepTime: 45, serveTime: '2024-07-04T18:00', ...overrides };
+  return { inputs, plan: computePlan(inputs, MEAT_PROFILES, NOW).plan };
+};
+
+describe('burn model', () => {
+  it('burns ~1 lb/hr at 225°F and ~2 lb/hr at 275°F', () => {
+    expect(baseBurnRate(225)).toBeCloseTo(1.0);
+    expect(baseBurnRate(275)).toBeCloseTo(2.0);
+    expect(baseBurnRate(150)).toBe(0.5);
+  });
+
+  it('burns more when it is cold outside, within bounds', () => {
+    expect(ambientFactor(70)).toBe(1);
+    expect(ambientFactor(20)).toBeCloseTo(1.25);
+    expect(ambientFactor(-60)).toBe(1.5);
+    expect(ambientFactor(110)).toBe(0.9);
+  });
+});
+
+describe('estimatePellets', () => {
+  it('is attached to every plan with standard defaults', () => {
+    const { plan } = planFor('porkButt');
+    expect(plan.pellets.smoker).toBe(SMOKER_SIZES.standard.label);
+    expect(plan.pellets.lbsPerHour).toBe(1.5);
+  });
+
+  it('scales usage with cook length, smoker size and ambient temp', () => {
+    const { plan, inputs } = planFor('brisket', { temp: 225 });
+    const hours = differenceInMinutes(plan.finishCook, plan.startCook) / 60;
+    const standard = estimatePellets(plan, inputs);
+    expect(standard.totalLbs).toBeCloseTo(0.75 + hours, 0);
+
+    const large = estimatePellets(plan, { ...inputs, smokerSize: 'large' });
+    const cold = planFor('brisket', { temp: 225, ambientTemp: 20 }).plan.pellets;
+    expect(large.totalLbs).toBeGreaterThan(standard.totalLbs);
+    expect(cold.lbsPerHour).toBeCloseTo(1.25);
+  });
+
+  it('burns more in wind and less under a blanket', () => {
+    const windy = planFor('brisket', { temp: 225, windMph: 25 }).plan.pellets;
+    expect(windy.lbsPerHour).toBeCloseTo(1.2);
+
+    const blanket = planFor('brisket', { temp: 225, windMph: 25, insulated: true }).plan.pellets;
+    expect(blanket.lbsPerHour).toBeCloseTo(0.96);
+  });
+
+  it('fits a short cook in one hopper', () => {
+    const { plan } = planFor('chicken');
+    expect(plan.pellets.oneHopperLasts).toBe(true);
+    expect(plan.pellets.refills).toEqual([]);
+    expect(plan.pellets.bagsNeeded).toBe(1);
+  });
+
+  it('schedules refills before the hopper runs dry on long cooks', () => {
+    const { plan, inputs } = planFor('brisket', { temp: 275, smokerSize: 'portable' });
+    const est = estimatePellets(plan, inputs);
+    expect(est.oneHopperLasts).toBe(false);
+    expect(est.refills.length).toBeGreaterThan(0);
+    expect(est.refills[0] < est.hopperEmptyAt).toBe(true);
+    est.refills.forEach(t => expect(t < plan.finishCook).toBe(true));
+  });
+
+  it('calls for a top-up once the hopper is low, even if it would not run dry', () => {
+    const { plan } = planFor('porkButt', { temp: 225, smokerSize: 'standard' });
+    expect(plan.pellets.totalLbs).toBeLessThan(plan.pellets.hopperLbs);
+    expect(plan.pellets.oneHopperLasts).toBe(false);
+    expect(plan.pellets.refills.length).toBe(1);
+    expect(plan.pellets.hopperEmptyAt > plan.finishCook).toBe(true);
+  });
+
+  it('counts pellets on hand against the bags to buy', () => {
+    const { plan, inputs } = planFor('brisket');
+    const none = estimatePellets(plan, inputs).bagsNeeded;
+    expect(estimatePellets(plan, { ...inputs, pelletsOnHand: 40 }).bagsNeeded).toBeLessThan(none);
+    expect(estimatePellets(plan, { ...inputs, pelletsOnHand: 200 }).bagsNeeded).toBe(0);
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('lists pellet bags, wrap supplies and spritz liquid', () => {
+    const { plan, inputs } = planFor('brisket', { wrapStrategy: 'paper' });
+    const list = buildShoppingList(plan, inputs);
+    expect(list.map(i => i.key)).toEqual(['pellets', 'wrap-Pink Butcher Paper (18")', 'spritz']);
+    expect(list[2]).toMatchObject({ item: "Apple Cider Vinegar", qty: plan.spritzWindow.count * 2, unit: "oz" });
+  });
+
+  it('has no wrap supplies when cooking naked', () => {
+    const { plan, inputs } = planFor('brisket', { wrapStrategy: 'none', spritzEnabled: false });
+    expect(buildShoppingList(plan, inputs).map(i => i.key)).toEqual(['pellets']);
+  });
+
+  it('includes a pan and foil for the foil-pan braise', () => {
+    const { plan, inputs } = planFor('porkButt', { wrapStrategy: 'foil_pan' });
+    const items = buildShoppingList(plan, inputs).map(i => i.item);
+    expect(items).toContain("Deep Aluminum Pan");
+    expect(items).toContain("Heavy-Duty Foil");
+  });
+});
@@ -0,0 +1,211 @@
+import { DEFAULT_SMOKER } from './pellets';
+import { DEFAULT_CONDITIONS } from './weather';
+import { DEFAULT_HOLD, DEFAULT_OVEN_TEMP } from './restHold';
+import { DEFAULT_QUIET } from './quietHours';
+import { DEFAULT_THAW } from './safetyRules';
+import { DEFAULT_THAW_METHOD } from './prepSteps';
+import { DEFAULT_APPETITE } from './profiles';
+
+// --- PLAN LIBRARY ---
+// Named, saved plans in one localStorage entry. Every plan carries the schema
+// version of its inputs and is migrated forward on load, so older saves
+// (including the single pre-library `pelletPlanV7` blob) keep working. Storage
+// is passed in (localStorage in the app) and nothing here throws on bad data.
+
+export const LIBRARY_KEY = 'pelletPlanLibrary';
+export const LEGACY_KEY = 'pelletPlanV7';
+export const LIBRARY_VERSION = 1;
+
+export const DEFAULT_INPUTS = {
+  meatType: 'porkButt',
+  weight: 8,
+  pieces: 1,
+  sizeMode: 'weight',
+  guests: 10,
+  appetite: DEFAULT_APPETITE,
+  temp: 250,
+  tempStages: [],
+  restTime: 45,
+  holdMethod: DEFAULT_HOLD,
+  holdTemp: DEFAULT_OVEN_TEMP,
+  planMode: 'serve',
+  serveTime: '',
+  startTime: '',
+  prepTime: 45,
+  wrapStrategy: 'foil_pan',
+  wrapTemp: 165,
+  targetTemp: 205,
+  spritzEnabled: true,
+  spritzStart: 120,
+  spritzInterval: 60,
+  isSpatchcock: false,
+  isStuffed: false,
+  thawState: DEFAULT_THAW,
+  prepTechniques: [],
+  frozenNow: false,
+  thawMethod: DEFAULT_THAW_METHOD,
+  fatSideUp: false,
+  smokerSize: DEFAULT_SMOKER,
+  pelletsOnHand: 0,
+  ambientTemp: DEFAULT_CONDITIONS.temp,
+  windMph: DEFAULT_CONDITIONS.windMph,
+  raining: DEFAULT_CONDITIONS.rain,
+  insulated: false,
+  forecast: [],
+  quietHours: false,
+  quietStart: DEFAULT_QUIET.start,
+  quietEnd: DEFAULT_QUIET.end,
+  sides: [],
+};
+
+// MIGRATIONS[n] takes schema n+1 inputs to n+2.
+//   1: the original V7 fields
+//   2: + smoker size, pellets on hand and weather
+//   3: + temp schedule
+//   4: + hold method
+//   5: + planning forwards from a start time
+//   6: + quiet hours
+//   7: + stuffed poultry and thaw state
+//   8: + prep techniques and thawing
+//   9: + sizing by headcount, and piece count
+//  10: + side dishes
+const MIGRATIONS = [
+  (inputs) => ({
+      ...inputs,
+      smokerSize: inputs.smokerSize || DEFAULT_SMOKER,
+      pelletsOnHand: inputs.pelletsOnHand ?? 0,
+      ambientTemp: inputs.ambientTemp ?? DEFAULT_CONDITIONS.temp,
+      windMph: inputs.windMph ?? DEFAULT_CONDITIONS.windMph,
+      raining: inputs.raining ?? DEFAULT_CONDITIONS.rain,
+      insulated: inputs.insulated ?? false,
+      forecast: Array.isArray(inputs.forecast) ? inputs.forecast : [],
+  }),
+  (inputs) => ({ ...inputs, tempStages: [] }),
+  (inputs) => ({ ...inputs, holdMethod: DEFAULT_HOLD, holdTemp: DEFAULT_OVEN_TEMP }),
+  (inputs) => ({ ...inputs, planMode: 'serve', startTime: '' }),
+  (inputs) => ({ ...inputs, quietHours: false, quietStart: DEFAULT_QUIET.start, quietEnd: DEFAULT_QUIET.end }),
+  (inputs) => ({ ...inputs, isStuffed: false, thawState: DEFAULT_THAW }),
+  (inputs) => ({ ...inputs, prepTechniques: [], frozenNow: false, thawMethod: DEFAULT_THAW_METHOD }),
+  (inputs) => ({ ...inputs, pieces: 1, sizeMode: 'weight', guests: 10, appetite: DEFAULT_APPETITE }),
+  (inputs) => ({ ...inputs, sides: [] }),
+];
+
+export const PLAN_SCHEMA = MIGRATIONS.length + 1;
+
+// Any field whose type doesn't match the default goes back to the default.
+const sanitizeInputs = (inputs) => {
+  const clean = { ...DEFAULT_INPUTS };
+  Object.entries(inputs || {}).forEach(([key, value]) => {
+      const expected = DEFAULT_INPUTS[key];
+      if (expected === undefined) clean[key] = value;
+      else if (Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected && !Number.isNaN(value)) clean[key] = value;
+  });
+  return clean;
+};
+
+// Brings inputs saved at `schema` up to PLAN_SCHEMA.
+export function migrateInputs(inputs, schema = 1) {
+  let migrated = inputs && typeof inputs === 'object' ? inputs : {};
+  for (let v = Math.max(1, schema); v < PLAN_SCHEMA; v++) migrated = MIGRATIONS[v - 1](migrated);
+  return sanitizeInputs(migrated);
+}
+
+const readJSON = (storage, key) => {
+  const raw = storage.getItem(key);
+  if (raw === null) return { value: null, raw, error: false };
+  try {
+      return { value: JSON.parse(raw), raw, error: false };
+  } catch (e) {
+      return { value: null, raw, error: true };
+  }
+};
+
+const newId = (plans, now) => {
+  let id = `plan-${now.getTime().toString(36)}`;
+  for (let n = 2; plans[id]; n++) id = `plan-${now.getTime().toString(36)}-${n}`;
+  return id;
+};
+
+export const emptyLibrary = () => ({ version: LIBRARY_VERSION, activeId: null, plans: {} });
+
+export function createPlan(library, name, inputs = DEFAULT_INPUTS, now = new Date()) {
+  const id = newId(library.plans, now);
+  const plan = { id, name: name.trim() || "Untitled Plan", schema: PLAN_SCHEMA, inputs, createdAt: now.toISOString(), updatedAt: now.toISOString() };
+  return { ...library, activeId: id, plans: { ...library.plans, [id]: plan } };
+}
+
+export function renamePlan(library, id, name) {
+  if (!library.plans[id] || !name.trim()) return library;
+  return { ...library, plans: { ...library.plans, [id]: { ...library.plans[id], name: name.trim() } } };
+}
+
+export function duplicatePlan(library, id, now = new Date()) {
+  const source = library.plans[id];
+  if (!source) return library;
+  return createPlan(library, `${source.name} (copy)`, source.inputs, now);
+}
+
+// Deleting the last plan leaves a fresh default one so there's always an active plan.
+export function deletePlan(library, id, now = new Date()) {
+  const { [id]: removed, ...plans } = library.plans;
+  if (!removed) return library;
+  const remaining = Object.values(plans).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  if (remaining.length === 0) return createPlan({ ...library, plans }, "My Plan", DEFAULT_INPUTS, now);
+  return { ...library, plans, activeId: library.activeId === id ? remaining[0].id : library.activeId };
+}
+
+export const selectPlan = (library, id) => (library.plans[id] ? { ...library, activeId: id } : library);
+
+export function updateInputs(library, id, inputs, now = new Date()) {
+  if (!library.plans[id]) return library;
+  return { ...library, plans: { ...library.plans, [id]: { ...library.plans[id], inputs, schema: PLAN_SCHEMA, updatedAt: now.toISOString() } } };
+}
+
+export const activePlan = (library) => library.plans[library.activeId];
+
+// Returns { library, notice }. The notice explains any data we had to set aside;
+// an unreadable entry is copied to a backup key rather than thrown away.
+export function loadLibrary(storage, now = new Date()) {
+  let notice = null;
+  const stored = readJSON(storage, LIBRARY_KEY);
+  let library = null;
+
+  const usable = stored.value && typeof stored.value === 'object' && stored.value.plans && typeof stored.value.plans === 'object';
+  if (usable && stored.value.version > LIBRARY_VERSION) {
+      notice = "Your saved plans were made by a newer version of the planner; some details may be missing.";
+  }
+  if (usable) {
+      library = { ...emptyLibrary(), activeId: stored.value.activeId, plans: {} };
+      Object.values(stored.value.plans).forEach((plan) => {
+          if (!plan || typeof plan !== 'object' || typeof plan.id !== 'string') return;
+          library.plans[plan.id] = {
+              id: plan.id,
+              name: typeof plan.name === 'string' && plan.name.trim() ? plan.name : "Untitled Plan",
+              schema: PLAN_SCHEMA,
+              inputs: migrateInputs(plan.inputs, plan.schema),
+              createdAt: plan.createdAt || now.toISOString(),
+              updatedAt: plan.updatedAt || now.toISOString(),
+          };
+      });
+  } else if (stored.raw !== null) {
+      storage.setItem(`${LIBRARY_KEY}.corrupt-${now.getTime()}`, stored.raw);
+      notice = "Your saved plans couldn't be read, so we started a fresh list. The old data was kept as a backup.";
+  }
+
+  if (!library) {
+      library = emptyLibrary();
+      const legacy = readJSON(storage, LEGACY_KEY);
+      if (legacy.value && typeof legacy.value === 'object') {
+          library = createPlan(library, "My Plan", migrateInputs(legacy.value, 1), now);
+      } else if (legacy.error) {
+          notice = "Your last plan couldn't be read, so we started from the defaults.";
+      }
+  }
+
+  if (Object.keys(library.plans).length === 0) library = createPlan(library, "My Plan", DEFAULT_INPUTS, now);
+  if (!library.plans[library.activeId]) library = { ...library, activeId: Object.keys(library.plans)[0] };
+
+  return { library, notice };
+}
+
+export const saveLibrary = (storage, library) => storage.setItem(LIBRARY_KEY, JSON.stringify(library));
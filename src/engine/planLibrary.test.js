@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  loadLibrary, saveLibrary, migrateInputs, createPlan, renamePlan, duplicatePlan, deletePlan, selectPlan, updateInputs,
+  emptyLibrary, activePlan, DEFAULT_INPUTS, PLAN_SCHEMA, LIBRARY_KEY, LEGACY_KEY,
+} from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const memoryStorage = (entries = {}) => {
+  const data = { ...entries };
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+// What the app wrote under pelletPlanV7 before smoker and weather settings existed.
+const V7_INPUTS = {
+  meatType: 'brisket', weight: 14, temp: 225, restTime: 60, serveTime: '2024-07-04T18:00', prepTime: 45,
+  wrapStrategy: 'butcher_paper', wrapTemp: 165, targetTemp: 203, spritzEnabled: true, spritzStart: 120,
+  spritzInterval: 60, isSpatchcock: false, fatSideUp: true,
+};
+
+describe('migrateInputs', () => {
+  it('brings schema 1 inputs up to date', () => {
+    const migrated = migrateInputs(V7_INPUTS, 1);
+    expect(migrated).toEqual({ ...DEFAULT_INPUTS, ...V7_INPUTS });
+    expect(migrated.smokerSize).toBe('standard');
+    expect(migrated.forecast).toEqual([]);
+  });
+
+  it('resets fields with the wrong type to their defaults', () => {
+    const migrated = migrateInputs({ ...V7_INPUTS, weight: 'lots', temp: null, forecast: 'sunny', spritzEnabled: 1 }, PLAN_SCHEMA);
+    expect(migrated.weight).toBe(DEFAULT_INPUTS.weight);
+    expect(migrated.temp).toBe(DEFAULT_INPUTS.temp);
+    expect(migrated.forecast).toEqual([]);
+    expect(migrated.spritzEnabled).toBe(true);
+  });
+
+  it('copes with missing inputs', () => {
+    expect(migrateInputs(undefined)).toEqual(DEFAULT_INPUTS);
+  });
+});
+
+describe('loadLibrary', () => {
+  it('starts with one default plan on a fresh install', () => {
+    const { library, notice } = loadLibrary(memoryStorage(), NOW);
+    expect(notice).toBeNull();
+    expect(Object.values(library.plans)).toHaveLength(1);
+    expect(activePlan(library)).toMatchObject({ name: 'My Plan', inputs: DEFAULT_INPUTS, schema: PLAN_SCHEMA });
+  });
+
+  it('imports the legacy pelletPlanV7 entry', () => {
+    const { library } = loadLibrary(memoryStorage({ [LEGACY_KEY]: JSON.stringify(V7_INPUTS) }), NOW);
+    expect(activePlan(library).inputs).toMatchObject(V7_INPUTS);
+    expect(activePlan(library).inputs.ambientTemp).toBe(DEFAULT_INPUTS.ambientTemp);
+  });
+
+  it('round-trips through storage and migrates old plans', () => {
+    const storage = memoryStorage();
+    let library = createPlan(emptyLibrary(), 'Old brisket', V7_INPUTS, NOW);
+    library.plans[library.activeId].schema = 1;
+    saveLibrary(storage, library);
+
+    const loaded = loadLibrary(storage, NOW).library;
+    expect(loaded.activeId).toBe(library.activeId);
+    expect(activePlan(loaded)).toMatchObject({ name: 'Old brisket', schema: PLAN_SCHEMA });
+    expect(activePlan(loaded).inputs.smokerSize).toBe('standard');
+  });
+
+  it('backs up an unreadable library and starts fresh', () => {
+    const storage = memoryStorage({ [LIBRARY_KEY]: '{"plans": {oops' });
+    const { library, notice } = loadLibrary(storage, NOW);
+
+    expect(notice).toMatch(/couldn't be read/);
+    expect(storage.data[`${LIBRARY_KEY}.corrupt-${NOW.getTime()}`]).toBe('{"plans": {oops');
+    expect(activePlan(library).inputs).toEqual(DEFAULT_INPUTS);
+  });
+
+  it('falls back to defaults when the legacy entry is corrupt', () => {
+    const { library, notice } = loadLibrary(memoryStorage({ [LEGACY_KEY]: 'not json' }), NOW);
+    expect(notice).toMatch(/last plan/);
+    expect(activePlan(library).inputs).toEqual(DEFAULT_INPUTS);
+  });
+
+  it('skips broken plan entries and repairs a dangling active id', () => {
+    const stored = { version: 1, activeId: 'gone', plans: { a: { id: 'a', name: '', inputs: V7_INPUTS, schema: 1 }, b: null } };
+    const { library } = loadLibrary(memoryStorage({ [LIBRARY_KEY]: JSON.stringify(stored) }), NOW);
+    expect(Object.keys(library.plans)).toEqual(['a']);
+    expect(library.activeId).toBe('a');
+    expect(library.plans.a.name).toBe('Untitled Plan');
+  });
+
+  it('warns about a library from a newer version', () => {
+    const stored = { version: 99, activeId: 'a', plans: { a: { id: 'a', name: 'Ribs', inputs: {}, schema: PLAN_SCHEMA } } };
+    expect(loadLibrary(memoryStorage({ [LIBRARY_KEY]: JSON.stringify(stored) }), NOW).notice).toMatch(/newer version/);
+  });
+});
+
+describe('library operations', () => {
+  const later = new Date(2024, 6, 1, 13, 0);
+  const base = () => createPlan(emptyLibrary(), 'Brisket', V7_INPUTS, NOW);
+
+  it('renames, ignoring blank names', () => {
+    const library = base();
+    expect(activePlan(renamePlan(library, library.activeId, '  Packer  ')).name).toBe('Packer');
+    expect(renamePlan(library, library.activeId, '   ')).toBe(library);
+  });
+
+  it('duplicates into a new active plan', () => {
+    const library = base();
+    const copy = duplicatePlan(library, library.activeId, NOW);
+    expect(Object.keys(copy.plans)).toHaveLength(2);
+    expect(copy.activeId).not.toBe(library.activeId);
+    expect(activePlan(copy)).toMatchObject({ name: 'Brisket (copy)', inputs: V7_INPUTS });
+  });
+
+  it('deletes and picks the most recently edited plan as active', () => {
+    let library = base();
+    const first = library.activeId;
+    library = createPlan(library, 'Ribs', DEFAULT_INPUTS, later);
+    library = updateInputs(library, first, { ...V7_INPUTS, weight: 16 }, new Date(2024, 6, 1, 14, 0));
+    library = createPlan(library, 'Wings', DEFAULT_INPUTS, new Date(2024, 6, 1, 13, 30));
+
+    const after = deletePlan(library, library.activeId, later);
+    expect(after.activeId).toBe(first);
+    expect(activePlan(after).inputs.weight).toBe(16);
+  });
+
+  it('always leaves a plan behind', () => {
+    const library = base();
+    const after = deletePlan(library, library.activeId, later);
+    expect(Object.values(after.plans)).toHaveLength(1);
+    expect(activePlan(after).inputs).toEqual(DEFAULT_INPUTS);
+  });
+
+  it('only selects plans that exist', () => {
+    const library = createPlan(base(), 'Ribs', DEFAULT_INPUTS, later);
+    const [other] = Object.keys(library.plans).filter(id => id !== library.activeId);
+    expect(selectPlan(library, other).activeId).toBe(other);
+    expect(selectPlan(library, 'nope')).toBe(library);
+  });
+});
@@ -0,0 +1,108 @@
+import { addMinutes, subMinutes, format, parseISO } from 'date-fns';
+import { ENGLISH } from './i18n';
+
+// --- PREP TECHNIQUES ---
+// Work that starts hours or days before "Start Prep": brining, injecting, an
+// overnight rub, and thawing from frozen. Each technique adds a dated step
+// with quantities scaled to the weight; the thaw comes before all of them and
+// is checked against the clock, since frozen meat can't be rushed.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// hours(lbs): how long ahead of Start Prep it begins. Quantities per lb.
+export const PREP_TECHNIQUES = {
+  wetBrine: { label: "Wet Brine", icon: '🪣', hours: (lbs) => clamp(Math.round(lbs), 4, 24) },
+  dryBrine: { label: "Dry Brine", icon: '🧂', hours: (lbs) => (lbs >= 8 ? 24 : 12) },
+  injection: { label: "Injection", icon: '💉', hours: () => 8 },
+  rub: { label: "Overnight Rub", icon: '🌶️', hours: () => 12 },
+};
+
+// Brine: ~¾ qt of water per lb (at least a gallon) to cover it, with ~1¼ oz of
+// kosher salt per quart. Dry brine: 0.5% of the weight in salt. Injection:
+// ~1 fl oz per lb. Rub: ~½ oz per lb. Quantities cover every piece; times go
+// by the weight of one.
+const BRINE_QT_PER_LB = 0.75;
+const MIN_BRINE_QT = 4;
+const SALT_OZ_PER_QT = 1.25;
+const DRY_BRINE_SHARE = 0.005;
+const INJECT_OZ_PER_LB = 1;
+const RUB_OZ_PER_LB = 0.5;
+
+export const THAW_METHODS = {
+  fridge: { label: "In the fridge", hoursPerLb: 24 / 5 },
+  coldWater: { label: "Cold-water bath", hoursPerLb: 0.5 },
+};
+export const DEFAULT_THAW_METHOD = 'fridge';
+
+// What a plan's prep needs, for the steps and the shopping list.
+export function prepQuantities(inputs) {
+  const lbs = inputs.weight * (inputs.pieces || 1);
+  const techniques = inputs.prepTechniques || [];
+  const brineQt = Math.max(MIN_BRINE_QT, Math.ceil(lbs * BRINE_QT_PER_LB));
+  return {
+      brineQt: techniques.includes('wetBrine') ? brineQt : 0,
+      saltOz: (techniques.includes('wetBrine') ? brineQt * SALT_OZ_PER_QT : 0) + (techniques.includes('dryBrine') ? lbs * 16 * DRY_BRINE_SHARE : 0),
+      injectOz: techniques.includes('injection') ? Math.ceil(lbs * INJECT_OZ_PER_LB) : 0,
+      rubOz: techniques.includes('rub') ? lbs * RUB_OZ_PER_LB : 0,
+  };
+}
+
+export const thawHours = (inputs, method = inputs.thawMethod) =>
+  Math.ceil(inputs.weight * (THAW_METHODS[method] || THAW_METHODS[DEFAULT_THAW_METHOD]).hoursPerLb);
+
+// Returns { steps, warnings }. Steps ({ key, icon, label, detail, time,
+// minutes }) run in time order before `startPrep`.
+export function buildPrepSteps(startPrep, inputs, now = new Date(), i18n = ENGLISH) {
+  const { t, fmt, label } = i18n;
+  const amounts = prepQuantities(inputs);
+  const details = {
+      wetBrine: (hours) => t('prep.wetBrine', { water: fmt.liquid(amounts.brineQt), salt: fmt.mass(amounts.brineQt * SALT_OZ_PER_QT), hours }),
+      dryBrine: (hours) => t('prep.dryBrine', { salt: fmt.mass(inputs.weight * (inputs.pieces || 1) * 16 * DRY_BRINE_SHARE), hours }),
+      injection: () => t('prep.injection', { volume: `${fmt.volumeValue(amounts.injectOz)} ${fmt.unit('volume')}` }),
+      rub: () => t('prep.rub', { rub: fmt.mass(amounts.rubOz) }),
+  };
+
+  const steps = (inputs.prepTechniques || []).filter(key => PREP_TECHNIQUES[key]).map((key) => {
+      const technique = PREP_TECHNIQUES[key];
+      const hours = technique.hours(inputs.weight);
+      return { key: `prep-${key}`, icon: technique.icon, label: label('technique', key, technique.label), detail: details[key](hours), time: subMinutes(startPrep, hours * 60), minutes: 20 };
+  }).sort((a, b) => a.time - b.time);
+
+  const warnings = [];
+  steps.filter(step => step.time < now).forEach((step) => {
+      warnings.push({ type: 'quality', msg: t('prep.late', { step: step.label, time: fmt.dayTime(step.time) }) });
+  });
+
+  // The thaw has to finish before the first technique (or the prep itself)
+  if (inputs.frozenNow) {
+      const method = THAW_METHODS[inputs.thawMethod] ? inputs.thawMethod : DEFAULT_THAW_METHOD;
+      const thawedBy = steps.length > 0 ? steps[0].time : startPrep;
+      const hours = thawHours(inputs, method);
+      const start = subMinutes(thawedBy, hours * 60);
+      steps.unshift({ key: 'thaw', icon: '🧊', label: t("Start Thawing"), detail: t(method === 'fridge' ? 'prep.thawFridge' : 'prep.thawWater', { weight: fmt.pieces(inputs.weight, inputs.pieces), hours }), time: start, minutes: 10 });
+
+      if (start < now) {
+          const waterHours = thawHours(inputs, 'coldWater');
+          const waterStart = subMinutes(thawedBy, waterHours * 60);
+          if (method === 'fridge' && waterStart >= now) {
+              warnings.push({
+                  type: 'quality',
+                  msg: t('prep.thawSwitch', { hours, waterHours, time: fmt.dayTime(waterStart) }),
+                  fix: { label: t('fix.thawWater'), changes: { thawMethod: 'coldWater' } }
+              });
+          } else {
+              // The whole plan moves back by however late the thaw starts, in whole hours
+              const delay = Math.ceil((now - start) / 3600000);
+              const anchor = inputs.planMode === 'start' ? 'startTime' : 'serveTime';
+              const moved = addMinutes(parseISO(inputs[anchor]), delay * 60);
+              warnings.push({
+                  type: 'safety',
+                  msg: t('prep.thawTooSoon', { hours, delay }),
+                  fix: { label: t('fix.moveLater', { hours: delay }), changes: { [anchor]: format(moved, "yyyy-MM-dd'T'HH:mm") } }
+              });
+          }
+      }
+  }
+
+  return { steps, warnings };
+}
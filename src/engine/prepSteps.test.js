@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { buildPrepSteps, prepQuantities, thawHours } from './prepSteps';
+import { computePlan } from './computePlan';
+import { buildShoppingList } from './shoppingList';
+import { calendarEvents } from './icsExport';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+import { createI18n } from './i18n';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+const START_PREP = new Date(2024, 6, 4, 6, 0);
+
+const inputsFor = (overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults('porkButt'), weight: 8, serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+const hoursBefore = (hours) => new Date(START_PREP.getTime() - hours * 3600000);
+
+describe('buildPrepSteps', () => {
+  it('adds nothing without prep techniques', () => {
+    expect(buildPrepSteps(START_PREP, inputsFor(), NOW)).toEqual({ steps: [], warnings: [] });
+  });
+
+  it('schedules each technique ahead of the prep, earliest first', () => {
+    const { steps, warnings } = buildPrepSteps(START_PREP, inputsFor({ prepTechniques: ['wetBrine', 'injection', 'rub'] }), NOW);
+    expect(steps.map(step => step.key)).toEqual(['prep-rub', 'prep-wetBrine', 'prep-injection']);
+    expect(steps[0].time).toEqual(hoursBefore(12));
+    expect(steps[1].time).toEqual(hoursBefore(8));
+    expect(steps[1].detail).toBe("Stir 7.5 oz of kosher salt into 6 qt of cold water and submerge it in the fridge, ~8 h.");
+    expect(steps[2].detail).toContain("~8 oz of marinade");
+    expect(warnings).toEqual([]);
+  });
+
+  it('scales dry-brine time and salt with the weight', () => {
+    expect(buildPrepSteps(START_PREP, inputsFor({ prepTechniques: ['dryBrine'] }), NOW).steps[0].time).toEqual(hoursBefore(24));
+    expect(buildPrepSteps(START_PREP, inputsFor({ weight: 4, prepTechniques: ['dryBrine'] }), NOW).steps[0].time).toEqual(hoursBefore(12));
+    expect(prepQuantities(inputsFor({ prepTechniques: ['dryBrine'] })).saltOz).toBeCloseTo(0.64);
+  });
+
+  it('warns about a step that should already have started', () => {
+    const { warnings } = buildPrepSteps(START_PREP, inputsFor({ prepTechniques: ['dryBrine'] }), hoursBefore(20));
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].msg).toContain("Dry Brine should have started");
+  });
+
+  it('thaws in the fridge before the first technique', () => {
+    const { steps, warnings } = buildPrepSteps(START_PREP, inputsFor({ prepTechniques: ['rub'], frozenNow: true }), NOW);
+    expect(thawHours(inputsFor())).toBe(39);
+    expect(steps[0].key).toBe('thaw');
+    expect(steps[0].time).toEqual(hoursBefore(12 + 39));
+    expect(warnings).toEqual([]);
+  });
+
+  it('offers a cold-water thaw when the fridge is too slow', () => {
+    const { warnings } = buildPrepSteps(START_PREP, inputsFor({ frozenNow: true }), hoursBefore(10));
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].type).toBe('quality');
+    expect(warnings[0].fix.changes).toEqual({ thawMethod: 'coldWater' });
+  });
+
+  it('moves the plan back when even cold water is too slow', () => {
+    const { steps, warnings } = buildPrepSteps(START_PREP, inputsFor({ frozenNow: true, thawMethod: 'coldWater' }), hoursBefore(1.5));
+    expect(steps[0].time).toEqual(hoursBefore(4));
+    expect(warnings[0].type).toBe('safety');
+    expect(warnings[0].fix.changes).toEqual({ serveTime: '2024-07-04T21:00' });
+
+    const forward = buildPrepSteps(START_PREP, inputsFor({ frozenNow: true, thawMethod: 'coldWater', planMode: 'start', startTime: '2024-07-04T06:45' }), hoursBefore(1.5));
+    expect(forward.warnings[0].fix.changes).toEqual({ startTime: '2024-07-04T09:45' });
+  });
+
+  it('reaches the plan, calendar and shopping list', () => {
+    const inputs = inputsFor({ prepTechniques: ['dryBrine', 'rub'] });
+    const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+    expect(plan.prepSteps.map(step => step.key)).toEqual(['prep-dryBrine', 'prep-rub']);
+    expect(calendarEvents(plan, inputs, MEAT_PROFILES.porkButt)[0].key).toBe('prep-dryBrine');
+
+    const metric = buildShoppingList(plan, inputs, createI18n('en-US', 'metric'));
+    expect(metric.find(item => item.key === 'prep-salt')).toMatchObject({ qty: 19, unit: 'g' });
+    expect(metric.find(item => item.key === 'prep-rub')).toMatchObject({ qty: 114, unit: 'g' });
+  });
+});
@@ -0,0 +1,129 @@
+import { addMinutes, differenceInMinutes, parseISO, isValid, set } from 'date-fns';
+import { fromDisplay } from './units';
+import { ENGLISH } from './i18n';
+
+// --- PROBE LOG ---
+// Internal-temp readings taken during a cook: parsing pasted logs, spotting the
+// stall from the observed curve and projecting a finish time from it.
+
+// The stall lives in this band; a rise slower than STALL_RATE (°F/hour) inside it counts.
+const STALL_BAND = { min: 145, max: 180 };
+const STALL_RATE = 4;
+// Rates are measured over at least this much history so one noisy reading can't flip them.
+const RATE_WINDOW_MINS = 45;
+
+// Accepts one reading per line: "2024-07-04T10:30 165", "10:30, 165" or "10:30 165°F".
+// Clock-only times are placed on `baseDate`, rolling over midnight when they go backwards.
+// Temps without °F/°C are read in `units` and stored in °F like everything else.
+export function parseProbeReadings(text, baseDate, units = 'imperial') {
+  const readings = [];
+  let day = baseDate;
+  let previous = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+      const match = line.trim().match(/^(\S+?)[\s,;]+(-?\d+(?:\.\d+)?)\s*°?([FC]?)$/i);
+      if (!match) return;
+
+      const [, stamp, tempText, unit] = match;
+      let time = null;
+      if (stamp.includes('T') || stamp.includes('-')) {
+          time = parseISO(stamp);
+      } else {
+          const clock = stamp.match(/^(\d{1,2}):(\d{2})$/);
+          if (!clock) return;
+          time = set(day, { hours: Number(clock[1]), minutes: Number(clock[2]), seconds: 0, milliseconds: 0 });
+          if (previous && time < previous) {
+              day = addMinutes(day, 24 * 60);
+              time = addMinutes(time, 24 * 60);
+          }
+      }
+      if (!isValid(time)) return;
+
+      previous = time;
+      const readIn = unit ? (unit.toUpperCase() === 'C' ? 'metric' : 'imperial') : units;
+      readings.push({ time, temp: fromDisplay('temp', Number(tempText), readIn) });
+  });
+
+  return sortReadings(readings);
+}
+
+export const sortReadings = (readings) => [...readings].sort((a, b) => a.time - b.time);
+
+// °F per hour between a reading and the latest one at least RATE_WINDOW_MINS before it.
+const rateAt = (readings, index) => {
+  const end = readings[index];
+  for (let i = index - 1; i >= 0; i--) {
+      const mins = differenceInMinutes(end.time, readings[i].time);
+      if (mins >= RATE_WINDOW_MINS) return ((end.temp - readings[i].temp) / mins) * 60;
+  }
+  return null;
+};
+
+// Least-squares slope (°F/hour) over the readings in the trailing window.
+export function recentRate(readings, windowMins = 90) {
+  if (readings.length < 2) return null;
+  const last = readings[readings.length - 1];
+  const recent = readings.filter(r => differenceInMinutes(last.time, r.time) <= windowMins);
+  if (recent.length < 2) return null;
+
+  const xs = recent.map(r => differenceInMinutes(r.time, recent[0].time) / 60);
+  const ys = recent.map(r => r.temp);
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  const num = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+  const den = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  return den === 0 ? null : num / den;
+}
+
+// status: 'before' | 'in' | 'after'. `start`/`end` are the readings where it began/broke.
+export function detectStall(readings) {
+  let start = null;
+  let end = null;
+
+  for (let i = 0; i < readings.length; i++) {
+      const reading = readings[i];
+      const rate = rateAt(readings, i);
+      if (rate === null) continue;
+
+      const inBand = reading.temp >= STALL_BAND.min && reading.temp <= STALL_BAND.max;
+      if (!start && inBand && rate < STALL_RATE) {
+          start = reading;
+      } else if (start && !end && rate >= STALL_RATE) {
+          end = reading;
+          break;
+      }
+  }
+
+  if (!start) return { status: 'before', start: null, end: null };
+  if (!end) return { status: 'in', start, end: null };
+  return { status: 'after', start, end };
+}
+
+// Projects the finish from the observed curve and checks it against the plan.
+export function analyzeProbeLog(readings, { targetTemp, finishCook, serve, minRest = 0 }, i18n = ENGLISH) {
+  const sorted = sortReadings(readings);
+  const stall = detectStall(sorted);
+  const rate = recentRate(sorted);
+  const warnings = [];
+
+  const last = sorted[sorted.length - 1];
+  let eta = null;
+  if (last && last.temp >= targetTemp) {
+      eta = last.time;
+  } else if (last && stall.status !== 'in' && rate > 0) {
+      eta = addMinutes(last.time, ((targetTemp - last.temp) / rate) * 60);
+  }
+
+  if (eta && finishCook && eta > finishCook) {
+      const lateBy = differenceInMinutes(eta, finishCook);
+      const restLeft = differenceInMinutes(serve, eta);
+      warnings.push({
+          type: 'quality',
+          msg: restLeft < 0
+              ? i18n.t('probe.pastServe', { lateBy, pastServe: -restLeft })
+              : i18n.t('probe.behind', { lateBy, restLeft, minRest })
+      });
+  }
+
+  return { stall, rate, eta, warnings };
+}
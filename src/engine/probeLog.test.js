@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { addMinutes, differenceInMinutes } from 'date-fns';
+import { parseProbeReadings, detectStall, recentRate, analyzeProbeLog } from './probeLog';
+
+const START = new Date(2024, 6, 4, 6, 0);
+
+// One reading per `step` minutes from START.
+const series = (temps, step = 30) => temps.map((temp, i) => ({ time: addMinutes(START, i * step), temp }));
+
+describe('parseProbeReadings', () => {
+  it('reads clock times against the base date and rolls past midnight', () => {
+    const readings = parseProbeReadings('23:30 120\n0:15, 131\n01:00 140°F', new Date(2024, 6, 3));
+    expect(readings.map(r => r.temp)).toEqual([120, 131, 140]);
+    expect(readings[0].time).toEqual(new Date(2024, 6, 3, 23, 30));
+    expect(readings[1].time).toEqual(new Date(2024, 6, 4, 0, 15));
+    expect(readings[2].time).toEqual(new Date(2024, 6, 4, 1, 0));
+  });
+
+  it('reads ISO timestamps and skips lines it cannot parse', () => {
+    const readings = parseProbeReadings('2024-07-04T10:30 165\nprobe moved\n\n2024-07-04T10:00,160', START);
+    expect(readings).toEqual([
+      { time: new Date(2024, 6, 4, 10, 0), temp: 160 },
+      { time: new Date(2024, 6, 4, 10, 30), temp: 165 },
+    ]);
+  });
+});
+
+describe('recentRate', () => {
+  it('fits the slope of the trailing readings in °F/hour', () => {
+    expect(recentRate(series([100, 110, 120, 130]))).toBeCloseTo(20);
+  });
+
+  it('needs at least two readings', () => {
+    expect(recentRate(series([100]))).toBeNull();
+  });
+});
+
+describe('detectStall', () => {
+  it('is before the stall while the meat is climbing', () => {
+    expect(detectStall(series([60, 90, 115, 135, 150])).status).toBe('before');
+  });
+
+  it('enters the stall when the rise flattens in the stall band', () => {
+    const stall = detectStall(series([120, 135, 148, 155, 157, 158, 158]));
+    expect(stall.status).toBe('in');
+    expect(stall.start.temp).toBe(158);
+  });
+
+  it('exits the stall once the temp climbs again', () => {
+    const stall = detectStall(series([120, 135, 148, 155, 157, 158, 158, 159, 166, 174]));
+    expect(stall.status).toBe('after');
+    expect(stall.end.temp).toBe(166);
+  });
+
+  it('ignores a flat stretch outside the stall band', () => {
+    expect(detectStall(series([100, 101, 101, 102])).status).toBe('before');
+  });
+});
+
+describe('analyzeProbeLog', () => {
+  const finishCook = addMinutes(START, 6 * 60);
+  const serve = addMinutes(finishCook, 120);
+
+  it('projects the finish from the observed rise', () => {
+    const readings = series([160, 170, 180]);
+    const { eta, warnings } = analyzeProbeLog(readings, { targetTemp: 200, finishCook, serve, minRest: 60 });
+    // 180°F at +60 min, rising 20°F/h → 200°F at +120 min
+    expect(differenceInMinutes(eta, START)).toBe(120);
+    expect(warnings).toEqual([]);
+  });
+
+  it('has no ETA while stalled', () => {
+    const readings = series([120, 135, 148, 155, 157, 158, 158]);
+    const result = analyzeProbeLog(readings, { targetTemp: 203, finishCook, serve });
+    expect(result.stall.status).toBe('in');
+    expect(result.eta).toBeNull();
+  });
+
+  it('is done once the target is reached', () => {
+    const readings = series([190, 198, 204]);
+    expect(analyzeProbeLog(readings, { targetTemp: 203, finishCook, serve }).eta).toEqual(readings[2].time);
+  });
+
+  it('warns when the projected finish eats into the rest', () => {
+    // 150°F at +2h, rising 10°F/hour → 203°F at ~+7h18m, 42 min before serve
+    const readings = series([130, 140, 150], 60);
+    const { warnings } = analyzeProbeLog(readings, { targetTemp: 203, finishCook, serve, minRest: 60 });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].msg).toContain('leaving 42 min of rest (minimum 60)');
+  });
+
+  it('warns when the projected finish is past serve', () => {
+    const readings = series([120, 125, 130], 60);
+    const { warnings } = analyzeProbeLog(readings, { targetTemp: 203, finishCook, serve });
+    expect(warnings[0].msg).toContain('past serve');
+  });
+});
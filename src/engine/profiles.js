@@ -0,0 +1,131 @@
+// --- CONFIGURATION & DATA ---
+
+export const MEAT_PROFILES = {
+  brisket: {
+    label: "Brisket (Full Packer)",
+    defaultWeight: 12,
+    tempProfiles: {
+      225: { rate: 1.5 },
+      250: { rate: 1.25 },
+      275: { rate: 1.0 },
+    },
+    rest: { default: 120, min: 60, maxHold: 300 },
+    stallFactor: 0.65,
+    defaultTargetTemp: 203,
+    spritz: { recommended: true, startAfter: 120, interval: 60, type: "Apple Cider Vinegar" },
+    yield: { cooked: 0.5, maxPiece: 18 } // fat trim plus render and moisture loss
+  },
+  porkButt: {
+    label: "Pork Shoulder / Butt",
+    defaultWeight: 8,
+    tempProfiles: {
+      225: { rate: 1.5 },
+      250: { rate: 1.1 }, 
+      275: { rate: 1.0 },
+    },
+    rest: { default: 45, min: 30, maxHold: 300 },
+    stallFactor: 0.60,
+    defaultTargetTemp: 205,
+    spritz: { recommended: true, startAfter: 120, interval: 60, type: "Apple Juice/Vinegar" },
+    yield: { cooked: 0.55, maxPiece: 10 } // bone, fat cap and render
+  },
+  ribs: {
+    label: "Pork Ribs (Spare/Baby Back)",
+    defaultWeight: 3,
+    tempProfiles: {
+      225: { rate: 2.0 },
+      250: { rate: 1.75 },
+      275: { rate: 1.5 },
+    },
+    rest: { default: 15, min: 10, maxHold: 60 },
+    stallFactor: 0.50,
+    defaultTargetTemp: 200, 
+    spritz: { recommended: true, startAfter: 90, interval: 45, type: "Apple Cider Vinegar" },
+    yield: { cooked: 0.5, maxPiece: 3, wholePieces: true } // bone weight; bought by the rack
+  },
+  turkey: {
+    label: "Turkey (Whole)",
+    defaultWeight: 12,
+    tempProfiles: {
+      225: { rate: 0.75 }, 
+      250: { rate: 0.5 },
+      275: { rate: 0.35 }, 
+      300: { rate: 0.30 }, 
+      325: { rate: 0.25 }
+    },
+    rest: { default: 30, min: 20, maxHold: 90 },
+    stallFactor: 0.80, 
+    defaultTargetTemp: 165,
+    spritz: { recommended: false, startAfter: 60, interval: 45, type: "Melted Butter" },
+    poultry: true,
+    yield: { cooked: 0.45, maxPiece: 20 } // carcass, skin and drippings
+  },
+   chicken: {
+    label: "Chicken (Whole)",
+    defaultWeight: 5,
+    tempProfiles: {
+      225: { rate: 0.8 }, 
+      250: { rate: 0.6 },
+      275: { rate: 0.5 }, 
+      325: { rate: 0.35 }
+    },
+    rest: { default: 15, min: 10, maxHold: 45 },
+    stallFactor: 0.85,
+    defaultTargetTemp: 165,
+    spritz: { recommended: false, startAfter: 45, interval: 45, type: "Melted Butter/Oil" },
+    poultry: true,
+    yield: { cooked: 0.45, maxPiece: 6 } // carcass, skin and drippings
+  }
+};
+
+export const WRAP_STRATEGIES = {
+  foil_pan: { label: "Foil Pan Covered (Braise)", multiplier: 0.95, desc: "Fastest. Steams meat. Soft bark.", supplies: ["Deep Aluminum Pan", "Heavy-Duty Foil"] },
+  foil: { label: "Alum Foil (Tight Wrap)", multiplier: 1.0, desc: "Fast. Standard method.", supplies: ["Heavy-Duty Foil (18\")"] },
+  paper: { label: "Butcher Paper", multiplier: 1.08, desc: "Good bark. Breathable.", supplies: ["Pink Butcher Paper (18\")"] },
+  none: { label: "No Wrap (Naked)", multiplier: 1.25, desc: "Max bark. Long stall.", supplies: [] },
+};
+
+// Internal temps (°F) a wrap can be set at
+export const WRAP_TEMP_RANGE = { min: 140, max: 200 };
+
+// Suggested pit temps (°F) for the Set Temp field; any other value is still allowed.
+export const TEMP_PRESETS = [
+  [225, "Low/Slow"],
+  [250, "Standard"],
+  [275, "Turbo"],
+  [300, "Roast"],
+  [325, "Crisp Skin"],
+];
+
+// Cooked meat per guest when sizing a cook by headcount
+export const APPETITES = {
+  light: { label: "Light (kids, lots of sides)", cookedOz: 4 },
+  average: { label: "Average", cookedOz: 6 },
+  hearty: { label: "Hearty (leftovers)", cookedOz: 8 },
+};
+export const DEFAULT_APPETITE = 'average';
+
+export const isPoultryType = (meatType, profiles = MEAT_PROFILES) => Boolean(profiles[meatType]?.poultry);
+
+// Smart defaults applied whenever a meat is picked (user can override later)
+export const profileDefaults = (type, profiles = MEAT_PROFILES) => {
+  const profile = profiles[type];
+  const isPoultry = isPoultryType(type, profiles);
+
+  return {
+    meatType: type,
+    weight: profile.defaultWeight,
+    restTime: profile.rest.default,
+    wrapStrategy: isPoultry ? 'none' : 'foil_pan',
+    wrapTemp: 165,
+    targetTemp: profile.defaultTargetTemp,
+    spritzEnabled: isPoultry ? true : profile.spritz.recommended,
+    spritzStart: profile.spritz.startAfter,
+    spritzInterval: profile.spritz.interval,
+    isSpatchcock: false,
+    isStuffed: false,
+    fatSideUp: false,
+    pieces: 1,
+    temp: type === 'turkey' ? 275 : 250
+  };
+};
@@ -0,0 +1,125 @@
+import { isSameDay } from 'date-fns';
+import { MEAT_PROFILES } from './profiles';
+import { tempCurve } from './cookRate';
+import { computePlan, expandSpritzTimes } from './computePlan';
+import { buildLiveTimeline } from './liveCook';
+import { ENGLISH } from './i18n';
+
+// --- QUIET HOURS ---
+// A nightly window (say 23:00–06:00) when nobody wants to be at the smoker.
+// With quiet hours on, the plan is nudged until no hands-on step lands in
+// them: a hotter pit, an earlier start with a longer hold, or a different wrap
+// temp, whichever changes the least. Spritzes that still fall inside are
+// skipped. Every change comes back with a line saying why.
+
+export const DEFAULT_QUIET = { start: '23:00', end: '06:00' };
+
+// Steps of each knob the search tries, and what one step "costs"
+const TEMP_STEP = 25;
+const REST_STEP = 30;
+const WRAP_STEPS = [-20, -10, 10, 20];
+const WRAP_STEP_COST = 10;
+
+export const isClockTime = (text) => typeof text === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(text);
+
+const minuteOfDay = (text) => {
+  const [hours, minutes] = text.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether `date` falls in the window; windows past midnight wrap around.
+export function inQuietHours(date, start, end) {
+  const at = date.getHours() * 60 + date.getMinutes();
+  const from = minuteOfDay(start);
+  const to = minuteOfDay(end);
+  return from <= to ? at >= from && at < to : at >= from || at < to;
+}
+
+// A "HH:mm" clock time as a date (today), for formatting in the locale's style.
+export function clockDate(text) {
+  const date = new Date();
+  date.setHours(Math.floor(minuteOfDay(text) / 60), minuteOfDay(text) % 60, 0, 0);
+  return date;
+}
+
+// Plans that start the day before serve (prep steps included) need dates next to their times.
+export const crossesMidnight = (plan) => !isSameDay((plan.prepSteps || [])[0]?.time || plan.startPrep, plan.serve);
+
+// Steps someone has to get up for (spritzes are handled on their own).
+export function handsOnSteps(plan, i18n = ENGLISH) {
+  return buildLiveTimeline(plan, null, i18n).steps
+      .filter(step => step.alarm && !step.key.startsWith('spritz'))
+      .filter(step => step.key !== 'wrap' || plan.isWrapped);
+}
+
+// Changes worth trying, each with its cost in steps away from what was asked.
+const candidates = (inputs, profile, plan) => {
+  const curve = tempCurve(profile);
+  const hottest = curve[curve.length - 1].temp;
+  const temps = [inputs.temp];
+  if ((inputs.tempStages || []).length === 0) {
+      for (let temp = inputs.temp + TEMP_STEP; temp <= Math.min(hottest, inputs.temp + 2 * TEMP_STEP); temp += TEMP_STEP) temps.push(temp);
+  }
+  const rests = [inputs.restTime];
+  for (let rest = inputs.restTime + REST_STEP; rest <= plan.rest.maxHold; rest += REST_STEP) rests.push(rest);
+  const wraps = [inputs.wrapTemp];
+  if (inputs.wrapStrategy !== 'none') {
+      WRAP_STEPS.map(step => inputs.wrapTemp + step).filter(temp => temp >= 140 && temp <= 200).forEach(temp => wraps.push(temp));
+  }
+
+  const list = [];
+  temps.forEach(temp => rests.forEach(restTime => wraps.forEach((wrapTemp) => {
+      const cost = (temp - inputs.temp) / TEMP_STEP + (restTime - inputs.restTime) / REST_STEP + Math.abs(wrapTemp - inputs.wrapTemp) / WRAP_STEP_COST;
+      if (cost > 0) list.push({ changes: { temp, restTime, wrapTemp }, cost });
+  })));
+  return list;
+};
+
+// Returns computePlan's { plan, warnings } for the adjusted inputs, plus those
+// `inputs` and the `adjustments` made (messages). Without quiet hours it is
+// just computePlan.
+export function planAroundQuietHours(inputs, profiles = MEAT_PROFILES, now = new Date(), calibration = null, i18n = ENGLISH) {
+  const base = computePlan(inputs, profiles, now, calibration, i18n);
+  if (!inputs.quietHours || !base.plan) return { ...base, inputs, adjustments: [] };
+
+  const { t, fmt } = i18n;
+  const { quietStart: start, quietEnd: end } = inputs;
+  const quiet = (time) => inQuietHours(time, start, end);
+  const clashes = (plan) => handsOnSteps(plan, i18n).filter(step => quiet(step.time));
+  const safetyCount = (warnings) => warnings.filter(w => w.type === 'safety').length;
+
+  let best = { inputs, ...base, clashes: clashes(base.plan), cost: 0 };
+  if (best.clashes.length > 0) {
+      candidates(inputs, profiles[inputs.meatType], base.plan).forEach(({ changes, cost }) => {
+          const tried = { ...inputs, ...changes };
+          const result = computePlan(tried, profiles, now, calibration, i18n);
+          // Never trade a night's sleep for a safety problem
+          if (!result.plan || safetyCount(result.warnings) > safetyCount(base.warnings)) return;
+          const left = clashes(result.plan);
+          if (left.length < best.clashes.length || (left.length === best.clashes.length && cost < best.cost)) {
+              best = { inputs: tried, ...result, clashes: left, cost };
+          }
+      });
+  }
+
+  const adjustments = [];
+  const chosen = best.inputs;
+  if (chosen.temp !== inputs.temp) adjustments.push(t('quiet.temp', { from: inputs.temp, to: chosen.temp }));
+  if (chosen.restTime !== inputs.restTime) adjustments.push(t('quiet.rest', { from: inputs.restTime, to: chosen.restTime }));
+  if (chosen.wrapTemp !== inputs.wrapTemp) adjustments.push(t('quiet.wrap', { from: inputs.wrapTemp, to: chosen.wrapTemp }));
+
+  const window = { from: fmt.time(clockDate(start)), to: fmt.time(clockDate(end)) };
+  const plan = { ...best.plan };
+  const skipped = expandSpritzTimes(plan.spritzWindow).filter(quiet);
+  if (skipped.length > 0) {
+      plan.spritzWindow = { ...plan.spritzWindow, skipped };
+      adjustments.push(t('quiet.spritz', { count: skipped.length, ...window }));
+  }
+
+  const warnings = [...best.warnings];
+  if (best.clashes.length > 0) {
+      warnings.push({ type: 'quality', msg: t('quiet.clash', { steps: best.clashes.map(step => step.label).join(', '), ...window }) });
+  }
+
+  return { plan, warnings, inputs: chosen, adjustments };
+}
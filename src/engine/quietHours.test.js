@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { inQuietHours, crossesMidnight, handsOnSteps, planAroundQuietHours } from './quietHours';
+import { computePlan, expandSpritzTimes } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', quietHours: true, ...overrides,
+});
+
+const asleep = (time) => inQuietHours(time, '23:00', '06:00');
+
+describe('inQuietHours', () => {
+  it('wraps windows past midnight', () => {
+    expect(asleep(new Date(2024, 6, 4, 23, 0))).toBe(true);
+    expect(asleep(new Date(2024, 6, 4, 2, 30))).toBe(true);
+    expect(asleep(new Date(2024, 6, 4, 6, 0))).toBe(false);
+    expect(asleep(new Date(2024, 6, 4, 22, 59))).toBe(false);
+  });
+
+  it('handles windows inside one day', () => {
+    expect(inQuietHours(new Date(2024, 6, 4, 14, 0), '13:00', '15:00')).toBe(true);
+    expect(inQuietHours(new Date(2024, 6, 4, 15, 0), '13:00', '15:00')).toBe(false);
+  });
+});
+
+describe('crossesMidnight', () => {
+  it('spots plans that start the day before serve', () => {
+    expect(crossesMidnight(computePlan(inputsFor('brisket', { weight: 12, temp: 225 }), MEAT_PROFILES, NOW).plan)).toBe(true);
+    expect(crossesMidnight(computePlan(inputsFor('ribs'), MEAT_PROFILES, NOW).plan)).toBe(false);
+  });
+});
+
+describe('planAroundQuietHours', () => {
+  it('is just computePlan with quiet hours off', () => {
+    const inputs = inputsFor('porkButt', { quietHours: false });
+    expect(planAroundQuietHours(inputs, MEAT_PROFILES, NOW)).toEqual({ ...computePlan(inputs, MEAT_PROFILES, NOW), inputs, adjustments: [] });
+  });
+
+  it('moves hands-on steps out of quiet hours and says why', () => {
+    const inputs = inputsFor('porkButt');
+    expect(handsOnSteps(computePlan(inputs, MEAT_PROFILES, NOW).plan).some(step => asleep(step.time))).toBe(true);
+
+    const { plan, inputs: adjusted, adjustments, warnings } = planAroundQuietHours(inputs, MEAT_PROFILES, NOW);
+    expect(handsOnSteps(plan).some(step => asleep(step.time))).toBe(false);
+    expect(adjusted.temp).toBeGreaterThan(inputs.temp);
+    expect(adjustments[0]).toMatch(/Pit raised from 250°F to 275°F/);
+    expect(warnings.some(w => /quiet hours/.test(w.msg))).toBe(false);
+  });
+
+  it('skips spritzes that land in quiet hours', () => {
+    const { plan, adjustments } = planAroundQuietHours(inputsFor('brisket', { weight: 12, temp: 225 }), MEAT_PROFILES, NOW);
+    const skipped = plan.spritzWindow.skipped;
+
+    expect(skipped.length).toBeGreaterThan(0);
+    expect(skipped.every(asleep)).toBe(true);
+    expect(expandSpritzTimes(plan.spritzWindow).some(asleep)).toBe(false);
+    expect(adjustments).toContain(`💤 Skipping ${skipped.length} spritzes between 11:00 PM and 6:00 AM. The lid stays shut overnight.`);
+  });
+
+  it('warns about steps it could not move', () => {
+    const { warnings, adjustments } = planAroundQuietHours(inputsFor('ribs', { quietStart: '06:00', quietEnd: '05:00' }), MEAT_PROFILES, NOW);
+    expect(adjustments.filter(msg => !msg.startsWith('💤'))).toEqual([]);
+    expect(warnings[warnings.length - 1].msg).toMatch(/^😴 Still in quiet hours \(6:00 AM–5:00 AM\): Start Prep, Meat on Grate, Wrap Meat, Finish Check\./);
+  });
+});
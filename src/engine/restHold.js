@@ -0,0 +1,100 @@
+import { subMinutes } from 'date-fns';
+import { ENGLISH } from './i18n';
+
+// --- REST & HOLD ---
+// After the pull the meat rests and, if it finished early, holds until serve.
+// Each hold method cools the meat toward its surroundings at its own pace
+// (Newton's law of cooling); the longest acceptable hold is whichever comes
+// first: the profile's max hold scaled for the method (texture), or the meat
+// dropping to the 140°F danger line (safety). That gives a finish window,
+// from the earliest finish we can hold to the latest that still gets the
+// minimum rest.
+
+export const DANGER_ZONE = 140;
+
+// k: cooling rate per hour. surround: what it cools toward (null = outside
+// temp). holdScale: share of the profile's max hold before texture suffers.
+export const HOLD_METHODS = {
+  counter: { label: "Counter (Tented Foil)", k: 0.5, surround: null, holdScale: 0.5 },
+  cooler: { label: "Towel-Wrapped Cooler", k: 0.12, surround: 70, holdScale: 1 },
+  cambro: { label: "Faux Cambro (Preheated Cooler)", k: 0.09, surround: 70, holdScale: 1.25 },
+  oven: { label: "Warming Oven", k: 0.3, surround: 'oven', holdScale: 1.5 },
+};
+
+export const DEFAULT_HOLD = 'cooler';
+export const DEFAULT_OVEN_TEMP = 160;
+
+const methodFor = (inputs) => HOLD_METHODS[inputs.holdMethod] || HOLD_METHODS[DEFAULT_HOLD];
+
+const surroundTemp = (method, inputs) => {
+  if (method.surround === 'oven') return inputs.holdTemp ?? DEFAULT_OVEN_TEMP;
+  if (method.surround === null) return Number.isFinite(inputs.ambientTemp) ? inputs.ambientTemp : 70;
+  return method.surround;
+};
+
+// Internal temp after `minutes` in the hold, starting from the pull temp.
+export function holdTempAfter(inputs, minutes) {
+  const method = methodFor(inputs);
+  const surround = surroundTemp(method, inputs);
+  return surround + (inputs.targetTemp - surround) * Math.exp(-method.k * (minutes / 60));
+}
+
+// Minutes until the meat reaches the danger line, or null if it never does
+// (held warm enough, or pulled below it on purpose, e.g. a medium-rare roast).
+export function minutesToDanger(inputs) {
+  const method = methodFor(inputs);
+  const surround = surroundTemp(method, inputs);
+  if (surround >= DANGER_ZONE || inputs.targetTemp <= DANGER_ZONE) return null;
+  return (Math.log((inputs.targetTemp - surround) / (DANGER_ZONE - surround)) / method.k) * 60;
+}
+
+// Longest hold the method allows on texture alone.
+export const qualityHoldMinutes = (profile, inputs) => Math.round(profile.rest.maxHold * methodFor(inputs).holdScale);
+
+export function restWindow(profile, inputs, serve) {
+  const method = methodFor(inputs);
+  const danger = minutesToDanger(inputs);
+  const quality = qualityHoldMinutes(profile, inputs);
+  const maxHold = danger === null ? quality : Math.min(quality, Math.floor(danger));
+  const minRest = profile.rest.min;
+
+  return {
+      method: inputs.holdMethod in HOLD_METHODS ? inputs.holdMethod : DEFAULT_HOLD,
+      label: method.label,
+      minRest,
+      maxHold,
+      limitedBy: danger !== null && danger < quality ? 'safety' : 'quality',
+      earliestFinish: subMinutes(serve, Math.max(minRest, maxHold)),
+      latestFinish: subMinutes(serve, minRest),
+      // How far the finish can move either way and still work out
+      slackEarly: Math.max(0, maxHold - inputs.restTime),
+      slackLate: Math.max(0, inputs.restTime - minRest),
+      serveTemp: Math.round(holdTempAfter(inputs, inputs.restTime))
+  };
+}
+
+// Whether the meat cools below the danger line before serve.
+const holdDropsIntoDanger = (rest, inputs) => rest.serveTemp < DANGER_ZONE && inputs.targetTemp > DANGER_ZONE;
+
+// Holds past the method's limit never get here: validateInputs caps restTime at
+// qualityHoldMinutes.
+export function restWarnings(rest, inputs, profile, i18n = ENGLISH) {
+  const warnings = [];
+  const meat = i18n.label('meat', inputs.meatType, profile.label);
+  const hold = i18n.label('hold', rest.method, rest.label);
+
+  if (holdDropsIntoDanger(rest, inputs)) {
+      warnings.push({
+          type: 'safety',
+          msg: i18n.t('warn.dangerZone', { rest: inputs.restTime, hold, meat, serveTemp: rest.serveTemp, danger: DANGER_ZONE }),
+          fix: { label: i18n.t('fix.holdOven'), changes: { holdMethod: 'oven' } }
+      });
+  }
+  if (inputs.restTime < rest.minRest) {
+      warnings.push({
+          type: 'quality',
+          msg: i18n.t('warn.shortRest', { meat, minRest: rest.minRest })
+      });
+  }
+  return warnings;
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes } from 'date-fns';
+import { holdTempAfter, minutesToDanger, qualityHoldMinutes, restWindow, restWarnings, DANGER_ZONE } from './restHold';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+const SERVE = new Date(2024, 6, 4, 18, 0);
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+describe('hold cooling', () => {
+  it('starts at the pull temp and cools toward the surroundings', () => {
+    const inputs = inputsFor('brisket', { holdMethod: 'cooler' });
+    expect(holdTempAfter(inputs, 0)).toBe(203);
+    expect(holdTempAfter(inputs, 120)).toBeCloseTo(174.6, 1);
+    expect(holdTempAfter(inputs, 6000)).toBeCloseTo(70, 0);
+  });
+
+  it('cools fastest on the counter, using the outside temp', () => {
+    const mild = minutesToDanger(inputsFor('brisket', { holdMethod: 'counter' }));
+    const cold = minutesToDanger(inputsFor('brisket', { holdMethod: 'counter', ambientTemp: 20 }));
+    expect(mild).toBeLessThan(minutesToDanger(inputsFor('brisket', { holdMethod: 'cooler' })));
+    expect(cold).toBeLessThan(mild);
+  });
+
+  it('never reaches the danger zone in a warming oven or below it', () => {
+    expect(minutesToDanger(inputsFor('brisket', { holdMethod: 'oven', holdTemp: 160 }))).toBeNull();
+    expect(minutesToDanger({ targetTemp: 135, holdMethod: 'cooler' })).toBeNull();
+  });
+
+  it('lands on the danger line at the computed minute', () => {
+    const inputs = inputsFor('chicken', { holdMethod: 'cooler' });
+    expect(holdTempAfter(inputs, minutesToDanger(inputs))).toBeCloseTo(DANGER_ZONE, 5);
+  });
+});
+
+describe('restWindow', () => {
+  it('runs from the longest hold to the minimum rest', () => {
+    const inputs = inputsFor('brisket', { holdMethod: 'cooler' });
+    const rest = restWindow(MEAT_PROFILES.brisket, inputs, SERVE);
+
+    expect(rest).toMatchObject({ method: 'cooler', minRest: 60, maxHold: 300, limitedBy: 'quality', slackEarly: 180, slackLate: 60 });
+    expect(differenceInMinutes(SERVE, rest.earliestFinish)).toBe(300);
+    expect(differenceInMinutes(SERVE, rest.latestFinish)).toBe(60);
+  });
+
+  it('cuts the hold short where it would get unsafe', () => {
+    const rest = restWindow(MEAT_PROFILES.brisket, inputsFor('brisket', { holdMethod: 'counter' }), SERVE);
+    expect(rest.limitedBy).toBe('safety');
+    expect(rest.maxHold).toBe(Math.floor(minutesToDanger(inputsFor('brisket', { holdMethod: 'counter' }))));
+    expect(rest.maxHold).toBeLessThan(qualityHoldMinutes(MEAT_PROFILES.brisket, { holdMethod: 'counter' }));
+  });
+
+  it('holds longer in a warming oven or cambro', () => {
+    expect(qualityHoldMinutes(MEAT_PROFILES.brisket, { holdMethod: 'oven' })).toBe(450);
+    expect(qualityHoldMinutes(MEAT_PROFILES.brisket, { holdMethod: 'cambro' })).toBe(375);
+    expect(qualityHoldMinutes(MEAT_PROFILES.brisket, {})).toBe(300);
+  });
+});
+
+describe('rest warnings', () => {
+  it('warns when the hold drops into the danger zone', () => {
+    const inputs = inputsFor('chicken', { holdMethod: 'counter', restTime: 120 });
+    const warnings = restWarnings(restWindow(MEAT_PROFILES.chicken, inputs, SERVE), inputs, MEAT_PROFILES.chicken);
+    expect(warnings).toEqual([{ type: 'safety', msg: expect.stringContaining('DANGER ZONE'), fix: { label: 'Hold in a warming oven', changes: { holdMethod: 'oven' } } }]);
+  });
+
+  it('warns about a short rest', () => {
+    const inputs = inputsFor('brisket', { restTime: 20 });
+    const warnings = restWarnings(restWindow(MEAT_PROFILES.brisket, inputs, SERVE), inputs, MEAT_PROFILES.brisket);
+    expect(warnings.map(w => w.msg)).toEqual([expect.stringContaining('at least 60 min')]);
+  });
+
+  it('is quiet for a normal rest and shows up in the plan', () => {
+    const { plan, warnings } = computePlan(inputsFor('brisket', { spritzEnabled: false }), MEAT_PROFILES, NOW);
+    expect(warnings).toEqual([]);
+    expect(plan.rest.serveTemp).toBe(175);
+    expect(plan.rest.latestFinish > plan.finishCook).toBe(true);
+    expect(plan.rest.earliestFinish < plan.finishCook).toBe(true);
+  });
+});
@@ -0,0 +1,160 @@
+import { cookRate, tempCurve } from './cookRate';
+import { DANGER_ZONE } from './restHold';
+import { WRAP_TEMP_RANGE } from './profiles';
+import { SMOKER_SIZES, DEFAULT_SMOKER } from './pellets';
+import { ENGLISH } from './i18n';
+
+// --- SAFETY RULES ---
+// Food-safety and quality checks on a plan, declared as data so each one can
+// be tested on its own and a new one is just another entry. A rule's `check`
+// gets the context ({ inputs, profile, isPoultry, meat, rest, tempStages })
+// and returns message params when it fires, null when it doesn't. Text comes
+// from the catalog: the warning (`message`, else `rule.<id>`) and why it
+// matters (`rule.<id>.why`). `fix` proposes input changes that resolve it,
+// for a one-tap button. A rule can `cover` others that say the same thing
+// less precisely, which are then dropped.
+
+// Where bacteria grow fastest, and how long a centre may spend crossing it.
+export const DANGER_LOW = 40;
+export const MAX_DANGER_HOURS = 4;
+
+// Lowest safe internal temps (USDA): whole cuts, and red meat that's been
+// injected, which like ground meat carries surface bacteria inside
+export const SAFE_PULL = { poultry: 165, injected: 160, other: 145 };
+
+// How the meat goes on. Ice in the centre soaks up heat, so a partly frozen
+// cut takes longer (about half again from frozen).
+export const THAW_STATES = {
+  thawed: { label: "Fully thawed", cookFactor: 1 },
+  partial: { label: "Partly frozen", cookFactor: 1.25 },
+  frozen: { label: "Frozen solid", cookFactor: 1.5 },
+};
+export const DEFAULT_THAW = 'thawed';
+
+// Temp the centre sits at through the stall
+const STALL_TEMP = 160;
+
+export const thawFactor = (inputs) => (THAW_STATES[inputs.thawState] || THAW_STATES[DEFAULT_THAW]).cookFactor;
+
+// Hours the centre takes from 40°F to 140°F at `temp`. It warms from fridge
+// cold toward the pit exponentially, reaching the stall (or the wrap) at the
+// profile's stall share of the cook.
+export function hoursInDangerZone(inputs, profile, isPoultry, temp = inputs.temp) {
+  let cookHours = inputs.weight * cookRate(profile, temp).rate * thawFactor(inputs);
+  if (inputs.isSpatchcock && isPoultry) cookHours *= 0.75;
+  const stallTemp = inputs.wrapStrategy !== 'none' ? Math.min(inputs.wrapTemp, inputs.targetTemp) : STALL_TEMP;
+  if (temp <= stallTemp) return Infinity;
+
+  const k = Math.log((temp - DANGER_LOW) / (temp - stallTemp)) / (cookHours * profile.stallFactor);
+  return Math.log((temp - DANGER_LOW) / (temp - DANGER_ZONE)) / k;
+}
+
+const isInjected = (inputs) => (inputs.prepTechniques || []).includes('injection');
+
+// Centres that can carry bacteria: poultry, stuffing, injected meat, or meat
+// not fully thawed.
+const riskyInside = (inputs, isPoultry) => isPoultry || Boolean(inputs.isStuffed) || isInjected(inputs)
+  || (inputs.thawState || DEFAULT_THAW) !== DEFAULT_THAW;
+
+const safePull = (inputs, isPoultry) => {
+  if (isPoultry) return SAFE_PULL.poultry;
+  return isInjected(inputs) ? SAFE_PULL.injected : SAFE_PULL.other;
+};
+
+export const RULES = [
+  {
+      id: 'turkeyLowTemp',
+      type: 'safety',
+      message: 'warn.turkeySafety',
+      covers: ['dangerZone'],
+      check: ({ inputs }) => (inputs.meatType === 'turkey' && inputs.weight > 14 && inputs.temp < 275 && !inputs.isSpatchcock ? { temp: inputs.temp } : null),
+      fix: () => ({ label: 'fix.pitTemp', params: { temp: 275 }, changes: { temp: 275 } }),
+  },
+  {
+      id: 'unsafePull',
+      type: 'safety',
+      check: ({ inputs, isPoultry, meat }) => (inputs.targetTemp < safePull(inputs, isPoultry)
+          ? { meat, target: inputs.targetTemp, min: safePull(inputs, isPoultry), poultry: isPoultry, injected: isInjected(inputs) }
+          : null),
+      fix: (ctx, p) => ({ label: 'fix.targetTemp', params: { temp: p.min }, changes: { targetTemp: p.min } }),
+  },
+  {
+      id: 'frozen',
+      type: 'safety',
+      covers: ['dangerZone'],
+      check: ({ inputs, meat }) => (inputs.thawState === 'frozen' ? { meat } : null),
+      fix: () => ({ label: 'fix.thaw', changes: { thawState: DEFAULT_THAW } }),
+  },
+  {
+      id: 'stuffedPoultry',
+      type: 'safety',
+      covers: ['dangerZone'],
+      check: ({ inputs, isPoultry, meat }) => (isPoultry && inputs.isStuffed ? { meat } : null),
+      fix: () => ({ label: 'fix.unstuff', changes: { isStuffed: false } }),
+  },
+  {
+      id: 'dangerZone',
+      type: 'safety',
+      check: ({ inputs, profile, isPoultry }) => {
+          if (!riskyInside(inputs, isPoultry)) return null;
+          const hours = hoursInDangerZone(inputs, profile, isPoultry);
+          return hours > MAX_DANGER_HOURS ? { hours: Number.isFinite(hours) ? hours.toFixed(1) : '∞', low: DANGER_LOW, high: DANGER_ZONE, max: MAX_DANGER_HOURS } : null;
+      },
+      // The coolest pit (in 25° steps, within the profile's data) that gets through in time
+      fix: ({ inputs, profile, isPoultry }) => {
+          const hottest = tempCurve(profile).slice(-1)[0].temp;
+          for (let temp = inputs.temp + 25; temp <= hottest; temp += 25) {
+              if (hoursInDangerZone(inputs, profile, isPoultry, temp) <= MAX_DANGER_HOURS) {
+                  return { label: 'fix.pitTemp', params: { temp }, changes: { temp } };
+              }
+          }
+          return null;
+      },
+  },
+  {
+      id: 'rubberSkin',
+      type: 'quality',
+      message: 'warn.rubberSkin',
+      // What matters is the temp it finishes at
+      check: ({ inputs, isPoultry, tempStages }) => (isPoultry && inputs.wrapStrategy === 'none' && tempStages[tempStages.length - 1].temp < 275 ? {} : null),
+      fix: ({ inputs }) => ((inputs.tempStages || []).length === 0 ? { label: 'fix.pitTemp', params: { temp: 275 }, changes: { temp: 275 } } : null),
+  },
+  {
+      id: 'wrapAboveTarget',
+      type: 'quality',
+      check: ({ inputs }) => (inputs.wrapStrategy !== 'none' && inputs.wrapTemp > inputs.targetTemp ? { wrap: inputs.wrapTemp, target: inputs.targetTemp } : null),
+      // Well below the pull, but no lower than a wrap can be set
+      fix: ({ inputs }) => {
+          const wrapTemp = Math.max(WRAP_TEMP_RANGE.min, Math.min(165, inputs.targetTemp - 10));
+          return wrapTemp < inputs.targetTemp ? { label: 'fix.wrapTemp', params: { temp: wrapTemp }, changes: { wrapTemp } } : null;
+      },
+  },
+  {
+      id: 'overCapacity',
+      type: 'quality',
+      // Several pieces only cook in the time of one if they all fit at once
+      check: ({ inputs }) => {
+          const smoker = SMOKER_SIZES[inputs.smokerSize] || SMOKER_SIZES[DEFAULT_SMOKER];
+          const total = inputs.weight * (inputs.pieces || 1);
+          return total > smoker.capacityLbs ? { total, capacity: smoker.capacityLbs } : null;
+      },
+  },
+];
+
+// Warnings ({ type, msg, rule, why, fix }) for every rule that fires, in rule order.
+export function evaluateRules(ctx, i18n = ENGLISH, rules = RULES) {
+  const { t } = i18n;
+  const fired = rules.map(rule => ({ rule, params: rule.check(ctx) })).filter(({ params }) => params);
+  const covered = new Set(fired.flatMap(({ rule }) => rule.covers || []));
+
+  return fired.filter(({ rule }) => !covered.has(rule.id)).map(({ rule, params }) => {
+      const fix = rule.fix ? rule.fix(ctx, params) : null;
+      return {
+          type: rule.type,
+          msg: t(rule.message || `rule.${rule.id}`, params),
+          rule: rule.id,
+          why: t(`rule.${rule.id}.why`, params),
+          fix: fix && { label: t(fix.label, fix.params), changes: fix.changes },
+      };
+  });
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { RULES, evaluateRules, hoursInDangerZone, MAX_DANGER_HOURS } from './safetyRules';
+import { computePlan } from './computePlan';
+import { restWindow } from './restHold';
+import { scheduleStages } from './tempSchedule';
+import { MEAT_PROFILES, profileDefaults, isPoultryType } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+import { createI18n } from './i18n';
+import { validateInputs } from './validateInputs';
+
+const SERVE = new Date(2024, 6, 4, 18, 0);
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+// The context computePlan hands the rules
+const contextFor = (meatType, overrides = {}) => {
+  const inputs = inputsFor(meatType, overrides);
+  const profile = MEAT_PROFILES[meatType];
+  const rest = restWindow(profile, inputs, SERVE);
+  return { inputs, profile, isPoultry: isPoultryType(meatType), meat: profile.label, rest, tempStages: scheduleStages(inputs) };
+};
+
+// Runs one rule on its own
+const fire = (id, ctx) => evaluateRules(ctx, undefined, RULES.filter(rule => rule.id === id));
+
+describe('safety rules', () => {
+  it('each has an id, a severity and its text', () => {
+    RULES.forEach((rule) => {
+      expect(['safety', 'quality']).toContain(rule.type);
+      expect(typeof rule.check).toBe('function');
+    });
+    expect(new Set(RULES.map(rule => rule.id)).size).toBe(RULES.length);
+  });
+
+  it('turkeyLowTemp: big turkeys below 275°F', () => {
+    expect(fire('turkeyLowTemp', contextFor('turkey', { weight: 16, temp: 250 }))).toEqual([{
+      type: 'safety',
+      msg: expect.stringContaining('SAFETY ALERT'),
+      rule: 'turkeyLowTemp',
+      why: expect.stringContaining('cavity'),
+      fix: { label: 'Set the pit to 275°F', changes: { temp: 275 } },
+    }]);
+    expect(fire('turkeyLowTemp', contextFor('turkey', { weight: 16, temp: 250, isSpatchcock: true }))).toEqual([]);
+  });
+
+  it('unsafePull: pull temps below the species minimum', () => {
+    const [chicken] = fire('unsafePull', contextFor('chicken', { targetTemp: 150 }));
+    expect(chicken.msg).toBe("⛔ Unsafe Pull Temp: Chicken (Whole) needs at least 165°F inside, but you're pulling at 150°F.");
+    expect(chicken.why).toMatch(/salmonella/);
+    expect(chicken.fix.changes).toEqual({ targetTemp: 165 });
+
+    expect(fire('unsafePull', contextFor('porkButt', { targetTemp: 140 }))[0].fix.changes).toEqual({ targetTemp: 145 });
+    expect(fire('unsafePull', contextFor('porkButt'))).toEqual([]);
+  });
+
+  it('unsafePull: injected red meat needs the ground-meat minimum', () => {
+    const [injected] = fire('unsafePull', contextFor('brisket', { targetTemp: 145, prepTechniques: ['injection'] }));
+    expect(injected.msg).toMatch(/needs at least 160°F inside/);
+    expect(injected.why).toMatch(/^Injecting pushes bacteria/);
+    expect(injected.fix.changes).toEqual({ targetTemp: 160 });
+    expect(fire('unsafePull', contextFor('brisket', { targetTemp: 145, prepTechniques: ['rub'] }))).toEqual([]);
+
+    // A rare custom roast can take the fix
+    const roast = { ...MEAT_PROFILES.brisket, label: "Beef Roast", defaultTargetTemp: 130 };
+    const inputs = { ...inputsFor('brisket'), meatType: 'roast', targetTemp: 135, prepTechniques: ['injection'] };
+    const [rare] = fire('unsafePull', { ...contextFor('brisket'), inputs, profile: roast });
+    expect(validateInputs({ ...inputs, ...rare.fix.changes }, { roast }).errors.targetTemp).toBeUndefined();
+  });
+
+  it('frozen: meat that goes on frozen', () => {
+    const [frozen] = fire('frozen', contextFor('brisket', { thawState: 'frozen' }));
+    expect(frozen.type).toBe('safety');
+    expect(frozen.fix.changes).toEqual({ thawState: 'thawed' });
+    expect(fire('frozen', contextFor('brisket', { thawState: 'partial' }))).toEqual([]);
+  });
+
+  it('stuffedPoultry: only for stuffed birds', () => {
+    expect(fire('stuffedPoultry', contextFor('turkey', { isStuffed: true }))[0].fix.changes).toEqual({ isStuffed: false });
+    expect(fire('stuffedPoultry', contextFor('turkey'))).toEqual([]);
+    expect(fire('stuffedPoultry', contextFor('brisket', { isStuffed: true }))).toEqual([]);
+  });
+
+  it('dangerZone: slow centres that may carry bacteria, with the pit that fixes it', () => {
+    const ctx = contextFor('turkey', { temp: 225 });
+    const [slow] = fire('dangerZone', ctx);
+    expect(slow.msg).toMatch(/^🦠 Slow Warm-Up: the centre spends ~5\.\d h between 40°F and 140°F/);
+
+    const { temp } = slow.fix.changes;
+    expect(hoursInDangerZone({ ...ctx.inputs, temp }, ctx.profile, true)).toBeLessThanOrEqual(MAX_DANGER_HOURS);
+    expect(hoursInDangerZone({ ...ctx.inputs, temp: temp - 25 }, ctx.profile, true)).toBeGreaterThan(MAX_DANGER_HOURS);
+
+    // Intact red meat is clean inside, unless it starts partly frozen
+    expect(fire('dangerZone', contextFor('brisket', { weight: 18, temp: 225 }))).toEqual([]);
+    expect(fire('dangerZone', contextFor('brisket', { weight: 18, temp: 225, thawState: 'partial' }))).toHaveLength(1);
+  });
+
+  it('dangerZone: injected meat is no longer clean inside', () => {
+    expect(fire('dangerZone', contextFor('porkButt', { weight: 8, temp: 225 }))).toEqual([]);
+    const [injected] = fire('dangerZone', contextFor('porkButt', { weight: 8, temp: 225, prepTechniques: ['injection'] }));
+    expect(injected.msg).toMatch(/^🦠 Slow Warm-Up/);
+    expect(injected.fix.changes.temp).toBeGreaterThan(225);
+  });
+
+  it('hoursInDangerZone: colder starts and lower pits take longer', () => {
+    const ctx = contextFor('turkey');
+    const thawed = hoursInDangerZone(ctx.inputs, ctx.profile, true);
+    expect(hoursInDangerZone({ ...ctx.inputs, thawState: 'partial' }, ctx.profile, true)).toBeGreaterThan(thawed);
+    expect(hoursInDangerZone({ ...ctx.inputs, temp: 225 }, ctx.profile, true)).toBeGreaterThan(thawed);
+    expect(hoursInDangerZone({ ...ctx.inputs, isSpatchcock: true }, ctx.profile, true)).toBeLessThan(thawed);
+  });
+
+  it('rubberSkin: unwrapped poultry finishing below 275°F', () => {
+    expect(fire('rubberSkin', contextFor('chicken', { temp: 250 }))[0].fix.changes).toEqual({ temp: 275 });
+    expect(fire('rubberSkin', contextFor('chicken', { temp: 275 }))).toEqual([]);
+    const staged = contextFor('chicken', { temp: 250, tempStages: [{ temp: 265, trigger: 'wrap' }] });
+    expect(fire('rubberSkin', staged)[0].fix).toBeNull();
+  });
+
+  it('overCapacity: more raw meat than the grill holds', () => {
+    const [crowded] = fire('overCapacity', contextFor('brisket', { weight: 18, pieces: 3 }));
+    expect(crowded.msg).toBe('🪵 Crowded Pit: 54 lbs of raw meat is more than a grill this size holds (about 40 lbs).');
+    expect(crowded.fix).toBeNull();
+    expect(fire('overCapacity', contextFor('brisket', { weight: 18, pieces: 3, smokerSize: 'large' }))).toEqual([]);
+    expect(fire('overCapacity', contextFor('brisket', { weight: 12 }))).toEqual([]);
+  });
+
+  it('wrapAboveTarget: a wrap temp past the pull temp', () => {
+    const [wrap] = fire('wrapAboveTarget', contextFor('brisket', { wrapTemp: 205, targetTemp: 200 }));
+    expect(wrap.msg).toBe('🧻 Wrap Never Happens: the wrap temp (205°F) is above the pull temp (200°F).');
+    expect(wrap.fix.changes).toEqual({ wrapTemp: 165 });
+    expect(fire('wrapAboveTarget', contextFor('brisket', { wrapTemp: 205, wrapStrategy: 'none' }))).toEqual([]);
+    expect(fire('wrapAboveTarget', contextFor('turkey', { wrapStrategy: 'foil', wrapTemp: 160, targetTemp: 145 }))[0].fix.changes).toEqual({ wrapTemp: 140 });
+    expect(fire('wrapAboveTarget', contextFor('turkey', { wrapStrategy: 'foil', wrapTemp: 160, targetTemp: 140 }))[0].fix).toBeNull();
+  });
+
+});
+
+describe('evaluateRules', () => {
+  it('drops warnings a more specific rule covers', () => {
+    const ids = evaluateRules(contextFor('turkey', { weight: 16, temp: 225, isStuffed: true })).map(w => w.rule);
+    expect(ids).toEqual(['turkeyLowTemp', 'stuffedPoultry', 'rubberSkin']);
+  });
+
+  it('translates the text and fixes', () => {
+    const [warning] = evaluateRules(contextFor('chicken', { targetTemp: 150, temp: 275 }), createI18n('de-DE'));
+    expect(warning.fix.label).toBe('Bei 74°C herausnehmen');
+  });
+
+  it('feeds the plan warnings', () => {
+    const { warnings } = computePlan(inputsFor('turkey', { thawState: 'frozen' }), MEAT_PROFILES, NOW);
+    expect(warnings.map(w => w.rule)).toEqual(['frozen']);
+  });
+});
@@ -0,0 +1,52 @@
+import { APPETITES, DEFAULT_APPETITE } from './profiles';
+import { inputRules } from './validateInputs';
+
+// --- SERVINGS ---
+// Sizing a cook from how many people are coming. Each profile's `yield` says
+// how much of the raw weight ends up on plates (`cooked`) and the biggest
+// single piece worth cooking (`maxPiece`); past that the meat is split into
+// several pieces of equal weight, which cook in the time of one. Ribs are
+// bought by the rack (`wholePieces`), so only the count changes. Custom
+// profiles without a yield get a middle-of-the-road one.
+
+const DEFAULT_COOKED_SHARE = 0.5;
+
+export const yieldFor = (profile) => ({
+  cooked: profile.yield?.cooked ?? DEFAULT_COOKED_SHARE,
+  maxPiece: profile.yield?.maxPiece ?? profile.defaultWeight * 1.5,
+  wholePieces: Boolean(profile.yield?.wholePieces),
+});
+
+const cookedOz = (appetite) => (APPETITES[appetite] || APPETITES[DEFAULT_APPETITE]).cookedOz;
+
+// How many `appetite` guests the raw meat feeds.
+export const feeds = (profile, weight, pieces = 1, appetite = DEFAULT_APPETITE) =>
+  Math.floor((weight * pieces * yieldFor(profile).cooked * 16) / cookedOz(appetite) + 1e-9);
+
+// Returns { weight (per piece), pieces, rawLbs, cookedLbs, feeds } for
+// `guests` people, rounded up to the next ¼ lb and within the profile's
+// weight and piece ranges. Past the most pieces a plan takes it feeds fewer
+// than `guests`.
+export function sizeForGuests(profile, guests, appetite = DEFAULT_APPETITE) {
+  const { cooked, maxPiece, wholePieces } = yieldFor(profile);
+  const rules = inputRules(profile);
+  const range = rules.weight;
+  const cookedLbs = (guests * cookedOz(appetite)) / 16;
+  const neededRaw = cookedLbs / cooked;
+
+  const pieces = Math.min(rules.pieces.max, Math.max(1, Math.ceil(neededRaw / maxPiece - 1e-9)));
+  const weight = wholePieces
+      ? maxPiece
+      : Math.min(range.max, Math.max(range.min, Math.ceil((neededRaw / pieces) * 4 - 1e-9) / 4));
+
+  return { weight, pieces, rawLbs: weight * pieces, cookedLbs: weight * pieces * cooked, feeds: feeds(profile, weight, pieces, appetite) };
+}
+
+// The weight and piece count for inputs sized by headcount; others (and
+// headcounts still being typed) come back unchanged.
+export function sizeInputs(inputs, profiles) {
+  const profile = profiles[inputs.meatType];
+  if (inputs.sizeMode !== 'guests' || !profile || !Number.isInteger(inputs.guests) || inputs.guests < 1) return inputs;
+  const { weight, pieces } = sizeForGuests(profile, inputs.guests, inputs.appetite);
+  return { ...inputs, weight, pieces };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { sizeForGuests, sizeInputs, feeds, yieldFor } from './servings';
+import { prepQuantities } from './prepSteps';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+import { validateInputs } from './validateInputs';
+import { createI18n } from './i18n';
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+describe('sizeForGuests', () => {
+  it('works back from cooked portions to a raw weight', () => {
+    const size = sizeForGuests(MEAT_PROFILES.porkButt, 10);
+    expect(size).toMatchObject({ weight: 7, pieces: 1, rawLbs: 7, feeds: 10 });
+    expect(size.cookedLbs).toBeCloseTo(3.85);
+  });
+
+  it('splits big cooks into equal pieces', () => {
+    expect(sizeForGuests(MEAT_PROFILES.brisket, 40)).toMatchObject({ weight: 15, pieces: 2, feeds: 40 });
+  });
+
+  it('buys ribs by the whole rack', () => {
+    expect(sizeForGuests(MEAT_PROFILES.ribs, 8, 'hearty')).toMatchObject({ weight: 3, pieces: 3, feeds: 9 });
+  });
+
+  it('stops at the most pieces a plan takes and says how many that feeds', () => {
+    const size = sizeForGuests(MEAT_PROFILES.ribs, 200, 'hearty');
+    expect(size).toMatchObject({ weight: 3, pieces: 50 });
+    expect(size.feeds).toBeLessThan(200);
+    expect(validateInputs(sizeInputs(inputsFor('ribs', { sizeMode: 'guests', guests: 200, appetite: 'hearty' }), MEAT_PROFILES)).valid).toBe(true);
+  });
+
+  it('never goes below the smallest cut the profile plans for', () => {
+    expect(sizeForGuests(MEAT_PROFILES.brisket, 2, 'light')).toMatchObject({ weight: 3, pieces: 1, feeds: 6 });
+  });
+
+  it('gives custom profiles a default yield', () => {
+    const custom = { ...MEAT_PROFILES.porkButt, label: "Lamb Shoulder", defaultWeight: 4, yield: undefined };
+    expect(yieldFor(custom)).toEqual({ cooked: 0.5, maxPiece: 6, wholePieces: false });
+    expect(feeds(custom, 6, 2)).toBe(16);
+  });
+});
+
+describe('sizeInputs', () => {
+  it('sets the weight and pieces from the headcount', () => {
+    const sized = sizeInputs(inputsFor('turkey', { sizeMode: 'guests', guests: 30 }), MEAT_PROFILES);
+    expect(sized).toMatchObject({ weight: 12.5, pieces: 2 });
+    expect(validateInputs(sized).valid).toBe(true);
+  });
+
+  it('leaves weight-sized inputs and unfinished headcounts alone', () => {
+    const byWeight = inputsFor('turkey', { guests: 30 });
+    expect(sizeInputs(byWeight, MEAT_PROFILES)).toBe(byWeight);
+    const typing = inputsFor('turkey', { sizeMode: 'guests', guests: '' });
+    expect(sizeInputs(typing, MEAT_PROFILES)).toBe(typing);
+    expect(validateInputs(typing).errors).toEqual({ guests: 'Guests is required (1–500).' });
+  });
+
+  it('scales prep quantities by the piece count', () => {
+    expect(prepQuantities(inputsFor('brisket', { weight: 15, pieces: 2, prepTechniques: ['dryBrine'] })).saltOz).toBeCloseTo(2.4);
+    expect(createI18n().fmt.pieces(15, 2)).toBe('2 × 15 lbs');
+  });
+});
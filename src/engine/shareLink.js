@@ -0,0 +1,190 @@
+import { format, parseISO, isValid } from 'date-fns';
+import { MEAT_PROFILES, WRAP_STRATEGIES, APPETITES } from './profiles';
+import { SMOKER_SIZES } from './pellets';
+import { HOLD_METHODS } from './restHold';
+import { validateProfile, cleanProfile } from './customProfiles';
+import { THAW_STATES } from './safetyRules';
+import { PREP_TECHNIQUES, THAW_METHODS } from './prepSteps';
+import { STAGE_TRIGGERS } from './tempSchedule';
+import { SIDE_PRESETS, SIDE_PLACES } from './sideDishes';
+
+// --- SHARE LINKS ---
+// A plan's inputs packed into the URL hash (`#plan=1.<base64url json>`) so
+// someone else can open the same schedule. Field names are shortened to keep
+// the link small; the serve (or start) time carries its UTC offset and the sender's time
+// zone so the recipient sees it in their own local time. An imported forecast
+// is left out (too big for a link).
+
+export const SHARE_PARAM = 'plan';
+export const SHARE_VERSION = 1;
+
+// input key -> [short key, kind]
+const FIELDS = {
+  meatType: ['m', 'string'],
+  weight: ['w', 'number'],
+  pieces: ['pc', 'number'],
+  sizeMode: ['sz', 'string'],
+  guests: ['g', 'number'],
+  appetite: ['ap', 'string'],
+  temp: ['t', 'number'],
+  tempStages: ['ts', 'array'],
+  planMode: ['pm', 'string'],
+  serveTime: ['s', 'string'],
+  startTime: ['st', 'string'],
+  restTime: ['r', 'number'],
+  holdMethod: ['hm', 'string'],
+  holdTemp: ['ht', 'number'],
+  prepTime: ['p', 'number'],
+  wrapStrategy: ['ws', 'string'],
+  wrapTemp: ['wt', 'number'],
+  targetTemp: ['tt', 'number'],
+  spritzEnabled: ['se', 'boolean'],
+  spritzStart: ['ss', 'number'],
+  spritzInterval: ['si', 'number'],
+  isSpatchcock: ['sc', 'boolean'],
+  isStuffed: ['sf', 'boolean'],
+  thawState: ['th', 'string'],
+  prepTechniques: ['pt', 'array'],
+  frozenNow: ['fz', 'boolean'],
+  thawMethod: ['tm', 'string'],
+  fatSideUp: ['fu', 'boolean'],
+  smokerSize: ['sm', 'string'],
+  pelletsOnHand: ['po', 'number'],
+  ambientTemp: ['at', 'number'],
+  windMph: ['wm', 'number'],
+  raining: ['rn', 'boolean'],
+  insulated: ['in', 'boolean'],
+  quietHours: ['qh', 'boolean'],
+  quietStart: ['qs', 'string'],
+  quietEnd: ['qe', 'string'],
+  sides: ['sd', 'array'],
+};
+
+// Shape of each element of the array fields. The UI reads these before the
+// inputs are validated, so a link has to get the types right; ranges are left
+// to validateInputs.
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const ITEMS = {
+  tempStages: stage => isObject(stage) && Boolean(STAGE_TRIGGERS[stage.trigger]) && isNumber(stage.temp)
+      && (stage.afterMinutes === undefined || isNumber(stage.afterMinutes)),
+  prepTechniques: key => typeof key === 'string',
+  sides: side => isObject(side) && typeof side.name === 'string' && isNumber(side.minutes) && isNumber(side.temp)
+      && Boolean(SIDE_PLACES[side.place]) && typeof side.atServe === 'boolean'
+      && (side.preset === undefined || Boolean(SIDE_PRESETS[side.preset])),
+};
+
+const REQUIRED = ['meatType', 'weight', 'temp'];
+const TIMES = ['serveTime', 'startTime'];
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+const localZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Packs the inputs (plus the custom profile they use, if any) into the hash value.
+export function encodeShare(inputs, profiles = MEAT_PROFILES, zone = localZone()) {
+  const data = {};
+  Object.entries(FIELDS).forEach(([key, [short]]) => {
+      if (inputs[key] === undefined || inputs[key] === '') return;
+      data[short] = inputs[key];
+  });
+
+  TIMES.forEach((key) => {
+      if (!inputs[key]) return;
+      const time = parseISO(inputs[key]);
+      if (isValid(time)) data[FIELDS[key][0]] = format(time, "yyyy-MM-dd'T'HH:mmxxx");
+  });
+  data.z = zone;
+
+  if (!MEAT_PROFILES[inputs.meatType] && profiles[inputs.meatType]) {
+      data.cp = cleanProfile(profiles[inputs.meatType]);
+  }
+
+  return `${SHARE_VERSION}.${toBase64Url(JSON.stringify(data))}`;
+}
+
+export const shareUrl = (inputs, profiles, location) =>
+  `${location.origin}${location.pathname}#${SHARE_PARAM}=${encodeShare(inputs, profiles)}`;
+
+// Pulls the encoded plan out of a location hash, or null when there isn't one.
+export const shareFromHash = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+
+// Returns { inputs, profile, zone, errors }. `inputs` only holds the fields the
+// link carried; `profile` is the sender's custom profile when they used one.
+// Errors are catalog ids with their params ({ id, params }), shown with t().
+export function decodeShare(encoded, profiles = MEAT_PROFILES) {
+  const error = (id, params = {}) => ({ id, params });
+  const fail = (id, params) => ({ inputs: null, profile: null, zone: null, errors: [error(id, params)] });
+
+  const dot = encoded.indexOf('.');
+  const version = Number(encoded.slice(0, dot));
+  if (dot === -1 || !Number.isInteger(version)) return fail('share.notPlan');
+  if (version > SHARE_VERSION) return fail('share.newer', { version });
+
+  let data;
+  try {
+      data = JSON.parse(fromBase64Url(encoded.slice(dot + 1)));
+  } catch (e) {
+      return fail('share.damaged');
+  }
+  if (!data || typeof data !== 'object') return fail('share.damaged');
+
+  const errors = [];
+  const inputs = {};
+  // A plan that starts at a fixed time doesn't need a serve time
+  const required = [...REQUIRED, data.pm === 'start' ? 'startTime' : 'serveTime'];
+  Object.entries(FIELDS).forEach(([key, [short, kind]]) => {
+      const value = data[short];
+      if (value === undefined) {
+          if (required.includes(key)) errors.push(error('share.missing', { field: key }));
+          return;
+      }
+      const ok = kind === 'number' ? isNumber(value) && (key === 'ambientTemp' || value >= 0)
+          : kind === 'array' ? Array.isArray(value) && value.every(ITEMS[key])
+          : typeof value === kind;
+      if (!ok) {
+          errors.push(error('share.invalid', { field: key }));
+          return;
+      }
+      inputs[key] = value;
+  });
+
+  let profile = null;
+  if (data.cp !== undefined) {
+      const { valid } = validateProfile(data.cp);
+      if (valid) profile = cleanProfile(data.cp);
+      else errors.push(error('share.profile'));
+  }
+
+  if (inputs.meatType && !profiles[inputs.meatType] && !profile) errors.push(error('share.unknown', { kind: 'meat', value: inputs.meatType }));
+  if (inputs.wrapStrategy && !WRAP_STRATEGIES[inputs.wrapStrategy]) errors.push(error('share.unknown', { kind: 'wrap', value: inputs.wrapStrategy }));
+  if (inputs.holdMethod && !HOLD_METHODS[inputs.holdMethod]) errors.push(error('share.unknown', { kind: 'hold', value: inputs.holdMethod }));
+  if (inputs.planMode && inputs.planMode !== 'serve' && inputs.planMode !== 'start') errors.push(error('share.unknown', { kind: 'planMode', value: inputs.planMode }));
+  if (inputs.sizeMode && inputs.sizeMode !== 'weight' && inputs.sizeMode !== 'guests') errors.push(error('share.unknown', { kind: 'sizeMode', value: inputs.sizeMode }));
+  if (inputs.appetite && !APPETITES[inputs.appetite]) errors.push(error('share.unknown', { kind: 'appetite', value: inputs.appetite }));
+  if (inputs.thawState && !THAW_STATES[inputs.thawState]) errors.push(error('share.unknown', { kind: 'thaw', value: inputs.thawState }));
+  (inputs.prepTechniques || []).filter(key => !PREP_TECHNIQUES[key]).forEach(key => errors.push(error('share.unknown', { kind: 'prep', value: key })));
+  if (inputs.thawMethod && !THAW_METHODS[inputs.thawMethod]) errors.push(error('share.unknown', { kind: 'thawMethod', value: inputs.thawMethod }));
+  if (inputs.smokerSize && !SMOKER_SIZES[inputs.smokerSize]) errors.push(error('share.unknown', { kind: 'smoker', value: inputs.smokerSize }));
+  if (inputs.weight === 0 || inputs.temp === 0) errors.push(error('share.zero'));
+
+  TIMES.forEach((key) => {
+      if (!inputs[key]) return;
+      const time = parseISO(inputs[key]);
+      if (isValid(time)) inputs[key] = format(time, "yyyy-MM-dd'T'HH:mm");
+      else errors.push(error('share.invalid', { field: key }));
+  });
+
+  if (errors.length > 0) return { inputs: null, profile: null, zone: null, errors };
+  return { inputs, profile, zone: typeof data.z === 'string' ? data.z : null, errors: [] };
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShare, decodeShare, shareFromHash, shareUrl, SHARE_VERSION } from './shareLink';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { mergeProfiles } from './customProfiles';
+import { ENGLISH } from './i18n';
+
+const inputs = {
+  ...profileDefaults('brisket'), prepTime: 60, serveTime: '2024-07-04T18:00', smokerSize: 'large',
+  ambientTemp: 35, windMph: 10, raining: false, insulated: true, pelletsOnHand: 20,
+  forecast: [{ time: '2024-07-04T06:00', temp: 35, windMph: 10, rain: false }],
+};
+
+// The errors as English text
+const messages = (result) => result.errors.map(e => ENGLISH.t(e.id, e.params));
+
+const pack = (data) => `1.${btoa(JSON.stringify(data)).replace(/=+$/, '')}`;
+
+const venison = {
+  label: 'Venison Roast', defaultWeight: 4, tempProfiles: { 225: { rate: 1.0 } },
+  rest: { min: 10, default: 20, maxHold: 60 }, stallFactor: 0.7, defaultTargetTemp: 135,
+  spritz: { recommended: false, startAfter: 60, interval: 45, type: 'Stock' },
+};
+
+describe('share links', () => {
+  it('round-trips the plan inputs without the forecast', () => {
+    const encoded = encodeShare(inputs, MEAT_PROFILES, 'America/Chicago');
+    const { inputs: decoded, profile, zone, errors } = decodeShare(encoded);
+
+    expect(errors).toEqual([]);
+    expect(encoded.startsWith(`${SHARE_VERSION}.`)).toBe(true);
+    expect(encoded).toMatch(/^[\w.-]+$/);
+    expect(zone).toBe('America/Chicago');
+    expect(profile).toBeNull();
+    const { forecast, ...rest } = inputs;
+    expect(decoded).toEqual(rest);
+  });
+
+  it('keeps the serve time pinned to the same instant', () => {
+    const encoded = encodeShare(inputs, MEAT_PROFILES, 'UTC');
+    const data = JSON.parse(atob(encoded.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    expect(data.s).toMatch(/^2024-07-04T18:00[+-]\d\d:\d\d$/);
+    expect(decodeShare(encoded).inputs.serveTime).toBe('2024-07-04T18:00');
+  });
+
+  it('converts an offset serve time into local time', () => {
+    const { inputs: decoded } = decodeShare(pack({ m: 'ribs', w: 5, t: 250, s: '2024-07-04T18:00Z' }));
+    const local = new Date(Date.UTC(2024, 6, 4, 18, 0));
+    expect(new Date(decoded.serveTime).getTime()).toBe(local.getTime());
+  });
+
+  it('carries a start time in place of the serve time', () => {
+    const start = { ...inputs, planMode: 'start', serveTime: '', startTime: '2024-07-04T06:00' };
+    const { inputs: decoded, errors } = decodeShare(encodeShare(start, MEAT_PROFILES, 'UTC'));
+    expect(errors).toEqual([]);
+    expect(decoded.planMode).toBe('start');
+    expect(decoded.startTime).toBe('2024-07-04T06:00');
+    expect(decoded.serveTime).toBeUndefined();
+
+    expect(messages(decodeShare(pack({ m: 'ribs', w: 5, t: 250, pm: 'start' })))).toEqual(['Missing startTime.']);
+    expect(messages(decodeShare(pack({ m: 'ribs', w: 5, t: 250, pm: 'later', s: '2024-07-04T18:00Z' })))).toEqual(['Unknown plan mode "later".']);
+  });
+
+  it('carries a custom profile along', () => {
+    const profiles = mergeProfiles({ venison });
+    const encoded = encodeShare({ ...inputs, meatType: 'venison' }, profiles);
+    const { inputs: decoded, profile, errors } = decodeShare(encoded);
+
+    expect(errors).toEqual([]);
+    expect(decoded.meatType).toBe('venison');
+    expect(profile.label).toBe('Venison Roast');
+  });
+
+  it('reads the plan out of the URL hash', () => {
+    const url = shareUrl(inputs, MEAT_PROFILES, { origin: 'https://example.com', pathname: '/planner' });
+    const hash = url.slice(url.indexOf('#'));
+    expect(url.startsWith('https://example.com/planner#plan=1.')).toBe(true);
+    expect(decodeShare(shareFromHash(hash)).inputs.meatType).toBe('brisket');
+    expect(shareFromHash('')).toBeNull();
+    expect(shareFromHash('#other=1')).toBeNull();
+  });
+});
+
+describe('decodeShare validation', () => {
+  it('rejects damaged, foreign and future links', () => {
+    expect(messages(decodeShare('nonsense'))[0]).toMatch(/not a plan link/);
+    expect(messages(decodeShare('1.@@@'))[0]).toMatch(/damaged/);
+    expect(messages(decodeShare('2.e30'))[0]).toMatch(/newer version/);
+  });
+
+  it('reports missing, mistyped and unknown fields', () => {
+    const result = decodeShare(pack({ m: 'mystery', w: 'heavy', s: 'soon', ws: 'newspaper' }));
+    expect(result.inputs).toBeNull();
+    expect(result.errors[0]).toEqual({ id: 'share.invalid', params: { field: 'weight' } });
+    expect(messages(result)).toEqual([
+      'Invalid weight.',
+      'Missing temp.',
+      'Unknown meat "mystery".',
+      'Unknown wrap "newspaper".',
+      'Invalid serveTime.',
+    ]);
+  });
+
+  it('rejects array fields with malformed entries', () => {
+    const base = { m: 'brisket', w: 12, t: 225, s: '2024-07-04T18:00Z' };
+    const side = { name: 'Beans', minutes: 60, temp: 250, place: 'pit', atServe: true };
+    expect(decodeShare(pack({ ...base, sd: [side] })).errors).toEqual([]);
+    expect(messages(decodeShare(pack({ ...base, sd: [null] })))).toEqual(['Invalid sides.']);
+    expect(messages(decodeShare(pack({ ...base, sd: [{ ...side, place: 'roof' }] })))).toEqual(['Invalid sides.']);
+    expect(messages(decodeShare(pack({ ...base, ts: [{ trigger: 'wrap', temp: '275' }] })))).toEqual(['Invalid tempStages.']);
+    expect(messages(decodeShare(pack({ ...base, pt: [{}] })))).toEqual(['Invalid prepTechniques.']);
+  });
+
+  it('rejects an invalid embedded profile', () => {
+    const result = decodeShare(pack({ m: 'venison', w: 4, t: 225, s: '2024-07-04T18:00Z', cp: { ...venison, stallFactor: 3 } }));
+    expect(messages(result)).toContain('The custom meat profile in this link is invalid.');
+  });
+});
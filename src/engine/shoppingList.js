@@ -0,0 +1,40 @@
+import { WRAP_STRATEGIES } from './profiles';
+import { BAG_LBS } from './pellets';
+import { prepQuantities } from './prepSteps';
+import { toDisplay } from './units';
+import { ENGLISH } from './i18n';
+
+// --- SHOPPING LIST ---
+// What to buy for a plan: pellet bags, wrap supplies for the chosen strategy
+// enough spritz/baste liquid for every scheduled pass, and the salt, marinade
+// and rub the prep steps call for, in `i18n`'s language and units.
+
+const OZ_PER_SPRITZ = 2;
+
+export function buildShoppingList(plan, inputs, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const items = [];
+
+  if (plan.pellets && plan.pellets.bagsNeeded > 0) {
+      const bag = `${fmt.weightValue(BAG_LBS, 0)} ${fmt.unit('perWeight')}`;
+      items.push({ key: 'pellets', item: t("Pellets ({bag} bag)", { bag }), qty: plan.pellets.bagsNeeded, unit: plan.pellets.bagsNeeded === 1 ? t("bag") : t("bags") });
+  }
+
+  (WRAP_STRATEGIES[inputs.wrapStrategy]?.supplies || []).forEach((supply) => {
+      items.push({ key: `wrap-${supply}`, item: t(supply), qty: 1, unit: "" });
+  });
+
+  if (plan.spritzWindow) {
+      const oz = plan.spritzWindow.count * OZ_PER_SPRITZ;
+      items.push({ key: 'spritz', item: plan.spritzWindow.type, qty: Number(fmt.volumeValue(oz)), unit: fmt.unit('volume') });
+  }
+
+  // Rounded up: better a pinch left over than short
+  const prep = prepQuantities(inputs);
+  const mass = (oz) => Math.ceil(toDisplay('mass', oz, i18n.units));
+  if (prep.saltOz > 0) items.push({ key: 'prep-salt', item: t("Kosher Salt"), qty: mass(prep.saltOz), unit: fmt.unit('mass') });
+  if (prep.injectOz > 0) items.push({ key: 'prep-injection', item: t("Injection Marinade"), qty: Number(fmt.volumeValue(prep.injectOz)), unit: fmt.unit('volume') });
+  if (prep.rubOz > 0) items.push({ key: 'prep-rub', item: t("BBQ Rub"), qty: mass(prep.rubOz), unit: fmt.unit('mass') });
+
+  return items;
+}
@@ -0,0 +1,99 @@
+import { subMinutes, differenceInMinutes } from 'date-fns';
+import { ENGLISH } from './i18n';
+
+// --- SIDE DISHES ---
+// Sides that share the pit or the oven with the meat. Each has a cook time
+// and temp, and is either due at serve or can finish early and wait. Sides
+// due at serve end there (often during the rest); flexible ones go on the
+// pit at the latest stretch after the wrap where the pit runs near their
+// temp. "Wherever fits" picks the pit when its temp suits (or the meat is
+// already off) and the oven otherwise. Clashes come back as warnings: a pit
+// at the wrong temp, an oven busy holding the meat, or two sides wanting the
+// same spot at different temps.
+
+export const SIDE_PRESETS = {
+  macCheese: { label: "Mac & Cheese", minutes: 60, temp: 275 },
+  bakedBeans: { label: "Baked Beans", minutes: 120, temp: 250 },
+  cornbread: { label: "Cornbread", minutes: 25, temp: 400 },
+};
+
+export const SIDE_PLACES = {
+  auto: "Wherever fits",
+  pit: "On the pit",
+  oven: "In the oven",
+};
+
+// How far a side's temp can be from where the pit or oven sits and still be fine
+export const TEMP_TOLERANCE = 25;
+
+export const sideFromPreset = (key) => ({ preset: key, name: SIDE_PRESETS[key].label, minutes: SIDE_PRESETS[key].minutes, temp: SIDE_PRESETS[key].temp, place: 'auto', atServe: true });
+
+export const sideName = (side, i18n = ENGLISH) => (side.preset ? i18n.label('sideDish', side.preset, side.name) : side.name);
+
+const closeEnough = (a, b) => Math.abs(a - b) <= TEMP_TOLERANCE;
+
+// Pit stages running during [start, end), clipped to the cook.
+const stagesDuring = (plan, start, end) => plan.tempStages.filter(stage => stage.start < end && stage.end > start);
+
+// The latest stretch after the wrap where the pit runs near `temp` and the
+// side fits; its end, or null.
+const latestPitSlot = (plan, side) => {
+  const fits = [...plan.tempStages].reverse().find((stage) => {
+      const from = stage.start > plan.wrapTime ? stage.start : plan.wrapTime;
+      return closeEnough(stage.temp, side.temp) && differenceInMinutes(stage.end, from) >= side.minutes;
+  });
+  return fits ? fits.end : null;
+};
+
+// Returns { sides, warnings }. Sides ({ key, name, place, temp, minutes,
+// start, end }) are in the order given.
+export function scheduleSides(plan, inputs, i18n = ENGLISH) {
+  const { t, fmt } = i18n;
+  const list = inputs.sides || [];
+  const warnings = [];
+  const holdingInOven = plan.rest && plan.rest.method === 'oven';
+
+  const sides = list.map((side, i) => {
+      const end = (!side.atServe && side.place !== 'oven' && latestPitSlot(plan, side)) || plan.serve;
+      const start = subMinutes(end, side.minutes);
+      const clashing = stagesDuring(plan, start, end).find(stage => !closeEnough(stage.temp, side.temp));
+      const pitFits = start >= plan.startCook && !clashing;
+      const place = side.place === 'auto' ? (pitFits ? 'pit' : 'oven') : side.place;
+      return { key: `side-${i}`, name: sideName(side, i18n), place, temp: side.temp, minutes: side.minutes, start, end, clashing };
+  });
+
+  // One-tap fix: move side `i` to `place`
+  const moveTo = (i, place) => ({ sides: list.map((side, j) => (j === i ? { ...side, place } : side)) });
+
+  sides.forEach((side, i) => {
+      if (side.place === 'pit') {
+          if (side.start < plan.startCook) {
+              warnings.push({ type: 'quality', msg: t('side.notLit', { side: side.name, time: fmt.time(side.start) }), fix: { label: t('fix.sideOven', { side: side.name }), changes: moveTo(i, 'oven') } });
+          } else if (side.clashing) {
+              const from = side.clashing.start > side.start ? side.clashing.start : side.start;
+              warnings.push({
+                  type: 'quality',
+                  msg: t('side.tempMismatch', { side: side.name, want: side.temp, pit: side.clashing.temp, time: fmt.time(from) }),
+                  fix: { label: t('fix.sideOven', { side: side.name }), changes: moveTo(i, 'oven') }
+              });
+          }
+      } else if (holdingInOven && side.end > plan.finishCook && !closeEnough(inputs.holdTemp, side.temp)) {
+          // Once the meat is off, the pit is free for whatever the side needs
+          const pitFree = side.start >= plan.finishCook;
+          warnings.push({
+              type: 'quality',
+              msg: t('side.ovenBusy', { side: side.name, hold: inputs.holdTemp, want: side.temp }),
+              fix: pitFree ? { label: t('fix.sidePit', { side: side.name }), changes: moveTo(i, 'pit') } : null
+          });
+      }
+  });
+
+  // Two sides in the same spot at once need to agree on the temp
+  sides.forEach((a, i) => sides.slice(i + 1).forEach((b) => {
+      if (a.place === b.place && a.start < b.end && b.start < a.end && !closeEnough(a.temp, b.temp)) {
+          warnings.push({ type: 'quality', msg: t('side.clash', { a: a.name, b: b.name, oven: a.place === 'oven' }) });
+      }
+  }));
+
+  return { sides: sides.map(({ clashing, ...side }) => side), warnings };
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { scheduleSides, sideFromPreset } from './sideDishes';
+import { computePlan } from './computePlan';
+import { buildLiveTimeline } from './liveCook';
+import { calendarEvents } from './icsExport';
+import { validateInputs } from './validateInputs';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+// Pork butt, 8 lb at 250°F: on ~5:55, pulled 17:15, served 18:00
+const inputsFor = (sides, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults('porkButt'), serveTime: '2024-07-04T18:00', sides, ...overrides,
+});
+
+const planFor = (sides, overrides) => computePlan(inputsFor(sides, overrides), MEAT_PROFILES, NOW);
+
+describe('scheduleSides', () => {
+  it('finishes sides due at serve right at serve', () => {
+    const { plan, warnings } = planFor([sideFromPreset('macCheese')]);
+    expect(plan.sides).toEqual([{ key: 'side-0', name: "Mac & Cheese", place: 'pit', temp: 275, minutes: 60, start: new Date(2024, 6, 4, 17, 0), end: new Date(2024, 6, 4, 18, 0) }]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('puts flexible sides on the pit in the last stretch after the wrap', () => {
+    const { plan } = planFor([{ name: "Beans", minutes: 120, temp: 250, place: 'auto', atServe: false }]);
+    expect(plan.sides[0]).toMatchObject({ place: 'pit', start: new Date(2024, 6, 4, 15, 15), end: plan.finishCook });
+  });
+
+  it('sends sides the pit is too cool for to the oven', () => {
+    const side = { name: "Potatoes", minutes: 90, temp: 375, place: 'auto', atServe: true };
+    const auto = planFor([side]);
+    expect(auto.plan.sides[0].place).toBe('oven');
+    expect(auto.warnings).toEqual([]);
+
+    const onPit = planFor([{ ...side, place: 'pit' }]);
+    expect(onPit.warnings).toHaveLength(1);
+    expect(onPit.warnings[0].msg).toMatch(/Pit Too Cool for Potatoes: it wants 375°F, but the pit runs at 250°F from/);
+    expect(onPit.warnings[0].fix.changes.sides[0].place).toBe('oven');
+  });
+
+  it('uses the free pit after the pull, and flags an oven busy holding the meat', () => {
+    expect(planFor([sideFromPreset('cornbread')]).plan.sides[0].place).toBe('pit');
+
+    const { warnings } = planFor([{ ...sideFromPreset('cornbread'), place: 'oven' }], { holdMethod: 'oven', holdTemp: 170 });
+    expect(warnings.map(w => w.msg)).toEqual(["🥘 Oven Busy: the meat holds in it at 170°F, but Cornbread needs 400°F."]);
+    expect(warnings[0].fix.changes.sides[0].place).toBe('pit');
+  });
+
+  it('flags sides that would start before the pit is lit', () => {
+    const { warnings } = planFor([{ name: "Beans", minutes: 480, temp: 250, place: 'pit', atServe: true }], profileDefaults('ribs'));
+    expect(warnings[0].msg).toMatch(/before the pit is lit/);
+  });
+
+  it('flags two sides in one oven at different temps', () => {
+    const { warnings } = planFor([{ ...sideFromPreset('cornbread'), place: 'oven' }, { ...sideFromPreset('bakedBeans'), place: 'oven' }]);
+    expect(warnings.map(w => w.msg)).toContain("🥘 Cornbread and Baked Beans are in the oven together but want different temps.");
+  });
+
+  it('adds no sides without any', () => {
+    const { plan } = planFor([]);
+    expect(scheduleSides(plan, inputsFor([]))).toEqual({ sides: [], warnings: [] });
+  });
+});
+
+describe('side dishes in the plan', () => {
+  it('show up as live steps and calendar events', () => {
+    const { plan } = planFor([sideFromPreset('macCheese')]);
+    expect(buildLiveTimeline(plan).steps.find(step => step.key === 'side-0')).toMatchObject({ label: "🥘 Mac & Cheese onto the pit", alarm: true });
+    expect(calendarEvents(plan, inputsFor([]), MEAT_PROFILES.porkButt).find(event => event.key === 'side-0').description).toBe("60 min at 275°F.");
+  });
+
+  it('are validated', () => {
+    expect(validateInputs(inputsFor([sideFromPreset('cornbread')])).valid).toBe(true);
+    expect(validateInputs(inputsFor([{ ...sideFromPreset('cornbread'), name: ' ' }])).errors).toEqual({ 'sides.0': "Give the side a name." });
+    expect(validateInputs(inputsFor([{ ...sideFromPreset('cornbread'), minutes: 0 }])).errors['sides.0']).toMatch(/5–720 min/);
+    expect(validateInputs(inputsFor([{ ...sideFromPreset('cornbread'), temp: 600 }])).errors['sides.0']).toBe("Temp must be a whole number, 150–500 °F.");
+    expect(validateInputs(inputsFor([{ ...sideFromPreset('cornbread'), place: 'grill' }])).errors['sides.0']).toBe("Pick where it cooks.");
+  });
+});
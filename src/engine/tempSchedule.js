@@ -0,0 +1,56 @@
+// --- TEMP SCHEDULE ---
+// A cook can change pit temp part way through: `inputs.tempStages` lists the
+// changes after the starting `inputs.temp`, each triggered at the wrap (the
+// stall when cooking naked) or a set number of minutes after the meat goes on:
+//   [{ trigger: 'wrap', temp: 275 }, { trigger: 'elapsed', afterMinutes: 300, temp: 325 }]
+// The cook is treated as progress from 0 to 1; each stage covers a share of it
+// at that stage's own hours-per-pound.
+
+export const STAGE_TRIGGERS = {
+  wrap: "At the wrap",
+  elapsed: "After a set time",
+};
+
+// The starting temp plus each change, in the order they were entered.
+export const scheduleStages = (inputs) => [
+  { trigger: 'start', temp: inputs.temp },
+  ...(inputs.tempStages || []),
+];
+
+// Splits the cook into segments. `stageHours(temp)` is the whole cook's length
+// at a constant `temp`; `wrapFraction` is the share of the cook done at the wrap.
+// Elapsed triggers are real minutes, so `scale` converts them back to model
+// hours (real = model × scale once spritzing, weather and buffer are added).
+// A change whose trigger has already passed takes effect immediately.
+export function scheduleSegments(stages, wrapFraction, stageHours, scale = 1) {
+  const segments = [];
+  let fraction = 0;
+  let elapsed = 0;
+
+  stages.forEach((stage, i) => {
+      const next = stages[i + 1];
+      const full = stageHours(stage.temp);
+      let end = 1;
+      if (next) {
+          end = next.trigger === 'wrap'
+              ? wrapFraction
+              : fraction + Math.max(0, next.afterMinutes / 60 / scale - elapsed) / full;
+          end = Math.min(1, Math.max(fraction, end));
+      }
+      const hours = (end - fraction) * full;
+      segments.push({ temp: stage.temp, trigger: stage.trigger, from: fraction, to: end, startHours: elapsed, hours });
+      elapsed += hours;
+      fraction = end;
+  });
+
+  return segments;
+}
+
+export const segmentHours = (segments) => segments.reduce((sum, s) => sum + s.hours, 0);
+
+// Model hours from the start until `fraction` of the cook is done.
+export function hoursAtFraction(segments, fraction) {
+  const segment = segments.find(s => fraction <= s.to && s.to > s.from) || segments[segments.length - 1];
+  if (segment.to === segment.from) return segment.startHours;
+  return segment.startHours + ((fraction - segment.from) / (segment.to - segment.from)) * segment.hours;
+}
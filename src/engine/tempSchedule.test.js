@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { differenceInMinutes } from 'date-fns';
+import { scheduleStages, scheduleSegments, segmentHours, hoursAtFraction } from './tempSchedule';
+import { computePlan } from './computePlan';
+import { buildLiveTimeline } from './liveCook';
+import { calendarEvents } from './icsExport';
+import { validateInputs } from './validateInputs';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+
+// 10 hours at 225°F, 5 at 275°F.
+const hoursAt = (temp) => (temp === 225 ? 10 : 5);
+
+describe('scheduleSegments', () => {
+  it('is one segment without changes', () => {
+    const segments = scheduleSegments(scheduleStages({ temp: 225 }), 0.6, hoursAt);
+    expect(segments).toEqual([{ temp: 225, trigger: 'start', from: 0, to: 1, startHours: 0, hours: 10 }]);
+  });
+
+  it('splits at the wrap by share of the cook', () => {
+    const segments = scheduleSegments(scheduleStages({ temp: 225, tempStages: [{ trigger: 'wrap', temp: 275 }] }), 0.6, hoursAt);
+    expect(segments.map(s => [s.temp, s.from, s.to, s.hours])).toEqual([[225, 0, 0.6, 6], [275, 0.6, 1, 2]]);
+    expect(segmentHours(segments)).toBe(8);
+    expect(hoursAtFraction(segments, 0.6)).toBe(6);
+    expect(hoursAtFraction(segments, 0.8)).toBe(7);
+  });
+
+  it('splits at a set time, scaled back to model hours', () => {
+    const stages = scheduleStages({ temp: 225, tempStages: [{ trigger: 'elapsed', afterMinutes: 240, temp: 275 }] });
+    expect(scheduleSegments(stages, 0.6, hoursAt).map(s => s.hours)).toEqual([4, 3]);
+    expect(scheduleSegments(stages, 0.6, hoursAt, 2).map(s => s.hours)).toEqual([2, 4]);
+  });
+
+  it('starts a change immediately when its trigger has already passed', () => {
+    const stages = scheduleStages({ temp: 225, tempStages: [{ trigger: 'elapsed', afterMinutes: 600, temp: 275 }, { trigger: 'wrap', temp: 300 }] });
+    const segments = scheduleSegments(stages, 0.6, hoursAt);
+    expect(segments[1].hours).toBe(0);
+    expect(segments[2].from).toBe(1);
+  });
+});
+
+describe('computePlan with a temp schedule', () => {
+  const inputsFor = (meatType, overrides = {}) => ({
+    ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', spritzEnabled: false, ...overrides,
+  });
+  const cookMinutes = (plan) => differenceInMinutes(plan.finishCook, plan.startCook);
+
+  it('keeps one stage for a constant temp', () => {
+    const { plan } = computePlan(inputsFor('brisket'), MEAT_PROFILES, NOW);
+    expect(plan.tempStages).toEqual([{ temp: 250, trigger: 'start', start: plan.startCook, end: plan.finishCook }]);
+  });
+
+  it('bumps to 275 at the wrap: shorter than 225 throughout, longer than 275 throughout', () => {
+    const low = computePlan(inputsFor('brisket', { temp: 225 }), MEAT_PROFILES, NOW).plan;
+    const high = computePlan(inputsFor('brisket', { temp: 275 }), MEAT_PROFILES, NOW).plan;
+    const { plan } = computePlan(inputsFor('brisket', { temp: 225, tempStages: [{ trigger: 'wrap', temp: 275 }] }), MEAT_PROFILES, NOW);
+
+    expect(cookMinutes(plan)).toBeLessThan(cookMinutes(low));
+    expect(cookMinutes(plan)).toBeGreaterThan(cookMinutes(high));
+    expect(plan.tempStages.map(s => s.temp)).toEqual([225, 275]);
+    expect(plan.tempStages[1].start).toEqual(plan.wrapTime);
+    expect(plan.tempStages[1].end).toEqual(plan.finishCook);
+  });
+
+  it('lands a timed change on the minute', () => {
+    const { plan } = computePlan(inputsFor('turkey', { temp: 225, tempStages: [{ trigger: 'elapsed', afterMinutes: 120, temp: 325 }] }), MEAT_PROFILES, NOW);
+    expect(differenceInMinutes(plan.tempStages[1].start, plan.startCook)).toBe(120);
+  });
+
+  it('judges poultry skin by the finishing temp', () => {
+    const low = computePlan(inputsFor('turkey', { temp: 225 }), MEAT_PROFILES, NOW);
+    const crisp = computePlan(inputsFor('turkey', { temp: 225, tempStages: [{ trigger: 'elapsed', afterMinutes: 120, temp: 325 }] }), MEAT_PROFILES, NOW);
+    expect(low.warnings.some(w => w.msg.includes('Rubber Skin'))).toBe(true);
+    expect(crisp.warnings.some(w => w.msg.includes('Rubber Skin'))).toBe(false);
+  });
+
+  it('warns once per out-of-range temp in the schedule', () => {
+    const { warnings } = computePlan(inputsFor('brisket', { temp: 200, tempStages: [{ trigger: 'wrap', temp: 300 }] }), MEAT_PROFILES, NOW);
+    expect(warnings.filter(w => w.msg.startsWith('📉')).map(w => w.msg)).toEqual([
+      expect.stringContaining('at 200°F'),
+      expect.stringContaining('at 300°F'),
+    ]);
+  });
+
+  it('burns pellets by the time spent at each temp', () => {
+    const low = computePlan(inputsFor('brisket', { temp: 225 }), MEAT_PROFILES, NOW).plan;
+    const { plan } = computePlan(inputsFor('brisket', { temp: 225, tempStages: [{ trigger: 'wrap', temp: 275 }] }), MEAT_PROFILES, NOW);
+    expect(plan.pellets.lbsPerHour).toBeGreaterThan(low.pellets.lbsPerHour);
+  });
+
+  it('puts each temp change on the live timeline and the calendar', () => {
+    const inputs = inputsFor('brisket', { temp: 225, tempStages: [{ trigger: 'wrap', temp: 275 }] });
+    const { plan } = computePlan(inputs, MEAT_PROFILES, NOW);
+
+    const keys = buildLiveTimeline(plan).steps.map(s => s.key);
+    expect(keys.indexOf('temp-0')).toBe(keys.indexOf('wrap') + 1);
+
+    const event = calendarEvents(plan, inputs, MEAT_PROFILES.brisket).find(e => e.key === 'temp-0');
+    expect(event).toMatchObject({ summary: '🌡️ Set Pit to 275°F', start: plan.wrapTime });
+  });
+});
+
+describe('temp schedule validation', () => {
+  const inputsFor = (tempStages) => ({ ...DEFAULT_INPUTS, ...profileDefaults('brisket'), serveTime: '2024-07-04T18:00', tempStages });
+
+  it('accepts a sensible schedule', () => {
+    expect(validateInputs(inputsFor([{ trigger: 'elapsed', afterMinutes: 180, temp: 250 }, { trigger: 'wrap', temp: 275 }])).valid).toBe(true);
+  });
+
+  it('flags bad stages by position', () => {
+    const { errors } = validateInputs(inputsFor([
+      { trigger: 'wrap', temp: 275 },
+      { trigger: 'wrap', temp: 300 },
+      { trigger: 'elapsed', afterMinutes: 300, temp: 275 },
+      { trigger: 'elapsed', afterMinutes: 200, temp: 275 },
+      { trigger: 'elapsed', afterMinutes: 400, temp: 600 },
+      { trigger: 'soon', temp: 275 },
+    ]));
+    expect(errors).toEqual({
+      'tempStages.1': 'Only one temp change can happen at the wrap.',
+      'tempStages.3': 'Timed changes must be in order.',
+      'tempStages.4': expect.stringMatching(/175–325 °F/),
+      'tempStages.5': 'Pick when the temp changes.',
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// --- UNITS ---
+// Everything is stored and computed in °F, lbs, mph, fl oz, quarts and (for
+// small weights like salt) oz. Metric is only a view:
+// values are converted on the way to the screen and back on entry. A typed
+// value is only rounded back to a whole stored number that shows as exactly
+// what was typed (107.2 °C is 225 °F, not 224.96), so flipping the toggle
+// can't drift a plan and presets land on the profile's own temps.
+
+export const UNIT_SYSTEMS = {
+  imperial: { label: "°F · lbs", temp: "°F", weight: "lbs", speed: "mph", perWeight: "lb", volume: "oz", liquid: "qt", mass: "oz" },
+  metric: { label: "°C · kg", temp: "°C", weight: "kg", speed: "km/h", perWeight: "kg", volume: "ml", liquid: "L", mass: "g" },
+};
+
+export const DEFAULT_UNITS = 'imperial';
+
+const KG_PER_LB = 0.45359237;
+const KMH_PER_MPH = 1.609344;
+const ML_PER_OZ = 29.5735;
+const L_PER_QT = 0.946353;
+const G_PER_OZ = 28.349523;
+
+// Stored -> metric and back, per kind of quantity. perWeight is anything
+// "per lb" (cook rates in hours/lb); it scales the opposite way to weight.
+const METRIC = {
+  temp: { to: f => (f - 32) * 5 / 9, from: c => c * 9 / 5 + 32 },
+  tempRate: { to: f => f * 5 / 9, from: c => c * 9 / 5 },
+  weight: { to: lb => lb * KG_PER_LB, from: kg => kg / KG_PER_LB },
+  perWeight: { to: perLb => perLb / KG_PER_LB, from: perKg => perKg * KG_PER_LB },
+  speed: { to: mph => mph * KMH_PER_MPH, from: kmh => kmh / KMH_PER_MPH },
+  volume: { to: oz => oz * ML_PER_OZ, from: ml => ml / ML_PER_OZ },
+  liquid: { to: qt => qt * L_PER_QT, from: l => l / L_PER_QT },
+  mass: { to: oz => oz * G_PER_OZ, from: g => g / G_PER_OZ },
+};
+
+// Decimal places a converted value is shown with, enough to give back exactly
+// what was typed (107 °C, not 107.00000000000001).
+const PRECISION = { temp: 1, tempRate: 1, weight: 2, perWeight: 2, speed: 0, volume: 0, liquid: 1, mass: 0 };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Kinds with no metric form (minutes, say) pass through unchanged.
+const converts = (kind, value, units) => units === 'metric' && kind in METRIC && isNumber(value);
+
+export const toDisplay = (kind, value, units) => (converts(kind, value, units) ? METRIC[kind].to(value) : value);
+
+export const fromDisplay = (kind, value, units) => (converts(kind, value, units) ? METRIC[kind].from(value) : value);
+
+export const roundDisplay = (kind, value) => {
+  const scale = 10 ** PRECISION[kind];
+  return Math.round(value * scale) / scale;
+};
+
+// Value for a number field; '' (a cleared field) passes through.
+export const inputValue = (kind, value, units) =>
+  (isNumber(value) ? roundDisplay(kind, toDisplay(kind, value, units)) : value);
+
+// A number field's text back in stored units, '' while cleared.
+export const storedValue = (kind, text, units) => {
+  if (text === '') return '';
+  const value = fromDisplay(kind, Number(text), units);
+  const whole = Math.round(value);
+  return whole !== value && inputValue(kind, whole, units) === Number(text) ? whole : value;
+};
+
+// Whole in either system, i.e. typed as a whole number in one of them.
+export const isWholeValue = (kind, value) =>
+  Object.keys(UNIT_SYSTEMS).some((units) => {
+      const shown = toDisplay(kind, value, units);
+      return Math.abs(shown - Math.round(shown)) < 1e-6;
+  });
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { toDisplay, fromDisplay, inputValue, storedValue, isWholeValue } from './units';
+import { computePlan } from './computePlan';
+import { tempCurve } from './cookRate';
+import { MEAT_PROFILES, TEMP_PRESETS, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+import { createI18n } from './i18n';
+
+describe('units', () => {
+  it('converts stored °F, lbs and mph to metric and back', () => {
+    expect(toDisplay('temp', 212, 'metric')).toBeCloseTo(100);
+    expect(toDisplay('tempRate', 9, 'metric')).toBeCloseTo(5);
+    expect(toDisplay('weight', 10, 'metric')).toBeCloseTo(4.536, 3);
+    expect(toDisplay('perWeight', 1, 'metric')).toBeCloseTo(2.205, 3);
+    expect(toDisplay('speed', 10, 'metric')).toBeCloseTo(16.09, 2);
+    expect(toDisplay('liquid', 4, 'metric')).toBeCloseTo(3.785, 3);
+    expect(toDisplay('mass', 1, 'metric')).toBeCloseTo(28.35, 2);
+    expect(fromDisplay('temp', 100, 'metric')).toBeCloseTo(212);
+    expect(toDisplay('temp', 225, 'imperial')).toBe(225);
+    expect(toDisplay('minutes', 30, 'metric')).toBe(30);
+  });
+
+  it('shows rounded values but stores them unrounded', () => {
+    expect(inputValue('temp', 225, 'metric')).toBe(107.2);
+    expect(inputValue('weight', 14, 'metric')).toBe(6.35);
+    expect(storedValue('temp', '107', 'metric')).toBeCloseTo(224.6);
+    expect(storedValue('temp', '', 'metric')).toBe('');
+    expect(inputValue('temp', '', 'metric')).toBe('');
+  });
+
+  it('round-trips a typed value without drift', () => {
+    ['107', '93.5', '-4'].forEach((text) => {
+      expect(inputValue('temp', storedValue('temp', text, 'metric'), 'metric')).toBe(Number(text));
+    });
+    ['6.5', '0.25', '13.61'].forEach((text) => {
+      expect(inputValue('weight', storedValue('weight', text, 'metric'), 'metric')).toBe(Number(text));
+    });
+  });
+
+  it('reads a shown value back as the whole number behind it', () => {
+    expect(storedValue('temp', '107.2', 'metric')).toBe(225);
+    expect(storedValue('weight', '5.44', 'metric')).toBe(12);
+    expect(storedValue('speed', '16', 'metric')).toBe(10);
+  });
+
+  it('picks every temp preset in metric without leaving the profile data', () => {
+    const i18n = createI18n('en', 'metric');
+    Object.keys(MEAT_PROFILES).forEach((meatType) => {
+      const curve = tempCurve(MEAT_PROFILES[meatType]);
+      TEMP_PRESETS.filter(([temp]) => temp >= curve[0].temp && temp <= curve[curve.length - 1].temp).forEach(([temp]) => {
+        const picked = storedValue('temp', String(inputValue('temp', temp, 'metric')), 'metric');
+        expect(picked).toBe(temp);
+        const inputs = { ...DEFAULT_INPUTS, ...profileDefaults(meatType), temp: picked, serveTime: '2024-07-04T18:00' };
+        const { warnings } = computePlan(inputs, MEAT_PROFILES, new Date(2024, 6, 1, 12, 0), null, i18n);
+        expect(warnings.map(w => w.msg).filter(msg => msg.includes('Out of Range'))).toEqual([]);
+      });
+    });
+  });
+
+  it('counts a value as whole if it is whole in either system', () => {
+    expect(isWholeValue('temp', 225)).toBe(true);
+    expect(isWholeValue('temp', fromDisplay('temp', 107, 'metric'))).toBe(true);
+    expect(isWholeValue('temp', 225.5)).toBe(false);
+  });
+});
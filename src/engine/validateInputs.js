@@ -0,0 +1,146 @@
+import { parseISO, isValid } from 'date-fns';
+import { MEAT_PROFILES, WRAP_STRATEGIES, WRAP_TEMP_RANGE, APPETITES } from './profiles';
+import { tempCurve } from './cookRate';
+import { SMOKER_SIZES } from './pellets';
+import { STAGE_TRIGGERS } from './tempSchedule';
+import { HOLD_METHODS, DEFAULT_HOLD, qualityHoldMinutes } from './restHold';
+import { isClockTime } from './quietHours';
+import { THAW_STATES, SAFE_PULL } from './safetyRules';
+import { PREP_TECHNIQUES, THAW_METHODS } from './prepSteps';
+import { SIDE_PLACES } from './sideDishes';
+import { toDisplay, isWholeValue } from './units';
+import { ENGLISH } from './i18n';
+
+// --- INPUT VALIDATION ---
+// Range checks for the planner inputs, run before the engine so a cleared or
+// silly field shows an inline error instead of a NaN plan. Ranges that depend
+// on the meat come from its profile. Ranges are kept in stored units (°F, lbs,
+// mph) and shown in whichever units the form is in.
+
+// Pit temps this far outside the profile's curve are refused outright (the
+// engine extrapolates, with a warning, inside that).
+const TEMP_MARGIN = 50;
+
+// field -> { label, min, max, unit, kind, integer, when }, for the given profile.
+// `kind` marks values that change with the unit system (see units.js).
+export function inputRules(profile, inputs = {}) {
+  const curve = tempCurve(profile);
+  const round = (n) => Math.round(n * 4) / 4;
+
+  return {
+      weight: { label: "Weight", min: round(profile.defaultWeight / 4), max: round(profile.defaultWeight * 3), unit: "lbs", kind: 'weight' },
+      temp: { label: "Pit temp", min: Math.max(150, curve[0].temp - TEMP_MARGIN), max: Math.min(500, curve[curve.length - 1].temp + TEMP_MARGIN), unit: "°F", kind: 'temp', integer: true },
+      restTime: { label: "Rest", min: 0, max: qualityHoldMinutes(profile, inputs), unit: "min", integer: true },
+      holdTemp: { label: "Oven temp", min: 150, max: 170, unit: "°F", kind: 'temp', integer: true, when: i => i.holdMethod === 'oven' },
+      prepTime: { label: "Prep", min: 0, max: 480, unit: "min", integer: true },
+      // Room to pull a rare roast at the safe temp for injected meat
+      targetTemp: { label: "Target temp", min: profile.defaultTargetTemp - 30, max: Math.min(220, Math.max(profile.defaultTargetTemp + 15, SAFE_PULL.injected)), unit: "°F", kind: 'temp', integer: true },
+      wrapTemp: { label: "Wrap temp", min: WRAP_TEMP_RANGE.min, max: WRAP_TEMP_RANGE.max, unit: "°F", kind: 'temp', integer: true, when: i => i.wrapStrategy !== 'none' },
+      spritzStart: { label: "Spritz start", min: 0, max: 720, unit: "min", integer: true, when: i => i.spritzEnabled },
+      spritzInterval: { label: "Spritz interval", min: 15, max: 240, unit: "min", integer: true, when: i => i.spritzEnabled },
+      pieces: { label: "Pieces", min: 1, max: 50, unit: "", integer: true },
+      guests: { label: "Guests", min: 1, max: 500, unit: "", integer: true, when: i => i.sizeMode === 'guests' },
+      pelletsOnHand: { label: "Pellets on hand", min: 0, max: 500, unit: "lbs", kind: 'weight' },
+      ambientTemp: { label: "Outside temp", min: -40, max: 120, unit: "°F", kind: 'temp', integer: true },
+      windMph: { label: "Wind", min: 0, max: 80, unit: "mph", kind: 'speed', integer: true },
+  };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Whole numbers are checked in whichever system the value was typed in, so a
+// whole °C (a fractional °F) passes.
+const isWhole = (rule, value) => (rule.kind ? isWholeValue(rule.kind, value) : Number.isInteger(value));
+
+// "175–325 °F" in the form's units, rounded inward so both ends are allowed.
+const displayRange = (rule, { fmt, units }) => {
+  const scale = rule.integer ? 1 : 100;
+  const min = Math.ceil(toDisplay(rule.kind, rule.min, units) * scale - 1e-9) / scale;
+  const max = Math.floor(toDisplay(rule.kind, rule.max, units) * scale + 1e-9) / scale;
+  return `${fmt.number(min, 2)}–${fmt.number(max, 2)} ${rule.kind ? fmt.unit(rule.kind) : rule.unit}`.trimEnd();
+};
+
+// Returns { valid, errors } where errors maps an input field to a message.
+// Fields that are absent (e.g. pellets on hand in a session item) are skipped,
+// except for the ones the plan can't do without. Messages follow `i18n`.
+export function validateInputs(inputs, profiles = MEAT_PROFILES, i18n = ENGLISH) {
+  const { t } = i18n;
+  const errors = {};
+  const profile = profiles[inputs.meatType];
+  if (!profile) return { valid: false, errors: { meatType: t('error.meat') } };
+  const meat = i18n.label('meat', inputs.meatType, profile.label);
+
+  Object.entries(inputRules(profile, inputs)).forEach(([field, rule]) => {
+      const value = inputs[field];
+      if (rule.when && !rule.when(inputs)) return;
+      if (value === undefined && !['weight', 'temp', 'restTime'].includes(field)) return;
+
+      const label = t(rule.label);
+      const range = displayRange(rule, i18n);
+      if (!isNumber(value)) errors[field] = t('error.required', { label, range });
+      else if (rule.integer && !isWhole(rule, value)) errors[field] = t('error.whole', { label });
+      else if (value < rule.min || value > rule.max) {
+          const hold = HOLD_METHODS[inputs.holdMethod] ? inputs.holdMethod : DEFAULT_HOLD;
+          errors[field] = field === 'restTime' && value > rule.max
+              ? t('error.restTooLong', { meat, max: rule.max, hold: i18n.label('hold', hold, HOLD_METHODS[hold].label) })
+              : t('error.range', { label, range, meat });
+      }
+  });
+
+  // Temp schedule: each change in range; timed changes in order; one change at the wrap.
+  const tempRule = inputRules(profile).temp;
+  let lastElapsed = 0;
+  let wrapStages = 0;
+  (inputs.tempStages || []).forEach((stage, i) => {
+      const key = `tempStages.${i}`;
+      if (!stage || !STAGE_TRIGGERS[stage.trigger]) errors[key] = t('error.stageTrigger');
+      else if (!isNumber(stage.temp) || !isWhole(tempRule, stage.temp) || stage.temp < tempRule.min || stage.temp > tempRule.max) {
+          errors[key] = t('error.stageTemp', { range: displayRange(tempRule, i18n), meat });
+      } else if (stage.trigger === 'wrap' && ++wrapStages > 1) {
+          errors[key] = t('error.stageWrap');
+      } else if (stage.trigger === 'elapsed') {
+          if (!isNumber(stage.afterMinutes) || !Number.isInteger(stage.afterMinutes) || stage.afterMinutes < 1 || stage.afterMinutes > 1440) {
+              errors[key] = t('error.stageTime');
+          } else if (stage.afterMinutes <= lastElapsed) {
+              errors[key] = t('error.stageOrder');
+          } else {
+              lastElapsed = stage.afterMinutes;
+          }
+      }
+  });
+
+  // Side dishes: a name, a cook time and a temp the pit or an oven can do
+  const sideTemp = { min: 150, max: 500, kind: 'temp', integer: true };
+  (inputs.sides || []).forEach((side, i) => {
+      const key = `sides.${i}`;
+      if (!side || typeof side.name !== 'string' || !side.name.trim()) errors[key] = t('error.sideName');
+      else if (!isNumber(side.minutes) || !Number.isInteger(side.minutes) || side.minutes < 5 || side.minutes > 720) errors[key] = t('error.sideTime');
+      else if (!isNumber(side.temp) || !isWhole(sideTemp, side.temp) || side.temp < sideTemp.min || side.temp > sideTemp.max) {
+          errors[key] = t('error.sideTemp', { range: displayRange(sideTemp, i18n) });
+      } else if (!SIDE_PLACES[side.place]) errors[key] = t('error.sidePlace');
+  });
+
+  if (inputs.planMode === 'start') {
+      if (!inputs.startTime) errors.startTime = t('error.startTime');
+      else if (!isValid(parseISO(inputs.startTime))) errors.startTime = t('error.startTimeInvalid');
+  } else if (!inputs.serveTime) errors.serveTime = t('error.serveTime');
+  else if (!isValid(parseISO(inputs.serveTime))) errors.serveTime = t('error.serveTimeInvalid');
+
+  if (inputs.quietHours) {
+      if (!isClockTime(inputs.quietStart)) errors.quietStart = t('error.quietHours');
+      if (!isClockTime(inputs.quietEnd) || inputs.quietEnd === inputs.quietStart) errors.quietEnd = t('error.quietHours');
+  }
+
+  if (!WRAP_STRATEGIES[inputs.wrapStrategy]) errors.wrapStrategy = t('error.wrap');
+  if (inputs.holdMethod !== undefined && !HOLD_METHODS[inputs.holdMethod]) errors.holdMethod = t('error.hold');
+  if (inputs.smokerSize !== undefined && !SMOKER_SIZES[inputs.smokerSize]) errors.smokerSize = t('error.smoker');
+  if (inputs.sizeMode === 'guests' && !APPETITES[inputs.appetite]) errors.appetite = t('error.appetite');
+  if (inputs.thawState !== undefined && !THAW_STATES[inputs.thawState]) errors.thawState = t('error.thaw');
+  const techniques = inputs.prepTechniques || [];
+  if (!techniques.every(key => PREP_TECHNIQUES[key])) errors.prepTechniques = t('error.prep');
+  // Both brines salt the same meat twice
+  else if (techniques.includes('wetBrine') && techniques.includes('dryBrine')) errors.prepTechniques = t('error.prepBrines');
+  if (inputs.frozenNow && !THAW_METHODS[inputs.thawMethod]) errors.thawMethod = t('error.thawMethod');
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { validateInputs, inputRules } from './validateInputs';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+import { DEFAULT_INPUTS } from './planLibrary';
+
+const inputsFor = (meatType, overrides = {}) => ({
+  ...DEFAULT_INPUTS, ...profileDefaults(meatType), serveTime: '2024-07-04T18:00', ...overrides,
+});
+
+describe('inputRules', () => {
+  it('derives ranges from the profile', () => {
+    const brisket = inputRules(MEAT_PROFILES.brisket);
+    expect(brisket.weight).toMatchObject({ min: 3, max: 36 });
+    expect(brisket.temp).toMatchObject({ min: 175, max: 325 });
+    expect(brisket.restTime).toMatchObject({ min: 0, max: 300 });
+    expect(brisket.targetTemp).toMatchObject({ min: 173, max: 218 });
+
+    const ribs = inputRules(MEAT_PROFILES.ribs);
+    expect(ribs.weight).toMatchObject({ min: 0.75, max: 9 });
+    expect(ribs.restTime.max).toBe(60);
+    expect(inputRules(MEAT_PROFILES.turkey).temp.max).toBe(375);
+  });
+});
+
+describe('validateInputs', () => {
+  it('accepts the defaults for every profile', () => {
+    Object.keys(MEAT_PROFILES).forEach((meatType) => {
+      expect(validateInputs(inputsFor(meatType))).toEqual({ valid: true, errors: {} });
+    });
+  });
+
+  it('flags cleared and non-numeric fields', () => {
+    const { valid, errors } = validateInputs(inputsFor('brisket', { weight: '', restTime: NaN, wrapTemp: undefined }));
+    expect(valid).toBe(false);
+    expect(errors.weight).toBe('Weight is required (3–36 lbs).');
+    expect(errors.restTime).toMatch(/Rest is required/);
+    expect(errors.wrapTemp).toBeUndefined();
+  });
+
+  it('flags a rest longer than the meat can hold', () => {
+    const { errors } = validateInputs(inputsFor('ribs', { restTime: 90 }));
+    expect(errors.restTime).toBe('Pork Ribs (Spare/Baby Back) can only hold 60 min in the towel-wrapped cooler before it dries out.');
+    expect(validateInputs(inputsFor('ribs', { restTime: 90, holdMethod: 'oven' })).valid).toBe(true);
+  });
+
+  it('checks spritz and wrap fields only when they are used', () => {
+    const off = inputsFor('porkButt', { spritzEnabled: false, spritzInterval: 0, wrapStrategy: 'none', wrapTemp: '' });
+    expect(validateInputs(off).valid).toBe(true);
+
+    const on = validateInputs(inputsFor('porkButt', { spritzInterval: 0, wrapTemp: 250 }));
+    expect(on.errors.spritzInterval).toMatch(/15–240 min/);
+    expect(on.errors.wrapTemp).toMatch(/140–200 °F/);
+  });
+
+  it('requires whole numbers where the form steps by whole numbers', () => {
+    expect(validateInputs(inputsFor('brisket', { temp: 250.5 })).errors.temp).toBe('Pit temp must be a whole number.');
+    expect(validateInputs(inputsFor('brisket', { weight: 12.5 })).valid).toBe(true);
+  });
+
+  it('checks the serve time, wrap, smoker and meat', () => {
+    expect(validateInputs(inputsFor('brisket', { serveTime: '' })).errors.serveTime).toBe('Pick a serve time.');
+    expect(validateInputs(inputsFor('brisket', { serveTime: 'tomorrow' })).errors.serveTime).toMatch(/valid date/);
+    expect(validateInputs(inputsFor('brisket', { wrapStrategy: 'towel' })).errors.wrapStrategy).toBeDefined();
+    expect(validateInputs(inputsFor('brisket', { smokerSize: 'huge' })).errors.smokerSize).toBeDefined();
+    expect(validateInputs(inputsFor('brisket', { meatType: 'yak' }))).toEqual({ valid: false, errors: { meatType: 'Pick a meat.' } });
+  });
+
+  it('checks the start time instead when planning forwards', () => {
+    expect(validateInputs(inputsFor('brisket', { planMode: 'start', serveTime: '' })).errors).toEqual({ startTime: 'Pick when to start prep.' });
+    expect(validateInputs(inputsFor('brisket', { planMode: 'start', startTime: 'soon' })).errors.startTime).toMatch(/valid date/);
+    expect(validateInputs(inputsFor('brisket', { planMode: 'start', startTime: '2024-07-04T06:00', serveTime: '' })).valid).toBe(true);
+  });
+
+  it('checks quiet hours only when they are on', () => {
+    expect(validateInputs(inputsFor('brisket', { quietStart: '' })).valid).toBe(true);
+    expect(validateInputs(inputsFor('brisket', { quietHours: true, quietStart: '' })).errors).toEqual({ quietStart: expect.stringMatching(/start and an end/) });
+    expect(validateInputs(inputsFor('brisket', { quietHours: true, quietEnd: '23:00' })).errors.quietEnd).toBeDefined();
+  });
+
+  it('checks prep techniques and the thaw method', () => {
+    expect(validateInputs(inputsFor('turkey', { prepTechniques: ['injection', 'rub'], frozenNow: true })).valid).toBe(true);
+    expect(validateInputs(inputsFor('turkey', { prepTechniques: ['smoke'] })).errors).toEqual({ prepTechniques: 'Pick prep steps from the list.' });
+    expect(validateInputs(inputsFor('turkey', { prepTechniques: ['wetBrine', 'dryBrine'] })).errors.prepTechniques).toMatch(/not both/);
+    expect(validateInputs(inputsFor('turkey', { frozenNow: true, thawMethod: 'microwave' })).errors).toEqual({ thawMethod: 'Pick how to thaw it.' });
+  });
+
+  it('skips optional fields a session item does not have', () => {
+    const { smokerSize, pelletsOnHand, ambientTemp, windMph, ...item } = inputsFor('chicken');
+    expect(validateInputs(item).valid).toBe(true);
+  });
+});
+
+describe('computePlan spritz guard', () => {
+  it('does not hang on a zero spritz interval', () => {
+    const { plan } = computePlan(inputsFor('brisket', { spritzInterval: 0 }));
+    expect(plan.spritzWindow).toBeNull();
+  });
+});
@@ -0,0 +1,248 @@
+import { addMinutes, differenceInMinutes, parseISO, isValid, format } from 'date-fns';
+import { ENGLISH } from './i18n';
+
+// --- WEATHER ---
+// Ambient conditions over the cook window: either one set of manual readings
+// or an imported hourly forecast. Cold, wind and rain pull heat out of the pit,
+// so they stretch the cook (and burn more pellets); an insulation blanket
+// recovers most of that.
+
+export const DEFAULT_CONDITIONS = { temp: 70, windMph: 0, rain: false };
+
+export const THRESHOLDS = { cold: 40, windy: 15 };
+
+// Below this the pit starts to lose ground; per-°F cost below it.
+const COLD_START = 50;
+const COLD_PER_DEGREE = 0.004;
+// Wind above this costs per mph.
+const WIND_START = 10;
+const WIND_PER_MPH = 0.01;
+const RAIN_COST = 0.05;
+// A blanket keeps this share of the weather penalty out.
+const BLANKET_SAVES = 0.6;
+const MAX_FACTOR = 1.35;
+
+// Cook-time multiplier for one set of conditions.
+export function weatherFactor({ temp, windMph, rain }, insulated = false) {
+  let penalty = 0;
+  if (temp < COLD_START) penalty += (COLD_START - temp) * COLD_PER_DEGREE;
+  if (windMph > WIND_START) penalty += Math.min(0.15, (windMph - WIND_START) * WIND_PER_MPH);
+  if (rain) penalty += RAIN_COST;
+  if (insulated) penalty *= 1 - BLANKET_SAVES;
+  return Math.min(MAX_FACTOR, 1 + penalty);
+}
+
+const manualConditions = (inputs) => ({
+  temp: Number.isFinite(inputs.ambientTemp) ? inputs.ambientTemp : DEFAULT_CONDITIONS.temp,
+  windMph: Number.isFinite(inputs.windMph) ? inputs.windMph : DEFAULT_CONDITIONS.windMph,
+  rain: Boolean(inputs.raining)
+});
+
+// A forecast hour stands for this long either side of it; past the file's
+// first and last hours the manual conditions apply again.
+const FORECAST_REACH_MINUTES = 60;
+
+const forecastCovers = (forecast, time) => {
+  const times = forecast.map(hour => parseISO(hour.time).getTime());
+  const reach = FORECAST_REACH_MINUTES * 60000;
+  return time >= Math.min(...times) - reach && time <= Math.max(...times) + reach;
+};
+
+// Forecast hour closest to `time`, or the manual conditions when the forecast
+// doesn't reach that far (or there isn't one).
+export function conditionsAt(inputs, time) {
+  const forecast = inputs.forecast || [];
+  if (forecast.length === 0 || !forecastCovers(forecast, time)) return manualConditions(inputs);
+
+  let best = forecast[0];
+  forecast.forEach((hour) => {
+      if (Math.abs(parseISO(hour.time) - time) < Math.abs(parseISO(best.time) - time)) best = hour;
+  });
+  return { temp: best.temp, windMph: best.windMph, rain: best.rain };
+}
+
+// Hourly samples across [start, end], always including both ends.
+const hourlySamples = (start, end) => {
+  const samples = [];
+  const mins = Math.max(0, differenceInMinutes(end, start));
+  for (let m = 0; m < mins; m += 60) samples.push(addMinutes(start, m));
+  samples.push(end);
+  return samples;
+};
+
+// Average factor over the cook window plus the cold/windy/rainy stretches inside it.
+export function assessWeather(inputs, start, end, i18n = ENGLISH) {
+  const insulated = Boolean(inputs.insulated);
+  const forecast = inputs.forecast || [];
+  const samples = hourlySamples(start, end).map(time => ({ time, ...conditionsAt(inputs, time) }));
+  const uncovered = forecast.length > 0 ? samples.filter(s => !forecastCovers(forecast, s.time)).length : 0;
+
+  const averageFactor = (withBlanket) => samples.reduce((sum, s) => sum + weatherFactor(s, withBlanket), 0) / samples.length;
+  const factor = averageFactor(insulated);
+  const avgTemp = samples.reduce((sum, s) => sum + s.temp, 0) / samples.length;
+  const avgWindMph = samples.reduce((sum, s) => sum + s.windMph, 0) / samples.length;
+
+  // Each flag: when a sample counts, and which sample is the worst of a stretch
+  const flags = {
+      cold: { test: s => s.temp < THRESHOLDS.cold, worse: (a, b) => b.temp < a.temp, detail: s => i18n.t('weather.cold', s) },
+      windy: { test: s => s.windMph > THRESHOLDS.windy, worse: (a, b) => b.windMph > a.windMph, detail: s => i18n.t('weather.windy', s) },
+      rain: { test: s => s.rain, worse: () => false, detail: () => i18n.t('weather.rain') },
+  };
+  const periods = [];
+  Object.entries(flags).forEach(([type, flag]) => {
+      let current = null;
+      const close = () => {
+          periods.push({ type, start: current.start, end: current.end, detail: flag.detail(current.worst) });
+          current = null;
+      };
+      samples.forEach((sample) => {
+          if (!flag.test(sample)) {
+              if (current) close();
+              return;
+          }
+          if (!current) current = { start: sample.time, worst: sample };
+          current.end = sample.time;
+          if (flag.worse(current.worst, sample)) current.worst = sample;
+      });
+      if (current) close();
+  });
+  periods.sort((a, b) => a.start - b.start);
+
+  return {
+      factor,
+      blanketFactor: averageFactor(true),
+      avgTemp: Math.round(avgTemp),
+      avgWindMph: Math.round(avgWindMph),
+      insulated,
+      source: forecast.length > 0 && uncovered < samples.length ? 'forecast' : 'manual',
+      // How much of the window an imported forecast misses: null, 'partial' or 'all'
+      forecastGap: uncovered === 0 ? null : uncovered === samples.length ? 'all' : 'partial',
+      periods
+  };
+}
+
+// Warnings with a concrete suggestion for each kind of bad stretch. The extra
+// time is already in the plan; these say why and how to win some of it back.
+export function weatherWarnings(weather, cookMinutes, i18n = ENGLISH) {
+  const warnings = [];
+  const has = (type) => weather.periods.some(p => p.type === type);
+  const extra = Math.round(cookMinutes - cookMinutes / weather.factor);
+
+  if (has('cold') || has('windy')) {
+      const what = has('cold') && has('windy') ? 'coldWindy' : has('cold') ? 'cold' : 'windy';
+      const saved = Math.round(cookMinutes - (cookMinutes / weather.factor) * weather.blanketFactor);
+      warnings.push({
+          type: 'quality',
+          msg: i18n.t(weather.insulated ? 'warn.weatherInsulated' : 'warn.weatherExposed', { what, extra, saved })
+      });
+  }
+  if (weather.forecastGap) {
+      warnings.push({
+          type: 'quality',
+          msg: i18n.t('warn.forecastGap', { all: weather.forecastGap === 'all' })
+      });
+  }
+  if (has('rain')) {
+      warnings.push({
+          type: 'quality',
+          msg: i18n.t('warn.rain')
+      });
+  }
+  return warnings;
+}
+
+// Forecast units, keyed by the unit text with spaces, brackets and ° dropped.
+// Readings are stored in °F and mph; a column or Open-Meteo `hourly_units`
+// entry without a unit is taken to be in those.
+const TEMP_UNITS = {
+  '': t => t, f: t => t, fahrenheit: t => t,
+  c: t => t * 9 / 5 + 32, celsius: t => t * 9 / 5 + 32,
+};
+const WIND_UNITS = {
+  '': w => w, mph: w => w,
+  kmh: w => w * 0.621371, 'km/h': w => w * 0.621371, kph: w => w * 0.621371,
+  ms: w => w * 2.23694, 'm/s': w => w * 2.23694,
+  kn: w => w * 1.15078, kt: w => w * 1.15078, knots: w => w * 1.15078,
+};
+const unitKey = (unit = '') => String(unit).toLowerCase().replace(/[\s_()[\]°]/g, '');
+
+// Anything outside these (in °F / mph) means the units were misread.
+const READING_RANGE = { temp: [-60, 130], windMph: [0, 200] };
+
+// A forecast time as stored (a local ISO string), or null. Numbers are Unix
+// seconds, as Open-Meteo sends with timeformat=unixtime.
+const forecastTime = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? format(new Date(value * 1000), "yyyy-MM-dd'T'HH:mm") : null;
+  return typeof value === 'string' && isValid(parseISO(value)) ? value : null;
+};
+
+// Reads an hourly forecast from CSV (time,temp,wind,precip) or JSON — either an
+// array of { time, temp, windMph, rain } or an Open-Meteo style `hourly` block.
+// CSV headers can carry the unit (temp_c, "wind (km/h)"); JSON arrays are °F
+// and mph, Open-Meteo says what it sent in `hourly_units`.
+export function parseForecast(text) {
+  const trimmed = text.trim();
+  let rows = [];
+  let units = { temp: '', wind: '' };
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let data;
+      try {
+          data = JSON.parse(trimmed);
+      } catch (e) {
+          return { forecast: [], error: "Forecast file is not valid JSON." };
+      }
+      if (Array.isArray(data)) {
+          rows = data.filter(h => h !== null && typeof h === 'object').map(h => ({ time: h.time, temp: h.temp, windMph: h.windMph ?? h.wind ?? 0, precip: h.rain === true ? 1 : h.precip ?? 0 }));
+      } else if (data.hourly && Array.isArray(data.hourly.time)) {
+          const h = data.hourly;
+          const tempKey = ['temperature_2m', 'temperature'].find(k => h[k]);
+          const windKey = ['wind_speed_10m', 'windspeed_10m', 'wind'].find(k => h[k]);
+          const temps = h[tempKey] || [];
+          const winds = h[windKey] || [];
+          const precip = h.precipitation || h.rain || [];
+          const given = data.hourly_units || {};
+          units = { temp: given[tempKey] ?? '', wind: given[windKey] ?? '' };
+          rows = h.time.map((time, i) => ({ time, temp: temps[i], windMph: winds[i] ?? 0, precip: precip[i] ?? 0 }));
+      }
+  } else {
+      const lines = trimmed.split(/\r?\n/).filter(Boolean);
+      if (lines.length === 0) return { forecast: [], error: "No hourly readings found in the forecast file." };
+      const header = lines[0].toLowerCase().split(',').map(s => s.trim());
+      const col = (names) => header.findIndex(h => names.some(n => h.startsWith(n)));
+      const ti = col(['time', 'date']);
+      const te = col(['temp']);
+      const wi = col(['wind']);
+      const pi = col(['precip', 'rain']);
+      if (ti === -1 || te === -1) return { forecast: [], error: "Forecast CSV needs time and temp columns." };
+      units = {
+          temp: header[te].replace(/^temp(erature)?/, ''),
+          wind: wi === -1 ? '' : header[wi].replace(/^wind(_?speed)?/, ''),
+      };
+      rows = lines.slice(1).map((line) => {
+          const cells = line.split(',').map(s => s.trim());
+          return { time: cells[ti], temp: Number(cells[te]), windMph: wi === -1 ? 0 : Number(cells[wi]), precip: pi === -1 ? 0 : Number(cells[pi]) };
+      });
+  }
+
+  const toF = TEMP_UNITS[unitKey(units.temp)];
+  const toMph = WIND_UNITS[unitKey(units.wind)];
+  if (!toF) return { forecast: [], error: "Forecast temperatures need to be in °F or °C." };
+  if (!toMph) return { forecast: [], error: "Forecast wind needs to be in mph, km/h, m/s or knots." };
+
+  const forecast = rows
+      .map(r => ({ ...r, time: forecastTime(r.time) }))
+      .filter(r => r.time && r.temp !== null && r.temp !== '' && Number.isFinite(Number(r.temp)))
+      .map(r => ({
+          time: r.time,
+          temp: Math.round(toF(Number(r.temp)) * 10) / 10,
+          windMph: Math.round(toMph(Number(r.windMph) || 0) * 10) / 10,
+          rain: Number(r.precip) > 0
+      }))
+      .sort((a, b) => parseISO(a.time) - parseISO(b.time));
+
+  if (forecast.length === 0) return { forecast: [], error: "No hourly readings found in the forecast file." };
+  const outOfRange = forecast.some(r => Object.entries(READING_RANGE).some(([key, [min, max]]) => r[key] < min || r[key] > max));
+  if (outOfRange) return { forecast: [], error: "Forecast readings are out of range; check the units in the file." };
+  return { forecast, error: null };
+}
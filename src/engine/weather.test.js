@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { addHours, differenceInMinutes } from 'date-fns';
+import { weatherFactor, conditionsAt, assessWeather, weatherWarnings, parseForecast } from './weather';
+import { computePlan } from './computePlan';
+import { MEAT_PROFILES, profileDefaults } from './profiles';
+
+const NOW = new Date(2024, 6, 1, 12, 0);
+const START = new Date(2024, 0, 20, 6, 0);
+
+// Hourly forecast from START: one entry per [temp, windMph, rain].
+const forecastFrom = (hours) => hours.map(([temp, windMph, rain], i) => ({
+  time: addHours(START, i).toISOString(), temp, windMph, rain,
+}));
+
+describe('weatherFactor', () => {
+  it('is neutral in mild, calm, dry weather', () => {
+    expect(weatherFactor({ temp: 70, windMph: 5, rain: false })).toBe(1);
+  });
+
+  it('adds time for cold, wind and rain', () => {
+    expect(weatherFactor({ temp: 20, windMph: 0, rain: false })).toBeCloseTo(1.12);
+    expect(weatherFactor({ temp: 70, windMph: 20, rain: false })).toBeCloseTo(1.1);
+    expect(weatherFactor({ temp: 70, windMph: 0, rain: true })).toBeCloseTo(1.05);
+  });
+
+  it('caps the wind penalty and the total', () => {
+    expect(weatherFactor({ temp: 70, windMph: 60, rain: false })).toBeCloseTo(1.15);
+    expect(weatherFactor({ temp: -60, windMph: 60, rain: true })).toBe(1.35);
+  });
+
+  it('wins most of it back under a blanket', () => {
+    expect(weatherFactor({ temp: 20, windMph: 0, rain: false }, true)).toBeCloseTo(1.048);
+  });
+});
+
+describe('conditionsAt', () => {
+  it('uses the manual readings without a forecast', () => {
+    expect(conditionsAt({ ambientTemp: 30, windMph: 12, raining: true }, START)).toEqual({ temp: 30, windMph: 12, rain: true });
+    expect(conditionsAt({}, START)).toEqual({ temp: 70, windMph: 0, rain: false });
+  });
+
+  it('picks the nearest forecast hour', () => {
+    const forecast = forecastFrom([[30, 0, false], [35, 5, false], [40, 10, true]]);
+    expect(conditionsAt({ forecast }, addHours(START, 1.4))).toEqual({ temp: 35, windMph: 5, rain: false });
+    expect(conditionsAt({ forecast }, addHours(START, 2.9))).toEqual({ temp: 40, windMph: 10, rain: true });
+  });
+
+  it('falls back to the manual readings outside the forecast', () => {
+    const forecast = forecastFrom([[30, 0, false], [35, 5, false], [40, 10, true]]);
+    expect(conditionsAt({ forecast, ambientTemp: 60 }, addHours(START, 3.5))).toEqual({ temp: 60, windMph: 0, rain: false });
+    expect(conditionsAt({ forecast, ambientTemp: 60 }, addHours(START, -24 * 7))).toEqual({ temp: 60, windMph: 0, rain: false });
+  });
+});
+
+describe('assessWeather', () => {
+  it('averages the manual conditions over the window', () => {
+    const weather = assessWeather({ ambientTemp: 20 }, START, addHours(START, 4));
+    expect(weather.factor).toBeCloseTo(1.12);
+    expect(weather.avgTemp).toBe(20);
+    expect(weather.source).toBe('manual');
+    expect(weather.periods).toEqual([{ type: 'cold', start: START, end: addHours(START, 4), detail: '20°F' }]);
+  });
+
+  it('finds cold, windy and rainy stretches in a forecast', () => {
+    const forecast = forecastFrom([
+      [45, 5, false], [35, 5, false], [28, 20, false], [33, 25, true], [50, 5, false],
+    ]);
+    const weather = assessWeather({ forecast }, START, addHours(START, 4));
+
+    expect(weather.source).toBe('forecast');
+    expect(weather.periods.map(p => [p.type, p.start.getHours(), p.end.getHours(), p.detail])).toEqual([
+      ['cold', 7, 9, '28°F'],
+      ['windy', 8, 9, '25 mph wind'],
+      ['rain', 9, 9, 'rain'],
+    ]);
+    expect(weather.blanketFactor).toBeLessThan(weather.factor);
+  });
+});
+
+describe('weatherWarnings', () => {
+  it('suggests a blanket with the time it would save', () => {
+    const weather = assessWeather({ ambientTemp: 20, windMph: 20 }, START, addHours(START, 10));
+    const [warning] = weatherWarnings(weather, 600);
+    expect(warning.type).toBe('quality');
+    expect(warning.msg).toMatch(/Cold and windy cook: adds ~\d+ min/);
+    expect(warning.msg).toMatch(/insulation blanket/);
+  });
+
+  it('says when the forecast misses some or all of the cook', () => {
+    const forecast = forecastFrom([[30, 0, false], [30, 0, false], [30, 0, false]]);
+    const partial = assessWeather({ forecast }, START, addHours(START, 6));
+    expect(partial.forecastGap).toBe('partial');
+    expect(weatherWarnings(partial, 360).map(w => w.msg)).toContain('📅 The imported forecast only covers part of this cook; the rest is timed with the manual conditions.');
+
+    const lastWeek = assessWeather({ forecast }, addHours(START, 24 * 7), addHours(START, 24 * 7 + 6));
+    expect(lastWeek).toMatchObject({ forecastGap: 'all', source: 'manual', avgTemp: 70 });
+    expect(weatherWarnings(lastWeek, 360)[0].msg).toMatch(/doesn't cover this cook/);
+    expect(assessWeather({ forecast }, START, addHours(START, 2)).forecastGap).toBeNull();
+  });
+
+  it('warns about wet pellets in the rain and stays quiet in good weather', () => {
+    const rainy = assessWeather({ raining: true }, START, addHours(START, 2));
+    expect(weatherWarnings(rainy, 120).map(w => w.msg)).toEqual([expect.stringMatching(/Rain during the cook/)]);
+    expect(weatherWarnings(assessWeather({}, START, addHours(START, 2)), 120)).toEqual([]);
+  });
+});
+
+describe('parseForecast', () => {
+  it('reads CSV with time, temp, wind and precip columns', () => {
+    const { forecast, error } = parseForecast('time,temp_f,wind_mph,precip_in\n2024-01-20T07:00,31,12,0\n2024-01-20T06:00,30,10,0.1\n');
+    expect(error).toBeNull();
+    expect(forecast).toEqual([
+      { time: '2024-01-20T06:00', temp: 30, windMph: 10, rain: true },
+      { time: '2024-01-20T07:00', temp: 31, windMph: 12, rain: false },
+    ]);
+  });
+
+  it('reads a JSON array', () => {
+    const { forecast } = parseForecast(JSON.stringify([{ time: '2024-01-20T06:00', temp: 30, wind: 8, rain: true }]));
+    expect(forecast).toEqual([{ time: '2024-01-20T06:00', temp: 30, windMph: 8, rain: true }]);
+  });
+
+  it('reads an Open-Meteo hourly block', () => {
+    const { forecast } = parseForecast(JSON.stringify({
+      hourly: { time: ['2024-01-20T06:00', '2024-01-20T07:00'], temperature_2m: [30, 32], wind_speed_10m: [5, 18], precipitation: [0, 0.2] },
+    }));
+    expect(forecast.map(h => [h.temp, h.windMph, h.rain])).toEqual([[30, 5, false], [32, 18, true]]);
+  });
+
+  it('explains what is wrong with a bad file', () => {
+    expect(parseForecast('{ nope').error).toMatch(/not valid JSON/);
+    expect(parseForecast('when,wind\nx,1').error).toMatch(/time and temp/);
+    expect(parseForecast('[]').error).toMatch(/No hourly readings/);
+    expect(parseForecast(' \n ').error).toMatch(/No hourly readings/);
+  });
+
+  it('converts Open-Meteo metric units to °F and mph', () => {
+    const { forecast, error } = parseForecast(JSON.stringify({
+      hourly_units: { time: 'iso8601', temperature_2m: '°C', wind_speed_10m: 'km/h' },
+      hourly: { time: ['2024-01-20T06:00'], temperature_2m: [22], wind_speed_10m: [30] },
+    }));
+    expect(error).toBeNull();
+    expect(forecast).toEqual([{ time: '2024-01-20T06:00', temp: 71.6, windMph: 18.6, rain: false }]);
+  });
+
+  it('reads the units from CSV headers', () => {
+    const { forecast } = parseForecast('time,temp (°C),wind_ms\n2024-01-20T06:00,-5,10\n');
+    expect(forecast).toEqual([{ time: '2024-01-20T06:00', temp: 23, windMph: 22.4, rain: false }]);
+  });
+
+  it('reads Unix times and skips entries that are not readings', () => {
+    const at = (iso) => new Date(iso).getTime() / 1000;
+    const { forecast } = parseForecast(JSON.stringify({
+      hourly: { time: [at('2024-01-20T06:00'), at('2024-01-20T07:00')], temperature_2m: [30, null] },
+    }));
+    expect(forecast).toEqual([{ time: '2024-01-20T06:00', temp: 30, windMph: 0, rain: false }]);
+    expect(parseForecast(JSON.stringify([null, 3, { time: '2024-01-20T06:00', temp: 30 }])).forecast).toHaveLength(1);
+    expect(parseForecast(JSON.stringify([null])).error).toMatch(/No hourly readings/);
+    expect(parseForecast(JSON.stringify([{ time: { when: 'now' }, temp: 30 }])).error).toMatch(/No hourly readings/);
+  });
+
+  it('rejects units it does not know and readings out of range', () => {
+    expect(parseForecast(JSON.stringify({
+      hourly_units: { temperature_2m: 'K' },
+      hourly: { time: ['2024-01-20T06:00'], temperature_2m: [290] },
+    })).error).toMatch(/°F or °C/);
+    expect(parseForecast('time,temp,wind_furlongs\n2024-01-20T06:00,30,1').error).toMatch(/mph, km\/h/);
+    expect(parseForecast('time,temp,wind\n2024-01-20T06:00,30,400').error).toMatch(/out of range/);
+  });
+});
+
+describe('computePlan with weather', () => {
+  const inputsFor = (overrides = {}) => ({
+    ...profileDefaults('brisket'), prepTime: 45, serveTime: '2024-07-04T18:00', spritzEnabled: false, ...overrides,
+  });
+  const cookMinutes = (plan) => differenceInMinutes(plan.finishCook, plan.startCook);
+
+  it('starts earlier on a cold day and says why', () => {
+    const mild = computePlan(inputsFor(), MEAT_PROFILES, NOW);
+    const cold = computePlan(inputsFor({ ambientTemp: 20 }), MEAT_PROFILES, NOW);
+
+    expect(cookMinutes(cold.plan)).toBeGreaterThan(cookMinutes(mild.plan));
+    expect(cold.plan.weather.factor).toBeCloseTo(1.12);
+    expect(cold.warnings.some(w => w.msg.includes('Cold cook'))).toBe(true);
+    expect(mild.plan.weather.periods).toEqual([]);
+  });
+
+  it('gives back most of the time under a blanket', () => {
+    const cold = computePlan(inputsFor({ ambientTemp: 20 }), MEAT_PROFILES, NOW).plan;
+    const blanket = computePlan(inputsFor({ ambientTemp: 20, insulated: true }), MEAT_PROFILES, NOW).plan;
+    expect(cookMinutes(blanket)).toBeLessThan(cookMinutes(cold));
+  });
+});
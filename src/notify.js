@@ -0,0 +1,46 @@
+// Browser alarms for live cooks: a system notification when permitted, plus a
+// short beep so the alarm is heard even with notifications blocked.
+//
+// Notifications go through the service worker when there is one; that works
+// from a background tab and on Android, where `new Notification` is not
+// allowed. Alarms are raised by the live cook's clock, so they only fire while
+// the planner is open: no shipping browser can schedule them ahead of time.
+
+export const requestNotifications = async () => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+  await Notification.requestPermission();
+};
+
+const permitted = () => typeof Notification !== 'undefined' && Notification.permission === 'granted';
+
+const workerRegistration = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+const ICON = `${import.meta.env.BASE_URL}icon-192.png`;
+
+const beep = () => {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+
+  const ctx = new AudioCtx();
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = 880;
+  gain.gain.value = 0.2;
+  osc.connect(gain);
+  gain.connect(ctx.destination);
+  osc.start();
+  osc.stop(ctx.currentTime + 0.6);
+  osc.onended = () => ctx.close();
+};
+
+export const notify = async (title, body, tag = title) => {
+  beep();
+  if (!permitted()) return;
+
+  const registration = await workerRegistration();
+  if (registration) registration.showNotification(title, { body, tag, icon: ICON });
+  else new Notification(title, { body, tag });
+};
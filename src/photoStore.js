@@ -0,0 +1,42 @@
+// Cook journal photos, kept in IndexedDB since they're far too big for
+// localStorage. Each is a Blob stored under its id; the journal entry only
+// holds the ids.
+
+const DB_NAME = 'pelletJournal';
+const STORE = 'photos';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `action` on the store in one transaction and resolves with the result
+// of the request it returns (if any) once the transaction completes.
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+export const photosAvailable = () => typeof indexedDB !== 'undefined';
+
+export const savePhoto = (id, blob) => withStore('readwrite', store => store.put(blob, id));
+
+export const loadPhoto = (id) => withStore('readonly', store => store.get(id));
+
+export const deletePhotos = (ids) => withStore('readwrite', (store) => {
+  ids.forEach(id => store.delete(id));
+  return null;
+});
@@ -0,0 +1,10 @@
+// Registers public/sw.js for offline use and alarm notifications. Production
+// builds only: under the dev server the worker would cache stale modules.
+// Without it the planner still works, it just needs a connection.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {});
+  });
+};
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { journalOf, updateJournal } from './engine/journal';
+import { deletePhotos, photosAvailable } from './photoStore';
+
+// Completed cooks (see engine/calibration.js) and their journal entries (see
+// engine/journal.js), persisted in localStorage; photos are in IndexedDB.
+export default function useCookHistory() {
+  const [records, setRecords] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletHistoryV1');
+      if (saved) return JSON.parse(saved);
+    }
+    return [];
+  });
+
+  useEffect(() => {
+    localStorage.setItem('pelletHistoryV1', JSON.stringify(records));
+  }, [records]);
+
+  const addRecord = (record) => setRecords(prev => [...prev, record]);
+
+  // `changes` can also be a function of the current journal, for updates
+  // that land after an await and must not undo ones made meanwhile.
+  const updateEntry = (id, changes) => setRecords(prev => prev.map(r => (r.id === id
+    ? updateJournal(r, typeof changes === 'function' ? changes(journalOf(r)) : changes)
+    : r)));
+
+  const deleteRecord = (id) => {
+    const photos = journalOf(records.find(r => r.id === id) || {}).photos;
+    if (photos.length > 0 && photosAvailable()) deletePhotos(photos).catch(() => {});
+    setRecords(prev => prev.filter(r => r.id !== id));
+  };
+
+  return { records, addRecord, updateEntry, deleteRecord };
+}
@@ -0,0 +1,41 @@
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { createI18n, LOCALES, DEFAULT_LOCALE, ENGLISH } from './engine/i18n';
+
+// Language and units (see engine/i18n.js), persisted in localStorage and
+// passed down through context so any component can translate and format.
+
+export const LocaleContext = createContext({ ...ENGLISH, setLocale: () => {}, setUnits: () => {} });
+
+export const useLocale = () => useContext(LocaleContext);
+
+// The browser's language if we have it, else one that shares its language (fr-FR -> fr-CA)
+const browserLocale = () => {
+  const wanted = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const tag of wanted) {
+    if (LOCALES[tag]) return tag;
+    const sameLanguage = Object.keys(LOCALES).find(key => key.split('-')[0] === tag.split('-')[0]);
+    if (sameLanguage) return sameLanguage;
+  }
+  return DEFAULT_LOCALE;
+};
+
+// Units stay null until picked, following the locale's default.
+export function useLocaleSettings() {
+  const [settings, setSettings] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletLocaleV1');
+      if (saved) return JSON.parse(saved);
+    }
+    return { locale: browserLocale(), units: null };
+  });
+
+  useEffect(() => {
+    localStorage.setItem('pelletLocaleV1', JSON.stringify(settings));
+  }, [settings]);
+
+  return useMemo(() => ({
+    ...createI18n(settings.locale, settings.units),
+    setLocale: (locale) => setSettings(prev => ({ ...prev, locale })),
+    setUnits: (units) => setSettings(prev => ({ ...prev, units })),
+  }), [settings]);
+}
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import {
+  loadLibrary, saveLibrary, emptyLibrary, activePlan, createPlan, renamePlan, duplicatePlan, deletePlan, selectPlan, updateInputs, DEFAULT_INPUTS,
+} from './engine/planLibrary';
+
+// Saved plans (see engine/planLibrary.js), persisted in localStorage. `inputs`
+// and `setInputs` act on the active plan.
+export default function usePlanLibrary() {
+  const [{ library, notice }, setState] = useState(() => {
+    if (typeof window !== 'undefined') return loadLibrary(localStorage);
+    return { library: createPlan(emptyLibrary(), "My Plan"), notice: null };
+  });
+
+  useEffect(() => {
+    saveLibrary(localStorage, library);
+  }, [library]);
+
+  const update = (change) => setState(prev => ({ ...prev, library: change(prev.library) }));
+
+  const active = activePlan(library);
+
+  const setInputs = (next) => update(lib => {
+    const current = activePlan(lib).inputs;
+    return updateInputs(lib, lib.activeId, typeof next === 'function' ? next(current) : next);
+  });
+
+  return {
+    plans: Object.values(library.plans).sort((a, b) => a.name.localeCompare(b.name)),
+    active,
+    inputs: active ? active.inputs : DEFAULT_INPUTS,
+    setInputs,
+    notice,
+    dismissNotice: () => setState(prev => ({ ...prev, notice: null })),
+    createPlan: (name, inputs) => update(lib => createPlan(lib, name, inputs)),
+    renamePlan: (id, name) => update(lib => renamePlan(lib, id, name)),
+    duplicatePlan: (id) => update(lib => duplicatePlan(lib, id)),
+    deletePlan: (id) => update(lib => deletePlan(lib, id)),
+    selectPlan: (id) => update(lib => selectPlan(lib, id)),
+  };
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useMemo } from 'react';
+import { mergeProfiles, parseProfileImport, validateProfile, cleanProfile, profileKey } from './engine/customProfiles';
+import { MEAT_PROFILES } from './engine/profiles';
+import { useLocale } from './useLocale';
+
+// Built-in profiles plus the user's own, persisted in localStorage.
+export default function useProfiles() {
+  const i18n = useLocale();
+  const [custom, setCustom] = useState(() => {
+    if (typeof window !== 'undefined') {
+      const saved = localStorage.getItem('pelletCustomProfilesV1');
+      if (saved) return JSON.parse(saved);
+    }
+    return {};
+  });
+
+  useEffect(() => {
+    localStorage.setItem('pelletCustomProfilesV1', JSON.stringify(custom));
+  }, [custom]);
+
+  const profiles = useMemo(() => mergeProfiles(custom), [custom]);
+
+  // Saves under `key` when editing, or a fresh key for a new profile. Returns the key or the validation errors.
+  const saveProfile = (profile, key = null) => {
+    const { valid, errors } = validateProfile(profile, i18n);
+    if (!valid) return { key: null, errors };
+
+    const saveKey = key && key in custom ? key : profileKey(profile.label, { ...MEAT_PROFILES, ...custom });
+    setCustom(prev => ({ ...prev, [saveKey]: cleanProfile(profile) }));
+    return { key: saveKey, errors: {} };
+  };
+
+  const deleteProfile = (key) => {
+    setCustom(prev => {
+      const { [key]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const importProfiles = (text) => {
+    const result = parseProfileImport(text, custom, i18n);
+    setCustom(prev => ({ ...prev, ...result.profiles }));
+    return result;
+  };
+
+  return { profiles, custom, saveProfile, deleteProfile, importProfiles };
+}
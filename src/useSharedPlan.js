@@ -0,0 +1,19 @@
+import { useState } from 'react';
+import { decodeShare, shareFromHash } from './engine/shareLink';
+
+// A plan opened from a share link. It stays separate from the saved plan
+// until the recipient chooses to keep it.
+export default function useSharedPlan(profiles) {
+  const [shared, setShared] = useState(() => {
+    if (typeof window === 'undefined') return null;
+    const encoded = shareFromHash(window.location.hash);
+    return encoded ? decodeShare(encoded, profiles) : null;
+  });
+
+  const closeShared = () => {
+    setShared(null);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  };
+
+  return { shared, closeShared };
+}